@@ -1,18 +1,22 @@
 /**
  * Manual Login Helper
  * 
- * Opens Edge browser with the persistent profile used by the scraper.
+ * Opens Edge browser with one of the persistent profiles used by the
+ * scraper's session pool (.maersk-profile/session-<n>).
  * Log in manually with your keyboard — Akamai won't block manual input.
  * Once you reach the /book/ page, the session cookies are saved automatically.
  * 
- * Usage:  node manual_login.js
+ * Usage:  node manual_login.js [session] [account profile key]
+ *         (default session 0; profile keys are listed by tools/manage_accounts.js)
  * After:  Subsequent scrapes will use the saved session (no re-login needed).
  */
 const { chromium } = require('playwright');
 const path = require('path');
 const fs = require('fs');
 
-const PROFILE_DIR = path.join(__dirname, '.maersk-profile');
+const SESSION_SLOT = parseInt(process.argv[2], 10) || 0;
+const PROFILE_KEY = process.argv[3] || '';
+const PROFILE_DIR = path.join(__dirname, '.maersk-profile', PROFILE_KEY, `session-${SESSION_SLOT}`);
 const BOOK_URL = 'https://www.maersk.com/book/';
 
 // We navigate to /book/ first — it will auto-redirect to the login page
@@ -139,7 +143,7 @@ if (!fs.existsSync(PROFILE_DIR)) fs.mkdirSync(PROFILE_DIR, { recursive: true });
     console.log('========================================');
     console.log('  ✗ Login timed out (5 min).');
     console.log('========================================');
-    console.log('  Please try again: node manual_login.js');
+    console.log(('  Please try again: node manual_login.js ' + SESSION_SLOT + ' ' + PROFILE_KEY).trimEnd());
   }
 
   await context.close();
@@ -0,0 +1,381 @@
+/**
+ * Pricing configuration loader
+ *
+ * Parses pricing-config.yml, validates it against a schema, and resolves the
+ * effective settings for a lane key (FROM|TO|CONTAINER|INCOTERM) by merging
+ * matching lane_overrides on top of the global section.
+ *
+ * Functions:
+ *  - loadPricingConfig()     → (Re)load the YAML file, throws if invalid
+ *  - getPricingConfig()      → Current validated config (loads lazily)
+ *  - getLaneConfig(key)      → Effective settings for one lane
+ *  - getLaneScraperOverrides(key) → scraper settings the lane's overrides set
+ *                              themselves (no global values)
+ *  - getImportProfile(name)  → Column mapping for rate sheet imports, or null
+ *  - watchPricingConfig()    → Hot-reload the file when it changes
+ */
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const CONFIG_PATH = process.env.PRICING_CONFIG_PATH || path.join(__dirname, '..', '..', 'pricing-config.yml');
+const WILDCARD = '*';
+const ACCOUNT_SELECTIONS = ['round_robin', 'lru'];
+
+// Used when the YAML omits a key, so a partial file still resolves fully
+const DEFAULTS = {
+  ttl_seconds: 86400,
+  deviation_pct: 30,
+  baseline_samples: 5,
+  min_transit_days: 1,
+  max_transit_days: 90,
+  confidence_thresholds: { auto_accept: 0.8, flag_review: 0.5, reject: 0.0 },
+  rate_limits: {
+    requests_per_account_per_30s: 1, max_retries: 3, backoff_base: 2,
+    backoff_initial_seconds: 30, backoff_max_seconds: 1800,
+  },
+  session: { pool_size: 3, idle_ttl_minutes: 30 },
+  accounts: { selection: 'round_robin', cooldown_minutes: 30 },
+  circuit_breaker: { failure_threshold: 5, window_minutes: 10, cooldown_minutes: 15 },
+  scraper: { timeout_ms: 60000, headless: true },
+  queue: { concurrency: 2, lease_seconds: 300, heartbeat_seconds: 30, poll_interval_ms: 2000 },
+  snapshot: { retention_hot_days: 90, retention_cold_days: 365, retention_archive_days: 1095 },
+  review: { sla_minutes: 240 },
+};
+
+// Keys a lane override is allowed to change
+const LANE_OVERRIDE_KEYS = [
+  'ttl_seconds', 'deviation_pct', 'baseline_samples',
+  'min_transit_days', 'max_transit_days',
+  'confidence_thresholds', 'scraper', 'review',
+];
+
+let _config = null;
+let _loadedAt = null;
+let _watcher = null;
+
+// ─── Schema checks ─────────────────────────────────────────────────────
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isPositiveInt = (v) => Number.isInteger(v) && v > 0;
+const isNonNegativeInt = (v) => Number.isInteger(v) && v >= 0;
+const isPositiveNumber = (v) => typeof v === 'number' && Number.isFinite(v) && v > 0;
+const isRatio = (v) => typeof v === 'number' && v >= 0 && v <= 1;
+
+const RULES = {
+  ttl_seconds: [isPositiveInt, 'a positive integer'],
+  deviation_pct: [isPositiveNumber, 'a positive number'],
+  baseline_samples: [isNonNegativeInt, 'a non-negative integer'],
+  min_transit_days: [isPositiveInt, 'a positive integer'],
+  max_transit_days: [isPositiveInt, 'a positive integer'],
+  'confidence_thresholds.auto_accept': [isRatio, 'a number between 0 and 1'],
+  'confidence_thresholds.flag_review': [isRatio, 'a number between 0 and 1'],
+  'confidence_thresholds.reject': [isRatio, 'a number between 0 and 1'],
+  'rate_limits.requests_per_account_per_30s': [isPositiveInt, 'a positive integer'],
+  'rate_limits.max_retries': [isNonNegativeInt, 'a non-negative integer'],
+  'rate_limits.backoff_base': [(v) => typeof v === 'number' && v >= 1, 'a number >= 1'],
+  'rate_limits.backoff_initial_seconds': [isPositiveNumber, 'a positive number'],
+  'rate_limits.backoff_max_seconds': [isPositiveNumber, 'a positive number'],
+  'session.pool_size': [isPositiveInt, 'a positive integer'],
+  'session.idle_ttl_minutes': [isPositiveNumber, 'a positive number'],
+  'accounts.selection': [(v) => ACCOUNT_SELECTIONS.includes(v), `one of ${ACCOUNT_SELECTIONS.join(', ')}`],
+  'accounts.cooldown_minutes': [isPositiveNumber, 'a positive number'],
+  'circuit_breaker.failure_threshold': [isPositiveInt, 'a positive integer'],
+  'circuit_breaker.window_minutes': [isPositiveNumber, 'a positive number'],
+  'circuit_breaker.cooldown_minutes': [isPositiveNumber, 'a positive number'],
+  'scraper.timeout_ms': [isPositiveInt, 'a positive integer'],
+  'scraper.headless': [(v) => typeof v === 'boolean', 'a boolean'],
+  'queue.concurrency': [isPositiveInt, 'a positive integer'],
+  'queue.lease_seconds': [isPositiveInt, 'a positive integer'],
+  'queue.heartbeat_seconds': [isPositiveInt, 'a positive integer'],
+  'queue.poll_interval_ms': [isPositiveInt, 'a positive integer'],
+  'snapshot.retention_hot_days': [isPositiveInt, 'a positive integer'],
+  'snapshot.retention_cold_days': [isPositiveInt, 'a positive integer'],
+  'snapshot.retention_archive_days': [isPositiveInt, 'a positive integer'],
+  'review.sla_minutes': [isPositiveInt, 'a positive integer'],
+};
+
+function getPath(obj, dotted) {
+  return dotted.split('.').reduce((acc, k) => (isObject(acc) ? acc[k] : undefined), obj);
+}
+
+/**
+ * Check the values present in a settings block (global or lane override)
+ */
+function checkSettings(settings, prefix, errors) {
+  for (const [key, [test, expected]] of Object.entries(RULES)) {
+    const value = getPath(settings, key);
+    if (value === undefined) continue;
+    if (!test(value)) errors.push(`${prefix}.${key} must be ${expected}`);
+  }
+
+  const q = settings.queue;
+  if (isObject(q) && isPositiveInt(q.lease_seconds) && isPositiveInt(q.heartbeat_seconds)
+    && q.heartbeat_seconds >= q.lease_seconds) {
+    errors.push(`${prefix}.queue.heartbeat_seconds must be shorter than lease_seconds`);
+  }
+
+  const ct = settings.confidence_thresholds;
+  if (isObject(ct) && isRatio(ct.auto_accept) && isRatio(ct.flag_review) && ct.flag_review > ct.auto_accept) {
+    errors.push(`${prefix}.confidence_thresholds.flag_review must not exceed auto_accept`);
+  }
+  if (isPositiveInt(settings.min_transit_days) && isPositiveInt(settings.max_transit_days)
+    && settings.min_transit_days > settings.max_transit_days) {
+    errors.push(`${prefix}.min_transit_days must not exceed max_transit_days`);
+  }
+}
+
+/**
+ * Check the shape of import_profiles. Which fields a profile may map is
+ * checked by the importer (pricing/rateImport.js).
+ */
+function checkImportProfiles(profiles, errors) {
+  if (profiles == null) return;
+  if (!isObject(profiles)) {
+    errors.push('import_profiles must be a mapping of profile names');
+    return;
+  }
+  const isHeader = (v) => typeof v === 'string' && v.trim();
+  for (const [name, profile] of Object.entries(profiles)) {
+    const label = `import_profiles.${name}`;
+    if (!isObject(profile) || !isObject(profile.columns)) {
+      errors.push(`${label}.columns must be a mapping of field → sheet header(s)`);
+      continue;
+    }
+    for (const [field, headers] of Object.entries(profile.columns)) {
+      if (!isHeader(headers) && !(Array.isArray(headers) && headers.length && headers.every(isHeader))) {
+        errors.push(`${label}.columns.${field} must be a header or a list of headers`);
+      }
+    }
+    if (profile.defaults != null && !isObject(profile.defaults)) errors.push(`${label}.defaults must be a mapping`);
+    if (profile.delimiter != null && !(typeof profile.delimiter === 'string' && profile.delimiter.length === 1)) {
+      errors.push(`${label}.delimiter must be a single character`);
+    }
+    if (profile.decimal != null && !['.', ','].includes(profile.decimal)) {
+      errors.push(`${label}.decimal must be "." or ","`);
+    }
+    if (profile.thousands != null && (![',', '.', ' ', "'"].includes(profile.thousands) || profile.thousands === profile.decimal)) {
+      errors.push(`${label}.thousands must be one of ",", ".", " ", "'" and differ from decimal`);
+    }
+  }
+}
+
+/**
+ * Validate a parsed config document
+ * @param {Object} doc - parsed YAML
+ * @returns {string[]} list of schema errors (empty when valid)
+ */
+function validatePricingConfig(doc) {
+  const errors = [];
+  if (!isObject(doc)) return ['config must be a mapping'];
+  if (!isObject(doc.global)) {
+    errors.push('global section is required');
+  } else {
+    checkSettings(doc.global, 'global', errors);
+  }
+
+  for (const listKey of ['container_types', 'incoterms']) {
+    const list = doc[listKey];
+    if (list === undefined) continue;
+    if (!Array.isArray(list) || !list.every((v) => typeof v === 'string' && v.trim())) {
+      errors.push(`${listKey} must be a list of strings`);
+    }
+  }
+
+  checkImportProfiles(doc.import_profiles, errors);
+
+  const overrides = doc.lane_overrides;
+  if (overrides != null && !isObject(overrides)) {
+    errors.push('lane_overrides must be a mapping of lane keys');
+    return errors;
+  }
+
+  const containerTypes = Array.isArray(doc.container_types) ? doc.container_types.map((c) => String(c).toUpperCase()) : null;
+  const incoterms = Array.isArray(doc.incoterms) ? doc.incoterms.map((c) => String(c).toUpperCase()) : null;
+
+  for (const [key, override] of Object.entries(overrides || {})) {
+    const label = `lane_overrides["${key}"]`;
+    const parts = key.split('|');
+    if (parts.length !== 4 || parts.some((p) => !p.trim())) {
+      errors.push(`${label} key must look like FROM|TO|CONTAINER|INCOTERM`);
+      continue;
+    }
+    const [, , ct, inc] = parts.map((p) => p.trim().toUpperCase());
+    if (containerTypes && ct !== WILDCARD && !containerTypes.includes(ct)) {
+      errors.push(`${label} has unknown container type "${ct}"`);
+    }
+    if (incoterms && inc !== WILDCARD && !incoterms.includes(inc)) {
+      errors.push(`${label} has unknown incoterm "${inc}"`);
+    }
+    if (!isObject(override)) {
+      errors.push(`${label} must be a mapping`);
+      continue;
+    }
+    const unknown = Object.keys(override).filter((k) => !LANE_OVERRIDE_KEYS.includes(k));
+    if (unknown.length) errors.push(`${label} has unsupported keys: ${unknown.join(', ')}`);
+    checkSettings(override, label, errors);
+  }
+
+  return errors;
+}
+
+// ─── Loading ───────────────────────────────────────────────────────────
+function mergeSettings(base, extra) {
+  const out = { ...base };
+  for (const [k, v] of Object.entries(extra || {})) {
+    out[k] = isObject(v) && isObject(base[k]) ? { ...base[k], ...v } : v;
+  }
+  return out;
+}
+
+/**
+ * Read, parse and validate the YAML file. Replaces the active config only
+ * when the new document is valid.
+ */
+function loadPricingConfig(filePath = CONFIG_PATH) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  const doc = yaml.load(raw);
+  const errors = validatePricingConfig(doc);
+  if (errors.length) {
+    const err = new Error(`Invalid pricing config (${filePath}): ${errors.join('; ')}`);
+    err.code = 'INVALID_CONFIG';
+    err.errors = errors;
+    throw err;
+  }
+
+  const overrides = {};
+  for (const [key, value] of Object.entries(doc.lane_overrides || {})) {
+    overrides[normalizeLaneKey(key)] = value;
+  }
+
+  _config = {
+    global: mergeSettings(DEFAULTS, doc.global),
+    container_types: doc.container_types || [],
+    incoterms: doc.incoterms || [],
+    lane_overrides: overrides,
+    import_profiles: doc.import_profiles || {},
+  };
+  _loadedAt = new Date().toISOString();
+  console.log(`[Config] Pricing config loaded (${Object.keys(overrides).length} lane override(s))`);
+  return _config;
+}
+
+function getPricingConfig() {
+  return _config || loadPricingConfig();
+}
+
+/**
+ * Reload the config whenever the file changes. Invalid edits are logged and
+ * the previous config stays active.
+ */
+function watchPricingConfig(filePath = CONFIG_PATH) {
+  if (_watcher) return _watcher;
+  _watcher = fs.watchFile(filePath, { interval: 2000 }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    try {
+      loadPricingConfig(filePath);
+      console.log('[Config] Pricing config hot-reloaded');
+    } catch (err) {
+      console.error('[Config] Reload rejected, keeping previous config:', err.message);
+    }
+  });
+  _watcher.unref();
+  return _watcher;
+}
+
+// ─── Lane resolution ───────────────────────────────────────────────────
+function normalizeLaneKey(key) {
+  return String(key).split('|').map((p) => p.trim().toUpperCase()).join('|');
+}
+
+/**
+ * Build a lane key from its parts
+ */
+function buildLaneKey(fromPort, toPort, containerType, incoterm) {
+  return normalizeLaneKey([fromPort, toPort, containerType || '40FT', incoterm || 'EXW'].join('|'));
+}
+
+function wildcardCount(pattern) {
+  return pattern.split('|').filter((seg) => seg === WILDCARD).length;
+}
+
+function laneMatches(pattern, key) {
+  const p = pattern.split('|');
+  const k = key.split('|');
+  return p.every((seg, i) => seg === WILDCARD || seg === k[i]);
+}
+
+/**
+ * Resolve the effective settings for a lane. Wildcard overrides ("*" in any
+ * segment) apply first, most specific last, so exact keys always win.
+ * @param {string} key - FROM|TO|CONTAINER|INCOTERM
+ * @returns {Object} global settings merged with matching overrides
+ */
+function getLaneConfig(key) {
+  const cfg = getPricingConfig();
+  const laneKey = normalizeLaneKey(key);
+  const matched = Object.keys(cfg.lane_overrides)
+    .filter((pattern) => laneMatches(pattern, laneKey))
+    .sort((a, b) => wildcardCount(b) - wildcardCount(a));
+
+  let settings = { ...cfg.global };
+  for (const pattern of matched) {
+    settings = mergeSettings(settings, cfg.lane_overrides[pattern]);
+  }
+
+  return { ...settings, lane_key: laneKey, matched_overrides: matched };
+}
+
+/**
+ * Scraper settings from the matching lane_overrides only. The live scraper
+ * ranks these above the SCRAPER_* env variables, which rank above the
+ * global scraper section.
+ * @returns {{ timeout_ms?: number, headless?: boolean }}
+ */
+function getLaneScraperOverrides(key) {
+  const { lane_overrides: overrides } = getPricingConfig();
+  return getLaneConfig(key).matched_overrides
+    .reduce((acc, pattern) => ({ ...acc, ...(overrides[pattern].scraper || {}) }), {});
+}
+
+/**
+ * Map lane settings onto the options understood by validateCandidates
+ */
+function getValidationOptions(key) {
+  const lane = getLaneConfig(key);
+  return {
+    deviation_pct: lane.deviation_pct,
+    min_baseline: lane.baseline_samples,
+    min_transit_days: lane.min_transit_days,
+    max_transit_days: lane.max_transit_days,
+    auto_accept_threshold: lane.confidence_thresholds.auto_accept,
+    flag_review_threshold: lane.confidence_thresholds.flag_review,
+  };
+}
+
+/**
+ * @param {string} name - key under import_profiles
+ * @returns {{ columns: Object, defaults?: Object, delimiter?: string, decimal?: string, thousands?: string }|null}
+ */
+function getImportProfile(name) {
+  const profiles = getPricingConfig().import_profiles;
+  return Object.prototype.hasOwnProperty.call(profiles, name) ? profiles[name] : null;
+}
+
+function getConfigLoadedAt() {
+  return _loadedAt;
+}
+
+module.exports = {
+  loadPricingConfig,
+  getPricingConfig,
+  getLaneConfig,
+  getLaneScraperOverrides,
+  getValidationOptions,
+  getImportProfile,
+  watchPricingConfig,
+  validatePricingConfig,
+  buildLaneKey,
+  normalizeLaneKey,
+  getConfigLoadedAt,
+  CONFIG_PATH,
+};
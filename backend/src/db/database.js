@@ -178,6 +178,7 @@ function initTables(db) {
     currency TEXT DEFAULT 'USD',
     transit_days INTEGER,
     service_type TEXT,
+    carrier TEXT DEFAULT 'MAERSK',
     origin_local_haulage REAL,
     origin_thc REAL,
     customs REAL,
@@ -216,6 +217,7 @@ function initTables(db) {
 
   db.exec(`CREATE TABLE IF NOT EXISTS scrape_jobs (
     id TEXT PRIMARY KEY,
+    carrier TEXT DEFAULT 'MAERSK',
     from_port TEXT NOT NULL,
     to_port TEXT NOT NULL,
     container_type TEXT DEFAULT '40FT',
@@ -232,9 +234,225 @@ function initTables(db) {
     result_json TEXT,
     error_message TEXT,
     snapshot_id TEXT,
+    request_json TEXT,
+    lease_owner TEXT,
+    lease_expires_at TEXT,
+    heartbeat_at TEXT,
+    cancel_requested INTEGER DEFAULT 0,
+    attempt_count INTEGER DEFAULT 0,
+    next_attempt_at TEXT,
+    expected_start_at TEXT,
+    last_reason_code TEXT,
+    account_id INTEGER,
+    started_at TEXT,
+    finished_at TEXT,
     created_at TEXT DEFAULT (datetime('now')),
     updated_at TEXT DEFAULT (datetime('now'))
   )`);
+  try { db.exec(`CREATE INDEX IF NOT EXISTS idx_scrape_jobs_status ON scrape_jobs(status, created_at)`); } catch(e) {}
+
+  db.exec(`CREATE TABLE IF NOT EXISTS scrape_batches (
+    id TEXT PRIMARY KEY,
+    status TEXT DEFAULT 'RUNNING',
+    filter_json TEXT,
+    lane_count INTEGER DEFAULT 0,
+    job_count INTEGER DEFAULT 0,
+    created_by TEXT,
+    cancelled_by TEXT,
+    cancel_requested INTEGER DEFAULT 0,
+    finished_at TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now'))
+  )`);
+
+  db.exec(`CREATE TABLE IF NOT EXISTS refresh_schedules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    cron TEXT NOT NULL,
+    from_port TEXT,
+    to_port TEXT,
+    destination_country TEXT,
+    carrier TEXT DEFAULT 'MAERSK',
+    container_types TEXT DEFAULT '[]',
+    lead_minutes INTEGER DEFAULT 360,
+    max_jobs INTEGER DEFAULT 20,
+    active INTEGER DEFAULT 1,
+    next_run_at TEXT,
+    last_run_at TEXT,
+    last_run_summary TEXT,
+    created_by TEXT,
+    updated_by TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now'))
+  )`);
+
+  db.exec(`CREATE TABLE IF NOT EXISTS lane_check_stats (
+    from_port TEXT NOT NULL,
+    to_port TEXT NOT NULL,
+    container_type TEXT NOT NULL,
+    check_date TEXT NOT NULL,
+    check_count INTEGER DEFAULT 0
+  )`);
+  try { db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_lane_check_stats ON lane_check_stats(from_port, to_port, container_type, check_date)`); } catch(e) {}
+
+  db.exec(`CREATE TABLE IF NOT EXISTS scrape_attempts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    scrape_job_id TEXT NOT NULL,
+    attempt_number INTEGER NOT NULL,
+    status TEXT DEFAULT 'RUNNING',
+    reason_code TEXT,
+    error_message TEXT,
+    snapshot_id TEXT,
+    worker_id TEXT,
+    account_id INTEGER,
+    next_retry_at TEXT,
+    started_at TEXT DEFAULT (datetime('now')),
+    finished_at TEXT
+  )`);
+  try { db.exec(`CREATE INDEX IF NOT EXISTS idx_scrape_attempts_job ON scrape_attempts(scrape_job_id, attempt_number)`); } catch(e) {}
+
+  db.exec(`CREATE TABLE IF NOT EXISTS scraper_accounts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    carrier TEXT DEFAULT 'MAERSK',
+    username TEXT NOT NULL,
+    password_enc TEXT NOT NULL,
+    profile_key TEXT NOT NULL,
+    enabled INTEGER DEFAULT 1,
+    cooldown_until TEXT,
+    last_used_at TEXT,
+    last_success_at TEXT,
+    last_failure_at TEXT,
+    last_reason_code TEXT,
+    consecutive_failures INTEGER DEFAULT 0,
+    success_count INTEGER DEFAULT 0,
+    failure_count INTEGER DEFAULT 0,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now'))
+  )`);
+  try { db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_scraper_accounts_user ON scraper_accounts(carrier, username)`); } catch(e) {}
+
+  db.exec(`CREATE TABLE IF NOT EXISTS pricing_charges (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    pricing_id INTEGER NOT NULL,
+    code TEXT,
+    description TEXT,
+    amount REAL NOT NULL,
+    currency TEXT DEFAULT 'USD',
+    basis TEXT DEFAULT 'PER_CONTAINER',
+    side TEXT,
+    sort_order INTEGER DEFAULT 0,
+    created_at TEXT DEFAULT (datetime('now'))
+  )`);
+  try { db.exec(`CREATE INDEX IF NOT EXISTS idx_pricing_charges_pricing ON pricing_charges(pricing_id)`); } catch(e) {}
+
+  db.exec(`CREATE TABLE IF NOT EXISTS fx_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    base_currency TEXT NOT NULL,
+    quote_currency TEXT NOT NULL,
+    rate REAL NOT NULL,
+    rate_date TEXT NOT NULL,
+    source TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now'))
+  )`);
+  try { db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_fx_rates_pair ON fx_rates(base_currency, quote_currency, rate_date)`); } catch(e) {}
+
+  db.exec(`CREATE TABLE IF NOT EXISTS quotes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    quote_number TEXT NOT NULL,
+    status TEXT DEFAULT 'DRAFT',
+    customer_name TEXT,
+    customer_reference TEXT,
+    currency TEXT DEFAULT 'USD',
+    subtotal_buy REAL,
+    markup_total REAL,
+    total REAL,
+    valid_until TEXT,
+    validity_capped INTEGER DEFAULT 0,
+    markup_json TEXT,
+    notes TEXT,
+    created_by TEXT,
+    status_updated_by TEXT,
+    sent_at TEXT,
+    closed_at TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now'))
+  )`);
+  try { db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_quotes_number ON quotes(quote_number)`); } catch(e) {}
+
+  db.exec(`CREATE TABLE IF NOT EXISTS quote_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    quote_id INTEGER NOT NULL,
+    item_no INTEGER NOT NULL,
+    pricing_id INTEGER NOT NULL,
+    from_port TEXT,
+    to_port TEXT,
+    destination_country TEXT,
+    container_type TEXT,
+    carrier TEXT,
+    service_type TEXT,
+    transit_days INTEGER,
+    number_of_containers INTEGER DEFAULT 1,
+    weight_per_container REAL,
+    weight_unit TEXT,
+    rate_valid_until TEXT,
+    buy_total REAL,
+    total REAL
+  )`);
+  try { db.exec(`CREATE INDEX IF NOT EXISTS idx_quote_items_quote ON quote_items(quote_id)`); } catch(e) {}
+
+  db.exec(`CREATE TABLE IF NOT EXISTS quote_lines (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    quote_id INTEGER NOT NULL,
+    quote_item_id INTEGER NOT NULL,
+    line_no INTEGER NOT NULL,
+    code TEXT,
+    description TEXT,
+    side TEXT,
+    basis TEXT,
+    quantity INTEGER DEFAULT 1,
+    unit_buy REAL,
+    unit_sell REAL,
+    amount_buy REAL,
+    amount REAL,
+    source_currency TEXT,
+    source_amount REAL
+  )`);
+  try { db.exec(`CREATE INDEX IF NOT EXISTS idx_quote_lines_quote ON quote_lines(quote_id)`); } catch(e) {}
+
+  db.exec(`CREATE TABLE IF NOT EXISTS margin_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    priority INTEGER NOT NULL DEFAULT 100,
+    destination_country TEXT,
+    from_port TEXT,
+    to_port TEXT,
+    container_type TEXT,
+    source TEXT,
+    customer_tier TEXT,
+    markup_type TEXT NOT NULL,
+    markup_value REAL NOT NULL,
+    min_margin REAL,
+    max_margin REAL,
+    currency TEXT DEFAULT 'USD',
+    active INTEGER DEFAULT 1,
+    created_by TEXT,
+    updated_by TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now'))
+  )`);
+
+  db.exec(`CREATE TABLE IF NOT EXISTS pricing_batches (
+    id TEXT PRIMARY KEY,
+    kind TEXT NOT NULL,
+    actor TEXT,
+    reason TEXT,
+    filename TEXT,
+    profile TEXT,
+    row_count INTEGER DEFAULT 0,
+    summary_json TEXT,
+    created_at TEXT DEFAULT (datetime('now'))
+  )`);
 
   db.exec(`CREATE TABLE IF NOT EXISTS failure_records (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -263,6 +481,73 @@ function initTables(db) {
   try { db.exec(`ALTER TABLE pricing ADD COLUMN destination_inland TEXT DEFAULT 'CY'`); } catch(e) { /* column already exists */ }
   try { db.exec(`ALTER TABLE scrape_jobs ADD COLUMN origin_inland TEXT DEFAULT 'CY'`); } catch(e) { /* column already exists */ }
   try { db.exec(`ALTER TABLE scrape_jobs ADD COLUMN destination_inland TEXT DEFAULT 'CY'`); } catch(e) { /* column already exists */ }
+
+  // Migrations: job queue leases and retries
+  try { db.exec(`ALTER TABLE scrape_jobs ADD COLUMN request_json TEXT`); } catch(e) { /* column already exists */ }
+  try { db.exec(`ALTER TABLE scrape_jobs ADD COLUMN lease_owner TEXT`); } catch(e) { /* column already exists */ }
+  try { db.exec(`ALTER TABLE scrape_jobs ADD COLUMN lease_expires_at TEXT`); } catch(e) { /* column already exists */ }
+  try { db.exec(`ALTER TABLE scrape_jobs ADD COLUMN heartbeat_at TEXT`); } catch(e) { /* column already exists */ }
+  try { db.exec(`ALTER TABLE scrape_jobs ADD COLUMN cancel_requested INTEGER DEFAULT 0`); } catch(e) { /* column already exists */ }
+  try { db.exec(`ALTER TABLE scrape_jobs ADD COLUMN attempt_count INTEGER DEFAULT 0`); } catch(e) { /* column already exists */ }
+  try { db.exec(`ALTER TABLE scrape_jobs ADD COLUMN next_attempt_at TEXT`); } catch(e) { /* column already exists */ }
+  try { db.exec(`ALTER TABLE scrape_jobs ADD COLUMN last_reason_code TEXT`); } catch(e) { /* column already exists */ }
+  try { db.exec(`ALTER TABLE scrape_jobs ADD COLUMN expected_start_at TEXT`); } catch(e) { /* column already exists */ }
+  try { db.exec(`ALTER TABLE scrape_jobs ADD COLUMN started_at TEXT`); } catch(e) { /* column already exists */ }
+  try { db.exec(`ALTER TABLE scrape_jobs ADD COLUMN finished_at TEXT`); } catch(e) { /* column already exists */ }
+
+  // Migrations: scraper account rotation
+  try { db.exec(`ALTER TABLE scrape_jobs ADD COLUMN account_id INTEGER`); } catch(e) { /* column already exists */ }
+  try { db.exec(`ALTER TABLE scrape_attempts ADD COLUMN account_id INTEGER`); } catch(e) { /* column already exists */ }
+
+  // Migrations: carrier adapters
+  try { db.exec(`ALTER TABLE scrape_jobs ADD COLUMN carrier TEXT DEFAULT 'MAERSK'`); } catch(e) { /* column already exists */ }
+  try { db.exec(`ALTER TABLE pricing ADD COLUMN carrier TEXT DEFAULT 'MAERSK'`); } catch(e) { /* column already exists */ }
+
+  // Migrations: batch scrapes
+  try { db.exec(`ALTER TABLE scrape_jobs ADD COLUMN batch_id TEXT`); } catch(e) { /* column already exists */ }
+  try { db.exec(`ALTER TABLE scrape_jobs ADD COLUMN auto_accepted_pricing_id INTEGER`); } catch(e) { /* column already exists */ }
+  try { db.exec(`CREATE INDEX IF NOT EXISTS idx_scrape_jobs_batch ON scrape_jobs(batch_id)`); } catch(e) {}
+
+  // Migrations: scheduled refreshes
+  try { db.exec(`ALTER TABLE scrape_jobs ADD COLUMN schedule_id INTEGER`); } catch(e) { /* column already exists */ }
+
+  // Migrations: ops review queue
+  try { db.exec(`ALTER TABLE ops_review ADD COLUMN candidate_index INTEGER`); } catch(e) { /* column already exists */ }
+  try { db.exec(`ALTER TABLE ops_review ADD COLUMN carrier TEXT`); } catch(e) { /* column already exists */ }
+  try { db.exec(`ALTER TABLE ops_review ADD COLUMN from_port TEXT`); } catch(e) { /* column already exists */ }
+  try { db.exec(`ALTER TABLE ops_review ADD COLUMN to_port TEXT`); } catch(e) { /* column already exists */ }
+  try { db.exec(`ALTER TABLE ops_review ADD COLUMN container_type TEXT`); } catch(e) { /* column already exists */ }
+  try { db.exec(`ALTER TABLE ops_review ADD COLUMN total_price REAL`); } catch(e) { /* column already exists */ }
+  try { db.exec(`ALTER TABLE ops_review ADD COLUMN currency TEXT`); } catch(e) { /* column already exists */ }
+  try { db.exec(`ALTER TABLE ops_review ADD COLUMN confidence_score REAL`); } catch(e) { /* column already exists */ }
+  try { db.exec(`ALTER TABLE ops_review ADD COLUMN issues_json TEXT`); } catch(e) { /* column already exists */ }
+  try { db.exec(`CREATE INDEX IF NOT EXISTS idx_ops_review_status ON ops_review(status, sla_deadline)`); } catch(e) {}
+
+  // Migrations: manual rate entry (soft delete, before/after audit)
+  try { db.exec(`ALTER TABLE pricing ADD COLUMN deleted_at TEXT`); } catch(e) { /* column already exists */ }
+  try { db.exec(`ALTER TABLE pricing ADD COLUMN deleted_by TEXT`); } catch(e) { /* column already exists */ }
+  try { db.exec(`ALTER TABLE pricing_history ADD COLUMN before_json TEXT`); } catch(e) { /* column already exists */ }
+  try { db.exec(`ALTER TABLE pricing_history ADD COLUMN after_json TEXT`); } catch(e) { /* column already exists */ }
+
+  // Migrations: rate sheet imports
+  try { db.exec(`ALTER TABLE pricing ADD COLUMN batch_id TEXT`); } catch(e) { /* column already exists */ }
+  try { db.exec(`ALTER TABLE pricing_history ADD COLUMN batch_id TEXT`); } catch(e) { /* column already exists */ }
+  try { db.exec(`CREATE INDEX IF NOT EXISTS idx_pricing_history_batch ON pricing_history(batch_id)`); } catch(e) {}
+
+  // Migrations: batch tagging and rollback
+  try { db.exec(`ALTER TABLE pricing_batches ADD COLUMN scrape_job_id TEXT`); } catch(e) { /* column already exists */ }
+  try { db.exec(`ALTER TABLE pricing_batches ADD COLUMN scrape_batch_id TEXT`); } catch(e) { /* column already exists */ }
+  try { db.exec(`ALTER TABLE pricing_batches ADD COLUMN rollback_of TEXT`); } catch(e) { /* column already exists */ }
+  try { db.exec(`ALTER TABLE pricing_batches ADD COLUMN rolled_back_at TEXT`); } catch(e) { /* column already exists */ }
+  try { db.exec(`ALTER TABLE pricing_batches ADD COLUMN rolled_back_by TEXT`); } catch(e) { /* column already exists */ }
+  try { db.exec(`ALTER TABLE pricing_batches ADD COLUMN rollback_batch_id TEXT`); } catch(e) { /* column already exists */ }
+  try { db.exec(`CREATE INDEX IF NOT EXISTS idx_pricing_batches_scrape_batch ON pricing_batches(scrape_batch_id)`); } catch(e) {}
+
+  // Migrations: rate versions (effective dates are backfilled on boot, pricing/rateVersions.js)
+  try { db.exec(`ALTER TABLE pricing ADD COLUMN effective_from TEXT`); } catch(e) { /* column already exists */ }
+  try { db.exec(`ALTER TABLE pricing ADD COLUMN effective_to TEXT`); } catch(e) { /* column already exists */ }
+  try { db.exec(`ALTER TABLE pricing ADD COLUMN superseded_by INTEGER`); } catch(e) { /* column already exists */ }
+  try { db.exec(`CREATE INDEX IF NOT EXISTS idx_pricing_effective ON pricing(effective_to, effective_from)`); } catch(e) {}
 }
 
 module.exports = { getDb, initDbAsync };
@@ -6,17 +6,35 @@ require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 const express = require('express');
 const cors = require('cors');
 const { initDbAsync } = require('./db/database');
+const { loadPricingConfig, watchPricingConfig } = require('./config/pricingConfig');
 const pricingRoutes = require('./routes/pricing');
+const configRoutes = require('./routes/config');
+const scraperRoutes = require('./routes/scraper');
+const fxRoutes = require('./routes/fx');
+const quoteRoutes = require('./routes/quotes');
+const marginRuleRoutes = require('./routes/marginRules');
+const scheduleRoutes = require('./routes/schedules');
+const opsRoutes = require('./routes/ops');
+const analyticsRoutes = require('./routes/analytics');
+const { startScrapeWorker, stopScrapeWorker } = require('./jobs/scrapeQueue');
+const { warmLiveSessions } = require('./jobs/scrapeRunner');
+const { startRefreshScheduler, stopRefreshScheduler } = require('./jobs/refreshScheduler');
+const { getBreakerState } = require('./scraper/circuitBreaker');
+const { getPoolState, closeAllSessions } = require('./scraper/sessionPool');
+const { bootstrapAccountsFromEnv } = require('./scraper/credentialStore');
+const { backfillCharges } = require('./pricing/charges');
+const { backfillRateVersions } = require('./pricing/rateVersions');
 
 const app = express();
 const PORT = process.env.PORT || 4000;
+const SHUTDOWN_TIMEOUT_MS = 10000;
 
 // ─── Security & Middleware ─────────────────────────────────────────
 // CORS with environment-based origin
 const corsOptions = {
   origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
   optionsSuccessStatus: 200,
-  methods: ['GET', 'POST', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   credentials: false
 };
 app.use(cors(corsOptions));
@@ -65,11 +83,24 @@ app.use((req, res, next) => {
 
 // ─── Health check ──────────────────────────────────────────────────
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    circuit_breaker: getBreakerState(),
+    session_pool: getPoolState(),
+  });
 });
 
 // ─── Routes ────────────────────────────────────────────────────────
 app.use('/api/pricing', pricingRoutes);
+app.use('/api/config', configRoutes);
+app.use('/api/scraper', scraperRoutes);
+app.use('/api/fx', fxRoutes);
+app.use('/api/quotes', quoteRoutes);
+app.use('/api/margin-rules', marginRuleRoutes);
+app.use('/api/schedules', scheduleRoutes);
+app.use('/api/ops', opsRoutes);
+app.use('/api/analytics', analyticsRoutes);
 
 // ─── Error Handler ─────────────────────────────────────────────────
 app.use((err, req, res, next) => {
@@ -94,9 +125,52 @@ app.use((req, res) => {
   });
 });
 
+// ─── Shutdown ──────────────────────────────────────────────────────
+// Stop taking jobs, write buffered lane checks and close the pooled browsers
+// so no Edge processes outlive the server
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`[Server] ${signal} received, shutting down...`);
+  setTimeout(() => {
+    console.error('[Server] Shutdown timed out, exiting');
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+
+  stopScrapeWorker();
+  try {
+    stopRefreshScheduler();
+  } catch (err) {
+    console.error('[Server] Failed to flush lane checks:', err.message);
+  }
+  await closeAllSessions().catch(err => console.error('[Server] Failed to close browser sessions:', err.message));
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 // ─── Initialize & Start ────────────────────────────────────────────
+// Fail fast on an invalid pricing-config.yml, then pick up later edits live
+try {
+  loadPricingConfig();
+  watchPricingConfig();
+} catch (err) {
+  console.error('[Server] Failed to load pricing config:', err.message);
+  process.exit(1);
+}
+
 initDbAsync()
   .then(() => {
+    bootstrapAccountsFromEnv();
+    backfillCharges();
+    backfillRateVersions();
+    startScrapeWorker();
+    startRefreshScheduler();
+    warmLiveSessions()
+      .catch(err => console.warn('[Server] Browser session warm-up failed:', err.message));
     app.listen(PORT, () => {
       console.log(`[Server] Freight Rates API running on http://localhost:${PORT}`);
       console.log(`[Server] Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -0,0 +1,118 @@
+/**
+ * Minimal cron expressions for refresh schedules
+ *
+ * Five fields, evaluated in UTC: minute hour day-of-month month day-of-week.
+ * Each field takes *, a value, a range (1-5), a step (*\/15, 0-30/10) or a
+ * comma list of those. Day-of-week is 0-7 with 0 and 7 both Sunday. As in
+ * standard cron, when both day-of-month and day-of-week are restricted a day
+ * matching either one matches.
+ *
+ * Functions:
+ *  - parseCron(expr)        → { cron, error }
+ *  - cronMatches(cron, d)   → true when the minute of `d` matches
+ *  - nextCronRun(cron, from) → Date of the first matching minute after `from`
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day-of-month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day-of-week', min: 0, max: 7 },
+];
+
+// Search horizon for nextCronRun: long enough for "29 Feb" style expressions
+const MAX_SEARCH_DAYS = 366 * 5;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) return { values: null, error: `${name} "${part}" is not a valid cron field` };
+
+    let [lo, hi] = match[1] === '*' ? [min, max] : match[1].split('-').map(Number);
+    if (hi === undefined) hi = match[2] ? max : lo;
+    const step = match[2] ? Number(match[2]) : 1;
+    if (lo < min || hi > max || lo > hi || step < 1) {
+      return { values: null, error: `${name} "${part}" must be within ${min}-${max}` };
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return { values, error: null };
+}
+
+/**
+ * @param {string} expr - e.g. "0 *\/6 * * *"
+ * @returns {{ cron: Object|null, error: string|null }}
+ */
+function parseCron(expr) {
+  const parts = String(expr || '').trim().split(/\s+/);
+  if (parts.length !== 5) return { cron: null, error: 'cron must have 5 fields: minute hour day-of-month month day-of-week' };
+
+  const sets = [];
+  for (const [i, field] of FIELDS.entries()) {
+    const { values, error } = parseField(parts[i], field);
+    if (error) return { cron: null, error };
+    sets.push(values);
+  }
+  const [minutes, hours, days, months, weekdays] = sets;
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    cron: {
+      expr: parts.join(' '),
+      minutes, hours, days, months, weekdays,
+      anyDay: parts[2] === '*',
+      anyWeekday: parts[4] === '*',
+    },
+    error: null,
+  };
+}
+
+function dayMatches(cron, d) {
+  const dom = cron.days.has(d.getUTCDate());
+  const dow = cron.weekdays.has(d.getUTCDay());
+  if (cron.anyDay && cron.anyWeekday) return true;
+  if (cron.anyDay) return dow;
+  if (cron.anyWeekday) return dom;
+  return dom || dow;
+}
+
+function cronMatches(cron, d) {
+  return cron.minutes.has(d.getUTCMinutes())
+    && cron.hours.has(d.getUTCHours())
+    && cron.months.has(d.getUTCMonth() + 1)
+    && dayMatches(cron, d);
+}
+
+/**
+ * First matching minute strictly after `from`
+ * @returns {Date|null} null when nothing matches within MAX_SEARCH_DAYS
+ */
+function nextCronRun(cron, from = new Date()) {
+  const d = new Date(from.getTime());
+  d.setUTCSeconds(0, 0);
+  d.setUTCMinutes(d.getUTCMinutes() + 1);
+
+  const limit = from.getTime() + MAX_SEARCH_DAYS * 86400000;
+  while (d.getTime() <= limit) {
+    if (!cron.months.has(d.getUTCMonth() + 1) || !dayMatches(cron, d)) {
+      // Skip the rest of the day
+      d.setUTCHours(24, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hours.has(d.getUTCHours())) {
+      d.setUTCHours(d.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (cron.minutes.has(d.getUTCMinutes())) return d;
+    d.setUTCMinutes(d.getUTCMinutes() + 1);
+  }
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  cronMatches,
+  nextCronRun,
+};
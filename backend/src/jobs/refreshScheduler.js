@@ -0,0 +1,415 @@
+/**
+ * Scheduled refresh of expiring rates
+ *
+ * Each refresh_schedules row has a cron expression (UTC, see cron.js), a lane
+ * filter (from_port / to_port / destination_country), a carrier and the
+ * container types to cover. When a schedule is due the scheduler looks for
+ * lanes whose freshest current rate expires within lead_minutes — a rate
+ * expires at created_at + the lane ttl_seconds, or at valid_until if that is
+ * earlier (pricing/rateVersions.js) — and queues a scrape job
+ * for each, up to max_jobs per run.
+ *
+ * Rows are grouped per lane by UN/LOCODE (port_aliases), so a lane stored
+ * under both a port name and its code counts once, at its freshest expiry.
+ * Jobs are queued under the port names the freshest rate is stored with, so
+ * the refreshed rate supersedes it (pricing/rateVersions.js).
+ *
+ * Lanes with /check traffic in the last TRAFFIC_WINDOW_DAYS go first (most
+ * checks first), then the soonest to expire. /check counts are kept in
+ * memory and written to lane_check_stats once per tick. Lanes that already have a
+ * PENDING or RUNNING job for the carrier are skipped.
+ *
+ * Functions:
+ *  - normalizeSchedule(input)          → { schedule, error } validated fields
+ *  - listSchedules() / getSchedule(id) → Stored schedules
+ *  - createSchedule(schedule, actor)   → Stored schedule
+ *  - updateSchedule(id, input, actor)  → { schedule } or { error }
+ *  - deleteSchedule(id)                → true when a row was removed
+ *  - laneExpiries(filter)              → Current lanes with their freshest expiry
+ *  - findExpiringLanes(schedule)       → Lanes a run would refresh, in queue order
+ *  - runSchedule(id)                   → Queue the refresh now; returns the run summary
+ *  - recordLaneCheck(from, to, ct)     → Count one /check for the lane (in memory)
+ *  - flushLaneChecks()                 → Write the counts to lane_check_stats (each tick)
+ *  - startRefreshScheduler() / stopRefreshScheduler()
+ */
+
+const { getDb } = require('../db/database');
+const { getPricingConfig } = require('../config/pricingConfig');
+const { rateExpiresAt } = require('../pricing/rateVersions');
+const { resolveCarrierCodes, DEFAULT_CARRIER } = require('../scraper/carriers');
+const { enqueueScrapeJob } = require('./scrapeQueue');
+const { parseCron, nextCronRun } = require('./cron');
+
+const TICK_MS = 30 * 1000;
+const TRAFFIC_WINDOW_DAYS = 7;
+const DEFAULTS = { lead_minutes: 360, max_jobs: 20 };
+
+let _timer = null;
+let _running = false;
+
+// ms / Date → sqlite datetime (UTC, second precision)
+function toSqlDatetime(value) {
+  return new Date(value).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// ─── Validation ────────────────────────────────────────────────────────
+function optionalText(value) {
+  return value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim();
+}
+
+/**
+ * Validate a full schedule (for updates, merge the changes onto the stored row first)
+ * @returns {{ schedule: Object|null, error: string|null }}
+ */
+function normalizeSchedule(input) {
+  if (!input || typeof input !== 'object') return { schedule: null, error: 'schedule must be an object' };
+
+  const name = String(input.name || '').trim();
+  if (!name) return { schedule: null, error: 'name is required' };
+
+  const { cron, error: cronError } = parseCron(input.cron);
+  if (cronError) return { schedule: null, error: cronError };
+  // e.g. "0 0 31 2 *": a schedule without a next run would never run
+  if (!nextCronRun(cron)) return { schedule: null, error: `cron "${cron.expr}" never matches a date` };
+
+  const carrier = resolveCarrierCodes([input.carrier || DEFAULT_CARRIER]);
+  if (carrier.error) return { schedule: null, error: `carrier: ${carrier.error}` };
+
+  let types = input.container_types;
+  if (typeof types === 'string') {
+    try { types = JSON.parse(types); } catch (e) { types = types.split(','); }
+  }
+  if (types == null) types = [];
+  if (!Array.isArray(types)) return { schedule: null, error: 'container_types must be an array' };
+  types = [...new Set(types.map((t) => String(t).trim().toUpperCase()).filter(Boolean))];
+  const known = getPricingConfig().container_types;
+  const unknown = Array.isArray(known) ? types.filter((t) => !known.includes(t)) : [];
+  if (unknown.length) return { schedule: null, error: `Unknown container type(s): ${unknown.join(', ')}` };
+
+  const numbers = {};
+  for (const key of ['lead_minutes', 'max_jobs']) {
+    const raw = input[key];
+    const n = raw === undefined || raw === null || raw === '' ? DEFAULTS[key] : Number(raw);
+    if (!Number.isInteger(n) || n < 1) return { schedule: null, error: `${key} must be a positive integer` };
+    numbers[key] = n;
+  }
+
+  return {
+    schedule: {
+      name,
+      cron: cron.expr,
+      from_port: optionalText(input.from_port),
+      to_port: optionalText(input.to_port),
+      destination_country: optionalText(input.destination_country),
+      carrier: carrier.codes[0],
+      container_types: JSON.stringify(types),
+      ...numbers,
+      active: input.active === undefined ? 1 : (input.active === false || input.active === 0 || input.active === 'false' ? 0 : 1),
+    },
+    error: null,
+  };
+}
+
+// ─── Storage ───────────────────────────────────────────────────────────
+const COLUMNS = ['name', 'cron', 'from_port', 'to_port', 'destination_country', 'carrier',
+  'container_types', 'lead_minutes', 'max_jobs', 'active'];
+
+function present(row) {
+  if (!row) return null;
+  const { container_types: types, last_run_summary: summary, ...rest } = row;
+  return {
+    ...rest,
+    container_types: JSON.parse(types || '[]'),
+    last_run_summary: summary ? JSON.parse(summary) : null,
+  };
+}
+
+function nextRunAt(cronExpr, from = new Date()) {
+  const { cron } = parseCron(cronExpr);
+  const next = cron && nextCronRun(cron, from);
+  return next ? toSqlDatetime(next) : null;
+}
+
+function listSchedules() {
+  return getDb().prepare(`SELECT * FROM refresh_schedules ORDER BY id`).all().map(present);
+}
+
+function getSchedule(id) {
+  return present(getDb().prepare(`SELECT * FROM refresh_schedules WHERE id = ?`).get(id));
+}
+
+function createSchedule(schedule, actor) {
+  const id = getDb().prepare(`
+    INSERT INTO refresh_schedules (${COLUMNS.join(', ')}, next_run_at, created_by, updated_by)
+    VALUES (${COLUMNS.map(() => '?').join(', ')}, ?, ?, ?)
+  `).run(...COLUMNS.map((c) => schedule[c]), nextRunAt(schedule.cron), actor, actor).lastInsertRowid;
+  console.log(`[Scheduler] Schedule #${id} "${schedule.name}" (${schedule.cron}) created by ${actor}`);
+  return getSchedule(id);
+}
+
+/**
+ * Apply a partial change; the next run is recomputed from the cron
+ * @returns {{ schedule?: Object, error?: { status: string, message: string } }}
+ */
+function updateSchedule(id, input, actor) {
+  const existing = getDb().prepare(`SELECT * FROM refresh_schedules WHERE id = ?`).get(id);
+  if (!existing) return { error: { status: 'NOT_FOUND', message: 'Schedule not found' } };
+
+  const { schedule, error } = normalizeSchedule({ ...existing, ...input });
+  if (error) return { error: { status: 'INVALID_REQUEST', message: error } };
+
+  getDb().prepare(`
+    UPDATE refresh_schedules SET ${COLUMNS.map((c) => `${c}=?`).join(', ')}, next_run_at=?, updated_by=?,
+      updated_at=datetime('now')
+    WHERE id=?
+  `).run(...COLUMNS.map((c) => schedule[c]), nextRunAt(schedule.cron), actor, id);
+  console.log(`[Scheduler] Schedule #${id} "${schedule.name}" updated by ${actor}`);
+  return { schedule: getSchedule(id) };
+}
+
+function deleteSchedule(id) {
+  const result = getDb().prepare(`DELETE FROM refresh_schedules WHERE id = ?`).run(id);
+  if (result.changes) console.log(`[Scheduler] Schedule #${id} deleted`);
+  return result.changes > 0;
+}
+
+// ─── /check traffic ────────────────────────────────────────────────────
+// Per lane and UTC day; /check is a read, so counts are written on the tick
+const _pendingChecks = new Map();
+const FLUSH_ROWS = 100;
+
+/**
+ * Count one /check lookup for the lane (per UTC day). Kept in memory until
+ * the next flushLaneChecks().
+ */
+function recordLaneCheck(fromPort, toPort, containerType) {
+  const lane = [fromPort, toPort, containerType].map((v) => String(v).toUpperCase());
+  lane.push(new Date().toISOString().slice(0, 10));
+  const key = lane.join('|');
+  const entry = _pendingChecks.get(key) || { lane, count: 0 };
+  entry.count++;
+  _pendingChecks.set(key, entry);
+}
+
+/**
+ * Add the counts recorded since the last flush to lane_check_stats
+ * @returns {number} lane-days written
+ */
+function flushLaneChecks() {
+  const pending = [..._pendingChecks.values()];
+  _pendingChecks.clear();
+  for (let i = 0; i < pending.length; i += FLUSH_ROWS) {
+    const chunk = pending.slice(i, i + FLUSH_ROWS);
+    try {
+      getDb().prepare(`
+        INSERT INTO lane_check_stats (from_port, to_port, container_type, check_date, check_count)
+        VALUES ${chunk.map(() => '(?, ?, ?, ?, ?)').join(', ')}
+        ON CONFLICT (from_port, to_port, container_type, check_date) DO UPDATE SET check_count = check_count + excluded.check_count
+      `).run(...chunk.flatMap(({ lane, count }) => [...lane, count]));
+    } catch (err) {
+      console.error('[Scheduler] Failed to record lane checks:', err.message);
+    }
+  }
+  return pending.length;
+}
+
+function recentTraffic() {
+  flushLaneChecks();
+  const rows = getDb().prepare(`
+    SELECT from_port, to_port, container_type, SUM(check_count) AS checks FROM lane_check_stats
+    WHERE check_date >= date('now', ?)
+    GROUP BY from_port, to_port, container_type
+  `).all(`-${TRAFFIC_WINDOW_DAYS} days`);
+  return new Map(rows.map((r) => [`${r.from_port}|${r.to_port}|${r.container_type}`, r.checks]));
+}
+
+// ─── Lane selection ────────────────────────────────────────────────────
+const laneName = (fromPort, toPort, ct) => `${String(fromPort).toUpperCase()}|${String(toPort).toUpperCase()}|${ct}`;
+
+/**
+ * Current rates matching a lane filter, one entry per lane (port codes and
+ * container type) carrying the freshest expiry of its rates
+ * @param {{ from_port?: string, to_port?: string, destination_country?: string, container_types?: string[] }} filter
+ * @returns {Object[]} [{ from_port, to_port, container_type, expires_at, keys }] — ports as the
+ *   freshest rate stores them; keys are the lane under its codes and every stored name
+ */
+function laneExpiries(filter) {
+  let sql = `
+    SELECT p.from_port, p.to_port, p.container_type, p.incoterm, p.created_at, p.valid_until,
+      UPPER(COALESCE(NULLIF(fa.un_locode, ''), p.from_port)) AS from_code,
+      UPPER(COALESCE(NULLIF(ta.un_locode, ''), p.to_port)) AS to_code
+    FROM pricing p
+    LEFT JOIN port_aliases fa ON fa.alias = p.from_port
+    LEFT JOIN port_aliases ta ON ta.alias = p.to_port
+    WHERE p.deleted_at IS NULL AND p.effective_to IS NULL`;
+  const params = [];
+  if (filter.from_port) {
+    sql += ` AND (p.from_port = ? OR fa.un_locode = ?)`;
+    params.push(filter.from_port, filter.from_port);
+  }
+  if (filter.to_port) {
+    sql += ` AND (p.to_port = ? OR ta.un_locode = ?)`;
+    params.push(filter.to_port, filter.to_port);
+  }
+  if (filter.destination_country) {
+    sql += ` AND p.destination_country = ?`;
+    params.push(filter.destination_country);
+  }
+  const types = filter.container_types || [];
+  if (types.length) {
+    sql += ` AND UPPER(p.container_type) IN (${types.map(() => '?').join(', ')})`;
+    params.push(...types);
+  }
+
+  const lanes = new Map();
+  for (const row of getDb().prepare(sql).all(...params)) {
+    const ct = String(row.container_type).toUpperCase();
+    const codeKey = `${row.from_code}|${row.to_code}|${ct}`;
+    const expiresAt = rateExpiresAt(row);
+    let lane = lanes.get(codeKey);
+    if (!lane) {
+      lane = { container_type: ct, expires_at: null, keys: new Set([codeKey]) };
+      lanes.set(codeKey, lane);
+    }
+    lane.keys.add(laneName(row.from_port, row.to_port, ct));
+    if (!lane.from_port || (expiresAt != null && (lane.expires_at == null || expiresAt > lane.expires_at))) {
+      lane.expires_at = expiresAt;
+      lane.from_port = String(row.from_port).toUpperCase();
+      lane.to_port = String(row.to_port).toUpperCase();
+    }
+  }
+  return [...lanes.values()].map((lane) => ({ ...lane, keys: [...lane.keys] }));
+}
+
+/**
+ * Lanes matching a schedule whose freshest rate expires within lead_minutes,
+ * busiest first
+ * @returns {Object[]} [{ from_port, to_port, container_type, expires_at, checks }]
+ */
+function findExpiringLanes(schedule) {
+  const horizon = Date.now() + schedule.lead_minutes * 60000;
+  const open = new Set(getDb().prepare(`
+    SELECT UPPER(from_port) AS from_port, UPPER(to_port) AS to_port, UPPER(container_type) AS container_type
+    FROM scrape_jobs WHERE carrier = ? AND status IN ('PENDING', 'RUNNING')
+  `).all(schedule.carrier).map((j) => `${j.from_port}|${j.to_port}|${j.container_type}`));
+  const traffic = recentTraffic();
+
+  return laneExpiries(schedule)
+    .filter((lane) => lane.expires_at != null && lane.expires_at <= horizon && !lane.keys.some((k) => open.has(k)))
+    .map((lane) => ({
+      from_port: lane.from_port,
+      to_port: lane.to_port,
+      container_type: lane.container_type,
+      expires_at: new Date(lane.expires_at).toISOString(),
+      // Traffic may be recorded under the port names or the codes
+      checks: lane.keys.reduce((sum, k) => sum + (traffic.get(k) || 0), 0),
+    }))
+    .sort((a, b) => b.checks - a.checks || a.expires_at.localeCompare(b.expires_at));
+}
+
+// ─── Runs ──────────────────────────────────────────────────────────────
+/**
+ * Queue refresh jobs for a schedule now and record the run
+ * @returns {Object|null} run summary, or null when the schedule does not exist
+ */
+function runSchedule(id) {
+  const schedule = getSchedule(id);
+  if (!schedule) return null;
+
+  const expiring = findExpiringLanes(schedule);
+  const picked = expiring.slice(0, schedule.max_jobs);
+  const jobs = picked.map((lane) => ({
+    ...enqueueScrapeJob({
+      from_port: lane.from_port,
+      to_port: lane.to_port,
+      container_type: lane.container_type,
+      carrier: schedule.carrier,
+      schedule_id: schedule.id,
+      price_owner: 'scheduler',
+    }),
+    from_port: lane.from_port,
+    to_port: lane.to_port,
+    container_type: lane.container_type,
+    expires_at: lane.expires_at,
+    checks: lane.checks,
+  }));
+
+  const summary = {
+    ran_at: new Date().toISOString(),
+    expiring_lanes: expiring.length,
+    queued: jobs.length,
+    skipped: expiring.length - jobs.length,
+    jobs,
+  };
+  getDb().prepare(`
+    UPDATE refresh_schedules SET last_run_at=datetime('now'), last_run_summary=?, next_run_at=?, updated_at=datetime('now')
+    WHERE id=?
+  `).run(JSON.stringify(summary), nextRunAt(schedule.cron), id);
+
+  console.log(`[Scheduler] Schedule #${id} "${schedule.name}": ${expiring.length} expiring lane(s), queued ${jobs.length}`);
+  return summary;
+}
+
+/**
+ * Write the /check counts, then run every active schedule whose next_run_at
+ * has passed. A run missed while the server was down happens once at the
+ * next tick.
+ */
+function tick() {
+  if (_running) return;
+  _running = true;
+  try {
+    flushLaneChecks();
+    const due = getDb().prepare(`
+      SELECT id FROM refresh_schedules WHERE active = 1 AND next_run_at IS NOT NULL AND next_run_at <= datetime('now')
+      ORDER BY next_run_at
+    `).all();
+    for (const { id } of due) {
+      try {
+        runSchedule(id);
+      } catch (err) {
+        console.error(`[Scheduler] Schedule #${id} failed:`, err.message);
+      }
+    }
+  } catch (err) {
+    console.error('[Scheduler] Tick error:', err.message);
+  } finally {
+    _running = false;
+  }
+}
+
+function startRefreshScheduler() {
+  if (_timer) return;
+  // Schedules created before next_run_at existed, or with an unparsable cron
+  for (const s of getDb().prepare(`SELECT id, cron FROM refresh_schedules WHERE next_run_at IS NULL`).all()) {
+    const next = nextRunAt(s.cron);
+    if (!next) console.warn(`[Scheduler] Schedule #${s.id} cron "${s.cron}" never matches a date; it will not run`);
+    getDb().prepare(`UPDATE refresh_schedules SET next_run_at=? WHERE id=?`).run(next, s.id);
+  }
+  _timer = setInterval(tick, TICK_MS);
+  console.log(`[Scheduler] Refresh scheduler started (tick ${TICK_MS / 1000}s)`);
+  tick();
+}
+
+function stopRefreshScheduler() {
+  clearInterval(_timer);
+  _timer = null;
+  flushLaneChecks();
+}
+
+module.exports = {
+  normalizeSchedule,
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  runSchedule,
+  laneExpiries,
+  findExpiringLanes,
+  recordLaneCheck,
+  flushLaneChecks,
+  startRefreshScheduler,
+  stopRefreshScheduler,
+  TRAFFIC_WINDOW_DAYS,
+};
@@ -0,0 +1,71 @@
+/**
+ * Retry policy for failed scrape attempts
+ *
+ * Maps scraper reason codes to retryable / terminal and computes the delay
+ * before the next attempt: exponential backoff (rate_limits.backoff_base)
+ * with equal jitter, capped at backoff_max_seconds. Anti-bot codes carry a
+ * longer minimum delay so we do not hammer a site that is blocking us.
+ */
+
+const { getPricingConfig } = require('../config/pricingConfig');
+
+const RETRY_POLICIES = {
+  TIMEOUT: { retryable: true },
+  WEBSITE_ERROR: { retryable: true },
+  SCRAPER_ERROR: { retryable: true },
+  UNKNOWN_STATE: { retryable: true },
+  FORM_ERROR: { retryable: true },
+  WORKER_LOST: { retryable: true },
+  ACCESS_DENIED: { retryable: true, min_delay_seconds: 600 },
+  CAPTCHA_DETECTED: { retryable: true, min_delay_seconds: 600 },
+  LOGIN_FAILED: { retryable: false },
+  OAUTH_GRANT_FAILED: { retryable: false },
+  NO_ROUTES: { retryable: false },
+  FORM_INCOMPLETE: { retryable: false },
+  PARSE_ERROR: { retryable: false },
+  CIRCUIT_OPEN: { retryable: false },
+};
+
+function getRetryPolicy(reasonCode) {
+  return RETRY_POLICIES[reasonCode] || { retryable: false };
+}
+
+/**
+ * Backoff delay before the next attempt
+ * @param {number} attempt - number of the attempt that just failed (1-based)
+ * @param {string} reasonCode
+ * @param {Function} random - injectable for deterministic tests
+ * @returns {number} seconds
+ */
+function computeBackoffSeconds(attempt, reasonCode, random = Math.random) {
+  const limits = getPricingConfig().global.rate_limits;
+  const exp = limits.backoff_initial_seconds * Math.pow(limits.backoff_base, Math.max(0, attempt - 1));
+  const capped = Math.min(exp, limits.backoff_max_seconds);
+  const jittered = capped / 2 + random() * (capped / 2);
+  const floor = getRetryPolicy(reasonCode).min_delay_seconds || 0;
+  return Math.round(Math.max(jittered, floor));
+}
+
+/**
+ * Decide what happens after a failed attempt
+ * @param {number} attempt - number of the attempt that just failed (1-based)
+ * @param {string} reasonCode
+ * @returns {{ retry: boolean, delay_seconds?: number, reason: string }}
+ */
+function planRetry(attempt, reasonCode) {
+  const { max_retries: maxRetries } = getPricingConfig().global.rate_limits;
+
+  if (!getRetryPolicy(reasonCode).retryable) {
+    return { retry: false, reason: `${reasonCode || 'UNKNOWN'} is not retryable` };
+  }
+  if (attempt > maxRetries) {
+    return { retry: false, reason: `Gave up after ${attempt} attempt(s)` };
+  }
+  return {
+    retry: true,
+    delay_seconds: computeBackoffSeconds(attempt, reasonCode),
+    reason: `Retry ${attempt}/${maxRetries}`,
+  };
+}
+
+module.exports = { RETRY_POLICIES, getRetryPolicy, computeBackoffSeconds, planRetry };
@@ -0,0 +1,180 @@
+/**
+ * Batch scrapes
+ *
+ * A scrape_batches row groups the child scrape_jobs queued for many lanes at
+ * once (one job per lane and carrier, linked by scrape_jobs.batch_id). The
+ * children go through the normal queue; the batch only tracks them.
+ *
+ * Child outcomes are counted as:
+ *   AUTO_ACCEPTED — SUCCESS and the runner saved a pricing row
+ *   FLAGGED       — SUCCESS but no candidate was auto-accepted (needs review)
+ *   FAILED / CANCELLED / PENDING / RUNNING — as the job status
+ * A batch is RUNNING until every child is terminal, then COMPLETED (or
+ * CANCELLED when it was cancelled).
+ *
+ * Functions:
+ *  - resolveFilterLanes(filter)          → Lanes whose rates expire within a window
+ *  - createScrapeBatch(lanes, opts)      → Batch summary after queueing the children
+ *  - getBatchSummary(id)                 → Progress counts, or null
+ *  - getBatchJobs(id)                    → Child jobs with their outcome
+ *  - listBatches()                       → Recent batches with counts
+ *  - cancelScrapeBatch(id, actor)        → { batch } or { error }
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('../db/database');
+const { enqueueScrapeJob, cancelScrapeJob } = require('./scrapeQueue');
+const { laneExpiries } = require('./refreshScheduler');
+
+const MAX_BATCH_JOBS = 200;
+const DEFAULT_EXPIRING_DAYS = 7;
+
+// ─── Lane selection ────────────────────────────────────────────────────
+/**
+ * Lanes whose freshest current rate has expired or expires within
+ * `expiring_within_days`, optionally limited to a destination country,
+ * origin port or container type. Lanes are grouped and ported the way the
+ * refresh scheduler does it (refreshScheduler.laneExpiries), so a refresh
+ * supersedes the rates that were matched and a second run skips the lane.
+ * @param {{ destination_country?: string, from_port?: string, container_type?: string,
+ *           expiring_within_days?: number }} filter
+ * @returns {Object[]} [{ from_port, to_port, container_type }]
+ */
+function resolveFilterLanes(filter) {
+  const days = filter.expiring_within_days != null ? filter.expiring_within_days : DEFAULT_EXPIRING_DAYS;
+  const horizon = Date.now() + days * 86400000;
+
+  return laneExpiries({
+    destination_country: filter.destination_country,
+    from_port: filter.from_port,
+    container_types: filter.container_type ? [String(filter.container_type).toUpperCase()] : [],
+  })
+    .filter((lane) => lane.expires_at != null && lane.expires_at <= horizon)
+    .map(({ from_port: fromPort, to_port: toPort, container_type: containerType }) => (
+      { from_port: fromPort, to_port: toPort, container_type: containerType }
+    ))
+    .sort((a, b) => a.from_port.localeCompare(b.from_port) || a.to_port.localeCompare(b.to_port)
+      || a.container_type.localeCompare(b.container_type));
+}
+
+// ─── Create ────────────────────────────────────────────────────────────
+/**
+ * Queue one child job per lane and carrier under a new batch
+ * @param {Object[]} lanes - validated scrape payloads ({ from_port, to_port, container_type, ... })
+ * @param {{ carriers: string[], filter?: Object, actor?: string }} opts
+ * @returns {Object} getBatchSummary() of the new batch
+ */
+function createScrapeBatch(lanes, { carriers, filter = null, actor = null }) {
+  const db = getDb();
+  const batchId = uuidv4();
+  db.prepare(`
+    INSERT INTO scrape_batches (id, status, filter_json, lane_count, job_count, created_by)
+    VALUES (?, 'RUNNING', ?, ?, ?, ?)
+  `).run(batchId, filter ? JSON.stringify(filter) : null, lanes.length, lanes.length * carriers.length, actor);
+
+  for (const lane of lanes) {
+    for (const carrier of carriers) {
+      enqueueScrapeJob({ ...lane, carrier, batch_id: batchId, price_owner: lane.price_owner || actor || 'system' });
+    }
+  }
+
+  console.log(`[Batch] ${batchId} queued ${lanes.length * carriers.length} job(s) for ${lanes.length} lane(s)${actor ? ` by ${actor}` : ''}`);
+  return getBatchSummary(batchId);
+}
+
+// ─── Progress ──────────────────────────────────────────────────────────
+const OUTCOME_SQL = `
+  CASE
+    WHEN status = 'SUCCESS' AND auto_accepted_pricing_id IS NOT NULL THEN 'AUTO_ACCEPTED'
+    WHEN status = 'SUCCESS' THEN 'FLAGGED'
+    ELSE status
+  END`;
+
+function countOutcomes(batchId) {
+  const counts = { pending: 0, running: 0, auto_accepted: 0, flagged: 0, failed: 0, cancelled: 0 };
+  const rows = getDb().prepare(`
+    SELECT ${OUTCOME_SQL} AS outcome, COUNT(*) AS cnt FROM scrape_jobs WHERE batch_id = ? GROUP BY outcome
+  `).all(batchId);
+  rows.forEach((r) => { counts[r.outcome.toLowerCase()] = r.cnt; });
+  return counts;
+}
+
+/**
+ * Batch header with progress counts. Marks the batch COMPLETED / CANCELLED
+ * once every child job has finished.
+ */
+function getBatchSummary(batchId) {
+  const db = getDb();
+  let batch = db.prepare(`SELECT * FROM scrape_batches WHERE id = ?`).get(batchId);
+  if (!batch) return null;
+
+  const counts = countOutcomes(batchId);
+  const done = counts.auto_accepted + counts.flagged + counts.failed + counts.cancelled;
+  if (batch.status === 'RUNNING' && done >= batch.job_count) {
+    const status = batch.cancel_requested ? 'CANCELLED' : 'COMPLETED';
+    db.prepare(`
+      UPDATE scrape_batches SET status=?, finished_at=datetime('now'), updated_at=datetime('now') WHERE id=?
+    `).run(status, batchId);
+    batch = db.prepare(`SELECT * FROM scrape_batches WHERE id = ?`).get(batchId);
+    console.log(`[Batch] ${batchId} ${status}: ${counts.auto_accepted} auto-accepted, ${counts.flagged} flagged, ${counts.failed} failed, ${counts.cancelled} cancelled`);
+  }
+
+  const { filter_json: filterJson, ...header } = batch;
+  return {
+    ...header,
+    filter: filterJson ? JSON.parse(filterJson) : null,
+    done,
+    counts,
+  };
+}
+
+function listBatches() {
+  const rows = getDb().prepare(`SELECT id FROM scrape_batches ORDER BY created_at DESC LIMIT 50`).all();
+  return rows.map((r) => getBatchSummary(r.id));
+}
+
+/**
+ * Child jobs of a batch with their counted outcome
+ */
+function getBatchJobs(batchId) {
+  return getDb().prepare(`
+    SELECT id, carrier, from_port, to_port, container_type, status, ${OUTCOME_SQL} AS outcome,
+      auto_accepted_pricing_id, last_reason_code, error_message, created_at, finished_at
+    FROM scrape_jobs WHERE batch_id = ? ORDER BY created_at, from_port, to_port
+  `).all(batchId);
+}
+
+// ─── Cancel ────────────────────────────────────────────────────────────
+/**
+ * Cancel every child that has not finished. PENDING children stop at once;
+ * RUNNING ones end as CANCELLED when their scrape returns.
+ * @returns {{ batch?: Object, error?: { status: string, message: string } }}
+ */
+function cancelScrapeBatch(batchId, actor) {
+  const db = getDb();
+  const batch = db.prepare(`SELECT id, status FROM scrape_batches WHERE id = ?`).get(batchId);
+  if (!batch) return { error: { status: 'NOT_FOUND', message: 'Batch not found' } };
+  if (batch.status !== 'RUNNING') {
+    return { error: { status: 'CONFLICT', message: `Batch is already ${batch.status}` } };
+  }
+
+  db.prepare(`
+    UPDATE scrape_batches SET cancel_requested=1, cancelled_by=?, updated_at=datetime('now') WHERE id=?
+  `).run(actor || null, batchId);
+  const open = db.prepare(`SELECT id FROM scrape_jobs WHERE batch_id = ? AND status IN ('PENDING', 'RUNNING')`).all(batchId);
+  open.forEach((job) => cancelScrapeJob(job.id));
+
+  console.log(`[Batch] ${batchId} cancel requested${actor ? ` by ${actor}` : ''}: ${open.length} open job(s)`);
+  return { batch: getBatchSummary(batchId) };
+}
+
+module.exports = {
+  resolveFilterLanes,
+  createScrapeBatch,
+  getBatchSummary,
+  getBatchJobs,
+  listBatches,
+  cancelScrapeBatch,
+  MAX_BATCH_JOBS,
+  DEFAULT_EXPIRING_DAYS,
+};
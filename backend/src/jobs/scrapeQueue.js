@@ -0,0 +1,400 @@
+/**
+ * Persistent scrape job queue backed by the scrape_jobs table
+ *
+ * Jobs move PENDING → RUNNING → SUCCESS / FAILED (or CANCELLED). A worker in
+ * this process claims PENDING jobs up to the configured concurrency, holds a
+ * lease on each one and renews it with a heartbeat. Jobs left RUNNING by a
+ * previous process (or whose lease expired) are put back to PENDING.
+ *
+ * Every claim is one attempt, recorded in scrape_attempts. Failed attempts go
+ * through retryPolicy.js: retryable reason codes return the job to PENDING
+ * with next_attempt_at set; terminal ones mark it FAILED.
+ *
+ * Live jobs also need a Maersk account (credentialStore.js) that is not
+ * cooling down and has a token in its rate-limit bucket. The account is
+ * assigned to the job when it is claimed. Without one the job stays PENDING
+ * and next_attempt_at / expected_start_at are moved to when the next token or
+ * account is due. The circuit breaker is asked first: a job it turns away is
+ * claimed without a token and fast-fails with CIRCUIT_OPEN in the runner.
+ *
+ * Functions:
+ *  - enqueueScrapeJob(params)  → Insert a PENDING job, returns its id and ETA
+ *  - startScrapeWorker()       → Recover orphans and start polling
+ *  - stopScrapeWorker()        → Stop polling / heartbeats
+ *  - cancelScrapeJob(id)       → Cancel a PENDING job or flag a RUNNING one
+ */
+
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('../db/database');
+const { getPricingConfig } = require('../config/pricingConfig');
+const { executeScrapeJob, isLiveJob } = require('./scrapeRunner');
+const { planRetry } = require('./retryPolicy');
+const accountRateLimiter = require('../scraper/accountRateLimiter');
+const circuitBreaker = require('../scraper/circuitBreaker');
+const credentialStore = require('../scraper/credentialStore');
+const { DEFAULT_CARRIER } = require('../scraper/carriers');
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+const TERMINAL_STATUSES = ['SUCCESS', 'FAILED', 'CANCELLED'];
+
+const _active = new Set();
+const _permits = new Map();    // job id → circuit breaker permit taken at claim
+let _pollTimer = null;
+let _heartbeatTimer = null;
+
+function queueConfig() {
+  return getPricingConfig().global.queue;
+}
+
+// ms timestamp → sqlite datetime (UTC, second precision, rounded up)
+function toSqlDatetime(ms) {
+  return new Date(Math.ceil(ms / 1000) * 1000).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Earliest time a live job could start with `queuedAhead` live jobs waiting
+ * before it, spread over the usable accounts
+ * @returns {number} ms timestamp
+ */
+function estimateLiveStartAt(queuedAhead) {
+  if (!credentialStore.hasAccounts()) {
+    return accountRateLimiter.estimateStartAt(accountRateLimiter.defaultAccountKey(), queuedAhead);
+  }
+  const accounts = credentialStore.listAvailableAccounts();
+  if (accounts.length === 0) {
+    const cooldownEnd = credentialStore.nextCooldownEnd();
+    return cooldownEnd ? Date.parse(`${cooldownEnd.replace(' ', 'T')}Z`) : Date.now() + accountRateLimiter.WINDOW_MS;
+  }
+  const perAccount = Math.floor(queuedAhead / accounts.length);
+  return Math.min(...accounts.map((a) => accountRateLimiter.estimateStartAt(credentialStore.rateLimitKey(a), perAccount)));
+}
+
+/**
+ * Insert a new PENDING scrape job
+ * @param {Object} params - normalized POST /scrape payload for one carrier
+ *                          (batch_id / schedule_id link it to the batch or
+ *                          refresh schedule that queued it)
+ * @returns {{ job_id: string, expected_start_at: string|null }}
+ */
+function enqueueScrapeJob(params) {
+  const db = getDb();
+  const jobId = uuidv4();
+  const requestJson = JSON.stringify(params);
+
+  // Live jobs queue behind other live jobs on the accounts' rate limits
+  let expectedStartAt = null;
+  if (isLiveJob({ carrier: params.carrier, request_json: requestJson })) {
+    const queuedAhead = db.prepare(`SELECT carrier, request_json FROM scrape_jobs WHERE status='PENDING'`).all()
+      .filter((j) => isLiveJob(j)).length;
+    expectedStartAt = toSqlDatetime(estimateLiveStartAt(queuedAhead));
+  }
+
+  db.prepare(`
+    INSERT INTO scrape_jobs (id, carrier, from_port, to_port, container_type, number_of_containers,
+      weight_per_container, weight_unit, ship_date, commodity, incoterm, origin_inland, destination_inland,
+      price_owner, request_json, expected_start_at, batch_id, schedule_id, status)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'PENDING')
+  `).run(jobId, params.carrier || DEFAULT_CARRIER, params.from_port.toUpperCase(), params.to_port.toUpperCase(), params.container_type,
+    params.number_of_containers || 1, params.weight_per_container || null,
+    params.weight_unit || 'kg', params.ship_date || null, params.commodity || null,
+    params.incoterm || 'EXW',
+    params.origin_inland || 'CY', params.destination_inland || 'CY',
+    params.price_owner || 'system', requestJson, expectedStartAt, params.batch_id || null,
+    params.schedule_id || null);
+
+  // Pick it up straight away if a slot is free
+  if (_pollTimer) setImmediate(pump);
+  return { job_id: jobId, expected_start_at: expectedStartAt };
+}
+
+/**
+ * Close out RUNNING jobs that no live worker owns. At boot every RUNNING job
+ * is an orphan of the previous process. The lost attempt counts against the
+ * retry budget (reason WORKER_LOST) so a job that crashes the worker cannot
+ * loop forever.
+ * @returns {number} jobs recovered
+ */
+function recoverOrphanedJobs({ onlyExpired = false } = {}) {
+  const db = getDb();
+  const orphans = onlyExpired
+    ? db.prepare(`SELECT * FROM scrape_jobs WHERE status='RUNNING' AND lease_expires_at < datetime('now')`).all()
+    : db.prepare(`SELECT * FROM scrape_jobs WHERE status='RUNNING' AND (lease_owner IS NULL OR lease_owner != ?)`).all(WORKER_ID);
+
+  for (const job of orphans) {
+    if (_active.has(job.id)) continue;
+    finishAttempt(job, job.cancel_requested
+      ? { status: 'CANCELLED' }
+      : { status: 'FAILED', reason_code: 'WORKER_LOST', error: 'Worker lease was lost while the job was running' });
+  }
+
+  if (orphans.length) console.warn(`[Queue] Recovered ${orphans.length} orphaned job(s)`);
+  return orphans.length;
+}
+
+/**
+ * Pick an account with a rate-limit token for a live job, or hold the job
+ * back until one is due. A token is only taken when the circuit breaker lets
+ * the scrape go out.
+ * @param {Object} job - PENDING scrape_jobs row
+ * @param {number} queuedAhead - live jobs already held back in this pass
+ * @returns {{ account_id: number|null, permit: Object }|null} null when the job must wait
+ */
+function reserveLaunchSlot(job, queuedAhead) {
+  const permit = circuitBreaker.acquire();
+  if (!permit.allowed) return { account_id: null, permit };
+
+  if (!credentialStore.hasAccounts()) {
+    // No stored accounts: the scraper falls back to MAERSK_USERNAME / MAERSK_PASSWORD
+    if (accountRateLimiter.reserve(accountRateLimiter.defaultAccountKey()).granted) return { account_id: null, permit };
+  } else {
+    const account = credentialStore.listAvailableAccounts()
+      .find((a) => accountRateLimiter.reserve(credentialStore.rateLimitKey(a)).granted);
+    if (account) return { account_id: account.id, permit };
+  }
+  circuitBreaker.releasePermit(permit);
+
+  const startAt = toSqlDatetime(estimateLiveStartAt(queuedAhead));
+  getDb().prepare(`
+    UPDATE scrape_jobs SET next_attempt_at=?, expected_start_at=?, updated_at=datetime('now')
+    WHERE id=? AND status='PENDING'
+  `).run(startAt, startAt, job.id);
+  return null;
+}
+
+/**
+ * Claim the oldest due PENDING job for this worker
+ */
+function claimNextJob() {
+  const db = getDb();
+  const due = db.prepare(`
+    SELECT id, carrier, request_json FROM scrape_jobs
+    WHERE status='PENDING' AND (next_attempt_at IS NULL OR next_attempt_at <= datetime('now'))
+    ORDER BY COALESCE(next_attempt_at, created_at), rowid LIMIT 20
+  `).all();
+  let heldBack = 0;
+  let next = null;
+  let slot = null;
+  for (const job of due) {
+    // Each job gets its own slot; a held-back live job must not leak null into the next one
+    const jobSlot = isLiveJob(job) ? reserveLaunchSlot(job, heldBack) : { account_id: null };
+    if (!jobSlot) {
+      heldBack++;
+      continue;
+    }
+    next = job;
+    slot = jobSlot;
+    break;
+  }
+  if (!next) return null;
+
+  const claimed = db.prepare(`
+    UPDATE scrape_jobs SET status='RUNNING', lease_owner=?, lease_expires_at=datetime('now', ?),
+      heartbeat_at=datetime('now'), started_at=datetime('now'), next_attempt_at=NULL, account_id=?,
+      attempt_count=COALESCE(attempt_count, 0) + 1, updated_at=datetime('now')
+    WHERE id=? AND status='PENDING'
+  `).run(WORKER_ID, `+${queueConfig().lease_seconds} seconds`, slot.account_id, next.id);
+  if (claimed.changes !== 1) {
+    circuitBreaker.releasePermit(slot.permit);
+    return null;
+  }
+  if (slot.permit) _permits.set(next.id, slot.permit);
+  if (slot.account_id) credentialStore.markAccountUsed(slot.account_id);
+
+  const job = db.prepare(`SELECT * FROM scrape_jobs WHERE id = ?`).get(next.id);
+  db.prepare(`
+    INSERT INTO scrape_attempts (scrape_job_id, attempt_number, status, worker_id, account_id, started_at)
+    VALUES (?, ?, 'RUNNING', ?, ?, datetime('now'))
+  `).run(job.id, job.attempt_count, WORKER_ID, slot.account_id);
+  return job;
+}
+
+/**
+ * Record the outcome of the current attempt and move the job to its next
+ * state. SUCCESS results were already stored on the job by the runner.
+ * @param {Object} job - scrape_jobs row
+ * @param {{ status: string, reason_code?: string, error?: string, snapshot_id?: string }} outcome
+ */
+function finishAttempt(job, outcome) {
+  const db = getDb();
+  const attempt = job.attempt_count || 1;
+  let nextAttemptAt = null;
+
+  if (outcome.status === 'FAILED') {
+    try {
+      db.prepare(`INSERT INTO failure_records (scrape_job_id, reason_code, details) VALUES (?, ?, ?)`)
+        .run(job.id, outcome.reason_code || 'SCRAPER_ERROR', outcome.error || '');
+    } catch (e) {
+      console.error(`[Queue] Job ${job.id} Failed to insert failure record:`, e.message);
+    }
+
+    const plan = planRetry(attempt, outcome.reason_code);
+    if (plan.retry) {
+      nextAttemptAt = db.prepare(`SELECT datetime('now', ?) AS t`).get(`+${plan.delay_seconds} seconds`).t;
+      db.prepare(`
+        UPDATE scrape_jobs SET status='PENDING', next_attempt_at=?, expected_start_at=?, error_message=?, last_reason_code=?,
+          snapshot_id=COALESCE(?, snapshot_id), lease_owner=NULL, lease_expires_at=NULL, updated_at=datetime('now')
+        WHERE id=?
+      `).run(nextAttemptAt, nextAttemptAt, `${outcome.error || 'Unknown error'} (${plan.reason} at ${nextAttemptAt} UTC)`,
+        outcome.reason_code, outcome.snapshot_id || null, job.id);
+      console.warn(`[Queue] Job ${job.id} attempt ${attempt} failed (${outcome.reason_code}); retry in ${plan.delay_seconds}s`);
+    } else {
+      db.prepare(`
+        UPDATE scrape_jobs SET status='FAILED', error_message=?, last_reason_code=?,
+          snapshot_id=COALESCE(?, snapshot_id), finished_at=datetime('now'), updated_at=datetime('now')
+        WHERE id=?
+      `).run(outcome.error || 'Unknown error', outcome.reason_code, outcome.snapshot_id || null, job.id);
+      console.warn(`[Queue] Job ${job.id} failed permanently: ${plan.reason}`);
+    }
+  } else if (outcome.status === 'CANCELLED') {
+    db.prepare(`
+      UPDATE scrape_jobs SET status='CANCELLED', snapshot_id=COALESCE(?, snapshot_id),
+        finished_at=datetime('now'), updated_at=datetime('now')
+      WHERE id=?
+    `).run(outcome.snapshot_id || null, job.id);
+  } else {
+    db.prepare(`UPDATE scrape_jobs SET finished_at=datetime('now') WHERE id=?`).run(job.id);
+  }
+
+  db.prepare(`
+    UPDATE scrape_attempts SET status=?, reason_code=?, error_message=?, snapshot_id=?,
+      next_retry_at=?, finished_at=datetime('now')
+    WHERE scrape_job_id=? AND attempt_number=? AND status='RUNNING'
+  `).run(outcome.status, outcome.reason_code || null, outcome.error || null, outcome.snapshot_id || null,
+    nextAttemptAt, job.id, attempt);
+
+  db.prepare(`
+    UPDATE scrape_jobs SET lease_owner=NULL, lease_expires_at=NULL WHERE id=? AND status != 'RUNNING'
+  `).run(job.id);
+}
+
+/**
+ * Attempt history for a job, oldest first
+ */
+function getJobAttempts(jobId) {
+  return getDb().prepare(`
+    SELECT * FROM scrape_attempts WHERE scrape_job_id = ? ORDER BY attempt_number
+  `).all(jobId);
+}
+
+function isCancelRequested(jobId) {
+  const row = getDb().prepare(`SELECT cancel_requested FROM scrape_jobs WHERE id = ?`).get(jobId);
+  return !!(row && row.cancel_requested);
+}
+
+async function runClaimedJob(job) {
+  _active.add(job.id);
+  const permit = _permits.get(job.id);
+  _permits.delete(job.id);
+  let outcome;
+  try {
+    outcome = await executeScrapeJob(job, { isCancelled: () => isCancelRequested(job.id), permit });
+  } catch (err) {
+    console.error(`[Queue] Job ${job.id} crashed:`, { message: err.message, stack: err.stack });
+    outcome = { status: 'FAILED', reason_code: 'SCRAPER_ERROR', error: `Background error: ${err.message}` };
+  }
+
+  try {
+    finishAttempt(job, outcome);
+  } catch (err) {
+    console.error(`[Queue] Job ${job.id} Failed to record attempt:`, err.message);
+  } finally {
+    _active.delete(job.id);
+    setImmediate(pump);
+  }
+}
+
+/**
+ * Fill free worker slots with PENDING jobs
+ */
+function pump() {
+  try {
+    recoverOrphanedJobs({ onlyExpired: true });
+    while (_active.size < queueConfig().concurrency) {
+      const job = claimNextJob();
+      if (!job) break;
+      runClaimedJob(job);
+    }
+  } catch (err) {
+    console.error('[Queue] Poll error:', err.message);
+  }
+}
+
+/**
+ * Renew the lease on every job this worker is running
+ */
+function heartbeat() {
+  const db = getDb();
+  const lease = `+${queueConfig().lease_seconds} seconds`;
+  for (const jobId of _active) {
+    try {
+      db.prepare(`
+        UPDATE scrape_jobs SET heartbeat_at=datetime('now'), lease_expires_at=datetime('now', ?)
+        WHERE id=? AND lease_owner=? AND status='RUNNING'
+      `).run(lease, jobId, WORKER_ID);
+    } catch (err) {
+      console.error(`[Queue] Heartbeat failed for job ${jobId}:`, err.message);
+    }
+  }
+}
+
+function startScrapeWorker() {
+  if (_pollTimer) return;
+  recoverOrphanedJobs();
+  const cfg = queueConfig();
+  _pollTimer = setInterval(pump, cfg.poll_interval_ms);
+  _heartbeatTimer = setInterval(heartbeat, cfg.heartbeat_seconds * 1000);
+  console.log(`[Queue] Worker ${WORKER_ID} started (concurrency ${cfg.concurrency})`);
+  pump();
+}
+
+function stopScrapeWorker() {
+  clearInterval(_pollTimer);
+  clearInterval(_heartbeatTimer);
+  _pollTimer = null;
+  _heartbeatTimer = null;
+}
+
+/**
+ * Cancel a job. PENDING jobs are cancelled at once; RUNNING jobs are flagged
+ * and end as CANCELLED when the scraper returns.
+ * @returns {{ found: boolean, status?: string, cancelled?: boolean }}
+ */
+function cancelScrapeJob(jobId) {
+  const db = getDb();
+  const job = db.prepare(`SELECT id, status FROM scrape_jobs WHERE id = ?`).get(jobId);
+  if (!job) return { found: false };
+
+  if (TERMINAL_STATUSES.includes(job.status)) {
+    return { found: true, cancelled: false, status: job.status };
+  }
+
+  if (job.status === 'PENDING') {
+    db.prepare(`
+      UPDATE scrape_jobs SET status='CANCELLED', cancel_requested=1, finished_at=datetime('now'), updated_at=datetime('now')
+      WHERE id=? AND status='PENDING'
+    `).run(jobId);
+    return { found: true, cancelled: true, status: 'CANCELLED' };
+  }
+
+  db.prepare(`UPDATE scrape_jobs SET cancel_requested=1, updated_at=datetime('now') WHERE id=?`).run(jobId);
+  return { found: true, cancelled: true, status: 'CANCEL_REQUESTED' };
+}
+
+function getQueueStats() {
+  const rows = getDb().prepare(`SELECT status, COUNT(*) AS cnt FROM scrape_jobs GROUP BY status`).all();
+  const counts = {};
+  rows.forEach((r) => { counts[r.status] = r.cnt; });
+  return { worker_id: WORKER_ID, active: _active.size, concurrency: queueConfig().concurrency, counts };
+}
+
+module.exports = {
+  enqueueScrapeJob,
+  startScrapeWorker,
+  stopScrapeWorker,
+  cancelScrapeJob,
+  recoverOrphanedJobs,
+  claimNextJob,
+  getJobAttempts,
+  getQueueStats,
+};
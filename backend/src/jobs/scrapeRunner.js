@@ -0,0 +1,223 @@
+/**
+ * Scrape job runner
+ *
+ * Executes one claimed scrape job end to end: runs the job's carrier adapter
+ * (live, or the simulator), validates the candidates against the lane
+ * config, stores the result on the job and auto-accepts a high-confidence
+ * candidate. When none qualifies, FLAG_REVIEW candidates are queued for ops
+ * review (review/opsReview.js).
+ *
+ * Successful results are written here. Failures are returned to the queue,
+ * which records the attempt and applies the retry policy (scrapeQueue.js).
+ *
+ * warmLiveSessions() runs at startup in live mode and logs the browser
+ * session pool in with the accounts the next jobs will use.
+ */
+
+const { getDb } = require('../db/database');
+const { getCarrierAdapter, SIMULATOR_CARRIER, DEFAULT_CARRIER } = require('../scraper/carriers');
+const circuitBreaker = require('../scraper/circuitBreaker');
+const credentialStore = require('../scraper/credentialStore');
+const { acceptCandidate } = require('../pricing/scrapedRates');
+const { createReviewItems } = require('../review/opsReview');
+const { createConverter, COMMON_CURRENCY } = require('../pricing/fx');
+const { validateCandidates } = require('../validation/validator');
+const { buildLaneKey, getLaneScraperOverrides, getValidationOptions } = require('../config/pricingConfig');
+
+/**
+ * Rebuild the original POST /scrape payload from a persisted job row
+ */
+function jobParams(job) {
+  let request = {};
+  try { request = JSON.parse(job.request_json || '{}'); } catch (e) { /* legacy rows */ }
+  return {
+    ...request,
+    carrier: job.carrier || request.carrier,
+    from_port: job.from_port,
+    to_port: job.to_port,
+    container_type: job.container_type,
+    number_of_containers: job.number_of_containers,
+    weight_per_container: job.weight_per_container,
+    weight_unit: job.weight_unit,
+    commodity: job.commodity,
+    incoterm: job.incoterm,
+    origin_inland: job.origin_inland,
+    destination_inland: job.destination_inland,
+    job_id: job.id,
+  };
+}
+
+/**
+ * Whether a job goes to the carrier's live site (vs. the simulator)
+ */
+function isLiveJob(job) {
+  const { carrier, use_live_scraper: useLive } = jobParams(job);
+  const adapter = getCarrierAdapter(carrier);
+  if (!adapter || !adapter.supportsLive) return false;
+  return useLive !== undefined ? !!useLive : process.env.USE_LIVE_SCRAPER === 'true';
+}
+
+/**
+ * Run a scrape job that the queue has already moved to RUNNING
+ * @param {Object} job - scrape_jobs row
+ * @param {Object} opts
+ * @param {Function} opts.isCancelled - returns true once a cancel was requested
+ * @param {Object} opts.permit - circuit breaker permit the queue took when it claimed a live job
+ * @returns {Promise<{ status: string, reason_code?: string, error?: string, snapshot_id?: string }>}
+ */
+async function executeScrapeJob(job, opts = {}) {
+  const db = getDb();
+  const isCancelled = opts.isCancelled || (() => false);
+  const jobId = job.id;
+  const params = jobParams(job);
+  const { from_port, to_port } = params;
+  const ct = job.container_type || '40FT';
+  const laneKey = buildLaneKey(from_port, to_port, ct, job.incoterm);
+  const adapter = getCarrierAdapter(params.carrier);
+  if (!adapter) {
+    return { status: 'FAILED', reason_code: 'UNKNOWN_CARRIER', error: `No carrier adapter registered for ${params.carrier}` };
+  }
+  const liveMode = isLiveJob(job);
+
+  console.log(`[Queue] Job ${jobId} | ${adapter.code} | Mode: ${liveMode ? 'LIVE' : 'SIM'}`);
+
+  // Don't launch another browser while Maersk is blocking us
+  let permit = null;
+  if (liveMode) {
+    permit = opts.permit || circuitBreaker.acquire();
+    if (!permit.allowed) {
+      console.warn(`[Queue] Job ${jobId} fast-failed: circuit ${permit.state}`);
+      return {
+        status: 'FAILED',
+        reason_code: 'CIRCUIT_OPEN',
+        error: `Maersk scraping paused after repeated blocks (circuit ${permit.state}). Next probe after ${permit.retry_at || 'the current probe finishes'}.`,
+      };
+    }
+  }
+
+  let scrapeResult;
+  try {
+    if (liveMode) {
+      // Only lane overrides are passed; the scraper falls back to env, then the global section
+      const scraper = getLaneScraperOverrides(laneKey);
+      scrapeResult = await adapter.search({
+        ...params,
+        account: job.account_id ? credentialStore.getAccountCredentials(job.account_id) : null,
+        timeout_ms: scraper.timeout_ms,
+        headless: scraper.headless,
+      });
+    } else {
+      scrapeResult = await getCarrierAdapter(SIMULATOR_CARRIER).search({ ...params, carrier: adapter.code });
+    }
+  } catch (scrapeErr) {
+    console.error(`[Queue] Job ${jobId} Scrape error:`, {
+      message: scrapeErr.message,
+      code: scrapeErr.code,
+      stack: scrapeErr.stack
+    });
+    circuitBreaker.recordOutcome(permit, { status: 'FAILED', reason_code: 'SCRAPER_ERROR' });
+    credentialStore.recordAccountOutcome(job.account_id, { status: 'FAILED', reason_code: 'SCRAPER_ERROR' });
+    return { status: 'FAILED', reason_code: 'SCRAPER_ERROR', error: `Scrape error: ${scrapeErr.message}` };
+  }
+  circuitBreaker.recordOutcome(permit, scrapeResult);
+  if (liveMode) credentialStore.recordAccountOutcome(job.account_id, scrapeResult);
+
+  // A cancel that arrived while the browser was running discards the result
+  if (isCancelled()) {
+    console.log(`[Queue] Job ${jobId} cancelled, result discarded`);
+    return { status: 'CANCELLED', snapshot_id: scrapeResult.snapshot_id || null };
+  }
+
+  if (scrapeResult.status === 'FAILED') {
+    console.warn(`[Queue] Job ${jobId} Scrape returned FAILED status:`, scrapeResult.reason_code);
+    return {
+      status: 'FAILED',
+      reason_code: scrapeResult.reason_code || 'SCRAPER_ERROR',
+      error: scrapeResult.error || 'Unknown error',
+      snapshot_id: scrapeResult.snapshot_id || null,
+    };
+  }
+
+  // Compute historical median for deviation check, in the common currency
+  // (each row at the FX rate of its own date; rows without a rate are skipped)
+  const histRows = db.prepare(`
+    SELECT COALESCE(total_price, price) AS price, currency, created_at FROM pricing
+    WHERE deleted_at IS NULL AND from_port = ? COLLATE NOCASE AND to_port = ? COLLATE NOCASE AND container_type = ? COLLATE NOCASE
+    ORDER BY created_at DESC LIMIT 20
+  `).all(from_port, to_port, ct);
+
+  const fx = createConverter();
+  const histPrices = histRows
+    .map(r => fx.convert(r.price, r.currency || 'USD', COMMON_CURRENCY, r.created_at))
+    .filter(p => p != null)
+    .sort((a, b) => a - b);
+
+  const validationOpts = getValidationOptions(laneKey);
+  const historicalMedian = histPrices.length >= validationOpts.min_baseline
+    ? histPrices[Math.floor(histPrices.length / 2)]
+    : null;
+
+  // Validate candidates
+  const carrierCandidates = (scrapeResult.candidates || []).map(c => ({
+    ...c,
+    carrier: c.carrier || adapter.code,
+    normalized_price: fx.convert(c.total_price || c.price, c.currency, COMMON_CURRENCY),
+  }));
+  const finalCandidates = validateCandidates(carrierCandidates, {
+    ...validationOpts,
+    historical_median: historicalMedian,
+    baseline_samples: histPrices.length,
+    common_currency: COMMON_CURRENCY,
+  });
+
+  // Update job with results
+  db.prepare(`
+    UPDATE scrape_jobs SET status='SUCCESS', result_json=?, snapshot_id=?, updated_at=datetime('now')
+    WHERE id=?
+  `).run(JSON.stringify(finalCandidates), scrapeResult.snapshot_id || null, jobId);
+
+  // Auto-accept top candidate if applicable
+  const autoAccepted = finalCandidates.find(c => c.validation.outcome === 'AUTO_ACCEPT');
+  if (autoAccepted) {
+    try {
+      console.log(`[Queue] Job ${jobId} Auto-Accepting candidate:`, autoAccepted.price);
+
+      const { pricing_id: pricingId, error: acceptError } = acceptCandidate(job, autoAccepted, {
+        action: 'AUTO_ACCEPT',
+        actor: 'system',
+        reason: 'High-confidence auto-accept',
+      });
+      if (acceptError) throw new Error(`Invalid charges: ${acceptError}`);
+      db.prepare(`UPDATE scrape_jobs SET auto_accepted_pricing_id=? WHERE id=?`).run(pricingId, jobId);
+
+      console.log(`[Queue] Job ${jobId} Auto-accept completed successfully`);
+    } catch (acceptErr) {
+      console.error(`[Queue] Job ${jobId} Error during auto-accept:`, {
+        message: acceptErr.message,
+        stack: acceptErr.stack
+      });
+      // Don't fail the job - it had successful scrape results
+    }
+  } else {
+    // Nothing safe to publish: flagged candidates go to the ops review queue
+    createReviewItems(job, finalCandidates, laneKey);
+  }
+
+  return { status: 'SUCCESS', snapshot_id: scrapeResult.snapshot_id || null };
+}
+
+/**
+ * Log the default carrier's browser sessions in ahead of the first live jobs
+ * (USE_LIVE_SCRAPER=true only)
+ * @returns {Promise<number>} sessions left warm
+ */
+async function warmLiveSessions() {
+  const adapter = getCarrierAdapter(DEFAULT_CARRIER);
+  if (process.env.USE_LIVE_SCRAPER !== 'true' || !adapter || typeof adapter.warmSessions !== 'function') return 0;
+  const accounts = credentialStore.listAvailableAccounts()
+    .map((a) => credentialStore.getAccountCredentials(a.id))
+    .filter(Boolean);
+  return adapter.warmSessions(accounts);
+}
+
+module.exports = { executeScrapeJob, jobParams, isLiveJob, warmLiveSessions };
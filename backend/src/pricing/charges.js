@@ -0,0 +1,310 @@
+/**
+ * Pricing charge line items
+ *
+ * Every pricing row owns its charges in pricing_charges: code, description,
+ * amount, currency, basis (PER_CONTAINER / PER_BL / PER_SHIPMENT) and side
+ * (origin / freight / destination). The eight breakdown columns and
+ * total_price on the pricing row are derived from the line items so existing
+ * clients keep working: BAS and freight surcharges → ocean_freight, THC →
+ * origin_thc / destination_thc, haulage → origin_local_haulage /
+ * destination_haulage, customs → customs, anything else → origin_misc /
+ * destination_misc. Charges in another currency are converted to the row
+ * currency at the current FX rate before they feed the columns; one without
+ * a rate is rejected. A scraped candidate keeps its quoted total_price.
+ *
+ * Functions:
+ *  - classifyCharge(charge)             → { side, column } for a charge line
+ *  - normalizeCharges(list, currency)   → { charges, error } validated line items
+ *  - chargesFromColumns(row)            → Line items for a row that only has columns
+ *  - chargesInCurrency(charges, currency) → { charges, error } amounts converted to the row currency
+ *  - deriveColumns(charges, currency)   → Breakdown columns + total_price
+ *  - chargesForCandidate(candidate)     → Line items + columns for a new pricing row
+ *  - saveCharges(pricingId, charges)    → Replace a row's line items
+ *  - getChargesByPricingIds(ids)        → Map of pricing_id → line items
+ *  - backfillCharges()                  → Itemize rows that predate pricing_charges
+ */
+
+const { getDb } = require('../db/database');
+const { createConverter } = require('./fx');
+
+const CHARGE_SIDES = ['origin', 'freight', 'destination'];
+const CHARGE_BASES = ['PER_CONTAINER', 'PER_BL', 'PER_SHIPMENT'];
+
+// Charge columns on the pricing row, in display order
+const BREAKDOWN_COLUMNS = [
+  'origin_local_haulage', 'origin_thc', 'customs', 'origin_misc',
+  'ocean_freight', 'destination_thc', 'destination_haulage', 'destination_misc',
+];
+
+// Line item written for each column of a row that has no itemized charges
+const COLUMN_CHARGES = {
+  origin_local_haulage: { code: 'IHE', description: 'Origin haulage', side: 'origin' },
+  origin_thc: { code: 'THO', description: 'Terminal handling - origin', side: 'origin' },
+  customs: { code: 'CUS', description: 'Export customs clearance', side: 'origin' },
+  origin_misc: { code: 'OMS', description: 'Other origin charges', side: 'origin' },
+  ocean_freight: { code: 'BAS', description: 'Basic ocean freight', side: 'freight' },
+  destination_thc: { code: 'THD', description: 'Terminal handling - destination', side: 'destination' },
+  destination_haulage: { code: 'IHI', description: 'Destination haulage', side: 'destination' },
+  destination_misc: { code: 'DMS', description: 'Other destination charges', side: 'destination' },
+};
+
+// Freight-side surcharges that the breakdown columns fold into ocean_freight
+const FREIGHT_CODES = ['BAS', 'BAF', 'FFF', 'EBS', 'CAF', 'PSS', 'LSS', 'ECA', 'WRS', 'GRI', 'PCS', 'EMS'];
+const ORIGIN_CODES = ['OTHC', 'THO', 'IHE', 'EXP', 'ODF', 'OMS'];
+const DESTINATION_CODES = ['DTHC', 'THD', 'IHI', 'IMP', 'DDF', 'DMS'];
+
+// ─── Classification ────────────────────────────────────────────────────
+function normalizeSide(value) {
+  const s = String(value || '').toUpperCase();
+  if (/ORIGIN|EXPORT|PRE.?CARRIAGE|POL/.test(s)) return 'origin';
+  if (/DEST|IMPORT|ON.?CARRIAGE|POD/.test(s)) return 'destination';
+  if (/FREIGHT|OCEAN|MAIN|SEA/.test(s)) return 'freight';
+  return null;
+}
+
+function normalizeBasis(value) {
+  const s = String(value || '').toUpperCase();
+  if (/B\/?L|DOC/.test(s)) return 'PER_BL';
+  if (/SHIPMENT|BOOKING/.test(s)) return 'PER_SHIPMENT';
+  if (/CONTAINER|CTR|CNTR|EQUIPMENT|UNIT|TEU|FEU/.test(s)) return 'PER_CONTAINER';
+  return s ? s.replace(/\s+/g, '_') : 'PER_CONTAINER';
+}
+
+/**
+ * Work out which side of the shipment a charge belongs to and which
+ * breakdown column it feeds
+ * @param {{ code?: string, description?: string, side?: string }} charge
+ * @returns {{ side: string, column: string }}
+ */
+function classifyCharge({ code, description, side }) {
+  const c = String(code || '').toUpperCase();
+  const d = String(description || '').toLowerCase();
+
+  let resolvedSide = normalizeSide(side);
+  if (!resolvedSide) {
+    if (ORIGIN_CODES.includes(c) || /origin|export|pre-?carriage/.test(d)) resolvedSide = 'origin';
+    else if (DESTINATION_CODES.includes(c) || /destination|import|on-?carriage/.test(d)) resolvedSide = 'destination';
+    else if (FREIGHT_CODES.includes(c) || /ocean freight|bunker|freight/.test(d)) resolvedSide = 'freight';
+    else resolvedSide = 'origin';
+  }
+
+  let column;
+  if (c === 'BAS' || /basic (ocean )?freight/.test(d)) {
+    column = 'ocean_freight';
+  } else if (/THC|^TH[OD]$/.test(c) || /terminal handling/.test(d)) {
+    column = resolvedSide === 'destination' ? 'destination_thc' : 'origin_thc';
+  } else if (['IHE', 'IHI'].includes(c) || /haulage|pre-?carriage|on-?carriage|inland/.test(d)) {
+    column = resolvedSide === 'destination' ? 'destination_haulage' : 'origin_local_haulage';
+  } else if (/^(CUS|CCL)$/.test(c) || /customs/.test(d)) {
+    column = resolvedSide === 'destination' ? 'destination_misc' : 'customs';
+  } else if (resolvedSide === 'freight') {
+    column = 'ocean_freight';
+  } else {
+    column = resolvedSide === 'destination' ? 'destination_misc' : 'origin_misc';
+  }
+  return { side: resolvedSide, column };
+}
+
+// ─── Validation & derivation ───────────────────────────────────────────
+/**
+ * Validate line items from a request or a scrape candidate
+ * @param {Object[]} list
+ * @param {string} currency - row currency, used when a charge has none
+ * @returns {{ charges: Object[], error: string|null }}
+ */
+function normalizeCharges(list, currency) {
+  if (!Array.isArray(list)) return { charges: [], error: 'charges must be an array' };
+
+  const charges = [];
+  for (const [i, raw] of list.entries()) {
+    if (!raw || typeof raw !== 'object') return { charges: [], error: `charges[${i}] must be an object` };
+    const amount = Number(raw.amount);
+    if (raw.amount === null || raw.amount === '' || !Number.isFinite(amount)) {
+      return { charges: [], error: `charges[${i}].amount must be a number` };
+    }
+    if (!raw.code && !raw.description) {
+      return { charges: [], error: `charges[${i}] needs a code or description` };
+    }
+    const chargeCurrency = String(raw.currency || currency || '').toUpperCase();
+    if (!/^[A-Z]{3}$/.test(chargeCurrency)) {
+      return { charges: [], error: `charges[${i}].currency must be a 3-letter code` };
+    }
+    const basis = normalizeBasis(raw.basis);
+    if (!CHARGE_BASES.includes(basis)) {
+      return { charges: [], error: `charges[${i}].basis must be one of ${CHARGE_BASES.join(', ')}` };
+    }
+    if (raw.side && !CHARGE_SIDES.includes(normalizeSide(raw.side))) {
+      return { charges: [], error: `charges[${i}].side must be one of ${CHARGE_SIDES.join(', ')}` };
+    }
+    charges.push({
+      code: raw.code ? String(raw.code).toUpperCase() : null,
+      description: raw.description || null,
+      amount: Math.round(amount * 100) / 100,
+      currency: chargeCurrency,
+      basis,
+      side: classifyCharge(raw).side,
+    });
+  }
+  return { charges, error: null };
+}
+
+/**
+ * Line items for a row that only carries the breakdown columns
+ */
+function chargesFromColumns(row) {
+  return BREAKDOWN_COLUMNS
+    .filter(col => row[col] != null && row[col] !== 0)
+    .map(col => ({
+      ...COLUMN_CHARGES[col],
+      amount: row[col],
+      currency: row.currency || 'USD',
+      basis: 'PER_CONTAINER',
+    }));
+}
+
+/**
+ * Line items with their amounts converted to the row currency, for deriving
+ * the breakdown columns. The stored line items keep their own currency.
+ * @param {Object[]} charges - normalized line items
+ * @param {string} currency - row currency
+ * @param {Object} [converter] - fx.createConverter(), loaded when needed
+ * @returns {{ charges: Object[], error: string|null }} error names a charge without an FX rate
+ */
+function chargesInCurrency(charges, currency, converter = null) {
+  const converted = [];
+  for (const [i, charge] of charges.entries()) {
+    if (charge.currency === currency) {
+      converted.push(charge);
+      continue;
+    }
+    converter = converter || createConverter();
+    const amount = converter.convert(charge.amount, charge.currency, currency);
+    if (amount == null) {
+      return { charges: [], error: `charges[${i}] is in ${charge.currency} and there is no FX rate to ${currency}` };
+    }
+    converted.push({ ...charge, amount, currency });
+  }
+  return { charges: converted, error: null };
+}
+
+/**
+ * Breakdown columns and total_price for a set of line items. Convert the
+ * items with chargesInCurrency() first; lines in another currency are ignored.
+ * @returns {Object} every column (null when no charge maps to it) + total_price
+ */
+function deriveColumns(charges, currency) {
+  const columns = Object.fromEntries(BREAKDOWN_COLUMNS.map(col => [col, null]));
+  let total = 0;
+  for (const charge of charges) {
+    if (currency && charge.currency && charge.currency !== currency) continue;
+    const { column } = classifyCharge(charge);
+    columns[column] = Math.round(((columns[column] || 0) + charge.amount) * 100) / 100;
+    total += charge.amount;
+  }
+  return { ...columns, total_price: charges.length ? Math.round(total * 100) / 100 : null };
+}
+
+/**
+ * Line items and derived columns for a candidate being written to pricing.
+ * The quoted total is kept as total_price; the line items only fill the
+ * breakdown columns. Candidates without line items (simulator output, older
+ * job results) are itemized from their breakdown columns.
+ * @param {Object} candidate
+ * @param {Object[]} [overrideCharges] - line items supplied by the caller
+ * @returns {{ charges: Object[], columns: Object, error: string|null }}
+ */
+function chargesForCandidate(candidate, overrideCharges) {
+  const currency = candidate.currency || 'USD';
+  const itemized = overrideCharges || (Array.isArray(candidate.charges) && candidate.charges.length ? candidate.charges : null);
+
+  if (itemized) {
+    const { charges, error } = normalizeCharges(itemized, currency);
+    if (error) return { charges: [], columns: null, error };
+    if (charges.length === 0) return { charges: [], columns: null, error: 'charges must not be empty' };
+    const { charges: inCurrency, error: fxError } = chargesInCurrency(charges, currency);
+    if (fxError) return { charges: [], columns: null, error: fxError };
+    const columns = deriveColumns(inCurrency, currency);
+    const quoted = candidate.total_price != null ? candidate.total_price : candidate.price;
+    return { charges, columns: { ...columns, total_price: quoted != null ? quoted : columns.total_price }, error: null };
+  }
+
+  const row = { ...candidate, currency, ocean_freight: candidate.ocean_freight || candidate.price };
+  const charges = chargesFromColumns(row);
+  const columns = Object.fromEntries(BREAKDOWN_COLUMNS.map(col => [col, row[col] || null]));
+  return { charges, columns: { ...columns, total_price: candidate.total_price || candidate.price }, error: null };
+}
+
+// ─── Storage ───────────────────────────────────────────────────────────
+/**
+ * Replace the line items of a pricing row
+ */
+function saveCharges(pricingId, charges) {
+  const db = getDb();
+  db.prepare(`DELETE FROM pricing_charges WHERE pricing_id = ?`).run(pricingId);
+  const insert = db.prepare(`
+    INSERT INTO pricing_charges (pricing_id, code, description, amount, currency, basis, side, sort_order)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  charges.forEach((charge, i) => {
+    insert.run(pricingId, charge.code, charge.description, charge.amount, charge.currency, charge.basis, charge.side, i);
+  });
+}
+
+/**
+ * Line items for many pricing rows in one pass
+ * @param {number[]} ids
+ * @returns {Map<number, Object[]>}
+ */
+function getChargesByPricingIds(ids) {
+  const byId = new Map(ids.map(id => [id, []]));
+  const db = getDb();
+  // Stay well below SQLite's bound-parameter limit
+  for (let i = 0; i < ids.length; i += 500) {
+    const chunk = ids.slice(i, i + 500);
+    const rows = db.prepare(`
+      SELECT id, pricing_id, code, description, amount, currency, basis, side
+      FROM pricing_charges WHERE pricing_id IN (${chunk.map(() => '?').join(',')})
+      ORDER BY pricing_id, sort_order, id
+    `).all(...chunk);
+    for (const { pricing_id: pricingId, ...charge } of rows) byId.get(pricingId).push(charge);
+  }
+  return byId;
+}
+
+/**
+ * Itemize pricing rows written before pricing_charges existed (or by the
+ * seed script) from their breakdown columns. Runs on boot; one statement, so
+ * every row is read before any line item is written.
+ * @returns {number} line items added
+ */
+function backfillCharges() {
+  const selects = BREAKDOWN_COLUMNS.map((col, i) => {
+    const { code, description, side } = COLUMN_CHARGES[col];
+    return `SELECT id, '${code}', '${description}', ${col}, COALESCE(currency, 'USD'), 'PER_CONTAINER', '${side}', ${i}
+      FROM pricing WHERE ${col} IS NOT NULL AND ${col} != 0
+        AND id NOT IN (SELECT pricing_id FROM pricing_charges)`;
+  });
+  const result = getDb().prepare(`
+    INSERT INTO pricing_charges (pricing_id, code, description, amount, currency, basis, side, sort_order)
+    ${selects.join('\n    UNION ALL ')}
+  `).run();
+  if (result.changes > 0) console.log(`[Pricing] Itemized ${result.changes} charge(s) from legacy breakdown columns`);
+  return result.changes;
+}
+
+module.exports = {
+  classifyCharge,
+  normalizeSide,
+  normalizeBasis,
+  normalizeCharges,
+  chargesFromColumns,
+  chargesInCurrency,
+  deriveColumns,
+  chargesForCandidate,
+  saveCharges,
+  getChargesByPricingIds,
+  backfillCharges,
+  BREAKDOWN_COLUMNS,
+  CHARGE_SIDES,
+  CHARGE_BASES,
+};
@@ -0,0 +1,193 @@
+/**
+ * FX rates
+ *
+ * Dated exchange rates in the fx_rates table, loaded offline through
+ * POST /api/fx/rates or tools/import_fx_rates.js. A rate row reads
+ * "1 base_currency = rate quote_currency on rate_date".
+ *
+ * Conversions use the rate in effect on the given date (latest rate_date on
+ * or before it; the oldest known rate when the date predates them all). A
+ * pair without a stored rate is tried inverted, then through USD.
+ *
+ * Functions:
+ *  - normalizeRates(list)             → { rates, error } validated rate rows
+ *  - saveRates(rates, source)         → Insert or update rates; returns count
+ *  - listRates(filters)               → Stored rates, newest first
+ *  - createConverter()                → Snapshot of all rates with convert()
+ *  - normalizeTotals(rows, currency)  → Rows with normalized_total added
+ */
+
+const { getDb } = require('../db/database');
+
+// Currency the scrape pipeline compares prices in
+const COMMON_CURRENCY = 'USD';
+
+function isCurrency(value) {
+  return /^[A-Z]{3}$/.test(String(value || ''));
+}
+
+function toDate(value) {
+  if (!value) return new Date().toISOString().slice(0, 10);
+  const match = String(value).match(/\d{4}-\d{2}-\d{2}/);
+  if (!match || Number.isNaN(new Date(`${match[0]}T00:00:00Z`).getTime())) return null;
+  return match[0];
+}
+
+/**
+ * Validate rate rows from a request or a CSV file
+ * @param {Object[]} list - [{ base_currency, quote_currency, rate, rate_date }]
+ * @returns {{ rates: Object[], error: string|null }}
+ */
+function normalizeRates(list) {
+  if (!Array.isArray(list) || list.length === 0) return { rates: [], error: 'rates must be a non-empty array' };
+
+  const rates = [];
+  for (const [i, raw] of list.entries()) {
+    const base = String((raw && raw.base_currency) || '').trim().toUpperCase();
+    const quote = String((raw && raw.quote_currency) || '').trim().toUpperCase();
+    const rate = Number(raw && raw.rate);
+    if (!isCurrency(base) || !isCurrency(quote)) {
+      return { rates: [], error: `rates[${i}]: base_currency and quote_currency must be 3-letter codes` };
+    }
+    if (base === quote) return { rates: [], error: `rates[${i}]: base_currency and quote_currency must differ` };
+    if (!Number.isFinite(rate) || rate <= 0) return { rates: [], error: `rates[${i}].rate must be a positive number` };
+    const rateDate = raw.rate_date ? toDate(raw.rate_date) : null;
+    if (!rateDate) return { rates: [], error: `rates[${i}].rate_date must be a YYYY-MM-DD date` };
+    rates.push({ base_currency: base, quote_currency: quote, rate, rate_date: rateDate });
+  }
+  return { rates, error: null };
+}
+
+/**
+ * Insert rates, replacing any stored rate for the same pair and date
+ * @returns {number} rates written
+ */
+function saveRates(rates, source = 'API') {
+  const db = getDb();
+  for (const r of rates) {
+    const existing = db.prepare(`
+      SELECT id FROM fx_rates WHERE base_currency = ? AND quote_currency = ? AND rate_date = ?
+    `).get(r.base_currency, r.quote_currency, r.rate_date);
+    if (existing) {
+      db.prepare(`UPDATE fx_rates SET rate=?, source=?, updated_at=datetime('now') WHERE id=?`)
+        .run(r.rate, source, existing.id);
+    } else {
+      db.prepare(`
+        INSERT INTO fx_rates (base_currency, quote_currency, rate, rate_date, source) VALUES (?, ?, ?, ?, ?)
+      `).run(r.base_currency, r.quote_currency, r.rate, r.rate_date, source);
+    }
+  }
+  console.log(`[FX] Saved ${rates.length} rate(s) from ${source}`);
+  return rates.length;
+}
+
+function listRates({ base, quote } = {}) {
+  let sql = `SELECT * FROM fx_rates WHERE 1=1`;
+  const params = [];
+  if (base) {
+    sql += ` AND base_currency = ?`;
+    params.push(String(base).toUpperCase());
+  }
+  if (quote) {
+    sql += ` AND quote_currency = ?`;
+    params.push(String(quote).toUpperCase());
+  }
+  sql += ` ORDER BY rate_date DESC, base_currency, quote_currency`;
+  return getDb().prepare(sql).all(...params);
+}
+
+// ─── Conversion ────────────────────────────────────────────────────────
+/**
+ * Load every stored rate once; use the returned convert() for a whole
+ * request instead of querying per row
+ */
+function createConverter() {
+  const pairs = new Map();   // 'EUR/USD' → [{ rate_date, rate }] oldest first
+  const rows = getDb().prepare(`
+    SELECT base_currency, quote_currency, rate, rate_date FROM fx_rates ORDER BY rate_date
+  `).all();
+  for (const r of rows) {
+    const key = `${r.base_currency}/${r.quote_currency}`;
+    if (!pairs.has(key)) pairs.set(key, []);
+    pairs.get(key).push({ rate_date: r.rate_date, rate: r.rate });
+  }
+
+  function rateOn(list, date) {
+    let pick = list[0];
+    for (const entry of list) {
+      if (entry.rate_date > date) break;
+      pick = entry;
+    }
+    return pick;
+  }
+
+  function directRate(from, to, date) {
+    const direct = pairs.get(`${from}/${to}`);
+    if (direct) return rateOn(direct, date);
+    const inverse = pairs.get(`${to}/${from}`);
+    if (inverse) {
+      const entry = rateOn(inverse, date);
+      return { rate_date: entry.rate_date, rate: 1 / entry.rate };
+    }
+    return null;
+  }
+
+  /**
+   * @returns {{ rate: number, rate_date: string|null }|null} null when no path exists
+   */
+  function getRate(from, to, onDate) {
+    if (!from || !to) return null;
+    if (from === to) return { rate: 1, rate_date: null };
+    const date = toDate(onDate) || toDate();
+    const direct = directRate(from, to, date);
+    if (direct) return direct;
+    if (from === COMMON_CURRENCY || to === COMMON_CURRENCY) return null;
+    const leg1 = directRate(from, COMMON_CURRENCY, date);
+    const leg2 = directRate(COMMON_CURRENCY, to, date);
+    if (!leg1 || !leg2) return null;
+    return {
+      rate: leg1.rate * leg2.rate,
+      rate_date: leg1.rate_date < leg2.rate_date ? leg1.rate_date : leg2.rate_date,
+    };
+  }
+
+  /**
+   * @returns {number|null} amount in `to`, or null without a usable rate
+   */
+  function convert(amount, from, to, onDate) {
+    if (amount == null) return null;
+    const fx = getRate(String(from || '').toUpperCase(), String(to || '').toUpperCase(), onDate);
+    return fx ? Math.round(amount * fx.rate * 100) / 100 : null;
+  }
+
+  return { getRate, convert };
+}
+
+/**
+ * Add normalized_currency / normalized_total / fx_rate / fx_rate_date to
+ * pricing rows, converting at the rate in effect when each row was created.
+ * normalized_total is null when no rate links the two currencies.
+ */
+function normalizeTotals(rows, currency, converter = createConverter()) {
+  const target = String(currency).toUpperCase();
+  return rows.map((row) => {
+    const fx = converter.getRate(String(row.currency || 'USD').toUpperCase(), target, row.created_at);
+    return {
+      ...row,
+      normalized_currency: target,
+      normalized_total: fx && row.total_price != null ? Math.round(row.total_price * fx.rate * 100) / 100 : null,
+      fx_rate: fx ? fx.rate : null,
+      fx_rate_date: fx ? fx.rate_date : null,
+    };
+  });
+}
+
+module.exports = {
+  normalizeRates,
+  saveRates,
+  listRates,
+  createConverter,
+  normalizeTotals,
+  isCurrency,
+  COMMON_CURRENCY,
+};
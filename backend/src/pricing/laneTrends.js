@@ -0,0 +1,246 @@
+/**
+ * Lane price trends
+ *
+ * Every rate written for a lane is a price sample: scrape accepts, sheet
+ * imports and manual entries, superseded versions included (deleted rows,
+ * e.g. a rolled-back batch, are not). Samples are bucketed by day, week
+ * (starting Monday, UTC) or month of created_at and converted to one
+ * currency at the FX rate of their own date; samples without a rate are
+ * counted as unconverted and left out.
+ *
+ * Ports match the stored port name or its UN/LOCODE in port_aliases.
+ *
+ * Functions:
+ *  - getLaneTrend(query)      → { trend } min / median / max per period, or { error }
+ *  - getLaneSparklines(query) → { lanes } medians of recent periods per lane, or { error }
+ */
+
+const { getDb } = require('../db/database');
+const { createConverter, isCurrency, COMMON_CURRENCY } = require('./fx');
+
+const TREND_INTERVALS = ['day', 'week', 'month'];
+// Longest series one request returns
+const MAX_PERIODS = 366;
+const DEFAULT_SPARKLINE_PERIODS = 12;
+const MAX_SPARKLINE_PERIODS = 52;
+
+const invalid = (message) => ({ error: { status: 'INVALID_REQUEST', message } });
+const round2 = (v) => Math.round(v * 100) / 100;
+const isoDate = (d) => d.toISOString().slice(0, 10);
+const isDateParam = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+// ─── Periods ───────────────────────────────────────────────────────────
+function periodStart(date, interval) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), interval === 'month' ? 1 : date.getUTCDate()));
+  if (interval === 'week') d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d;
+}
+
+function nextPeriod(d, interval) {
+  const next = new Date(d);
+  if (interval === 'month') next.setUTCMonth(next.getUTCMonth() + 1);
+  else next.setUTCDate(next.getUTCDate() + (interval === 'week' ? 7 : 1));
+  return next;
+}
+
+// Start of the period `count` periods before the one starting at `d`
+function periodsBefore(d, interval, count) {
+  return interval === 'month'
+    ? new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() - count, 1))
+    : new Date(d.getTime() - count * (interval === 'week' ? 7 : 1) * 86400000);
+}
+
+function parseSqlDate(text) {
+  const t = Date.parse(/^\d{4}-\d{2}-\d{2} \d/.test(text) ? `${text.replace(' ', 'T')}Z` : text);
+  return Number.isNaN(t) ? null : new Date(t);
+}
+
+function median(sorted) {
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * One point per period from `from` to `to` (inclusive); empty periods have
+ * count 0 and null prices so charts keep an even time axis. A range longer
+ * than MAX_PERIODS keeps the most recent periods.
+ * @param {{ at: Date, price: number }[]} samples - converted prices
+ * @returns {Object[]} [{ period_start, count, min, median, max }]
+ */
+function bucketSamples(samples, interval, from, to) {
+  const byPeriod = new Map();
+  for (const { at, price } of samples) {
+    const key = isoDate(periodStart(at, interval));
+    if (!byPeriod.has(key)) byPeriod.set(key, []);
+    byPeriod.get(key).push(price);
+  }
+
+  const earliest = periodsBefore(periodStart(to, interval), interval, MAX_PERIODS - 1);
+  const first = periodStart(from, interval);
+  const points = [];
+  for (let d = first < earliest ? earliest : first; d <= to; d = nextPeriod(d, interval)) {
+    const prices = (byPeriod.get(isoDate(d)) || []).sort((a, b) => a - b);
+    points.push({
+      period_start: isoDate(d),
+      count: prices.length,
+      min: prices.length ? round2(prices[0]) : null,
+      median: prices.length ? round2(median(prices)) : null,
+      max: prices.length ? round2(prices[prices.length - 1]) : null,
+    });
+  }
+  return points;
+}
+
+// Rows → converted samples; counts the rows with no FX rate to the currency
+function toSamples(rows, currency) {
+  const fx = createConverter();
+  const samples = [];
+  let unconverted = 0;
+  for (const row of rows) {
+    const at = parseSqlDate(row.created_at);
+    if (row.price == null || !at) continue;
+    const price = fx.convert(row.price, row.currency || 'USD', currency, row.created_at);
+    if (price == null) unconverted++;
+    else samples.push({ ...row, at, price });
+  }
+  return { samples, unconverted };
+}
+
+// Change from the first to the last period that has samples
+function trendChange(points) {
+  const filled = points.filter((p) => p.count > 0);
+  if (filled.length < 2 || !filled[0].median) return null;
+  return Math.round(((filled[filled.length - 1].median - filled[0].median) / filled[0].median) * 1000) / 10;
+}
+
+// ─── Queries ───────────────────────────────────────────────────────────
+const SAMPLE_SELECT = `
+  SELECT p.from_port, p.to_port, UPPER(p.container_type) AS container_type,
+    COALESCE(p.total_price, p.price) AS price, p.currency, p.created_at
+  FROM pricing p
+  LEFT JOIN port_aliases fa ON fa.alias = p.from_port
+  LEFT JOIN port_aliases ta ON ta.alias = p.to_port
+  WHERE p.deleted_at IS NULL`;
+
+function checkQuery({ interval, currency }) {
+  if (!TREND_INTERVALS.includes(interval)) return `interval must be one of ${TREND_INTERVALS.join(', ')}`;
+  if (!isCurrency(currency)) return 'currency must be a 3-letter code (e.g. USD)';
+  return null;
+}
+
+/**
+ * @param {Object} query
+ * @param {string} query.pol
+ * @param {string} query.pod
+ * @param {string} [query.containerType] - default 40FT
+ * @param {string} [query.carrier]
+ * @param {string} [query.interval] - day | week | month (default week)
+ * @param {string} [query.currency] - default COMMON_CURRENCY
+ * @param {string} [query.from] - YYYY-MM-DD; default the first sample, at most MAX_PERIODS periods before `to`
+ * @param {string} [query.to] - YYYY-MM-DD; default today
+ * @returns {{ trend?: Object, error?: Object }}
+ */
+function getLaneTrend({
+  pol, pod, containerType = '40FT', carrier = null, interval = 'week', currency = COMMON_CURRENCY, from = null, to = null,
+}) {
+  if (!pol || !pod) return invalid('pol and pod are required');
+  const queryError = checkQuery({ interval, currency });
+  if (queryError) return invalid(queryError);
+  if ((from && !isDateParam(from)) || (to && !isDateParam(to))) return invalid('from and to must be dates (YYYY-MM-DD)');
+  if (from && to && from > to) return invalid('from must not be after to');
+
+  let sql = `${SAMPLE_SELECT}
+    AND (p.from_port = ? COLLATE NOCASE OR fa.un_locode = ? COLLATE NOCASE)
+    AND (p.to_port = ? COLLATE NOCASE OR ta.un_locode = ? COLLATE NOCASE)
+    AND p.container_type = ? COLLATE NOCASE`;
+  const params = [pol, pol, pod, pod, containerType];
+  if (carrier) {
+    sql += ` AND p.carrier = ? COLLATE NOCASE`;
+    params.push(carrier);
+  }
+  if (from) {
+    sql += ` AND date(p.created_at) >= date(?)`;
+    params.push(from);
+  }
+  if (to) {
+    sql += ` AND date(p.created_at) <= date(?)`;
+    params.push(to);
+  }
+  const rows = getDb().prepare(`${sql} ORDER BY p.created_at`).all(...params);
+  const { samples, unconverted } = toSamples(rows, currency);
+
+  const end = to ? new Date(`${to}T00:00:00Z`) : new Date();
+  const start = from ? new Date(`${from}T00:00:00Z`) : (samples[0] && samples[0].at);
+  const points = start ? bucketSamples(samples, interval, start, end) : [];
+
+  return {
+    trend: {
+      pol,
+      pod,
+      container_type: containerType.toUpperCase(),
+      carrier,
+      interval,
+      currency,
+      sample_count: points.reduce((sum, p) => sum + p.count, 0),
+      unconverted,
+      change_pct: trendChange(points),
+      points,
+    },
+  };
+}
+
+/**
+ * Median per period over the last `periods` periods, for every lane with
+ * samples in that window (the rates table draws one sparkline per row)
+ * @param {{ country?: string, pol?: string, pod?: string, interval?: string, periods?: number, currency?: string }} query
+ * @returns {{ lanes?: Object[], error?: Object }} [{ from_port, to_port, container_type, change_pct, points }]
+ */
+function getLaneSparklines({
+  country = null, pol = null, pod = null, interval = 'week', periods = DEFAULT_SPARKLINE_PERIODS, currency = COMMON_CURRENCY,
+}) {
+  const queryError = checkQuery({ interval, currency });
+  if (queryError) return invalid(queryError);
+  if (!Number.isInteger(periods) || periods < 2 || periods > MAX_SPARKLINE_PERIODS) {
+    return invalid(`periods must be an integer from 2 to ${MAX_SPARKLINE_PERIODS}`);
+  }
+
+  const end = new Date();
+  const start = periodsBefore(periodStart(end, interval), interval, periods - 1);
+
+  let sql = `${SAMPLE_SELECT} AND date(p.created_at) >= date(?)`;
+  const params = [isoDate(start)];
+  if (country) {
+    sql += ` AND p.destination_country = ?`;
+    params.push(country);
+  }
+  if (pol) {
+    sql += ` AND (p.from_port = ? COLLATE NOCASE OR fa.un_locode = ? COLLATE NOCASE)`;
+    params.push(pol, pol);
+  }
+  if (pod) {
+    sql += ` AND (p.to_port = ? COLLATE NOCASE OR ta.un_locode = ? COLLATE NOCASE)`;
+    params.push(pod, pod);
+  }
+  const { samples } = toSamples(getDb().prepare(sql).all(...params), currency);
+
+  const byLane = new Map();
+  for (const sample of samples) {
+    const key = [sample.from_port, sample.to_port, sample.container_type].join('|').toUpperCase();
+    if (!byLane.has(key)) byLane.set(key, []);
+    byLane.get(key).push(sample);
+  }
+
+  const lanes = [...byLane.values()].map((laneSamples) => {
+    const points = bucketSamples(laneSamples, interval, start, end)
+      .map(({ period_start: periodStartDate, count, median: mid }) => ({ period_start: periodStartDate, count, median: mid }));
+    const { from_port: fromPort, to_port: toPort, container_type: containerType } = laneSamples[0];
+    return { from_port: fromPort, to_port: toPort, container_type: containerType, change_pct: trendChange(points), points };
+  });
+  return { lanes };
+}
+
+module.exports = {
+  getLaneTrend,
+  getLaneSparklines,
+  TREND_INTERVALS,
+};
@@ -0,0 +1,279 @@
+/**
+ * Manual rates
+ *
+ * Rates agents enter or correct by hand: a quote received by email, a wrong
+ * destination_thc. Every write needs an actor and a reason, and is recorded
+ * in pricing_history with the full row before and after the change under
+ * MANUAL_CREATE, MANUAL_EDIT or MANUAL_DELETE. A created rate gets a
+ * MANUAL pricing batch of its own (pricing/rateBatches.js) and supersedes
+ * the current version of its rate (pricing/rateVersions.js); an edit
+ * corrects the row in place. Only current rows can be edited: a superseded
+ * version belongs to the price list as of its dates, so editing one is a
+ * CONFLICT. An edit that changes the version key (lane, container, incoterm,
+ * carrier or service type) supersedes the current version of the new key,
+ * so one key never has two current rows.
+ *
+ * Amounts come either as charge line items (`charges`) or as the eight
+ * breakdown columns; pricing_charges and the derived columns are kept in
+ * step either way (pricing/charges.js). Editing a column replaces the line
+ * items behind that column only. The resulting rate must pass the scrape
+ * validator (validateCandidate) for its lane: price, currency, valid_until
+ * and transit-day bounds. The deviation check is not applied, since a
+ * manual rate is meant to override the lane history, and an edit is only
+ * held to a future valid_until when it changes valid_until. A bare
+ * YYYY-MM-DD valid_until is stored as the end of that day (UTC).
+ *
+ * Deleting is soft: deleted_at / deleted_by are set and reads of pricing
+ * skip the row, which keeps its charges and history.
+ *
+ * Functions:
+ *  - getRate(id)                                → Live row with charges, or null
+ *  - createManualRate(input, actor, reason)     → { rate } or { error }
+ *  - updateManualRate(id, input, actor, reason) → { rate } or { error }
+ *  - deleteManualRate(id, actor, reason)        → { rate } or { error }
+ *  - prepareRate(input, existing)               → Validated { row, charges } or { error }
+ *                                                 (also used by the sheet importer)
+ */
+
+const { getDb } = require('../db/database');
+const { getPricingConfig, buildLaneKey, getValidationOptions } = require('../config/pricingConfig');
+const { validateCandidate, parseValidUntil } = require('../validation/validator');
+const {
+  normalizeCharges, chargesFromColumns, chargesInCurrency, deriveColumns, classifyCharge, saveCharges, BREAKDOWN_COLUMNS,
+} = require('./charges');
+const { lookupDestinationCountry } = require('./scrapedRates');
+const { snapshotRate, recordPricingEvent } = require('./pricingHistory');
+const { createBatch } = require('./rateBatches');
+const { activateRate, rekeyRate, VERSION_FIELDS } = require('./rateVersions');
+
+const TEXT_FIELDS = [
+  'destination_country', 'incoterm', 'origin_inland', 'destination_inland',
+  'month_label', 'service_type', 'carrier',
+];
+// Same as the pricing column defaults
+const TEXT_DEFAULTS = { incoterm: 'EXW', origin_inland: 'CY', destination_inland: 'CY' };
+const EDITABLE_FIELDS = [
+  'from_port', 'to_port', 'container_type', 'currency', 'transit_days', 'valid_until',
+  ...TEXT_FIELDS, ...BREAKDOWN_COLUMNS, 'charges',
+];
+// Written by UPDATE; charges and total_price follow from the line items
+const STORED_FIELDS = [
+  'from_port', 'to_port', 'container_type', 'currency', 'transit_days', 'valid_until',
+  ...TEXT_FIELDS, ...BREAKDOWN_COLUMNS, 'total_price',
+];
+
+const invalid = (message, extra = {}) => ({ error: { status: 'INVALID_REQUEST', message, ...extra } });
+
+function getRate(id) {
+  const rate = snapshotRate(id);
+  return rate && !rate.deleted_at ? rate : null;
+}
+
+// ─── Validation ────────────────────────────────────────────────────────
+function optionalText(value) {
+  return value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim();
+}
+
+/**
+ * Check the scalar fields of a merged row
+ * @returns {{ fields: Object|null, error: string|null }}
+ */
+function normalizeFields(input) {
+  const fields = {};
+  for (const key of ['from_port', 'to_port']) {
+    const port = optionalText(input[key]);
+    if (!port) return { fields: null, error: `${key} is required` };
+    if (port.length > 64) return { fields: null, error: `${key} must be at most 64 characters` };
+    fields[key] = port.toUpperCase();
+  }
+
+  fields.container_type = String(optionalText(input.container_type) || '').toUpperCase();
+  const known = getPricingConfig().container_types;
+  if (!known.includes(fields.container_type)) {
+    return { fields: null, error: `container_type must be one of ${known.join(', ')}` };
+  }
+
+  fields.currency = String(optionalText(input.currency) || 'USD').toUpperCase();
+
+  if (input.transit_days === undefined || input.transit_days === null || input.transit_days === '') {
+    fields.transit_days = null;
+  } else {
+    const days = Number(input.transit_days);
+    if (!Number.isInteger(days)) return { fields: null, error: 'transit_days must be an integer' };
+    fields.transit_days = days;
+  }
+
+  fields.valid_until = optionalText(input.valid_until);
+  if (fields.valid_until) {
+    const t = parseValidUntil(fields.valid_until);
+    if (Number.isNaN(t)) return { fields: null, error: 'valid_until must be a date (YYYY-MM-DD or ISO 8601)' };
+    fields.valid_until = new Date(t).toISOString();
+  }
+
+  TEXT_FIELDS.forEach((key) => { fields[key] = optionalText(input[key]) || TEXT_DEFAULTS[key] || null; });
+  if (fields.incoterm) fields.incoterm = fields.incoterm.toUpperCase();
+  return { fields, error: null };
+}
+
+function columnAmounts(input, columns) {
+  const amounts = {};
+  for (const col of columns) {
+    const value = input[col];
+    if (value === undefined || value === null || value === '') {
+      amounts[col] = null;
+      continue;
+    }
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0) return { amounts: null, error: `${col} must be a non-negative number` };
+    amounts[col] = Math.round(n * 100) / 100;
+  }
+  return { amounts, error: null };
+}
+
+/**
+ * Line items for the written row
+ * @param {Object} input - the request body
+ * @param {string} currency - row currency after the change
+ * @param {Object|null} existing - snapshotRate() of the edited row (null on create)
+ * @returns {{ charges: Object[]|null, error: string|null }}
+ */
+function resolveCharges(input, currency, existing) {
+  if (input.charges !== undefined) {
+    const { charges, error } = normalizeCharges(input.charges, currency);
+    if (error) return { charges: null, error };
+    return charges.length ? { charges, error: null } : { charges: null, error: 'charges must not be empty' };
+  }
+
+  const edited = BREAKDOWN_COLUMNS.filter((col) => input[col] !== undefined);
+  const { amounts, error } = columnAmounts(input, edited);
+  if (error) return { charges: null, error };
+
+  // A currency edit corrects the label of the lines in the old row currency, not their amounts
+  const kept = (existing ? existing.charges : [])
+    .filter((charge) => !edited.includes(classifyCharge(charge).column))
+    .map((charge) => (charge.currency === existing.currency ? { ...charge, currency } : charge));
+  return { charges: [...kept, ...chargesFromColumns({ ...amounts, currency })], error: null };
+}
+
+/**
+ * Run the scrape validator on the row as it would be stored
+ * @returns {string[]} issues (empty when valid)
+ */
+function validationIssues(row) {
+  const opts = getValidationOptions(buildLaneKey(row.from_port, row.to_port, row.container_type, row.incoterm));
+  const { issues } = validateCandidate({
+    price: row.total_price,
+    currency: row.currency,
+    valid_until: row.valid_until,
+    transit_days: row.transit_days,
+    confidence_score: 1,
+  }, opts);
+  return issues;
+}
+
+/**
+ * Validate a create or edit
+ * @param {Object} input - request fields
+ * @param {Object|null} existing - snapshotRate() of the row being edited
+ * @returns {{ row?: Object, charges?: Object[], error?: Object }}
+ */
+function prepareRate(input, existing) {
+  if (!input || typeof input !== 'object') return invalid('rate must be an object');
+  const unknown = Object.keys(input).filter((key) => !EDITABLE_FIELDS.includes(key));
+  if (unknown.length) return invalid(`These fields cannot be set: ${unknown.join(', ')}`);
+  if (existing && !Object.keys(input).length) return invalid('No changes given');
+
+  const merged = { ...(existing || {}), ...input };
+  const { fields, error: fieldError } = normalizeFields(merged);
+  if (fieldError) return invalid(fieldError);
+  if (!fields.destination_country) fields.destination_country = lookupDestinationCountry(fields.to_port);
+
+  const { charges, error: chargeError } = resolveCharges(input, fields.currency, existing);
+  if (chargeError) return invalid(chargeError);
+  if (!charges.length) return invalid('Give the rate amounts as charges or as breakdown columns');
+
+  const { charges: inCurrency, error: fxError } = chargesInCurrency(charges, fields.currency);
+  if (fxError) return invalid(fxError);
+
+  const row = { ...fields, ...deriveColumns(inCurrency, fields.currency) };
+  // Correcting another field of an expired rate is allowed
+  const issues = validationIssues(row)
+    .filter((issue) => !(existing && input.valid_until === undefined && issue === 'VALID_UNTIL_PAST'));
+  if (issues.length) return invalid(`Rate failed validation: ${issues.join(', ')}`, { issues });
+  return { row, charges };
+}
+
+// ─── Writes ────────────────────────────────────────────────────────────
+/**
+ * @returns {{ rate?: Object, error?: { status: string, message: string, issues?: string[] } }}
+ */
+function createManualRate(input, actor, reason) {
+  const { row, charges, error } = prepareRate(input, null);
+  if (error) return { error };
+
+  const batchId = createBatch({ kind: 'MANUAL', actor, reason, rowCount: 1 });
+  const id = getDb().prepare(`
+    INSERT INTO pricing (${STORED_FIELDS.join(', ')}, source, confidence_score, batch_id)
+    VALUES (${STORED_FIELDS.map(() => '?').join(', ')}, 'MANUAL', 1.0, ?)
+  `).run(...STORED_FIELDS.map((f) => row[f]), batchId).lastInsertRowid;
+  saveCharges(id, charges);
+  activateRate(id, { actor, batchId });
+
+  const rate = getRate(id);
+  recordPricingEvent({ action: 'MANUAL_CREATE', actor, reason, before: null, after: rate, batchId });
+  console.log(`[Pricing] Manual rate #${id} ${rate.from_port} → ${rate.to_port} created by ${actor}`);
+  return { rate };
+}
+
+function updateManualRate(id, input, actor, reason) {
+  const before = getRate(id);
+  if (!before) return { error: { status: 'NOT_FOUND', message: 'Rate not found' } };
+  if (before.effective_to) {
+    return {
+      error: {
+        status: 'CONFLICT',
+        message: `Rate #${before.id} was superseded at ${before.effective_to} and is kept as history; edit the current version${before.superseded_by ? ` (#${before.superseded_by})` : ''} instead`,
+      },
+    };
+  }
+
+  const { row, charges, error } = prepareRate(input, before);
+  if (error) return { error };
+
+  getDb().prepare(`
+    UPDATE pricing SET ${STORED_FIELDS.map((f) => `${f}=?`).join(', ')}, updated_at=datetime('now')
+    WHERE id=?
+  `).run(...STORED_FIELDS.map((f) => row[f]), id);
+  saveCharges(id, charges);
+  const rekeyed = VERSION_FIELDS.some((f) => String(row[f] || '').toUpperCase() !== String(before[f] || '').toUpperCase());
+  if (rekeyed) rekeyRate(id, { actor });
+
+  const rate = getRate(id);
+  recordPricingEvent({ action: 'MANUAL_EDIT', actor, reason, before, after: rate });
+  console.log(`[Pricing] Rate #${id} edited by ${actor}: ${Object.keys(input).join(', ')}`);
+  return { rate };
+}
+
+function deleteManualRate(id, actor, reason) {
+  const before = getRate(id);
+  if (!before) return { error: { status: 'NOT_FOUND', message: 'Rate not found' } };
+
+  getDb().prepare(`
+    UPDATE pricing SET deleted_at=datetime('now'), deleted_by=?, updated_at=datetime('now') WHERE id=?
+  `).run(actor, id);
+
+  const rate = snapshotRate(id);
+  recordPricingEvent({ action: 'MANUAL_DELETE', actor, reason, before, after: rate });
+  console.log(`[Pricing] Rate #${id} deleted by ${actor}`);
+  return { rate };
+}
+
+module.exports = {
+  getRate,
+  createManualRate,
+  updateManualRate,
+  deleteManualRate,
+  prepareRate,
+  EDITABLE_FIELDS,
+  STORED_FIELDS,
+};
@@ -0,0 +1,295 @@
+/**
+ * Margin rules
+ *
+ * Every pricing row is a buy rate. Margin rules in margin_rules turn it into
+ * a sell rate: sell = buy + margin, where the margin is a PERCENT of the buy
+ * total or a FIXED amount per container, then held between the rule's
+ * min_margin floor and max_margin cap.
+ *
+ * A rule matches a row when every criterion it sets is equal (criteria left
+ * null match anything): destination_country, from_port / to_port (the lane),
+ * container_type, source (DB / SHEET / SCRAPE / MANUAL) and customer_tier
+ * (from the request). Exactly one rule applies per row; when several match:
+ *   1. lowest priority number wins (1 before 100),
+ *   2. on equal priority, the rule setting more criteria wins,
+ *   3. on a full tie, the oldest rule (lowest id) wins.
+ * Rules are never stacked. FIXED, min_margin and max_margin amounts are in
+ * the rule currency and converted to the row currency with the FX rates.
+ *
+ * Functions:
+ *  - normalizeMarginRule(input)          → { rule, error } validated rule fields
+ *  - listMarginRules(filters)            → Rules in resolution order
+ *  - getMarginRule(id)                   → One rule or null
+ *  - createMarginRule(rule, actor)       → Stored rule
+ *  - updateMarginRule(id, input, actor)  → { rule } or { error }
+ *  - resolveMarginRule(rules, row, ctx)  → { rule, overridden } winning rule
+ *  - applyMargins(rows, ctx)             → Rows with sell prices + explanation
+ */
+
+const { getDb } = require('../db/database');
+const { createConverter, isCurrency } = require('./fx');
+
+const MARKUP_TYPES = ['PERCENT', 'FIXED'];
+const MARGIN_SOURCES = ['DB', 'SHEET', 'SCRAPE', 'MANUAL'];
+const DEFAULT_PRIORITY = 100;
+
+// Row field (or request context key) each criterion is compared with
+const CRITERIA = ['destination_country', 'from_port', 'to_port', 'container_type', 'source', 'customer_tier'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const same = (a, b) => String(a == null ? '' : a).trim().toUpperCase() === String(b == null ? '' : b).trim().toUpperCase();
+
+// ─── Validation ────────────────────────────────────────────────────────
+function optionalAmount(value, label) {
+  if (value === undefined || value === null || value === '') return { value: null, error: null };
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) return { value: null, error: `${label} must be a non-negative number` };
+  return { value: n, error: null };
+}
+
+/**
+ * Validate a full rule (for updates, merge the changes onto the stored rule first)
+ * @returns {{ rule: Object|null, error: string|null }}
+ */
+function normalizeMarginRule(input) {
+  if (!input || typeof input !== 'object') return { rule: null, error: 'rule must be an object' };
+
+  const name = String(input.name || '').trim();
+  if (!name) return { rule: null, error: 'name is required' };
+
+  const priority = input.priority === undefined || input.priority === null || input.priority === ''
+    ? DEFAULT_PRIORITY : Number(input.priority);
+  if (!Number.isInteger(priority) || priority < 0) return { rule: null, error: 'priority must be a non-negative integer' };
+
+  const markupType = String(input.markup_type || '').toUpperCase();
+  if (!MARKUP_TYPES.includes(markupType)) return { rule: null, error: `markup_type must be one of ${MARKUP_TYPES.join(', ')}` };
+  const markup = optionalAmount(input.markup_value, 'markup_value');
+  if (markup.error || markup.value === null) return { rule: null, error: markup.error || 'markup_value is required' };
+
+  const min = optionalAmount(input.min_margin, 'min_margin');
+  if (min.error) return { rule: null, error: min.error };
+  const max = optionalAmount(input.max_margin, 'max_margin');
+  if (max.error) return { rule: null, error: max.error };
+  if (min.value !== null && max.value !== null && min.value > max.value) {
+    return { rule: null, error: 'min_margin must not exceed max_margin' };
+  }
+
+  const currency = String(input.currency || 'USD').toUpperCase();
+  if (!isCurrency(currency)) return { rule: null, error: 'currency must be a 3-letter code (e.g. USD)' };
+
+  const criteria = {};
+  for (const key of CRITERIA) {
+    const raw = input[key];
+    criteria[key] = raw === undefined || raw === null || String(raw).trim() === '' ? null : String(raw).trim();
+  }
+  if (criteria.source) {
+    criteria.source = criteria.source.toUpperCase();
+    if (!MARGIN_SOURCES.includes(criteria.source)) {
+      return { rule: null, error: `source must be one of ${MARGIN_SOURCES.join(', ')}` };
+    }
+  }
+  if (criteria.container_type) criteria.container_type = criteria.container_type.toUpperCase();
+
+  return {
+    rule: {
+      name,
+      priority,
+      ...criteria,
+      markup_type: markupType,
+      markup_value: markup.value,
+      min_margin: min.value,
+      max_margin: max.value,
+      currency,
+      active: input.active === undefined ? 1 : (input.active === false || input.active === 0 || input.active === 'false' ? 0 : 1),
+    },
+    error: null,
+  };
+}
+
+// ─── Storage ───────────────────────────────────────────────────────────
+const ORDER_BY = `ORDER BY priority ASC, id ASC`;
+
+function listMarginRules({ active } = {}) {
+  let sql = `SELECT * FROM margin_rules WHERE 1=1`;
+  const params = [];
+  if (active !== undefined) {
+    sql += ` AND active = ?`;
+    params.push(active ? 1 : 0);
+  }
+  sql += ` ${ORDER_BY}`;
+  return getDb().prepare(sql).all(...params);
+}
+
+function getMarginRule(id) {
+  return getDb().prepare(`SELECT * FROM margin_rules WHERE id = ?`).get(id) || null;
+}
+
+const COLUMNS = ['name', 'priority', ...CRITERIA, 'markup_type', 'markup_value', 'min_margin', 'max_margin', 'currency', 'active'];
+
+function createMarginRule(rule, actor) {
+  const id = getDb().prepare(`
+    INSERT INTO margin_rules (${COLUMNS.join(', ')}, created_by, updated_by)
+    VALUES (${COLUMNS.map(() => '?').join(', ')}, ?, ?)
+  `).run(...COLUMNS.map((c) => rule[c]), actor, actor).lastInsertRowid;
+  console.log(`[Margins] Rule #${id} "${rule.name}" created by ${actor}`);
+  return getMarginRule(id);
+}
+
+/**
+ * Apply a partial change to a stored rule
+ * @returns {{ rule?: Object, error?: { status: string, message: string } }}
+ */
+function updateMarginRule(id, input, actor) {
+  const existing = getMarginRule(id);
+  if (!existing) return { error: { status: 'NOT_FOUND', message: 'Margin rule not found' } };
+
+  const { rule, error } = normalizeMarginRule({ ...existing, ...input });
+  if (error) return { error: { status: 'INVALID_REQUEST', message: error } };
+
+  getDb().prepare(`
+    UPDATE margin_rules SET ${COLUMNS.map((c) => `${c}=?`).join(', ')}, updated_by=?, updated_at=datetime('now')
+    WHERE id=?
+  `).run(...COLUMNS.map((c) => rule[c]), actor, id);
+  console.log(`[Margins] Rule #${id} "${rule.name}" updated by ${actor}`);
+  return { rule: getMarginRule(id) };
+}
+
+// ─── Resolution ────────────────────────────────────────────────────────
+function criteriaSet(rule) {
+  return CRITERIA.filter((key) => rule[key] != null);
+}
+
+function matches(rule, row, context) {
+  return criteriaSet(rule).every((key) => same(rule[key], key === 'customer_tier' ? context.customer_tier : row[key]));
+}
+
+/**
+ * Pick the one rule that applies to a row
+ * @param {Object[]} rules - active rules
+ * @param {Object} row - pricing row
+ * @param {{ customer_tier?: string }} context
+ * @returns {{ rule: Object|null, overridden: Object[] }}
+ */
+function resolveMarginRule(rules, row, context = {}) {
+  const candidates = rules
+    .filter((rule) => rule.active && matches(rule, row, context))
+    .sort((a, b) => a.priority - b.priority
+      || criteriaSet(b).length - criteriaSet(a).length
+      || a.id - b.id);
+  return { rule: candidates[0] || null, overridden: candidates.slice(1) };
+}
+
+function describeRule(rule) {
+  const criteria = criteriaSet(rule).map((key) => `${key}=${rule[key]}`);
+  const markup = rule.markup_type === 'PERCENT'
+    ? `${rule.markup_value}%`
+    : `${rule.currency} ${rule.markup_value} per container`;
+  return `rule #${rule.id} "${rule.name}" (priority ${rule.priority}; ${criteria.length ? criteria.join(', ') : 'matches all rates'}) adds ${markup}`;
+}
+
+/**
+ * Margin for one row under its rule
+ * @returns {{ margin: number|null, notes: string[] }}
+ */
+function computeMargin(rule, buy, row, converter) {
+  const rowCurrency = String(row.currency || 'USD').toUpperCase();
+  const inRowCurrency = (amount) => converter.convert(amount, rule.currency, rowCurrency, row.created_at);
+  const notes = [];
+
+  let margin;
+  if (rule.markup_type === 'PERCENT') {
+    margin = round2(buy * rule.markup_value / 100);
+  } else {
+    margin = inRowCurrency(rule.markup_value);
+    if (margin == null) return { margin: null, notes: [`no FX rate from ${rule.currency} to ${rowCurrency}`] };
+  }
+
+  if (rule.min_margin != null) {
+    const floor = inRowCurrency(rule.min_margin);
+    if (floor == null) return { margin: null, notes: [`no FX rate from ${rule.currency} to ${rowCurrency}`] };
+    if (margin < floor) {
+      notes.push(`raised to the min_margin floor of ${rowCurrency} ${floor}`);
+      margin = floor;
+    }
+  }
+  if (rule.max_margin != null) {
+    const cap = inRowCurrency(rule.max_margin);
+    if (cap == null) return { margin: null, notes: [`no FX rate from ${rule.currency} to ${rowCurrency}`] };
+    if (margin > cap) {
+      notes.push(`capped at the max_margin of ${rowCurrency} ${cap}`);
+      margin = cap;
+    }
+  }
+  return { margin, notes };
+}
+
+/**
+ * Add sell prices to pricing rows:
+ *   sell_total, sell_currency, margin_amount, margin_pct, margin_rule_id,
+ *   margin_rule_name, margin_explanation (+ normalized_sell_total when the
+ *   rows carry fx_rate from fx.normalizeTotals)
+ * Rows without a matching rule sell at the buy price; sell_total is null
+ * when the buy price or an FX rate is missing.
+ * @param {Object[]} rows
+ * @param {{ customer_tier?: string }} context
+ */
+function applyMargins(rows, context = {}) {
+  const rules = listMarginRules({ active: true });
+  const converter = createConverter();
+
+  return rows.map((row) => {
+    const buy = row.total_price != null ? row.total_price : row.price;
+    const { rule, overridden } = resolveMarginRule(rules, row, context);
+    const sell = {
+      sell_currency: row.currency || 'USD',
+      sell_total: null,
+      margin_amount: null,
+      margin_pct: null,
+      margin_rule_id: rule ? rule.id : null,
+      margin_rule_name: rule ? rule.name : null,
+      margin_explanation: null,
+    };
+
+    if (buy == null) {
+      sell.margin_explanation = 'No buy price on this rate; sell price not computed.';
+    } else if (!rule) {
+      sell.sell_total = buy;
+      sell.margin_amount = 0;
+      sell.margin_pct = 0;
+      sell.margin_explanation = 'No margin rule matched; sell price equals buy price.';
+    } else {
+      const { margin, notes } = computeMargin(rule, buy, row, converter);
+      const parts = [`Applied ${describeRule(rule)}`];
+      if (margin == null) {
+        parts.push(`sell price not computed: ${notes.join('; ')}`);
+      } else {
+        sell.margin_amount = margin;
+        sell.sell_total = round2(buy + margin);
+        sell.margin_pct = buy ? round2((margin / buy) * 100) : null;
+        parts.push(...notes);
+      }
+      if (overridden.length) {
+        parts.push(`took precedence over rule${overridden.length > 1 ? 's' : ''} ${overridden.map((r) => `#${r.id}`).join(', ')}`);
+      }
+      sell.margin_explanation = `${parts.join('; ')}.`;
+    }
+
+    if (row.fx_rate != null && sell.sell_total != null) {
+      sell.normalized_sell_total = round2(sell.sell_total * row.fx_rate);
+    }
+    return { ...row, ...sell };
+  });
+}
+
+module.exports = {
+  normalizeMarginRule,
+  listMarginRules,
+  getMarginRule,
+  createMarginRule,
+  updateMarginRule,
+  resolveMarginRule,
+  applyMargins,
+  MARKUP_TYPES,
+  MARGIN_SOURCES,
+  DEFAULT_PRIORITY,
+};
@@ -0,0 +1,115 @@
+/**
+ * Pricing history events
+ *
+ * Writes pricing_history rows that carry the whole pricing row (with its
+ * charge lines) before and after the change as JSON, so an event can be
+ * read back without the live row, and turns a row's events into a
+ * field-by-field timeline. Events written before the snapshots existed only
+ * have price / currency / source and are returned with full_snapshot false
+ * and no field changes.
+ *
+ * Functions:
+ *  - snapshotRate(id)            → Row + charges as stored now (deleted rows included), or null
+ *  - recordPricingEvent(event)   → Insert one history row
+ *  - diffSnapshots(before, after) → [{ field, before, after }] for the fields that changed
+ *  - getPricingTimeline(id)      → Events of one rate, oldest first, or null
+ */
+
+const { getDb } = require('../db/database');
+const { getChargesByPricingIds } = require('./charges');
+
+function snapshotRate(id) {
+  const row = getDb().prepare(`SELECT * FROM pricing WHERE id = ?`).get(id);
+  if (!row) return null;
+  return { ...row, charges: getChargesByPricingIds([row.id]).get(row.id) };
+}
+
+/**
+ * @param {Object} event
+ * @param {string} event.action - MANUAL_CREATE, MANUAL_EDIT, MANUAL_DELETE, ...
+ * @param {string} event.actor
+ * @param {string} event.reason
+ * @param {Object|null} event.before - snapshotRate() before the change (null on create)
+ * @param {Object|null} event.after - snapshotRate() after the change
+ * @param {string} [event.batchId] - pricing_batches id when the change is part of a batch (sheet import)
+ */
+function recordPricingEvent({ action, actor, reason, before, after, batchId = null }) {
+  const rate = after || before;
+  getDb().prepare(`
+    INSERT INTO pricing_history (
+      pricing_id, from_port, to_port, container_type, incoterm, price, currency, source, snapshot_id,
+      action, actor, reason, before_json, after_json, batch_id
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    rate.id, rate.from_port, rate.to_port, rate.container_type, rate.incoterm,
+    rate.total_price, rate.currency, rate.source, rate.snapshot_id,
+    action, actor, reason,
+    before ? JSON.stringify(before) : null, after ? JSON.stringify(after) : null,
+    batchId
+  );
+}
+
+// ─── Timeline ──────────────────────────────────────────────────────────
+// Bookkeeping columns left out of diffs; charges are compared as lines below
+const IGNORED_FIELDS = ['id', 'updated_at', 'charges'];
+
+const sameValue = (a, b) => JSON.stringify(a == null ? null : a) === JSON.stringify(b == null ? null : b);
+
+// Line ids change whenever the lines are rewritten, so lines compare by content
+function chargeLines(snapshot) {
+  return ((snapshot && snapshot.charges) || [])
+    .map((c) => `${c.code || c.description} ${c.amount} ${c.currency} ${c.basis}`);
+}
+
+function diffSnapshots(before, after) {
+  const b = before || {};
+  const a = after || {};
+  const fields = [...new Set([...Object.keys(b), ...Object.keys(a)])].filter((f) => !IGNORED_FIELDS.includes(f));
+  const changes = fields
+    .filter((f) => !sameValue(b[f], a[f]))
+    .map((f) => ({ field: f, before: b[f] == null ? null : b[f], after: a[f] == null ? null : a[f] }));
+
+  const linesBefore = chargeLines(before);
+  const linesAfter = chargeLines(after);
+  if (!sameValue(linesBefore, linesAfter)) changes.push({ field: 'charges', before: linesBefore, after: linesAfter });
+  return changes;
+}
+
+/**
+ * @param {number} id - pricing id
+ * @returns {Object[]|null} null when the rate never existed
+ */
+function getPricingTimeline(id) {
+  const events = getDb().prepare(`
+    SELECT * FROM pricing_history WHERE pricing_id = ? ORDER BY created_at ASC, id ASC
+  `).all(id);
+  if (!events.length && !snapshotRate(id)) return null;
+
+  return events.map((event) => {
+    const fullSnapshot = event.before_json != null || event.after_json != null;
+    return {
+      id: event.id,
+      pricing_id: event.pricing_id,
+      action: event.action,
+      actor: event.actor,
+      reason: event.reason,
+      snapshot_id: event.snapshot_id,
+      batch_id: event.batch_id,
+      created_at: event.created_at,
+      price: event.price,
+      currency: event.currency,
+      source: event.source,
+      full_snapshot: fullSnapshot,
+      changes: fullSnapshot
+        ? diffSnapshots(JSON.parse(event.before_json || 'null'), JSON.parse(event.after_json || 'null'))
+        : [],
+    };
+  });
+}
+
+module.exports = {
+  snapshotRate,
+  recordPricingEvent,
+  diffSnapshots,
+  getPricingTimeline,
+};
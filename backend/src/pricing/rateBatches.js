@@ -0,0 +1,278 @@
+/**
+ * Pricing batches
+ *
+ * Every write that adds pricing rows runs under a pricing_batches entry, and
+ * the rows (pricing.batch_id) and their pricing_history events carry its
+ * id:
+ *  - IMPORT       one per committed rate sheet (pricing/rateImport.js)
+ *  - MANUAL       one per rate entered by hand
+ *  - AGENT_ACCEPT / OPS_APPROVE / OPS_EDIT_APPROVE  one per accepted scrape result
+ *  - AUTO_ACCEPT  one per scrape batch (scrape_jobs.batch_id), or per job
+ *                 when it was queued on its own
+ *  - ROLLBACK     one per rollback, pointing at the batch it undid
+ *
+ * A rollback puts every row the batch touched back the way it was before
+ * the batch's first event: rows the batch created are soft-deleted, rows it
+ * changed get their earlier fields and charge lines back. A row changed
+ * again after the batch is a conflict and is only left out when the caller
+ * asks for it. Each restored row gets a ROLLBACK pricing_history event under
+ * a new ROLLBACK batch, so rolling that batch back undoes the rollback.
+ *
+ * Functions:
+ *  - createBatch(batch)                         → New batch id
+ *  - batchForAccept(job, action, actor, reason) → Batch id for a scrape result being accepted
+ *  - listPricingBatches(opts)                   → Recent batches, newest first
+ *  - getPricingBatch(id)                        → Batch with its event count, or null
+ *  - planRollback(id)                           → { plan } (dry run) or { error }
+ *  - rollbackBatch(id, opts)                    → { plan } (with rollback_batch_id) or { error }
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('../db/database');
+const { saveCharges } = require('./charges');
+const { snapshotRate, recordPricingEvent, diffSnapshots } = require('./pricingHistory');
+
+const BATCH_KINDS = ['IMPORT', 'MANUAL', 'AGENT_ACCEPT', 'AUTO_ACCEPT', 'OPS_APPROVE', 'OPS_EDIT_APPROVE', 'ROLLBACK'];
+// Snapshot keys that are not written back on restore
+const KEPT_FIELDS = ['id', 'charges', 'created_at', 'updated_at'];
+
+/**
+ * @param {Object} batch
+ * @param {string} batch.kind - one of BATCH_KINDS
+ * @param {string} batch.actor
+ * @param {string} [batch.reason]
+ * @param {number} [batch.rowCount] - pricing rows written under the batch
+ * @returns {string} batch id
+ */
+function createBatch({
+  kind, actor, reason = null, filename = null, profile = null, rowCount = 0, summary = null,
+  scrapeJobId = null, scrapeBatchId = null, rollbackOf = null,
+}) {
+  const id = uuidv4();
+  getDb().prepare(`
+    INSERT INTO pricing_batches (
+      id, kind, actor, reason, filename, profile, row_count, summary_json, scrape_job_id, scrape_batch_id, rollback_of
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    id, kind, actor, reason, filename, profile, rowCount, summary ? JSON.stringify(summary) : null,
+    scrapeJobId, scrapeBatchId, rollbackOf
+  );
+  return id;
+}
+
+/**
+ * Auto-accepts of one scrape batch share a pricing batch, so a bad refresh
+ * rolls back as a unit; any other accept gets a batch of its own
+ * @param {Object} job - scrape_jobs row
+ * @param {string} action - AUTO_ACCEPT, AGENT_ACCEPT, OPS_APPROVE, OPS_EDIT_APPROVE
+ * @returns {string} batch id
+ */
+function batchForAccept(job, action, actor, reason) {
+  const db = getDb();
+  if (action === 'AUTO_ACCEPT' && job.batch_id) {
+    const open = db.prepare(`
+      SELECT id FROM pricing_batches
+      WHERE kind = 'AUTO_ACCEPT' AND scrape_batch_id = ? AND rolled_back_at IS NULL
+    `).get(job.batch_id);
+    if (open) {
+      db.prepare(`UPDATE pricing_batches SET row_count = row_count + 1 WHERE id = ?`).run(open.id);
+      return open.id;
+    }
+    return createBatch({
+      kind: action, actor, reason: `Auto-accepts of scrape batch ${job.batch_id}`, rowCount: 1,
+      scrapeBatchId: job.batch_id,
+    });
+  }
+  return createBatch({ kind: action, actor, reason, rowCount: 1, scrapeJobId: job.id, scrapeBatchId: job.batch_id || null });
+}
+
+// ─── Reads ─────────────────────────────────────────────────────────────
+const BATCH_SELECT = `
+  SELECT b.*, (SELECT COUNT(*) FROM pricing_history h WHERE h.batch_id = b.id) AS event_count
+  FROM pricing_batches b`;
+
+function formatBatch(row) {
+  const { summary_json: summaryJson, ...batch } = row;
+  return { ...batch, summary: summaryJson ? JSON.parse(summaryJson) : null };
+}
+
+/**
+ * @param {{ kind?: string, limit?: number }} opts
+ * @returns {Object[]}
+ */
+function listPricingBatches({ kind, limit = 50 } = {}) {
+  const rows = kind
+    ? getDb().prepare(`${BATCH_SELECT} WHERE b.kind = ? ORDER BY b.created_at DESC LIMIT ?`).all(kind, limit)
+    : getDb().prepare(`${BATCH_SELECT} ORDER BY b.created_at DESC LIMIT ?`).all(limit);
+  return rows.map(formatBatch);
+}
+
+function getPricingBatch(id) {
+  const row = getDb().prepare(`${BATCH_SELECT} WHERE b.id = ?`).get(id);
+  return row ? formatBatch(row) : null;
+}
+
+// ─── Rollback ──────────────────────────────────────────────────────────
+/**
+ * One entry per pricing row the batch touched:
+ *  action DELETE (the batch created it) or RESTORE (the batch changed it),
+ *  status READY, NOOP (already in that state) or CONFLICT (changed since)
+ */
+function rollbackEntries(batchId) {
+  const events = getDb().prepare(`
+    SELECT * FROM pricing_history WHERE batch_id = ? ORDER BY id ASC
+  `).all(batchId);
+
+  const byRate = new Map();
+  for (const event of events) {
+    if (event.before_json == null && event.after_json == null) continue;
+    const touched = byRate.get(event.pricing_id);
+    if (touched) touched.last = event;
+    else byRate.set(event.pricing_id, { first: event, last: event });
+  }
+
+  return [...byRate].map(([pricingId, { first, last }]) => {
+    const original = JSON.parse(first.before_json || 'null');
+    const written = JSON.parse(last.after_json || 'null');
+    const current = snapshotRate(pricingId);
+    const entry = {
+      pricing_id: pricingId,
+      action: original ? 'RESTORE' : 'DELETE',
+      lane: current ? `${current.from_port} → ${current.to_port} ${current.container_type}` : null,
+      status: 'READY',
+      changes: [],
+    };
+
+    if (!current) return { ...entry, status: 'NOOP', note: 'Rate no longer exists' };
+    if (!original && current.deleted_at) return { ...entry, status: 'NOOP', note: 'Already deleted' };
+
+    const changedSince = diffSnapshots(written, current);
+    if (changedSince.length) {
+      return {
+        ...entry,
+        status: 'CONFLICT',
+        note: `Changed after the batch: ${changedSince.map((c) => c.field).join(', ')}`,
+      };
+    }
+
+    if (!original) return { ...entry, changes: [{ field: 'deleted_at', before: null, after: 'now' }] };
+    const changes = diffSnapshots(current, original);
+    return changes.length
+      ? { ...entry, changes, target: original }
+      : { ...entry, status: 'NOOP', note: 'Already in its earlier state' };
+  });
+}
+
+function summarize(entries) {
+  const count = (status) => entries.filter((e) => e.status === status).length;
+  return {
+    delete: entries.filter((e) => e.status === 'READY' && e.action === 'DELETE').length,
+    restore: entries.filter((e) => e.status === 'READY' && e.action === 'RESTORE').length,
+    noop: count('NOOP'),
+    conflict: count('CONFLICT'),
+  };
+}
+
+// The dry-run report and the entries it was built from (with restore snapshots)
+function buildRollback(id) {
+  const batch = getPricingBatch(id);
+  if (!batch) return { error: { status: 'NOT_FOUND', message: 'Batch not found' } };
+  if (batch.rolled_back_at) {
+    return {
+      error: {
+        status: 'CONFLICT',
+        message: `Batch was already rolled back at ${batch.rolled_back_at} by ${batch.rolled_back_by} (batch ${batch.rollback_batch_id})`,
+      },
+    };
+  }
+
+  const entries = rollbackEntries(id);
+  const report = {
+    batch,
+    dry_run: true,
+    summary: summarize(entries),
+    rows: entries.map(({ target, ...entry }) => entry),
+  };
+  return { report, entries };
+}
+
+/**
+ * @param {string} id - pricing_batches id
+ * @returns {{ plan?: Object, error?: { status: string, message: string } }}
+ */
+function planRollback(id) {
+  const { report, error } = buildRollback(id);
+  return error ? { error } : { plan: report };
+}
+
+function restoreSnapshot(pricingId, snapshot) {
+  const fields = Object.keys(snapshot).filter((f) => !KEPT_FIELDS.includes(f));
+  getDb().prepare(`
+    UPDATE pricing SET ${fields.map((f) => `${f}=?`).join(', ')}, updated_at=datetime('now') WHERE id=?
+  `).run(...fields.map((f) => snapshot[f]), pricingId);
+  saveCharges(pricingId, snapshot.charges || []);
+}
+
+/**
+ * @param {string} id - pricing_batches id
+ * @param {{ actor: string, reason?: string, skipConflicts?: boolean }} opts
+ * @returns {{ plan?: Object, error?: Object }} error.plan holds the dry run when rows conflict
+ */
+function rollbackBatch(id, { actor, reason, skipConflicts = false }) {
+  const { report, entries, error } = buildRollback(id);
+  if (error) return { error };
+
+  if (report.summary.conflict && !skipConflicts) {
+    return {
+      error: {
+        status: 'CONFLICT',
+        message: `${report.summary.conflict} rate(s) changed after the batch; set skip_conflicts to roll back the rest`,
+        plan: report,
+      },
+    };
+  }
+
+  const db = getDb();
+  const ready = entries.filter((e) => e.status === 'READY');
+  const why = reason || `Rollback of ${report.batch.kind} batch ${id}`;
+  const rollbackId = createBatch({
+    kind: 'ROLLBACK', actor, reason: why, rowCount: ready.length, summary: report.summary, rollbackOf: id,
+  });
+
+  for (const entry of ready) {
+    const before = snapshotRate(entry.pricing_id);
+    if (entry.action === 'DELETE') {
+      db.prepare(`
+        UPDATE pricing SET deleted_at=datetime('now'), deleted_by=?, updated_at=datetime('now') WHERE id=?
+      `).run(actor, entry.pricing_id);
+    } else {
+      restoreSnapshot(entry.pricing_id, entry.target);
+    }
+    recordPricingEvent({
+      action: 'ROLLBACK', actor, reason: why, before, after: snapshotRate(entry.pricing_id), batchId: rollbackId,
+    });
+  }
+
+  db.prepare(`
+    UPDATE pricing_batches SET rolled_back_at=datetime('now'), rolled_back_by=?, rollback_batch_id=? WHERE id=?
+  `).run(actor, rollbackId, id);
+  // Undoing a rollback makes the batch it undid live again
+  if (report.batch.rollback_of) {
+    db.prepare(`
+      UPDATE pricing_batches SET rolled_back_at=NULL, rolled_back_by=NULL, rollback_batch_id=NULL WHERE id=?
+    `).run(report.batch.rollback_of);
+  }
+
+  console.log(`[Batches] ${report.batch.kind} batch ${id} rolled back by ${actor}: ${report.summary.delete} deleted, ${report.summary.restore} restored, ${report.summary.conflict} skipped`);
+  return { plan: { ...report, batch: getPricingBatch(id), dry_run: false, rollback_batch_id: rollbackId } };
+}
+
+module.exports = {
+  createBatch,
+  batchForAccept,
+  listPricingBatches,
+  getPricingBatch,
+  planRollback,
+  rollbackBatch,
+  BATCH_KINDS,
+};
@@ -0,0 +1,140 @@
+/**
+ * Rates export
+ *
+ * Streams the pricing rows behind the rates table as CSV, XLSX or JSON.
+ * Rows are read a page at a time (EXPORT_PAGE_SIZE, in the order GET
+ * /api/pricing lists them) and written out before the next page is read, so
+ * an export never holds the whole table. A page is a complete query rather
+ * than an open cursor because every database write (sql.js export) frees
+ * open statements. FX totals (?currency=) and sell prices (?view=sell) are
+ * added per page the same way GET /api/pricing adds them.
+ *
+ * Functions:
+ *  - resolveExportColumns(list, opts) → { columns } or { error }
+ *  - exportChunks(format, query, opts) → Async iterable of output chunks
+ */
+
+const { getDb } = require('../db/database');
+const { getChargesByPricingIds, BREAKDOWN_COLUMNS } = require('./charges');
+const { createConverter, normalizeTotals } = require('./fx');
+const { applyMargins } = require('./marginRules');
+const { formatCsvRow, xlsxChunks } = require('./sheets');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+const EXPORT_PAGE_SIZE = 500;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8',
+};
+
+const RATE_COLUMNS = [
+  'id', 'month_label', 'from_port', 'destination_country', 'to_port', 'container_type', 'incoterm',
+  'origin_inland', 'destination_inland', 'carrier', 'service_type',
+  ...BREAKDOWN_COLUMNS, 'total_price', 'currency', 'transit_days', 'valid_until',
+  'source', 'confidence_score', 'snapshot_id', 'batch_id', 'effective_from', 'effective_to', 'superseded_by',
+  'created_at', 'updated_at',
+];
+const FX_COLUMNS = ['normalized_total', 'normalized_currency', 'fx_rate', 'fx_rate_date'];
+const SELL_COLUMNS = ['sell_total', 'sell_currency', 'margin_amount', 'margin_pct', 'margin_rule_name'];
+
+// The rates table columns
+const DEFAULT_COLUMNS = [
+  'id', 'month_label', 'from_port', 'destination_country', 'to_port', 'container_type', 'carrier',
+  ...BREAKDOWN_COLUMNS, 'total_price', 'currency', 'transit_days', 'valid_until', 'source',
+];
+
+/**
+ * @param {string|string[]} [list] - comma-separated column names; DEFAULT_COLUMNS when empty
+ * @param {{ currency?: string, view?: string }} opts - FX / sell columns need the matching view
+ * @returns {{ columns?: string[], error?: string }}
+ */
+function resolveExportColumns(list, { currency, view } = {}) {
+  const names = (Array.isArray(list) ? list.join(',') : String(list || ''))
+    .split(',').map((c) => c.trim()).filter(Boolean);
+  if (!names.length) return { columns: DEFAULT_COLUMNS };
+
+  const allowed = [...RATE_COLUMNS, 'charges', ...FX_COLUMNS, ...SELL_COLUMNS];
+  const unknown = names.filter((c) => !allowed.includes(c));
+  if (unknown.length) return { error: `Unknown columns: ${unknown.join(', ')} (allowed: ${allowed.join(', ')})` };
+  if (!currency && names.some((c) => FX_COLUMNS.includes(c))) {
+    return { error: `${FX_COLUMNS.join(', ')} need ?currency=` };
+  }
+  if (view !== 'sell' && names.some((c) => SELL_COLUMNS.includes(c))) {
+    return { error: `${SELL_COLUMNS.join(', ')} need ?view=sell` };
+  }
+  return { columns: [...new Set(names)] };
+}
+
+/**
+ * Matching rows with charges and the requested views, a page at a time
+ * @param {{ where: string, params: Array }} query - filter built by the route
+ */
+async function* rowPages(query, { currency, view, tier }) {
+  const converter = currency ? createConverter() : null;
+  const select = getDb().prepare(`
+    SELECT * FROM pricing WHERE ${query.where}
+    ORDER BY month_label DESC, from_port, to_port, id
+    LIMIT ? OFFSET ?
+  `);
+  for (let offset = 0; ; offset += EXPORT_PAGE_SIZE) {
+    let rows = select.all(...query.params, EXPORT_PAGE_SIZE, offset);
+    if (!rows.length) return;
+    if (currency) rows = normalizeTotals(rows, currency, converter);
+    if (view === 'sell') rows = applyMargins(rows, { customer_tier: tier });
+    const charges = getChargesByPricingIds(rows.map((r) => r.id));
+    yield rows.map((r) => ({ ...r, charges: charges.get(r.id) || [] }));
+    if (rows.length < EXPORT_PAGE_SIZE) return;
+    // Let the response drain before the next page is read
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+}
+
+// Flat files get the charge lines as one cell
+const chargesCell = (charges) => charges
+  .map((c) => `${c.code || c.description} ${c.amount} ${c.currency}`).join('; ');
+
+function cellValues(row, columns) {
+  return columns.map((col) => (col === 'charges' ? chargesCell(row.charges) : row[col] ?? null));
+}
+
+/**
+ * @param {string} format - csv | xlsx | json
+ * @param {{ where: string, params: Array }} query
+ * @param {{ columns: string[], currency?: string, view?: string, tier?: string }} opts
+ * @returns {AsyncIterable<string|Buffer>}
+ */
+function exportChunks(format, query, opts) {
+  const { columns } = opts;
+  const pages = rowPages(query, opts);
+
+  if (format === 'xlsx') {
+    return xlsxChunks(columns, (async function* () {
+      for await (const rows of pages) yield rows.map((row) => cellValues(row, columns));
+    })());
+  }
+
+  return (async function* () {
+    if (format === 'csv') {
+      yield formatCsvRow(columns);
+      for await (const rows of pages) yield rows.map((row) => formatCsvRow(cellValues(row, columns))).join('');
+      return;
+    }
+    let first = true;
+    yield '[';
+    for await (const rows of pages) {
+      const items = rows.map((row) => JSON.stringify(Object.fromEntries(columns.map((col) => [col, row[col] ?? null]))));
+      yield `${first ? '' : ','}\n${items.join(',\n')}`;
+      first = false;
+    }
+    yield '\n]\n';
+  })();
+}
+
+module.exports = {
+  resolveExportColumns,
+  exportChunks,
+  EXPORT_FORMATS,
+  CONTENT_TYPES,
+};
@@ -0,0 +1,436 @@
+/**
+ * Rate sheet import
+ *
+ * Loads the monthly rate sheets carriers and NVOCCs send (CSV or XLSX) as
+ * SHEET rates. A column-mapping profile (import_profiles in
+ * pricing-config.yml, or one sent with the request) says which sheet header
+ * feeds which pricing field and fills fields the sheet has no column for.
+ * Port names go through port_aliases, so "SGSIN" or "Singapore, SG" land on
+ * the SINGAPORE the rest of pricing uses. Each row is then checked the way a
+ * manual rate is (manualRates.prepareRate: field checks and the scrape
+ * validator).
+ *
+ * Every data row is reported as NEW, UPDATED (the current SHEET version of
+ * the rate, pricing/rateVersions.js, differs), UNCHANGED or REJECTED with
+ * its reasons. An update is a new version with the sheet's amounts; other
+ * fields the sheet leaves empty keep the current version's value. A written
+ * row supersedes the current version of its rate whatever its source, and
+ * the report lists those ids (supersedes). planImport() only reports.
+ *
+ * Amounts are read with the profile's decimal / thousands separators. A
+ * profile without them reads each cell on its own: "1,250.00" and
+ * "1.250,00" are both 1250, "95,50" is 95.5, and a cell whose only
+ * separator is followed by three digits ("2.330") is rejected as ambiguous.
+ * commitImport() writes the NEW and UPDATED rows under one IMPORT
+ * pricing_batches entry; each write is a pricing_history event
+ * (IMPORT_CREATE / IMPORT_UPDATE) carrying the batch id, so a sheet can be
+ * traced and rolled back as a unit (pricing/rateBatches.js). A sheet with
+ * rejected rows is only committed when the caller asks to skip them.
+ *
+ * Functions:
+ *  - resolveProfile(name, mapping) → { profile } or { error }
+ *  - resolvePort(value)            → Port name as stored in pricing, or null
+ *  - parseAmount(value, separators) → { amount } or { error } for one sheet cell
+ *  - planImport(file, opts)        → { report } or { error }
+ *  - commitImport(file, opts)      → { report } (with batch_id) or { error }
+ */
+
+const { getDb } = require('../db/database');
+const { getImportProfile, getPricingConfig } = require('../config/pricingConfig');
+const { readSheet, detectSheetFormat, SHEET_FORMATS } = require('./sheets');
+const { saveCharges, BREAKDOWN_COLUMNS } = require('./charges');
+const { prepareRate, EDITABLE_FIELDS, STORED_FIELDS } = require('./manualRates');
+const { snapshotRate, recordPricingEvent, diffSnapshots } = require('./pricingHistory');
+const { createBatch } = require('./rateBatches');
+const { findCurrentVersions, activateRate } = require('./rateVersions');
+
+const DEFAULT_PROFILE = 'default';
+const IMPORT_FIELDS = EDITABLE_FIELDS.filter((f) => f !== 'charges');
+// Every sheet row goes through several writes, each of which saves the database file
+const MAX_IMPORT_ROWS = 2000;
+
+// Container names seen on carrier sheets, keyed without spaces, quotes or dashes
+const CONTAINER_ALIASES = {
+  20: '20FT', '20DRY': '20FT', '20DV': '20FT', '20GP': '20FT',
+  40: '40FT', '40DRY': '40FT', '40DV': '40FT', '40GP': '40FT',
+  '40HQ': '40HC', '40HIGHCUBE': '40HC', '40HIGHCUBEDRY': '40HC', '40HCDRY': '40HC',
+  45: '45FT', '45HC': '45FT', '45HIGHCUBE': '45FT', '45HIGHCUBEDRY': '45FT',
+  '40RF': 'REEFER', '40RH': 'REEFER', '40REEFER': 'REEFER', '40REEFERHIGHCUBE': 'REEFER',
+  '40OT': 'OOG', '40OPENTOP': 'OOG',
+};
+
+const DECIMAL_SEPARATORS = ['.', ','];
+const THOUSANDS_SEPARATORS = ['.', ',', ' ', "'"];
+
+const invalid = (message, extra = {}) => ({ error: { status: 'INVALID_REQUEST', message, ...extra } });
+
+// ─── Profiles ──────────────────────────────────────────────────────────
+const normalizeHeader = (h) => String(h).trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Named profile from the config, or a mapping sent with the request
+ * @param {string} [name]
+ * @param {Object} [mapping] - { columns, defaults?, delimiter?, decimal?, thousands? }, same shape as a config profile
+ * @returns {{ profile?: { name, columns: Object<string, string[]>, defaults, delimiter, decimal, thousands }, error?: Object }}
+ */
+function resolveProfile(name, mapping) {
+  const profileName = mapping ? 'custom' : (name || DEFAULT_PROFILE);
+  const source = mapping || getImportProfile(profileName);
+  if (!source) {
+    const known = Object.keys(getPricingConfig().import_profiles);
+    return invalid(`Unknown import profile "${profileName}"${known.length ? ` (known: ${known.join(', ')})` : ''}`);
+  }
+  if (typeof source !== 'object' || !source.columns || typeof source.columns !== 'object') {
+    return invalid('mapping.columns must be an object of field → sheet header(s)');
+  }
+
+  const columns = {};
+  for (const [field, headers] of Object.entries(source.columns)) {
+    if (!IMPORT_FIELDS.includes(field)) return invalid(`Profile "${profileName}" maps unknown field ${field}`);
+    const list = Array.isArray(headers) ? headers : [headers];
+    if (!list.length || !list.every((h) => typeof h === 'string' && h.trim())) {
+      return invalid(`Profile "${profileName}" needs header names for ${field}`);
+    }
+    columns[field] = list.map(normalizeHeader);
+  }
+  const defaults = source.defaults || {};
+  const unknown = Object.keys(defaults).filter((f) => !IMPORT_FIELDS.includes(f));
+  if (unknown.length) return invalid(`Profile "${profileName}" has defaults for unknown fields: ${unknown.join(', ')}`);
+
+  for (const field of ['from_port', 'to_port']) {
+    if (!columns[field] && defaults[field] == null) return invalid(`Profile "${profileName}" must map ${field}`);
+  }
+  if (!BREAKDOWN_COLUMNS.some((col) => columns[col])) {
+    return invalid(`Profile "${profileName}" must map at least one of ${BREAKDOWN_COLUMNS.join(', ')}`);
+  }
+
+  const { decimal = null, thousands = null } = source;
+  if (decimal != null && !DECIMAL_SEPARATORS.includes(decimal)) {
+    return invalid(`Profile "${profileName}" decimal must be one of ${DECIMAL_SEPARATORS.map((c) => `"${c}"`).join(', ')}`);
+  }
+  if (thousands != null && (!THOUSANDS_SEPARATORS.includes(thousands) || thousands === decimal)) {
+    return invalid(`Profile "${profileName}" thousands must be one of ${THOUSANDS_SEPARATORS.map((c) => `"${c}"`).join(', ')} and differ from decimal`);
+  }
+  return { profile: { name: profileName, columns, defaults, delimiter: source.delimiter, decimal, thousands } };
+}
+
+// ─── Cell values ───────────────────────────────────────────────────────
+/**
+ * Port name as the pricing table stores it: an alias as written, or the
+ * alias of a UN/LOCODE (preferring one rates already use)
+ * @returns {string|null} null when port_aliases doesn't know the port
+ */
+function resolvePort(value) {
+  const name = String(value).trim().replace(/\s+/g, ' ');
+  if (!name) return null;
+  const db = getDb();
+  const alias = db.prepare(`SELECT alias FROM port_aliases WHERE alias = ? COLLATE NOCASE`).get(name);
+  if (alias) return alias.alias.toUpperCase();
+
+  const byCode = db.prepare(`
+    SELECT a.alias FROM port_aliases a
+    WHERE a.un_locode = ? COLLATE NOCASE AND a.alias <> ''
+    ORDER BY EXISTS (SELECT 1 FROM pricing p WHERE p.from_port = a.alias OR p.to_port = a.alias) DESC, a.id
+  `).get(name.replace(/\s/g, ''));
+  if (byCode) return byCode.alias.toUpperCase();
+
+  // "Singapore, SG" / "Chennai (IN)"
+  const bare = name.replace(/\s*[,(].*$/, '');
+  return bare && bare !== name ? resolvePort(bare) : null;
+}
+
+function normalizeContainer(value) {
+  const text = String(value).trim().toUpperCase();
+  if (getPricingConfig().container_types.includes(text)) return text;
+  return CONTAINER_ALIASES[text.replace(/['’"\s-]/g, '')] || text;
+}
+
+// Decimal separator of a cell read without profile separators, or null when it could be either
+function inferDecimal(number) {
+  const lastDot = number.lastIndexOf('.');
+  const lastComma = number.lastIndexOf(',');
+  if (lastDot >= 0 && lastComma >= 0) return lastDot > lastComma ? '.' : ',';
+  const only = lastDot >= 0 ? '.' : ',';
+  const parts = number.split(only);
+  // "1.250.000": a repeated separator groups thousands
+  if (parts.length > 2) return only === '.' ? ',' : '.';
+  // "2.330" / "2,330"
+  if (parts[1].length === 3) return null;
+  return only;
+}
+
+/**
+ * "USD 1,250.00" → 1250; text without digits ("incl.", "N/A") is no charge
+ * @param {*} value - sheet cell
+ * @param {{ decimal?: string, thousands?: string }} separators - from the profile; inferred per cell when unset
+ * @returns {{ amount?: number|null, error?: string }}
+ */
+function parseAmount(value, { decimal = null, thousands = null } = {}) {
+  if (typeof value === 'number') return { amount: value };
+  const text = String(value).trim();
+  if (!/\d/.test(text)) return { amount: null };
+
+  // Currency codes or symbols around the number; spaces and apostrophes only group digits
+  const number = text.replace(/^[^\d.,-]+|[^\d.,]+$/g, '').replace(/[\s\u00a0']/g, '');
+  if (!/^-?\d[\d.,]*$/.test(number) && !/^-?[.,]\d+$/.test(number)) return { error: 'is not an amount' };
+  if (!/[.,]/.test(number)) return { amount: Number(number) };
+
+  const dec = decimal || inferDecimal(number);
+  if (!dec) return { error: 'is ambiguous: set decimal / thousands on the import profile' };
+  const sep = thousands || (dec === '.' ? ',' : '.');
+
+  const [whole, fraction, extra] = number.split(dec);
+  const groups = whole.replace(/^-/, '').split(sep);
+  const grouped = groups.length === 1 || (/^\d{1,3}$/.test(groups[0]) && groups.slice(1).every((g) => /^\d{3}$/.test(g)));
+  if (extra !== undefined || !grouped || (fraction !== undefined && !/^\d+$/.test(fraction))) {
+    return { error: `does not match the separators (decimal "${dec}", thousands "${sep}")` };
+  }
+  return { amount: Number(`${whole.split(sep).join('')}${fraction !== undefined ? `.${fraction}` : ''}`) };
+}
+
+function parseTransitDays(value) {
+  if (typeof value === 'number') return value;
+  const m = String(value).trim().match(/^(\d+)\s*(days?|d)?$/i);
+  return m ? Number(m[1]) : value;
+}
+
+// XLSX stores dates as days since 1899-12-30
+function parseSheetDate(value) {
+  if (typeof value !== 'number') return value;
+  return new Date(Date.UTC(1899, 11, 30) + Math.round(value * 86400000)).toISOString().slice(0, 10);
+}
+
+const isBlank = (v) => v === undefined || v === null || String(v).trim() === '';
+
+// ─── Planning ──────────────────────────────────────────────────────────
+function readRows(file, profile) {
+  const format = file.format ? String(file.format).toLowerCase() : detectSheetFormat(file.filename, file.content);
+  if (!SHEET_FORMATS.includes(format)) return invalid(`format must be one of ${SHEET_FORMATS.join(', ')}`);
+
+  let rows;
+  try {
+    rows = readSheet(file.content, format, { delimiter: profile.delimiter });
+  } catch (err) {
+    return invalid(`Could not read the ${format.toUpperCase()} file: ${err.message}`);
+  }
+
+  const headerIndex = rows.findIndex((r) => r.some((cell) => !isBlank(cell)));
+  if (headerIndex < 0) return invalid('The sheet is empty');
+  const headers = rows[headerIndex].map(normalizeHeader);
+
+  const columnOf = {};
+  for (const [field, names] of Object.entries(profile.columns)) {
+    const idx = headers.findIndex((h) => names.includes(h));
+    if (idx >= 0) columnOf[field] = idx;
+  }
+  for (const field of ['from_port', 'to_port']) {
+    if (columnOf[field] === undefined && profile.defaults[field] == null) {
+      return invalid(`No column for ${field} (looked for: ${(profile.columns[field] || []).join(', ')})`);
+    }
+  }
+  if (!BREAKDOWN_COLUMNS.some((col) => columnOf[col] !== undefined)) {
+    return invalid('No amount column found in the sheet header');
+  }
+
+  const data = rows
+    .map((cells, i) => ({ line: i + 1, cells }))
+    .slice(headerIndex + 1)
+    .filter(({ cells }) => cells.some((cell) => !isBlank(cell)));
+  if (data.length > MAX_IMPORT_ROWS) return invalid(`A sheet may have at most ${MAX_IMPORT_ROWS} rows (got ${data.length})`);
+  return { format, data, columnOf };
+}
+
+/**
+ * Turn one sheet row into manual-rate input
+ * @returns {{ input: Object, reasons: string[] }}
+ */
+function rowInput(cells, columnOf, profile, portCache) {
+  const { defaults } = profile;
+  const input = {};
+  for (const field of IMPORT_FIELDS) {
+    const cell = columnOf[field] !== undefined ? cells[columnOf[field]] : undefined;
+    if (!isBlank(cell)) input[field] = typeof cell === 'string' ? cell.trim() : cell;
+    else if (defaults[field] != null) input[field] = defaults[field];
+  }
+  const reasons = [];
+  // An amount left blank is no charge, also when updating a rate
+  for (const col of BREAKDOWN_COLUMNS) {
+    if (input[col] === undefined) {
+      input[col] = null;
+      continue;
+    }
+    const { amount, error } = parseAmount(input[col], profile);
+    if (error) reasons.push(`${col} "${input[col]}" ${error}`);
+    input[col] = error ? null : amount;
+  }
+  if (input.transit_days !== undefined) input.transit_days = parseTransitDays(input.transit_days);
+  if (input.valid_until !== undefined) input.valid_until = parseSheetDate(input.valid_until);
+  if (input.container_type !== undefined) input.container_type = normalizeContainer(input.container_type);
+
+  for (const field of ['from_port', 'to_port']) {
+    if (isBlank(input[field])) continue;
+    const raw = String(input[field]);
+    if (!portCache.has(raw)) portCache.set(raw, resolvePort(raw));
+    const port = portCache.get(raw);
+    if (port) input[field] = port;
+    else reasons.push(`${field} "${raw}" is not a known port (port_aliases)`);
+  }
+  return { input, reasons };
+}
+
+// Current SHEET version of the row's rate
+function findSheetRate(row) {
+  return findCurrentVersions(row).reverse().find((r) => r.source === 'SHEET') || null;
+}
+
+const rateSummary = (row) => ({
+  from_port: row.from_port,
+  to_port: row.to_port,
+  container_type: row.container_type,
+  carrier: row.carrier,
+  currency: row.currency,
+  total_price: row.total_price,
+  valid_until: row.valid_until,
+});
+
+/**
+ * Classify every data row; the write plan stays next to each report row
+ * @returns {{ plan?: Object, error?: Object }}
+ */
+function buildPlan(file, opts) {
+  const { profile, error: profileError } = resolveProfile(opts.profile, opts.mapping);
+  if (profileError) return { error: profileError };
+  const sheet = readRows(file, profile);
+  if (sheet.error) return { error: sheet.error };
+
+  const portCache = new Map();
+  const seen = new Map();
+  const entries = sheet.data.map(({ line, cells }) => {
+    const { input, reasons } = rowInput(cells, sheet.columnOf, profile, portCache);
+    const prepared = prepareRate(input, null);
+    if (prepared.error) reasons.push(...(prepared.error.issues || [prepared.error.message]));
+    if (reasons.length) {
+      return { report: { row: line, status: 'REJECTED', reasons } };
+    }
+
+    const { row, charges } = prepared;
+    const key = [row.from_port, row.to_port, row.container_type, row.incoterm, row.carrier || ''].join('|').toUpperCase();
+    if (seen.has(key)) {
+      return { report: { row: line, status: 'REJECTED', reasons: [`Same lane and carrier as row ${seen.get(key)}`], rate: rateSummary(row) } };
+    }
+    seen.set(key, line);
+
+    const match = findSheetRate(row);
+    if (!match) {
+      const supersedes = findCurrentVersions(row).map((r) => r.id);
+      return {
+        report: { row: line, status: 'NEW', rate: rateSummary(row), ...(supersedes.length ? { supersedes } : {}) },
+        write: { row, charges },
+      };
+    }
+
+    // Fields the sheet leaves empty keep their current value; amounts are always replaced
+    const existing = snapshotRate(match.id);
+    const updated = prepareRate(input, existing);
+    if (updated.error) {
+      return { report: { row: line, status: 'REJECTED', reasons: updated.error.issues || [updated.error.message], pricing_id: existing.id } };
+    }
+    const changes = diffSnapshots(existing, { ...existing, ...updated.row, charges: updated.charges });
+    if (!changes.length) {
+      return { report: { row: line, status: 'UNCHANGED', pricing_id: existing.id, rate: rateSummary(updated.row) } };
+    }
+    return {
+      report: {
+        row: line, status: 'UPDATED', rate: rateSummary(updated.row), changes,
+        supersedes: findCurrentVersions(updated.row).map((r) => r.id),
+      },
+      write: { row: updated.row, charges: updated.charges, existing },
+    };
+  });
+
+  const count = (status) => entries.filter((e) => e.report.status === status).length;
+  const report = {
+    dry_run: true,
+    format: sheet.format,
+    profile: profile.name,
+    filename: file.filename || null,
+    total_rows: entries.length,
+    summary: { new: count('NEW'), updated: count('UPDATED'), unchanged: count('UNCHANGED'), rejected: count('REJECTED') },
+    rows: entries.map((e) => e.report),
+  };
+  return { plan: { report, entries } };
+}
+
+/**
+ * Dry run: what committing this sheet would do
+ * @param {{ content: Buffer, filename?: string, format?: string }} file
+ * @param {{ profile?: string, mapping?: Object }} opts
+ * @returns {{ report?: Object, error?: Object }}
+ */
+function planImport(file, opts = {}) {
+  const { plan, error } = buildPlan(file, opts);
+  return error ? { error } : { report: plan.report };
+}
+
+// ─── Commit ────────────────────────────────────────────────────────────
+/**
+ * @param {{ content: Buffer, filename?: string, format?: string }} file
+ * @param {{ profile?: string, mapping?: Object, actor: string, reason?: string, skipRejected?: boolean }} opts
+ * @returns {{ report?: Object, error?: Object }} error.report holds the dry run when rows were rejected
+ */
+function commitImport(file, opts) {
+  const { plan, error } = buildPlan(file, opts);
+  if (error) return { error };
+  const { report, entries } = plan;
+
+  if (report.summary.rejected && !opts.skipRejected) {
+    return invalid(
+      `${report.summary.rejected} row(s) were rejected; fix the sheet or set skip_rejected to import the rest`,
+      { report }
+    );
+  }
+
+  const writes = entries.filter((e) => e.write);
+  if (!writes.length) return { report: { ...report, dry_run: false, batch_id: null } };
+
+  const db = getDb();
+  const reason = opts.reason || `Rate sheet import${file.filename ? ` (${file.filename})` : ''}`;
+  const batchId = createBatch({
+    kind: 'IMPORT', actor: opts.actor, reason, filename: file.filename || null, profile: report.profile,
+    rowCount: writes.length, summary: report.summary,
+  });
+
+  const insert = db.prepare(`
+    INSERT INTO pricing (${STORED_FIELDS.join(', ')}, source, confidence_score, batch_id)
+    VALUES (${STORED_FIELDS.map(() => '?').join(', ')}, 'SHEET', 1.0, ?)
+  `);
+
+  // An update is written as a new version that supersedes the current one
+  for (const entry of writes) {
+    const { row, charges, existing } = entry.write;
+    const id = insert.run(...STORED_FIELDS.map((f) => row[f]), batchId).lastInsertRowid;
+    saveCharges(id, charges);
+    activateRate(id, { actor: opts.actor, batchId });
+    recordPricingEvent({
+      action: existing ? 'IMPORT_UPDATE' : 'IMPORT_CREATE',
+      actor: opts.actor,
+      reason: existing ? `${reason}; replaces rate #${existing.id}` : reason,
+      before: null,
+      after: snapshotRate(id),
+      batchId,
+    });
+    entry.report.pricing_id = id;
+  }
+
+  console.log(`[Import] Batch ${batchId}: ${report.summary.new} new, ${report.summary.updated} updated from ${file.filename || 'sheet'} by ${opts.actor}`);
+  return { report: { ...report, dry_run: false, batch_id: batchId } };
+}
+
+module.exports = {
+  resolveProfile,
+  resolvePort,
+  parseAmount,
+  planImport,
+  commitImport,
+  MAX_IMPORT_ROWS,
+};
@@ -0,0 +1,197 @@
+/**
+ * Rate versions
+ *
+ * A pricing row is one version of a rate. Versions share a key: the lane key
+ * (from, to, container type, incoterm) plus carrier and service type, so
+ * carriers and services on one lane stay side by side. effective_from is
+ * when a version went onto the price list; when a newer version of the same
+ * key is written, the older one gets effective_to (and superseded_by) and a
+ * SUPERSEDE pricing_history event. An edit that changes a key field moves
+ * the row onto the other key, where it supersedes the current version. The
+ * current price list is the live rows without an effective_to;
+ * asOfCondition() rebuilds the list for an earlier date from the same
+ * columns and deleted_at.
+ *
+ * Whether a rate can still be quoted is a separate question: it expires at
+ * created_at + the lane TTL or at the carrier's valid_until, whichever
+ * comes first.
+ *
+ * Functions:
+ *  - CURRENT_RATES                     → SQL condition for the current price list
+ *  - asOfCondition(date)               → { clause, params } for the list at the end of a date
+ *  - findCurrentVersions(row, exceptId) → Current rows with the row's version key
+ *  - activateRate(id, opts)            → Start a new row's version, superseding older ones
+ *  - rekeyRate(id, opts)               → Supersede the versions an edited row's new key collides with
+ *  - VERSION_FIELDS                    → Fields that make up the version key
+ *  - backfillRateVersions()            → Version rows written before effective dates existed
+ *  - rateExpiresAt(row)                → Expiry as a ms timestamp, or null
+ *  - isRateValid(row, now)             → Whether the rate has not expired
+ */
+
+const { getDb } = require('../db/database');
+const { buildLaneKey, getLaneConfig } = require('../config/pricingConfig');
+const { snapshotRate, recordPricingEvent } = require('./pricingHistory');
+const { parseValidUntil } = require('../validation/validator');
+
+const CURRENT_RATES = 'deleted_at IS NULL AND effective_to IS NULL';
+
+const VERSION_KEY = `
+  from_port = ? COLLATE NOCASE AND to_port = ? COLLATE NOCASE AND container_type = ? COLLATE NOCASE
+  AND COALESCE(incoterm, 'EXW') = ? COLLATE NOCASE
+  AND COALESCE(carrier, '') = ? COLLATE NOCASE AND COALESCE(service_type, '') = ? COLLATE NOCASE`;
+
+const VERSION_FIELDS = ['from_port', 'to_port', 'container_type', 'incoterm', 'carrier', 'service_type'];
+
+const versionKey = (row) => [
+  row.from_port, row.to_port, row.container_type, row.incoterm || 'EXW', row.carrier || '', row.service_type || '',
+];
+
+function parseSqlDatetime(text) {
+  if (!text) return null;
+  const t = Date.parse(/^\d{4}-\d{2}-\d{2} \d/.test(text) ? `${text.replace(' ', 'T')}Z` : text);
+  return Number.isNaN(t) ? null : t;
+}
+
+// ─── Price list ────────────────────────────────────────────────────────
+/**
+ * Rows on the price list at the end of a day: already effective, not yet
+ * superseded and not yet deleted
+ * @param {string} date - YYYY-MM-DD
+ * @returns {{ clause: string, params: string[] }}
+ */
+function asOfCondition(date) {
+  const cutoff = `datetime(date(?), '+1 day')`;
+  return {
+    clause: `effective_from < ${cutoff} AND (effective_to IS NULL OR effective_to >= ${cutoff})
+      AND (deleted_at IS NULL OR deleted_at >= ${cutoff})`,
+    params: [date, date, date],
+  };
+}
+
+/**
+ * @param {Object} row - pricing fields (from_port, to_port, container_type, incoterm, carrier, service_type)
+ * @param {number} [exceptId] - leave this row out (the version being written)
+ * @returns {Object[]} [{ id, total_price, currency, source }]
+ */
+function findCurrentVersions(row, exceptId = null) {
+  return getDb().prepare(`
+    SELECT id, total_price, currency, source FROM pricing
+    WHERE ${CURRENT_RATES} AND id != ? AND ${VERSION_KEY}
+    ORDER BY id
+  `).all(exceptId || 0, ...versionKey(row));
+}
+
+/**
+ * Put a newly inserted row on the price list: set its effective_from and
+ * close the current versions of its key. Call before recording the row's
+ * own history event, so the event holds the stored row.
+ * @param {number} id - pricing id of the new row
+ * @param {{ actor: string, batchId?: string }} opts - who wrote the new row, and its batch
+ * @returns {number[]} ids of the superseded rows
+ */
+function activateRate(id, { actor, batchId = null }) {
+  const db = getDb();
+  db.prepare(`UPDATE pricing SET effective_from = COALESCE(created_at, datetime('now')) WHERE id = ?`).run(id);
+  const rate = db.prepare(`SELECT * FROM pricing WHERE id = ?`).get(id);
+  return closeVersions(rate, rate.effective_from, { actor, batchId });
+}
+
+/**
+ * Close the current versions of a row's key after an edit moved the row
+ * onto that key (new carrier, service type, incoterm or lane). The closed
+ * versions end now, not at the edited row's effective_from.
+ * @param {number} id - pricing id of the edited row
+ * @param {{ actor: string, batchId?: string }} opts
+ * @returns {number[]} ids of the superseded rows
+ */
+function rekeyRate(id, { actor, batchId = null }) {
+  const db = getDb();
+  const rate = db.prepare(`SELECT * FROM pricing WHERE id = ? AND ${CURRENT_RATES}`).get(id);
+  if (!rate) return [];
+  return closeVersions(rate, db.prepare(`SELECT datetime('now') AS now`).get().now, { actor, batchId });
+}
+
+function closeVersions(rate, effectiveTo, { actor, batchId }) {
+  const db = getDb();
+  const older = findCurrentVersions(rate, rate.id);
+  for (const { id: oldId } of older) {
+    const before = snapshotRate(oldId);
+    db.prepare(`
+      UPDATE pricing SET effective_to=?, superseded_by=?, updated_at=datetime('now') WHERE id=?
+    `).run(effectiveTo, rate.id, oldId);
+    recordPricingEvent({
+      action: 'SUPERSEDE', actor, reason: `Superseded by rate #${rate.id}`, before, after: snapshotRate(oldId), batchId,
+    });
+  }
+  if (older.length) console.log(`[Pricing] Rate #${rate.id} supersedes #${older.map((r) => r.id).join(', #')}`);
+  return older.map((r) => r.id);
+}
+
+/**
+ * Rows written before effective dates existed take effect at created_at;
+ * of the live rows sharing a version key, each is superseded by the next
+ * newer one. Runs on boot and only while rows without effective_from exist.
+ * @returns {number} rows superseded
+ */
+function backfillRateVersions() {
+  const db = getDb();
+  const pending = db.prepare(`SELECT COUNT(*) AS n FROM pricing WHERE effective_from IS NULL`).get().n;
+  if (!pending) return 0;
+
+  db.prepare(`UPDATE pricing SET effective_from = COALESCE(created_at, datetime('now')) WHERE effective_from IS NULL`).run();
+  db.prepare(`
+    UPDATE pricing SET superseded_by = (
+      SELECT n.id FROM pricing n
+      WHERE n.deleted_at IS NULL AND n.id != pricing.id
+        AND n.from_port = pricing.from_port AND n.to_port = pricing.to_port
+        AND UPPER(n.container_type) = UPPER(pricing.container_type)
+        AND UPPER(COALESCE(n.incoterm, 'EXW')) = UPPER(COALESCE(pricing.incoterm, 'EXW'))
+        AND UPPER(COALESCE(n.carrier, '')) = UPPER(COALESCE(pricing.carrier, ''))
+        AND UPPER(COALESCE(n.service_type, '')) = UPPER(COALESCE(pricing.service_type, ''))
+        AND (n.effective_from > pricing.effective_from OR (n.effective_from = pricing.effective_from AND n.id > pricing.id))
+      ORDER BY n.effective_from, n.id LIMIT 1
+    )
+    WHERE ${CURRENT_RATES}
+  `).run();
+  const { changes } = db.prepare(`
+    UPDATE pricing SET effective_to = (SELECT n.effective_from FROM pricing n WHERE n.id = pricing.superseded_by)
+    WHERE superseded_by IS NOT NULL AND effective_to IS NULL
+  `).run();
+
+  console.log(`[Pricing] Set effective dates on ${pending} rate(s); ${changes} older duplicate(s) superseded`);
+  return changes;
+}
+
+// ─── Validity ──────────────────────────────────────────────────────────
+/**
+ * The earlier of created_at + lane TTL and valid_until
+ * @returns {number|null} ms timestamp
+ */
+function rateExpiresAt(row) {
+  const { ttl_seconds: ttl } = getLaneConfig(buildLaneKey(row.from_port, row.to_port, row.container_type, row.incoterm));
+  const created = parseSqlDatetime(row.created_at);
+  const byTtl = created != null ? created + ttl * 1000 : null;
+  // A bare date is valid through the end of that day
+  const byValidity = /^\d{4}-\d{2}-\d{2}$/.test(row.valid_until || '')
+    ? parseValidUntil(row.valid_until)
+    : parseSqlDatetime(row.valid_until);
+  if (byTtl == null) return byValidity;
+  return byValidity == null ? byTtl : Math.min(byTtl, byValidity);
+}
+
+function isRateValid(row, now = Date.now()) {
+  const expiresAt = rateExpiresAt(row);
+  return expiresAt == null || expiresAt > now;
+}
+
+module.exports = {
+  CURRENT_RATES,
+  asOfCondition,
+  findCurrentVersions,
+  activateRate,
+  rekeyRate,
+  VERSION_FIELDS,
+  backfillRateVersions,
+  rateExpiresAt,
+  isRateValid,
+};
@@ -0,0 +1,77 @@
+/**
+ * Scraped rate acceptance
+ *
+ * The one write path from a scrape candidate to the pricing table. Used by
+ * the runner's auto-accept, the agent's POST /accept and the ops review
+ * queue: inserts the pricing row and its charge lines, then records who
+ * accepted it (and why) in pricing_history with the stored row. The row
+ * and the event are tagged with a pricing batch (rateBatches.batchForAccept),
+ * and the row supersedes the current version of its rate (rateVersions.js).
+ *
+ * Functions:
+ *  - acceptCandidate(job, candidate, opts)  → { pricing_id, batch_id } or { error }
+ *  - lookupDestinationCountry(port)         → Country from port_aliases, or null
+ */
+
+const { getDb } = require('../db/database');
+const { chargesForCandidate, saveCharges, BREAKDOWN_COLUMNS } = require('./charges');
+const { snapshotRate, recordPricingEvent } = require('./pricingHistory');
+const { batchForAccept } = require('./rateBatches');
+const { activateRate } = require('./rateVersions');
+
+function lookupDestinationCountry(port) {
+  const row = getDb().prepare(`SELECT country FROM port_aliases WHERE alias = ? COLLATE NOCASE OR un_locode = ? COLLATE NOCASE`).get(port, port);
+  return row ? row.country : null;
+}
+
+/**
+ * Save one candidate of a scrape job as a pricing row
+ * @param {Object} job - scrape_jobs row
+ * @param {Object} candidate - entry of the job's result_json (edits already applied)
+ * @param {Object} opts
+ * @param {Object[]} [opts.charges] - line items that replace the scraped ones
+ * @param {string} opts.action - pricing_history action (AUTO_ACCEPT, AGENT_ACCEPT, OPS_APPROVE, ...)
+ * @param {string} opts.actor
+ * @param {string} opts.reason
+ * @returns {{ pricing_id?: number, batch_id?: string, error?: string }} error when the charges are invalid
+ */
+function acceptCandidate(job, candidate, { charges: chargeOverride, action, actor, reason }) {
+  const db = getDb();
+  const { charges, columns, error } = chargesForCandidate(candidate, chargeOverride);
+  if (error) return { error };
+
+  const fromPort = job.from_port.toUpperCase();
+  const toPort = job.to_port.toUpperCase();
+  const containerType = job.container_type || '40FT';
+  const currency = candidate.currency || 'USD';
+  const monthLabel = null;
+  const batchId = batchForAccept(job, action, actor, reason);
+
+  const pricingId = db.prepare(`
+    INSERT INTO pricing (
+      from_port, to_port, destination_country, container_type, month_label,
+      origin_inland, destination_inland,
+      origin_local_haulage, origin_thc, customs, origin_misc,
+      ocean_freight, destination_thc, destination_haulage, destination_misc,
+      total_price, currency, transit_days, service_type, carrier,
+      source, confidence_score, valid_until, snapshot_id, batch_id
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'SCRAPE', ?, ?, ?, ?)
+  `).run(
+    fromPort, toPort, lookupDestinationCountry(job.to_port),
+    containerType, monthLabel,
+    job.origin_inland || 'CY', job.destination_inland || 'CY',
+    ...BREAKDOWN_COLUMNS.map(col => columns[col]),
+    columns.total_price,
+    currency, candidate.transit_days, candidate.service_type, candidate.carrier || job.carrier || 'MAERSK',
+    candidate.confidence_score, candidate.valid_until, candidate.snapshot_id, batchId
+  ).lastInsertRowid;
+  saveCharges(pricingId, charges);
+  activateRate(pricingId, { actor, batchId });
+
+  // Audit trail
+  recordPricingEvent({ action, actor, reason, before: null, after: snapshotRate(pricingId), batchId });
+
+  return { pricing_id: pricingId, batch_id: batchId };
+}
+
+module.exports = { acceptCandidate, lookupDestinationCountry };
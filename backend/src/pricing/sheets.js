@@ -0,0 +1,421 @@
+/**
+ * Rate sheet files
+ *
+ * Reads the CSV and XLSX files carriers send as rate sheets into rows of
+ * cell values, and writes rate exports in the same formats. XLSX is handled
+ * with zlib only: the workbook's zip directory is walked by hand and the
+ * first worksheet's XML parsed for its cells, which is all a rate sheet
+ * needs (no formulas are evaluated; the cached value Excel stored is used).
+ * Written workbooks have one worksheet of inline strings and numbers, and
+ * are produced page by page so an export never sits in memory whole.
+ *
+ * Functions:
+ *  - parseCsv(text, delimiter)      → Array of rows (arrays of strings)
+ *  - unzip(buffer, limits)          → Map of zip entry name → content, size-capped
+ *  - readXlsx(buffer)               → Array of rows of the first worksheet
+ *  - detectSheetFormat(name, buf)   → 'csv' | 'xlsx' | null
+ *  - readSheet(buffer, format, opts) → Array of rows for either format
+ *  - formatCsvRow(values)           → One CSV line (with newline)
+ *  - xlsxChunks(header, pages)      → Async iterable of .xlsx file chunks
+ */
+
+const zlib = require('zlib');
+
+const SHEET_FORMATS = ['csv', 'xlsx'];
+
+// ─── CSV ───────────────────────────────────────────────────────────────
+/**
+ * RFC 4180 CSV: quoted fields may hold delimiters, quotes ("") and newlines
+ * @param {string} text
+ * @param {string} [delimiter] - guessed from the first line (",", ";" or tab) when omitted
+ * @returns {string[][]}
+ */
+function parseCsv(text, delimiter) {
+  const src = String(text).replace(/^\uFEFF/, '');
+  const delim = delimiter || guessDelimiter(src);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delim) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function guessDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const counts = [',', ';', '\t'].map((d) => [d, firstLine.split(d).length]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 1 ? counts[0][0] : ',';
+}
+
+// ─── XLSX ──────────────────────────────────────────────────────────────
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+// Uncompressed size caps, so a small upload cannot inflate into a zip bomb
+const MAX_ENTRY_BYTES = 32 * 1024 * 1024;
+const MAX_ARCHIVE_BYTES = 64 * 1024 * 1024;
+
+/**
+ * Read the entries of a zip archive
+ * @param {Buffer} buffer
+ * @param {{ maxEntryBytes?: number, maxTotalBytes?: number }} [limits]
+ * @returns {Map<string, Buffer>} file name → uncompressed content
+ * @throws {Error} when an entry or the whole archive inflates past the limits
+ */
+function unzip(buffer, { maxEntryBytes = MAX_ENTRY_BYTES, maxTotalBytes = MAX_ARCHIVE_BYTES } = {}) {
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('not a zip archive');
+
+  const entries = new Map();
+  let total = 0;
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  for (let n = 0; n < count; n++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) throw new Error('corrupt zip directory');
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) throw new Error(`corrupt zip entry ${name}`);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    // The declared size can lie, so inflating is capped as well
+    const limit = Math.min(maxEntryBytes, maxTotalBytes - total);
+    if (buffer.readUInt32LE(offset + 24) > limit) throw new Error(`zip entry ${name} is too large`);
+    let content;
+    if (method === 0) content = data;
+    else if (method === 8) {
+      try {
+        content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(limit, 1) });
+      } catch (err) {
+        if (err.code === 'ERR_BUFFER_TOO_LARGE') throw new Error(`zip entry ${name} is too large`);
+        throw err;
+      }
+    } else throw new Error(`unsupported zip compression method ${method}`);
+    if (content.length > limit) throw new Error(`zip entry ${name} is too large`);
+    total += content.length;
+    entries.set(name, content);
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Text of all <t> runs inside a fragment (rich text splits one string into runs)
+function textRuns(xml) {
+  return [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map((m) => decodeXml(m[1])).join('');
+}
+
+function attribute(tag, name) {
+  const m = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return m ? m[1] : null;
+}
+
+// "BC12" → 54 (zero-based column index)
+function columnIndex(ref) {
+  const letters = ref.replace(/\d+$/, '');
+  return [...letters].reduce((acc, ch) => acc * 26 + (ch.charCodeAt(0) - 64), 0) - 1;
+}
+
+function firstSheetPath(entries) {
+  const workbook = (entries.get('xl/workbook.xml') || '').toString('utf8');
+  const rels = (entries.get('xl/_rels/workbook.xml.rels') || '').toString('utf8');
+  const sheetTag = workbook.match(/<sheet\s[^>]*>/);
+  const relId = sheetTag && attribute(sheetTag[0], 'r:id');
+  if (relId) {
+    const rel = [...rels.matchAll(/<Relationship\s[^>]*>/g)].map((m) => m[0]).find((tag) => attribute(tag, 'Id') === relId);
+    const target = rel && attribute(rel, 'Target');
+    if (target) return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+  }
+  return 'xl/worksheets/sheet1.xml';
+}
+
+/**
+ * Cell values of the first worksheet. Shared and inline strings come back as
+ * strings, numbers (including Excel date serials) as numbers.
+ * @param {Buffer} buffer - .xlsx file content
+ * @returns {Array<Array<string|number>>}
+ */
+function readXlsx(buffer) {
+  const entries = unzip(buffer);
+  const sheetXml = entries.get(firstSheetPath(entries));
+  if (!sheetXml) throw new Error('workbook has no worksheet');
+
+  const sharedXml = (entries.get('xl/sharedStrings.xml') || '').toString('utf8');
+  const shared = [...sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map((m) => textRuns(m[1]));
+
+  const rows = [];
+  for (const rowMatch of sheetXml.toString('utf8').matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const rowNumber = Number(attribute(rowMatch[1], 'r')) || rows.length + 1;
+    const cells = [];
+    for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const ref = attribute(cellMatch[1], 'r');
+      const type = attribute(cellMatch[1], 't');
+      const body = cellMatch[2] || '';
+      const raw = body.match(/<v>([\s\S]*?)<\/v>/);
+      let value = '';
+      if (type === 's') value = raw ? shared[Number(raw[1])] || '' : '';
+      else if (type === 'inlineStr') value = textRuns(body);
+      else if (type === 'str' || type === 'e') value = raw ? decodeXml(raw[1]) : '';
+      else if (type === 'b') value = raw ? raw[1] === '1' : '';
+      else if (raw) value = Number(raw[1]);
+      cells[ref ? columnIndex(ref) : cells.length] = value;
+    }
+    // Empty rows are left out of the XML; keep numbering aligned with the sheet
+    while (rows.length < rowNumber - 1) rows.push([]);
+    rows.push(Array.from(cells, (v) => (v === undefined ? '' : v)));
+  }
+  return rows;
+}
+
+// ─── Writing ───────────────────────────────────────────────────────────
+// Text that spreadsheet apps would run as a formula gets a leading quote
+const FORMULA_START = /^[=+@\t\r]/;
+
+function formatCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  let text = String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Array<string|number|null>} values
+ * @returns {string}
+ */
+function formatCsvRow(values) {
+  return `${values.map(formatCsvValue).join(',')}\r\n`;
+}
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+  // Control characters are not allowed in XML 1.0
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+function columnRef(index) {
+  let ref = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) ref = String.fromCharCode(65 + ((n - 1) % 26)) + ref;
+  return ref;
+}
+
+function sheetRowXml(rowNumber, values) {
+  const cells = values.map((value, i) => {
+    const ref = `${columnRef(i)}${rowNumber}`;
+    if (value === null || value === undefined || value === '') return '';
+    if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+  });
+  return `<row r="${rowNumber}">${cells.join('')}</row>`;
+}
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const XLSX_PARTS = {
+  '[Content_Types].xml': `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+    + '</Types>',
+  '_rels/.rels': `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+    + '</Relationships>',
+  'xl/workbook.xml': `${XML_HEADER}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" `
+    + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+    + '<sheets><sheet name="Rates" sheetId="1" r:id="rId1"/></sheets></workbook>',
+  'xl/_rels/workbook.xml.rels': `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+    + '</Relationships>',
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf, crc = 0) {
+  let c = ~crc >>> 0;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return ~c >>> 0;
+}
+
+const DATA_DESCRIPTOR_SIGNATURE = 0x08074b50;
+const ZIP_FLAGS = 0x0008; // sizes and CRC follow the data (data descriptor)
+const DOS_DATE_1980 = 0x0021; // 1980-01-01, the earliest date zip can store
+
+function localHeader(name) {
+  const nameBuf = Buffer.from(name, 'utf8');
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(LOCAL_SIGNATURE, 0);
+  header.writeUInt16LE(20, 4);
+  header.writeUInt16LE(ZIP_FLAGS, 6);
+  header.writeUInt16LE(8, 8);
+  header.writeUInt16LE(DOS_DATE_1980, 12);
+  header.writeUInt16LE(nameBuf.length, 26);
+  return Buffer.concat([header, nameBuf]);
+}
+
+function dataDescriptor({ crc, compressedSize, size }) {
+  const buf = Buffer.alloc(16);
+  buf.writeUInt32LE(DATA_DESCRIPTOR_SIGNATURE, 0);
+  buf.writeUInt32LE(crc, 4);
+  buf.writeUInt32LE(compressedSize, 8);
+  buf.writeUInt32LE(size, 12);
+  return buf;
+}
+
+function centralDirectory(entries, offset) {
+  const records = entries.map((e) => {
+    const nameBuf = Buffer.from(e.name, 'utf8');
+    const rec = Buffer.alloc(46);
+    rec.writeUInt32LE(CENTRAL_SIGNATURE, 0);
+    rec.writeUInt16LE(20, 4);
+    rec.writeUInt16LE(20, 6);
+    rec.writeUInt16LE(ZIP_FLAGS, 8);
+    rec.writeUInt16LE(8, 10);
+    rec.writeUInt16LE(DOS_DATE_1980, 14);
+    rec.writeUInt32LE(e.crc, 16);
+    rec.writeUInt32LE(e.compressedSize, 20);
+    rec.writeUInt32LE(e.size, 24);
+    rec.writeUInt16LE(nameBuf.length, 28);
+    rec.writeUInt32LE(e.offset, 42);
+    return Buffer.concat([rec, nameBuf]);
+  });
+  const dir = Buffer.concat(records);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(EOCD_SIGNATURE, 0);
+  eocd.writeUInt16LE(entries.length, 8);
+  eocd.writeUInt16LE(entries.length, 10);
+  eocd.writeUInt32LE(dir.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([dir, eocd]);
+}
+
+/**
+ * Stream a zip archive whose entries are produced piece by piece. Each piece
+ * is deflated on its own and sync-flushed (no final block); a closing empty
+ * final block ends the entry. Concatenated, the pieces form one valid
+ * deflate stream, so nothing but the current piece is held in memory.
+ * @param {Array<{ name: string, pieces: AsyncIterable<string>|Iterable<string> }>} files
+ */
+async function* zipStream(files) {
+  const entries = [];
+  let offset = 0;
+  for (const file of files) {
+    const header = localHeader(file.name);
+    const entry = { name: file.name, offset, crc: 0, size: 0, compressedSize: 0 };
+    yield header;
+    offset += header.length;
+
+    for await (const piece of file.pieces) {
+      const raw = Buffer.from(piece, 'utf8');
+      if (!raw.length) continue;
+      const deflated = zlib.deflateRawSync(raw, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      entry.crc = crc32(raw, entry.crc);
+      entry.size += raw.length;
+      entry.compressedSize += deflated.length;
+      yield deflated;
+    }
+    const last = zlib.deflateRawSync(Buffer.alloc(0));
+    entry.compressedSize += last.length;
+    const descriptor = dataDescriptor(entry);
+    yield Buffer.concat([last, descriptor]);
+    offset += entry.compressedSize + descriptor.length;
+    entries.push(entry);
+  }
+  yield centralDirectory(entries, offset);
+}
+
+/**
+ * A one-sheet workbook
+ * @param {string[]} header - first row
+ * @param {AsyncIterable<Array<Array<string|number|null>>>} pages - data rows, a page at a time
+ * @returns {AsyncIterable<Buffer>}
+ */
+function xlsxChunks(header, pages) {
+  async function* sheetPieces() {
+    yield `${XML_HEADER}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>`;
+    yield sheetRowXml(1, header);
+    let rowNumber = 1;
+    for await (const page of pages) {
+      yield page.map((values) => sheetRowXml(++rowNumber, values)).join('');
+    }
+    yield '</sheetData></worksheet>';
+  }
+  return zipStream([
+    ...Object.entries(XLSX_PARTS).map(([name, xml]) => ({ name, pieces: [xml] })),
+    { name: 'xl/worksheets/sheet1.xml', pieces: sheetPieces() },
+  ]);
+}
+
+// ─── Dispatch ──────────────────────────────────────────────────────────
+function detectSheetFormat(filename, buffer) {
+  const ext = String(filename || '').toLowerCase().match(/\.(csv|txt|xlsx)$/);
+  if (ext) return ext[1] === 'txt' ? 'csv' : ext[1];
+  if (buffer && buffer.length > 4 && buffer.readUInt32LE(0) === LOCAL_SIGNATURE) return 'xlsx';
+  return buffer ? 'csv' : null;
+}
+
+/**
+ * @param {Buffer} buffer
+ * @param {string} format - 'csv' | 'xlsx'
+ * @param {{ delimiter?: string }} [opts]
+ * @returns {Array<Array<string|number>>}
+ */
+function readSheet(buffer, format, opts = {}) {
+  if (format === 'xlsx') return readXlsx(buffer);
+  return parseCsv(buffer.toString('utf8'), opts.delimiter);
+}
+
+module.exports = {
+  parseCsv,
+  unzip,
+  readXlsx,
+  detectSheetFormat,
+  readSheet,
+  formatCsvRow,
+  xlsxChunks,
+  SHEET_FORMATS,
+};
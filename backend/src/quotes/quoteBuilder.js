@@ -0,0 +1,182 @@
+/**
+ * Quote builder
+ *
+ * Turns pricing rows (buy rates with their charge line items) into the items
+ * and lines of a customer quotation. Pure: the caller loads the pricing rows,
+ * their charges and an FX converter.
+ *
+ * Quantities follow the charge basis: PER_CONTAINER lines are multiplied by
+ * the item's number_of_containers, PER_BL / PER_SHIPMENT lines count once.
+ *
+ * Markup policy, per charge side (origin / freight / destination):
+ *   { origin: { type: 'PERCENT', value: 10 }, freight: { type: 'FIXED', value: 50 } }
+ * PERCENT raises every line on the side; FIXED adds value × containers to
+ * the side, spread over its lines in proportion to their buy amount (over
+ * all lines of the item when the side has none). A single { type, value }
+ * applies a PERCENT to every side and a FIXED to the freight side.
+ *
+ * Functions:
+ *  - normalizeMarkupPolicy(markup)  → { policy, error }
+ *  - buildQuoteItems(input)         → { items, totals, error }
+ */
+
+const { CHARGE_SIDES } = require('../pricing/charges');
+
+const MARKUP_TYPES = ['PERCENT', 'FIXED'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// ─── Markup policy ─────────────────────────────────────────────────────
+function normalizeRule(rule, label) {
+  if (rule == null) return { rule: null, error: null };
+  if (typeof rule !== 'object') return { rule: null, error: `${label} must be an object with type and value` };
+  const type = String(rule.type || '').toUpperCase();
+  const value = Number(rule.value);
+  if (!MARKUP_TYPES.includes(type)) return { rule: null, error: `${label}.type must be one of ${MARKUP_TYPES.join(', ')}` };
+  if (rule.value === null || rule.value === '' || !Number.isFinite(value) || value < 0) {
+    return { rule: null, error: `${label}.value must be a non-negative number` };
+  }
+  return { rule: { type, value }, error: null };
+}
+
+/**
+ * @param {Object} markup - per-side rules, or one { type, value } rule
+ * @returns {{ policy: { origin, freight, destination }, error: string|null }}
+ */
+function normalizeMarkupPolicy(markup) {
+  const policy = { origin: null, freight: null, destination: null };
+  if (markup == null) return { policy, error: null };
+  if (typeof markup !== 'object' || Array.isArray(markup)) {
+    return { policy, error: 'markup must be an object' };
+  }
+
+  if (markup.type !== undefined || markup.value !== undefined) {
+    const { rule, error } = normalizeRule(markup, 'markup');
+    if (error) return { policy, error };
+    if (rule.type === 'PERCENT') CHARGE_SIDES.forEach((side) => { policy[side] = rule; });
+    else policy.freight = rule;
+    return { policy, error: null };
+  }
+
+  for (const key of Object.keys(markup)) {
+    if (!CHARGE_SIDES.includes(key)) return { policy, error: `markup.${key} is not a charge side (${CHARGE_SIDES.join(', ')})` };
+    const { rule, error } = normalizeRule(markup[key], `markup.${key}`);
+    if (error) return { policy, error };
+    policy[key] = rule;
+  }
+  return { policy, error: null };
+}
+
+// ─── Lines ─────────────────────────────────────────────────────────────
+/**
+ * Spread `markup` over lines in proportion to amount_buy; the last line takes
+ * the rounding remainder so the side adds up exactly
+ */
+function allocateFixed(lines, markup) {
+  if (lines.length === 0 || markup === 0) return;
+  const base = lines.reduce((sum, l) => sum + l.amount_buy, 0);
+  let left = round2(markup);
+  lines.forEach((line, i) => {
+    const share = i === lines.length - 1
+      ? left
+      : round2(base > 0 ? markup * (line.amount_buy / base) : markup / lines.length);
+    left = round2(left - share);
+    line.amount = round2(line.amount + share);
+  });
+}
+
+function applyMarkup(lines, policy, containers) {
+  for (const side of CHARGE_SIDES) {
+    const rule = policy[side];
+    if (!rule) continue;
+    const sideLines = lines.filter((l) => l.side === side);
+    if (rule.type === 'PERCENT') {
+      sideLines.forEach((l) => { l.amount = round2(l.amount_buy * (1 + rule.value / 100)); });
+    } else {
+      allocateFixed(sideLines.length ? sideLines : lines, rule.value * containers);
+    }
+  }
+  lines.forEach((l) => { l.unit_sell = round2(l.amount / l.quantity); });
+}
+
+/**
+ * Build quote items and totals
+ * @param {Object} input
+ * @param {Object[]} input.requests     - [{ pricing_id, number_of_containers, weight_per_container, weight_unit }]
+ * @param {Map<number, Object>} input.pricingById
+ * @param {Map<number, Object[]>} input.chargesById - pricing_charges per pricing id
+ * @param {Object} input.policy         - normalizeMarkupPolicy() result
+ * @param {string} input.currency       - quote currency
+ * @param {Object} input.converter      - fx.createConverter()
+ * @returns {{ items: Object[], totals: Object|null, error: string|null }}
+ */
+function buildQuoteItems({ requests, pricingById, chargesById, policy, currency, converter }) {
+  const items = [];
+
+  for (const [index, req] of requests.entries()) {
+    const pricing = pricingById.get(req.pricing_id);
+    const containers = req.number_of_containers;
+    const charges = chargesById.get(req.pricing_id) || [];
+    if (charges.length === 0) {
+      return { items: [], totals: null, error: `Pricing #${req.pricing_id} has no charges to quote` };
+    }
+
+    const lines = [];
+    for (const charge of charges) {
+      const sourceCurrency = charge.currency || pricing.currency || 'USD';
+      const unitBuy = converter.convert(charge.amount, sourceCurrency, currency);
+      if (unitBuy == null) {
+        return { items: [], totals: null, error: `No FX rate from ${sourceCurrency} to ${currency} (pricing #${req.pricing_id})` };
+      }
+      const quantity = charge.basis === 'PER_CONTAINER' ? containers : 1;
+      lines.push({
+        line_no: lines.length + 1,
+        code: charge.code,
+        description: charge.description,
+        side: charge.side,
+        basis: charge.basis,
+        quantity,
+        unit_buy: unitBuy,
+        amount_buy: round2(unitBuy * quantity),
+        amount: round2(unitBuy * quantity),
+        unit_sell: unitBuy,
+        source_currency: sourceCurrency,
+        source_amount: charge.amount,
+      });
+    }
+    applyMarkup(lines, policy, containers);
+
+    items.push({
+      item_no: index + 1,
+      pricing_id: pricing.id,
+      from_port: pricing.from_port,
+      to_port: pricing.to_port,
+      destination_country: pricing.destination_country,
+      container_type: pricing.container_type,
+      carrier: pricing.carrier,
+      service_type: pricing.service_type,
+      transit_days: pricing.transit_days,
+      number_of_containers: containers,
+      weight_per_container: req.weight_per_container ?? null,
+      weight_unit: req.weight_per_container != null ? (req.weight_unit || 'kg') : null,
+      rate_valid_until: pricing.valid_until,
+      buy_total: round2(lines.reduce((sum, l) => sum + l.amount_buy, 0)),
+      total: round2(lines.reduce((sum, l) => sum + l.amount, 0)),
+      lines,
+    });
+  }
+
+  const subtotalBuy = round2(items.reduce((sum, i) => sum + i.buy_total, 0));
+  const total = round2(items.reduce((sum, i) => sum + i.total, 0));
+  return {
+    items,
+    totals: { subtotal_buy: subtotalBuy, markup_total: round2(total - subtotalBuy), total },
+    error: null,
+  };
+}
+
+module.exports = {
+  normalizeMarkupPolicy,
+  buildQuoteItems,
+  MARKUP_TYPES,
+};
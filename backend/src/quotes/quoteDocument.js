@@ -0,0 +1,213 @@
+/**
+ * Quote document
+ *
+ * Renders a stored quote (quoteStore.getQuote) as a customer-facing HTML
+ * document and prints it to PDF with the local Playwright Chromium — no
+ * external rendering service.
+ *
+ * The HTML is deterministic: it only depends on the quote and the branding
+ * passed in (no render time, no random ids), so the same quote always
+ * renders byte-for-byte the same and can be snapshot-tested.
+ *
+ * Branding defaults come from QUOTE_COMPANY_NAME, QUOTE_COMPANY_ADDRESS,
+ * QUOTE_COMPANY_EMAIL and QUOTE_TERMS (terms separated by "|").
+ *
+ * Functions:
+ *  - getBranding()                     → Branding from the environment
+ *  - renderQuoteHtml(quote, branding)  → HTML string
+ *  - renderQuotePdf(html)              → PDF Buffer (A4)
+ */
+
+const { chromium } = require('playwright');
+const { classifyCharge, BREAKDOWN_COLUMNS } = require('../pricing/charges');
+
+const COLUMN_LABELS = {
+  origin_local_haulage: 'Origin haulage',
+  origin_thc: 'Terminal handling - origin',
+  customs: 'Export customs clearance',
+  origin_misc: 'Other origin charges',
+  ocean_freight: 'Ocean freight & surcharges',
+  destination_thc: 'Terminal handling - destination',
+  destination_haulage: 'Destination haulage',
+  destination_misc: 'Other destination charges',
+};
+
+const DEFAULT_TERMS = [
+  'Rates are subject to space and equipment availability at the time of booking.',
+  'Prices exclude duties, taxes, demurrage, detention and storage unless listed above.',
+  'Surcharges may be revised by the carrier and will be passed on at cost.',
+  'Goods are carried under the carrier\'s standard bill of lading terms and conditions.',
+];
+
+const PDF_TIMEOUT_MS = 30000;
+
+function getBranding() {
+  return {
+    company_name: process.env.QUOTE_COMPANY_NAME || 'Freight Rates',
+    company_address: process.env.QUOTE_COMPANY_ADDRESS || '',
+    company_email: process.env.QUOTE_COMPANY_EMAIL || '',
+    terms: process.env.QUOTE_TERMS
+      ? process.env.QUOTE_TERMS.split('|').map((t) => t.trim()).filter(Boolean)
+      : DEFAULT_TERMS,
+  };
+}
+
+// ─── Formatting ────────────────────────────────────────────────────────
+function esc(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Fixed en-US grouping regardless of the server locale
+function money(amount) {
+  const [whole, cents] = Math.abs(Number(amount) || 0).toFixed(2).split('.');
+  const sign = Number(amount) < 0 ? '-' : '';
+  return `${sign}${whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',')}.${cents}`;
+}
+
+// 2026-05-31T23:59:59.000Z → 31 May 2026 (UTC, so the server timezone does not matter)
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+function day(value) {
+  if (!value) return '—';
+  const text = String(value);
+  const d = new Date(/^\d{4}-\d{2}-\d{2} \d/.test(text) ? `${text.replace(' ', 'T')}Z` : text);
+  if (Number.isNaN(d.getTime())) return esc(text);
+  return `${d.getUTCDate()} ${MONTHS[d.getUTCMonth()]} ${d.getUTCFullYear()}`;
+}
+
+/**
+ * Sell amounts of an item's lines summed into the pricing breakdown columns
+ */
+function columnBreakdown(item) {
+  const totals = {};
+  for (const line of item.lines) {
+    const { column } = classifyCharge(line);
+    totals[column] = Math.round(((totals[column] || 0) + line.amount) * 100) / 100;
+  }
+  return BREAKDOWN_COLUMNS.filter((col) => totals[col]).map((col) => ({ column: col, label: COLUMN_LABELS[col], amount: totals[col] }));
+}
+
+// ─── HTML ──────────────────────────────────────────────────────────────
+const STYLES = `
+  body { font-family: Helvetica, Arial, sans-serif; font-size: 12px; color: #1f2937; margin: 32px; }
+  header { display: flex; justify-content: space-between; border-bottom: 2px solid #0f766e; padding-bottom: 12px; }
+  h1 { font-size: 20px; margin: 0; color: #0f766e; }
+  h2 { font-size: 14px; margin: 24px 0 8px; }
+  .muted { color: #6b7280; }
+  .meta td { padding: 2px 12px 2px 0; }
+  table.charges { width: 100%; border-collapse: collapse; margin-top: 8px; }
+  table.charges th, table.charges td { border-bottom: 1px solid #e5e7eb; padding: 6px 4px; text-align: left; }
+  table.charges td.amount, table.charges th.amount { text-align: right; }
+  tr.total td { font-weight: bold; border-top: 2px solid #1f2937; }
+  .grand-total { text-align: right; font-size: 16px; font-weight: bold; margin-top: 16px; }
+  ol.terms { padding-left: 18px; color: #4b5563; }
+`;
+
+function renderItem(item, currency) {
+  const lane = `${esc(item.from_port)} → ${esc(item.to_port)}`;
+  const cargo = [
+    `${item.number_of_containers} × ${esc(item.container_type)}`,
+    item.weight_per_container != null ? `${item.weight_per_container} ${esc(item.weight_unit)} per container` : null,
+  ].filter(Boolean).join(', ');
+  const rows = columnBreakdown(item).map((b) => `
+        <tr><td>${esc(b.label)}</td><td class="amount">${money(b.amount)}</td></tr>`).join('');
+
+  return `
+    <section class="item">
+      <h2>${item.item_no}. ${lane}</h2>
+      <table class="meta">
+        <tr><td class="muted">Destination</td><td>${esc(item.destination_country)}</td></tr>
+        <tr><td class="muted">Carrier / service</td><td>${esc(item.carrier)}${item.service_type ? ` / ${esc(item.service_type)}` : ''}</td></tr>
+        <tr><td class="muted">Equipment</td><td>${cargo}</td></tr>
+        <tr><td class="muted">Transit time</td><td>${item.transit_days != null ? `${item.transit_days} days` : '—'}</td></tr>
+      </table>
+      <table class="charges">
+        <tr><th>Charge</th><th class="amount">${esc(currency)}</th></tr>${rows}
+        <tr class="total"><td>Total</td><td class="amount">${money(item.total)}</td></tr>
+      </table>
+    </section>`;
+}
+
+/**
+ * @param {Object} quote - getQuote() result
+ * @param {Object} [branding] - { company_name, company_address, company_email, terms[] }
+ * @returns {string} full HTML document
+ */
+function renderQuoteHtml(quote, branding = getBranding()) {
+  const contact = [branding.company_address, branding.company_email].filter(Boolean).map(esc).join('<br>');
+  const terms = (branding.terms || []).map((t) => `
+      <li>${esc(t)}</li>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Quotation ${esc(quote.quote_number)}</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <header>
+    <div>
+      <h1>${esc(branding.company_name)}</h1>
+      <div class="muted">${contact}</div>
+    </div>
+    <div>
+      <h1>Quotation</h1>
+      <table class="meta">
+        <tr><td class="muted">Number</td><td>${esc(quote.quote_number)}</td></tr>
+        <tr><td class="muted">Date</td><td>${day(quote.created_at)}</td></tr>
+        <tr><td class="muted">Valid until</td><td>${day(quote.valid_until)}</td></tr>
+      </table>
+    </div>
+  </header>
+
+  <table class="meta">
+    <tr><td class="muted">Customer</td><td>${esc(quote.customer_name) || '—'}</td></tr>
+    <tr><td class="muted">Reference</td><td>${esc(quote.customer_reference) || '—'}</td></tr>
+  </table>
+${quote.items.map((item) => renderItem(item, quote.currency)).join('\n')}
+
+  <div class="grand-total">Total ${esc(quote.currency)} ${money(quote.total)}</div>
+${quote.notes ? `
+  <h2>Notes</h2>
+  <p>${esc(quote.notes)}</p>
+` : ''}
+  <h2>Validity &amp; terms</h2>
+  <ol class="terms">
+      <li>This quotation is valid until ${day(quote.valid_until)}${quote.validity_capped ? ', the end of the carrier rate validity' : ''}.</li>${terms}
+  </ol>
+</body>
+</html>
+`;
+}
+
+// ─── PDF ───────────────────────────────────────────────────────────────
+/**
+ * Print HTML to an A4 PDF in a throwaway headless Chromium
+ * @returns {Promise<Buffer>}
+ */
+async function renderQuotePdf(html) {
+  const browser = await chromium.launch({ headless: true, timeout: PDF_TIMEOUT_MS });
+  try {
+    const page = await browser.newPage();
+    await page.setContent(html, { waitUntil: 'load', timeout: PDF_TIMEOUT_MS });
+    return await page.pdf({
+      format: 'A4',
+      printBackground: true,
+      margin: { top: '12mm', bottom: '12mm', left: '10mm', right: '10mm' },
+    });
+  } finally {
+    await browser.close();
+  }
+}
+
+module.exports = {
+  getBranding,
+  renderQuoteHtml,
+  renderQuotePdf,
+  DEFAULT_TERMS,
+};
@@ -0,0 +1,222 @@
+/**
+ * Quote store
+ *
+ * Persists customer quotations in quotes / quote_items / quote_lines and
+ * runs their status lifecycle:
+ *   DRAFT → SENT → WON | LOST, and DRAFT → LOST for quotes never sent.
+ *
+ * A quote is valid for DEFAULT_VALIDITY_DAYS (or the requested valid_until),
+ * capped at the earliest valid_until of the rates it quotes.
+ *
+ * Functions:
+ *  - createQuote(input)              → { quote } or { error }
+ *  - getQuote(id)                    → Quote with items and lines, or null
+ *  - listQuotes(filters)             → Quote headers, newest first
+ *  - updateQuoteStatus(id, status, actor) → { quote } or { error }
+ */
+
+const { getDb } = require('../db/database');
+const { getChargesByPricingIds } = require('../pricing/charges');
+const { createConverter } = require('../pricing/fx');
+const { buildQuoteItems } = require('./quoteBuilder');
+
+const QUOTE_STATUSES = ['DRAFT', 'SENT', 'WON', 'LOST'];
+const STATUS_TRANSITIONS = {
+  DRAFT: ['SENT', 'LOST'],
+  SENT: ['WON', 'LOST'],
+  WON: [],
+  LOST: [],
+};
+const DEFAULT_VALIDITY_DAYS = 14;
+
+function endOfDay(date) {
+  return `${date}T23:59:59.000Z`;
+}
+
+function toIso(value) {
+  if (!value) return null;
+  const text = String(value);
+  const d = new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) ? endOfDay(text) : text);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+/**
+ * Next quote number for the current year: Q-2026-00001, Q-2026-00002, …
+ */
+function nextQuoteNumber() {
+  const prefix = `Q-${new Date().getUTCFullYear()}-`;
+  const row = getDb().prepare(`SELECT MAX(quote_number) AS last FROM quotes WHERE quote_number LIKE ?`).get(`${prefix}%`);
+  const seq = row && row.last ? parseInt(row.last.slice(prefix.length), 10) + 1 : 1;
+  return `${prefix}${String(seq).padStart(5, '0')}`;
+}
+
+// ─── Create ────────────────────────────────────────────────────────────
+/**
+ * Price and store a new DRAFT quote
+ * @param {Object} input
+ * @param {Object[]} input.items   - validated [{ pricing_id, number_of_containers, weight_per_container, weight_unit }]
+ * @param {Object} input.policy    - normalizeMarkupPolicy() result
+ * @param {string} [input.currency] - defaults to the first rate's currency
+ * @param {string} [input.valid_until]
+ * @param {string} input.actor
+ * @returns {{ quote?: Object, error?: { status: string, message: string } }}
+ */
+function createQuote(input) {
+  const db = getDb();
+  const ids = [...new Set(input.items.map((i) => i.pricing_id))];
+  const rows = db.prepare(`SELECT * FROM pricing WHERE deleted_at IS NULL AND id IN (${ids.map(() => '?').join(',')})`).all(...ids);
+  const pricingById = new Map(rows.map((r) => [r.id, r]));
+
+  const missing = ids.filter((id) => !pricingById.has(id));
+  if (missing.length) {
+    return { error: { status: 'NOT_FOUND', message: `Pricing not found: ${missing.join(', ')}` } };
+  }
+
+  const now = new Date().toISOString();
+  const expired = rows.find((r) => r.valid_until && toIso(r.valid_until) && toIso(r.valid_until) < now);
+  if (expired) {
+    return { error: { status: 'CONFLICT', message: `Pricing #${expired.id} expired on ${expired.valid_until}` } };
+  }
+
+  // Validity: requested or default, never past the earliest rate validity
+  const requested = input.valid_until
+    ? toIso(input.valid_until)
+    : endOfDay(new Date(Date.now() + DEFAULT_VALIDITY_DAYS * 86400000).toISOString().slice(0, 10));
+  if (requested < now) {
+    return { error: { status: 'INVALID_REQUEST', message: 'valid_until must be in the future' } };
+  }
+  const rateLimits = rows.map((r) => toIso(r.valid_until)).filter(Boolean).sort();
+  const validUntil = rateLimits.length && rateLimits[0] < requested ? rateLimits[0] : requested;
+
+  const currency = (input.currency || pricingById.get(input.items[0].pricing_id).currency || 'USD').toUpperCase();
+  const { items, totals, error } = buildQuoteItems({
+    requests: input.items,
+    pricingById,
+    chargesById: getChargesByPricingIds(ids),
+    policy: input.policy,
+    currency,
+    converter: createConverter(),
+  });
+  if (error) return { error: { status: 'INVALID_REQUEST', message: error } };
+
+  const quoteNumber = nextQuoteNumber();
+  const quoteId = db.prepare(`
+    INSERT INTO quotes (
+      quote_number, status, customer_name, customer_reference, currency,
+      subtotal_buy, markup_total, total, valid_until, validity_capped, markup_json, notes, created_by
+    ) VALUES (?, 'DRAFT', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    quoteNumber, input.customer_name || null, input.customer_reference || null, currency,
+    totals.subtotal_buy, totals.markup_total, totals.total,
+    validUntil, validUntil !== requested ? 1 : 0, JSON.stringify(input.policy), input.notes || null, input.actor
+  ).lastInsertRowid;
+
+  const insertItem = db.prepare(`
+    INSERT INTO quote_items (
+      quote_id, item_no, pricing_id, from_port, to_port, destination_country, container_type, carrier,
+      service_type, transit_days, number_of_containers, weight_per_container, weight_unit, rate_valid_until,
+      buy_total, total
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const insertLine = db.prepare(`
+    INSERT INTO quote_lines (
+      quote_id, quote_item_id, line_no, code, description, side, basis, quantity,
+      unit_buy, unit_sell, amount_buy, amount, source_currency, source_amount
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  for (const item of items) {
+    const itemId = insertItem.run(
+      quoteId, item.item_no, item.pricing_id, item.from_port, item.to_port, item.destination_country,
+      item.container_type, item.carrier, item.service_type, item.transit_days, item.number_of_containers,
+      item.weight_per_container, item.weight_unit, item.rate_valid_until, item.buy_total, item.total
+    ).lastInsertRowid;
+    for (const line of item.lines) {
+      insertLine.run(
+        quoteId, itemId, line.line_no, line.code, line.description, line.side, line.basis, line.quantity,
+        line.unit_buy, line.unit_sell, line.amount_buy, line.amount, line.source_currency, line.source_amount
+      );
+    }
+  }
+
+  console.log(`[Quotes] ${quoteNumber} created by ${input.actor}: ${currency} ${totals.total} (${items.length} item(s))`);
+  return { quote: getQuote(quoteId) };
+}
+
+// ─── Read ──────────────────────────────────────────────────────────────
+function getQuote(id) {
+  const db = getDb();
+  const quote = db.prepare(`SELECT * FROM quotes WHERE id = ?`).get(id);
+  if (!quote) return null;
+
+  const items = db.prepare(`SELECT * FROM quote_items WHERE quote_id = ? ORDER BY item_no`).all(id);
+  const lines = db.prepare(`SELECT * FROM quote_lines WHERE quote_id = ? ORDER BY quote_item_id, line_no`).all(id);
+  const { markup_json: markupJson, validity_capped: capped, ...header } = quote;
+  return {
+    ...header,
+    validity_capped: !!capped,
+    markup: JSON.parse(markupJson || '{}'),
+    items: items.map((item) => ({
+      ...item,
+      lines: lines.filter((l) => l.quote_item_id === item.id),
+    })),
+  };
+}
+
+function listQuotes({ status, customer } = {}) {
+  let sql = `
+    SELECT q.*, (SELECT COUNT(*) FROM quote_items i WHERE i.quote_id = q.id) AS item_count
+    FROM quotes q WHERE 1=1`;
+  const params = [];
+  if (status) {
+    sql += ` AND q.status = ?`;
+    params.push(String(status).toUpperCase());
+  }
+  if (customer) {
+    sql += ` AND q.customer_name LIKE ?`;
+    params.push(`%${customer}%`);
+  }
+  sql += ` ORDER BY q.created_at DESC, q.id DESC LIMIT 200`;
+  return getDb().prepare(sql).all(...params).map(({ markup_json: markupJson, ...q }) => ({
+    ...q,
+    validity_capped: !!q.validity_capped,
+    markup: JSON.parse(markupJson || '{}'),
+  }));
+}
+
+// ─── Lifecycle ─────────────────────────────────────────────────────────
+/**
+ * Move a quote along DRAFT → SENT → WON / LOST
+ * @returns {{ quote?: Object, error?: { status: string, message: string } }}
+ */
+function updateQuoteStatus(id, status, actor) {
+  const quote = getDb().prepare(`SELECT id, quote_number, status, valid_until FROM quotes WHERE id = ?`).get(id);
+  if (!quote) return { error: { status: 'NOT_FOUND', message: 'Quote not found' } };
+
+  if (!(STATUS_TRANSITIONS[quote.status] || []).includes(status)) {
+    return { error: { status: 'CONFLICT', message: `Cannot move quote from ${quote.status} to ${status}` } };
+  }
+  if (status === 'SENT' && quote.valid_until < new Date().toISOString()) {
+    return { error: { status: 'CONFLICT', message: `Quote expired on ${quote.valid_until}; create a new one` } };
+  }
+
+  getDb().prepare(`
+    UPDATE quotes SET status=?, status_updated_by=?,
+      sent_at=CASE WHEN ? = 'SENT' THEN datetime('now') ELSE sent_at END,
+      closed_at=CASE WHEN ? IN ('WON', 'LOST') THEN datetime('now') ELSE closed_at END,
+      updated_at=datetime('now')
+    WHERE id=?
+  `).run(status, actor, status, status, id);
+
+  console.log(`[Quotes] ${quote.quote_number} ${quote.status} → ${status} by ${actor}`);
+  return { quote: getQuote(id) };
+}
+
+module.exports = {
+  createQuote,
+  getQuote,
+  listQuotes,
+  updateQuoteStatus,
+  QUOTE_STATUSES,
+  STATUS_TRANSITIONS,
+  DEFAULT_VALIDITY_DAYS,
+};
@@ -0,0 +1,251 @@
+/**
+ * Ops review queue
+ *
+ * When a scrape job finishes without an AUTO_ACCEPT candidate, each of its
+ * FLAG_REVIEW candidates becomes an ops_review item with an SLA deadline of
+ * review.sla_minutes (pricing-config.yml, per lane) from the time it was
+ * flagged. Ops then resolves it:
+ *   APPROVED   — the candidate (optionally edited) is saved to pricing
+ *   REJECTED   — nothing is saved; the decision and reason go to pricing_history
+ *   SUPERSEDED — another candidate of the same job was approved, or an agent
+ *                accepted one of the job's candidates (POST /api/pricing/accept)
+ * An item is breached when it is still PENDING after its deadline, or was
+ * resolved after it.
+ *
+ * Functions:
+ *  - createReviewItems(job, candidates, laneKey) → Number of items queued
+ *  - listReviews(filters)                       → Items with SLA status, most urgent first
+ *  - getReview(id)                              → Item with its candidate, or null
+ *  - normalizeReviewEdits(input)                → { edits, error } for edit-and-approve
+ *  - approveReview(id, actor, edits)            → { review, pricing_id } or { error }
+ *  - rejectReview(id, actor, reason)            → { review } or { error }
+ *  - supersedeJobReviews(jobId, actor, reason)  → Number of PENDING items of a job closed
+ */
+
+const { getDb } = require('../db/database');
+const { getLaneConfig } = require('../config/pricingConfig');
+const { acceptCandidate } = require('../pricing/scrapedRates');
+const { parseValidUntil } = require('../validation/validator');
+
+const REVIEW_STATUSES = ['PENDING', 'APPROVED', 'REJECTED', 'SUPERSEDED'];
+
+function parseSqlDatetime(text) {
+  if (!text) return null;
+  const t = Date.parse(/^\d{4}-\d{2}-\d{2} \d/.test(text) ? `${text.replace(' ', 'T')}Z` : text);
+  return Number.isNaN(t) ? null : t;
+}
+
+/**
+ * Row as returned by the API: parsed issues plus
+ *   sla_remaining_seconds — seconds to the deadline while PENDING (negative once breached)
+ *   sla_breached          — still open past the deadline, or resolved after it
+ */
+function withSla(row, now = Date.now()) {
+  const { issues_json: issuesJson, ...item } = row;
+  const deadline = parseSqlDatetime(row.sla_deadline);
+  const resolvedAt = parseSqlDatetime(row.resolved_at);
+  return {
+    ...item,
+    issues: issuesJson ? JSON.parse(issuesJson) : [],
+    sla_remaining_seconds: row.status === 'PENDING' && deadline != null ? Math.round((deadline - now) / 1000) : null,
+    sla_breached: deadline != null && (resolvedAt != null ? resolvedAt : now) > deadline,
+  };
+}
+
+// ─── Queue ─────────────────────────────────────────────────────────────
+/**
+ * Queue the FLAG_REVIEW candidates of a finished job
+ * @param {Object} job - scrape_jobs row
+ * @param {Object[]} candidates - validated candidates, as stored in result_json
+ * @param {string} laneKey - buildLaneKey() of the job, for the SLA
+ * @returns {number} items created
+ */
+function createReviewItems(job, candidates, laneKey) {
+  const db = getDb();
+  const { review } = getLaneConfig(laneKey);
+  let created = 0;
+
+  candidates.forEach((candidate, index) => {
+    if (candidate.validation.outcome !== 'FLAG_REVIEW') return;
+    db.prepare(`
+      INSERT INTO ops_review (
+        scrape_job_id, candidate_index, carrier, from_port, to_port, container_type,
+        total_price, currency, confidence_score, issues_json, status, sla_deadline
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'PENDING', datetime('now', ?))
+    `).run(
+      job.id, index, candidate.carrier || job.carrier,
+      job.from_port.toUpperCase(), job.to_port.toUpperCase(), job.container_type || '40FT',
+      candidate.total_price != null ? candidate.total_price : candidate.price, candidate.currency || 'USD',
+      candidate.confidence_score, JSON.stringify(candidate.validation.issues || []),
+      `+${review.sla_minutes} minutes`
+    );
+    created++;
+  });
+
+  if (created) {
+    console.log(`[Review] Job ${job.id}: ${created} candidate(s) queued for ops review (SLA ${review.sla_minutes} min)`);
+  }
+  return created;
+}
+
+/**
+ * @param {{ status?: string, breached?: boolean }} filters - status defaults to PENDING; 'ALL' for every item
+ */
+function listReviews({ status = 'PENDING', breached } = {}) {
+  let sql = `SELECT * FROM ops_review WHERE 1=1`;
+  const params = [];
+  if (status !== 'ALL') {
+    sql += ` AND status = ?`;
+    params.push(status);
+  }
+  sql += ` ORDER BY CASE WHEN status = 'PENDING' THEN 0 ELSE 1 END, sla_deadline ASC, id ASC LIMIT 200`;
+
+  const now = Date.now();
+  const rows = getDb().prepare(sql).all(...params).map((row) => withSla(row, now));
+  return breached === undefined ? rows : rows.filter((row) => row.sla_breached === breached);
+}
+
+function loadJob(review) {
+  const job = getDb().prepare(`SELECT * FROM scrape_jobs WHERE id = ?`).get(review.scrape_job_id);
+  if (!job) return { job: null, candidate: null };
+  const candidates = JSON.parse(job.result_json || '[]');
+  return { job, candidate: candidates[review.candidate_index] || null };
+}
+
+function getReview(id) {
+  const row = getDb().prepare(`SELECT * FROM ops_review WHERE id = ?`).get(id);
+  if (!row) return null;
+  const { candidate } = loadJob(row);
+  return { ...withSla(row), candidate };
+}
+
+// ─── Decisions ─────────────────────────────────────────────────────────
+/**
+ * Fields ops may correct before approving
+ * @returns {{ edits: Object|null, error: string|null }}
+ */
+function normalizeReviewEdits(input) {
+  if (!input || typeof input !== 'object') return { edits: null, error: 'edits must be an object' };
+  const edits = {};
+
+  if (input.charges !== undefined) {
+    if (!Array.isArray(input.charges) || input.charges.length === 0) {
+      return { edits: null, error: 'charges must be a non-empty array' };
+    }
+    edits.charges = input.charges;
+  }
+  if (input.transit_days !== undefined && input.transit_days !== null) {
+    const days = Number(input.transit_days);
+    if (!Number.isInteger(days) || days <= 0) return { edits: null, error: 'transit_days must be a positive integer' };
+    edits.transit_days = days;
+  }
+  if (input.valid_until !== undefined && input.valid_until !== null) {
+    const t = parseValidUntil(input.valid_until);
+    if (Number.isNaN(t)) return { edits: null, error: 'valid_until must be a date (YYYY-MM-DD or ISO 8601)' };
+    if (t <= Date.now()) return { edits: null, error: 'valid_until must be in the future' };
+    edits.valid_until = new Date(t).toISOString();
+  }
+  if (input.service_type !== undefined && input.service_type !== null) {
+    const serviceType = String(input.service_type).trim();
+    if (!serviceType) return { edits: null, error: 'service_type must not be empty' };
+    edits.service_type = serviceType;
+  }
+
+  if (!Object.keys(edits).length) {
+    return { edits: null, error: 'provide at least one of charges, transit_days, valid_until, service_type' };
+  }
+  return { edits, error: null };
+}
+
+function openReview(id) {
+  const review = getDb().prepare(`SELECT * FROM ops_review WHERE id = ?`).get(id);
+  if (!review) return { error: { status: 'NOT_FOUND', message: 'Review item not found' } };
+  if (review.status !== 'PENDING') {
+    return { error: { status: 'CONFLICT', message: `Review item is already ${review.status}` } };
+  }
+  const { job, candidate } = loadJob(review);
+  if (!candidate) {
+    return { error: { status: 'CONFLICT', message: 'The scrape result for this review item no longer exists' } };
+  }
+  return { review, job, candidate };
+}
+
+/**
+ * Save the candidate (with any edits) to pricing and close the item. Other
+ * PENDING candidates of the same job are marked SUPERSEDED.
+ * @param {number} id
+ * @param {string} actor
+ * @param {Object|null} edits - normalizeReviewEdits() result for edit-and-approve
+ * @returns {{ review?: Object, pricing_id?: number, error?: { status: string, message: string } }}
+ */
+function approveReview(id, actor, edits = null) {
+  const { review, job, candidate, error } = openReview(id);
+  if (error) return { error };
+
+  const { charges, ...fields } = edits || {};
+  const action = edits ? 'OPS_EDIT_APPROVE' : 'OPS_APPROVE';
+  const reason = edits
+    ? `Ops approved flagged rate with edits to ${Object.keys(edits).join(', ')} (review #${id})`
+    : `Ops approved flagged rate (review #${id})`;
+
+  const { pricing_id: pricingId, error: acceptError } = acceptCandidate(job, { ...candidate, ...fields }, {
+    charges, action, actor, reason,
+  });
+  if (acceptError) return { error: { status: 'INVALID_REQUEST', message: acceptError } };
+
+  const db = getDb();
+  db.prepare(`
+    UPDATE ops_review SET status='APPROVED', pricing_id=?, actor=?, action=?, reason=?, resolved_at=datetime('now')
+    WHERE id=?
+  `).run(pricingId, actor, action, reason, id);
+  supersedeJobReviews(review.scrape_job_id, actor, `Review #${id} of the same scrape was approved`);
+
+  console.log(`[Review] #${id} ${action} by ${actor} → pricing #${pricingId}`);
+  return { review: getReview(id), pricing_id: pricingId };
+}
+
+/**
+ * Close the item without saving a rate; the rejection is kept in pricing_history
+ * @returns {{ review?: Object, error?: { status: string, message: string } }}
+ */
+function rejectReview(id, actor, reason) {
+  const { review, candidate, error } = openReview(id);
+  if (error) return { error };
+
+  const db = getDb();
+  db.prepare(`
+    INSERT INTO pricing_history (pricing_id, from_port, to_port, container_type, price, currency, source, snapshot_id, action, actor, reason)
+    VALUES (NULL, ?, ?, ?, ?, ?, 'SCRAPE', ?, 'OPS_REJECT', ?, ?)
+  `).run(review.from_port, review.to_port, review.container_type, review.total_price,
+    review.currency, candidate.snapshot_id, actor, reason);
+  db.prepare(`
+    UPDATE ops_review SET status='REJECTED', actor=?, action='OPS_REJECT', reason=?, resolved_at=datetime('now')
+    WHERE id=?
+  `).run(actor, reason, id);
+
+  console.log(`[Review] #${id} OPS_REJECT by ${actor}: ${reason}`);
+  return { review: getReview(id) };
+}
+
+/**
+ * Close the PENDING items of a scrape job once one of its candidates is in
+ * pricing, so none of them can be approved into a second rate
+ * @returns {number} items marked SUPERSEDED
+ */
+function supersedeJobReviews(jobId, actor, reason) {
+  return getDb().prepare(`
+    UPDATE ops_review SET status='SUPERSEDED', actor=?, reason=?, resolved_at=datetime('now')
+    WHERE scrape_job_id=? AND status='PENDING'
+  `).run(actor, reason, jobId).changes;
+}
+
+module.exports = {
+  createReviewItems,
+  listReviews,
+  getReview,
+  normalizeReviewEdits,
+  approveReview,
+  rejectReview,
+  supersedeJobReviews,
+  REVIEW_STATUSES,
+};
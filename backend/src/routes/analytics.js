@@ -0,0 +1,56 @@
+/**
+ * Lane analytics API routes
+ *
+ * GET /api/analytics/lanes/trend      — min / median / max total_price and sample
+ *                                       counts per period for one lane:
+ *                                       ?pol=&pod= (required), container_type=40FT,
+ *                                       interval=day|week|month (week), carrier=,
+ *                                       currency= (USD), from=&to= (YYYY-MM-DD)
+ * GET /api/analytics/lanes/sparklines — median per period of every lane matching
+ *                                       ?country=&pol=&pod=, over the last
+ *                                       ?periods= (12) ?interval= periods
+ */
+
+const express = require('express');
+const { getLaneTrend, getLaneSparklines } = require('../pricing/laneTrends');
+const { COMMON_CURRENCY } = require('../pricing/fx');
+
+const router = express.Router();
+
+const HTTP_STATUS = { INVALID_REQUEST: 400, NOT_FOUND: 404 };
+
+const upper = (value, fallback) => (value ? String(value).toUpperCase() : fallback);
+
+// ─── Lane trend ────────────────────────────────────────────────────────
+router.get('/lanes/trend', (req, res) => {
+  const { pol, pod, container_type: containerType, carrier, interval, currency, from, to } = req.query;
+  const { trend, error } = getLaneTrend({
+    pol,
+    pod,
+    containerType: upper(containerType, '40FT'),
+    carrier: carrier || null,
+    interval: interval || 'week',
+    currency: upper(currency, COMMON_CURRENCY),
+    from: from || null,
+    to: to || null,
+  });
+  if (error) return res.status(HTTP_STATUS[error.status] || 400).json(error);
+  res.json(trend);
+});
+
+// ─── Sparklines ────────────────────────────────────────────────────────
+router.get('/lanes/sparklines', (req, res) => {
+  const { country, pol, pod, interval, periods, currency } = req.query;
+  const { lanes, error } = getLaneSparklines({
+    country: country || null,
+    pol: pol || null,
+    pod: pod || null,
+    interval: interval || 'week',
+    periods: periods ? Number(periods) : undefined,
+    currency: upper(currency, COMMON_CURRENCY),
+  });
+  if (error) return res.status(HTTP_STATUS[error.status] || 400).json(error);
+  res.json(lanes);
+});
+
+module.exports = router;
@@ -0,0 +1,32 @@
+/**
+ * Config API routes
+ *
+ * GET /api/config/lanes/:key — effective pricing config for a lane
+ *                               (key = FROM|TO|CONTAINER|INCOTERM)
+ */
+
+const express = require('express');
+const { getLaneConfig, getConfigLoadedAt } = require('../config/pricingConfig');
+
+const router = express.Router();
+
+// ─── Resolved config for one lane ──────────────────────────────────────
+router.get('/lanes/:key', (req, res) => {
+  const parts = req.params.key.split('|');
+  if (parts.length !== 4 || parts.some((p) => !p.trim())) {
+    return res.status(400).json({
+      status: 'INVALID_REQUEST',
+      message: 'Lane key must look like FROM|TO|CONTAINER|INCOTERM (e.g. SINGAPORE|CHENNAI|40FT|EXW)',
+    });
+  }
+
+  const { lane_key, matched_overrides, ...config } = getLaneConfig(req.params.key);
+  res.json({
+    lane_key,
+    matched_overrides,
+    loaded_at: getConfigLoadedAt(),
+    config,
+  });
+});
+
+module.exports = router;
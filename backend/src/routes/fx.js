@@ -0,0 +1,36 @@
+/**
+ * FX rate API routes
+ *
+ * GET  /api/fx/rates — stored rates, newest first (?base=&quote= filters)
+ * POST /api/fx/rates — load dated rates: { rates: [{ base_currency,
+ *                      quote_currency, rate, rate_date }], source? }
+ */
+
+const express = require('express');
+const { normalizeRates, saveRates, listRates } = require('../pricing/fx');
+
+const router = express.Router();
+
+// ─── List rates ────────────────────────────────────────────────────────
+router.get('/rates', (req, res) => {
+  const { base, quote } = req.query;
+  res.json(listRates({ base, quote }));
+});
+
+// ─── Load rates ────────────────────────────────────────────────────────
+router.post('/rates', (req, res) => {
+  const { rates: input, source } = req.body || {};
+  const { rates, error } = normalizeRates(input);
+  if (error) {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: error });
+  }
+
+  const saved = saveRates(rates, source ? String(source) : 'API');
+  res.json({
+    status: 'SUCCESS',
+    saved,
+    message: `${saved} FX rate(s) saved.`,
+  });
+});
+
+module.exports = router;
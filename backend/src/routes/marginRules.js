@@ -0,0 +1,64 @@
+/**
+ * Margin rule API routes
+ *
+ * GET  /api/margin-rules      — rules in resolution order (?active=true|false)
+ * GET  /api/margin-rules/:id  — one rule
+ * POST /api/margin-rules      — create: { name, priority?, destination_country?,
+ *                               from_port?, to_port?, container_type?, source?,
+ *                               customer_tier?, markup_type, markup_value,
+ *                               min_margin?, max_margin?, currency?, actor }
+ * POST /api/margin-rules/:id  — change any of the fields above (active: false
+ *                               switches a rule off); { ..., actor }
+ *
+ * Matching and precedence are described in pricing/marginRules.js.
+ */
+
+const express = require('express');
+const {
+  normalizeMarginRule, listMarginRules, getMarginRule, createMarginRule, updateMarginRule,
+} = require('../pricing/marginRules');
+
+const router = express.Router();
+
+const HTTP_STATUS = { INVALID_REQUEST: 400, NOT_FOUND: 404 };
+
+// ─── List rules ────────────────────────────────────────────────────────
+router.get('/', (req, res) => {
+  const { active } = req.query;
+  res.json(listMarginRules({ active: active === undefined ? undefined : active === 'true' }));
+});
+
+// ─── Get one rule ──────────────────────────────────────────────────────
+router.get('/:id', (req, res) => {
+  const rule = getMarginRule(req.params.id);
+  if (!rule) {
+    return res.status(404).json({ status: 'NOT_FOUND', message: 'Margin rule not found' });
+  }
+  res.json(rule);
+});
+
+// ─── Create a rule ─────────────────────────────────────────────────────
+router.post('/', (req, res) => {
+  const { actor } = req.body || {};
+  if (!actor || String(actor).trim() === '') {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: 'actor is required' });
+  }
+  const { rule, error } = normalizeMarginRule(req.body);
+  if (error) {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: error });
+  }
+  res.json(createMarginRule(rule, String(actor).trim()));
+});
+
+// ─── Update a rule ─────────────────────────────────────────────────────
+router.post('/:id', (req, res) => {
+  const { actor, ...changes } = req.body || {};
+  if (!actor || String(actor).trim() === '') {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: 'actor is required' });
+  }
+  const { rule, error } = updateMarginRule(req.params.id, changes, String(actor).trim());
+  if (error) return res.status(HTTP_STATUS[error.status] || 400).json(error);
+  res.json(rule);
+});
+
+module.exports = router;
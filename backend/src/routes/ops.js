@@ -0,0 +1,95 @@
+/**
+ * Ops review API routes
+ *
+ * GET  /api/ops/reviews                    — review items, most urgent first
+ *                                           (?status=PENDING|APPROVED|REJECTED|SUPERSEDED|ALL,
+ *                                           default PENDING; ?breached=true|false)
+ * GET  /api/ops/reviews/:id                — one item with its scraped candidate
+ * POST /api/ops/reviews/:id/approve        — save the candidate to pricing: { actor }
+ * POST /api/ops/reviews/:id/reject         — discard it: { actor, reason }
+ * POST /api/ops/reviews/:id/edit-approve   — correct, then save: { actor, charges?,
+ *                                           transit_days?, valid_until?, service_type? }
+ *
+ * Items, SLA deadlines and statuses are described in review/opsReview.js.
+ */
+
+const express = require('express');
+const {
+  listReviews, getReview, normalizeReviewEdits, approveReview, rejectReview, REVIEW_STATUSES,
+} = require('../review/opsReview');
+
+const router = express.Router();
+
+const HTTP_STATUS = { INVALID_REQUEST: 400, NOT_FOUND: 404, CONFLICT: 409 };
+
+function requireActor(req, res) {
+  const { actor } = req.body || {};
+  if (!actor || String(actor).trim() === '') {
+    res.status(400).json({ status: 'INVALID_REQUEST', message: 'actor is required' });
+    return null;
+  }
+  return String(actor).trim();
+}
+
+// ─── List review items ─────────────────────────────────────────────────
+router.get('/reviews', (req, res) => {
+  const status = String(req.query.status || 'PENDING').toUpperCase();
+  if (status !== 'ALL' && !REVIEW_STATUSES.includes(status)) {
+    return res.status(400).json({
+      status: 'INVALID_REQUEST',
+      message: `status must be one of ${[...REVIEW_STATUSES, 'ALL'].join(', ')}`,
+    });
+  }
+  const { breached } = req.query;
+  if (breached !== undefined && breached !== 'true' && breached !== 'false') {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: 'breached must be true or false' });
+  }
+  res.json(listReviews({ status, breached: breached === undefined ? undefined : breached === 'true' }));
+});
+
+// ─── Get one review item ───────────────────────────────────────────────
+router.get('/reviews/:id', (req, res) => {
+  const review = getReview(req.params.id);
+  if (!review) {
+    return res.status(404).json({ status: 'NOT_FOUND', message: 'Review item not found' });
+  }
+  res.json(review);
+});
+
+// ─── Approve ───────────────────────────────────────────────────────────
+router.post('/reviews/:id/approve', (req, res) => {
+  const actor = requireActor(req, res);
+  if (!actor) return;
+  const { review, pricing_id: pricingId, error } = approveReview(req.params.id, actor);
+  if (error) return res.status(HTTP_STATUS[error.status] || 400).json(error);
+  res.json({ status: 'SUCCESS', pricing_id: pricingId, review, message: 'Rate approved and saved to pricing database.' });
+});
+
+// ─── Reject ────────────────────────────────────────────────────────────
+router.post('/reviews/:id/reject', (req, res) => {
+  const actor = requireActor(req, res);
+  if (!actor) return;
+  const reason = String((req.body && req.body.reason) || '').trim();
+  if (!reason) {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: 'reason is required' });
+  }
+  const { review, error } = rejectReview(req.params.id, actor, reason);
+  if (error) return res.status(HTTP_STATUS[error.status] || 400).json(error);
+  res.json({ status: 'SUCCESS', review, message: 'Rate rejected.' });
+});
+
+// ─── Edit and approve ──────────────────────────────────────────────────
+router.post('/reviews/:id/edit-approve', (req, res) => {
+  const actor = requireActor(req, res);
+  if (!actor) return;
+  const { actor: _actor, ...input } = req.body;
+  const { edits, error: editError } = normalizeReviewEdits(input);
+  if (editError) {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: editError });
+  }
+  const { review, pricing_id: pricingId, error } = approveReview(req.params.id, actor, edits);
+  if (error) return res.status(HTTP_STATUS[error.status] || 400).json(error);
+  res.json({ status: 'SUCCESS', pricing_id: pricingId, review, message: 'Edited rate approved and saved to pricing database.' });
+});
+
+module.exports = router;
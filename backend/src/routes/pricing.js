@@ -1,21 +1,74 @@
 /**
  * Pricing API routes
  *
- * GET  /api/pricing           — list all pricing (with optional filters)
+ * GET  /api/pricing           — list all pricing with charge line items (optional filters)
+ * GET  /api/pricing/export    — the same rows streamed as ?format=csv|xlsx|json, with
+ *                                ?columns=a,b,c (see pricing/rateExport.js)
  * GET  /api/pricing/countries  — list destination countries with counts
  * GET  /api/pricing/ports      — list POL / POD options (filtered)
+ * GET  /api/pricing/compare    — best total / transit per carrier + service for a lane
  * POST /api/pricing/check      — quick-check: internal lookup
- * POST /api/pricing/scrape     — trigger Maersk scrape job
- * POST /api/pricing/accept     — accept a scraped result into pricing
+ * POST   /api/pricing          — enter a rate by hand: { actor, reason, from_port, to_port,
+ *                                container_type, currency?, charges? or breakdown columns, ... }
+ * PATCH  /api/pricing/:id      — correct fields of a current rate: { actor, reason, ...changes };
+ *                                409 for a superseded version
+ * DELETE /api/pricing/:id      — soft-delete a rate: { actor, reason }
+ *                                (manual writes are described in pricing/manualRates.js)
+ * GET    /api/pricing/:id/history — field-by-field change timeline of a rate, oldest first
+ * POST   /api/pricing/import  — import a CSV / XLSX rate sheet: { filename, content (CSV text) or
+ *                                content_base64, format?, profile? or mapping?, dry_run?,
+ *                                skip_rejected?, actor, reason? } (see pricing/rateImport.js)
+ * GET    /api/pricing/batches  — recent write batches (import, manual, accepts, rollbacks); ?kind=
+ * GET    /api/pricing/batches/:id — one batch with its event count
+ * POST   /api/pricing/batches/:id/rollback — undo a batch: { dry_run? (default true), actor,
+ *                                reason?, skip_conflicts? } (see pricing/rateBatches.js)
+ *
+ * GET / and /export return the current price list, or with ?as_of=YYYY-MM-DD the
+ * list as it stood at the end of that day (pricing/rateVersions.js). They filter
+ * on ?country= ?pol= ?pod= ?container_type=, ?source= (comma-separated),
+ * ?created_from= / ?created_to= and ?valid_until_from= / ?valid_until_to=
+ * (YYYY-MM-DD, inclusive). /compare and /check only use current rates that have
+ * not expired (lane TTL and valid_until).
+ * GET /, /export, /compare and /check take ?currency= (body `currency` for /check) to
+ * add totals normalized with the stored FX rates (pricing/fx.js).
+ * GET /, /export and /check take ?view=sell (body `view` for /check) to add sell prices
+ * from the margin rules (pricing/marginRules.js); ?tier= / body
+ * `customer_tier` selects tier-specific rules.
+ * POST /api/pricing/scrape     — queue a scrape job per requested carrier
+ * POST /api/pricing/scrape/batch — queue scrapes for many lanes under one batch:
+ *                                  { lanes: [...] } or { filter: { destination_country?,
+ *                                  from_port?, container_type?, expiring_within_days? } }
+ * GET  /api/pricing/scrape/batches       — recent batches with progress counts
+ * GET  /api/pricing/scrape/batch/:id     — batch progress and child jobs
+ * GET  /api/pricing/scrape/batch/:id/stream — progress counts as server-sent events
+ * POST /api/pricing/scrape/batch/:id/cancel — cancel the batch's unfinished jobs
+ * POST /api/pricing/accept     — accept a scraped result into pricing; the job's
+ *                                PENDING ops_review items become SUPERSEDED
  * GET  /api/pricing/jobs       — list scrape jobs
  * GET  /api/pricing/jobs/:id   — get job detail
+ * POST /api/pricing/jobs/:id/cancel — cancel a pending or running job
  */
 
 const express = require('express');
-const { v4: uuidv4 } = require('uuid');
+const { Readable, pipeline } = require('stream');
 const { getDb } = require('../db/database');
-const { simulateScrape, scrapeMaerskSpotRate } = require('../scraper/maersk');
-const { validateCandidates } = require('../validation/validator');
+const { enqueueScrapeJob, cancelScrapeJob, getJobAttempts } = require('../jobs/scrapeQueue');
+const {
+  resolveFilterLanes, createScrapeBatch, getBatchSummary, getBatchJobs, listBatches, cancelScrapeBatch, MAX_BATCH_JOBS,
+} = require('../jobs/scrapeBatch');
+const { resolveCarrierCodes } = require('../scraper/carriers');
+const { getChargesByPricingIds, BREAKDOWN_COLUMNS } = require('../pricing/charges');
+const { acceptCandidate } = require('../pricing/scrapedRates');
+const { supersedeJobReviews } = require('../review/opsReview');
+const { createManualRate, updateManualRate, deleteManualRate } = require('../pricing/manualRates');
+const { getPricingTimeline } = require('../pricing/pricingHistory');
+const { planImport, commitImport } = require('../pricing/rateImport');
+const { CURRENT_RATES, asOfCondition, isRateValid } = require('../pricing/rateVersions');
+const { listPricingBatches, getPricingBatch, planRollback, rollbackBatch, BATCH_KINDS } = require('../pricing/rateBatches');
+const { resolveExportColumns, exportChunks, EXPORT_FORMATS, CONTENT_TYPES } = require('../pricing/rateExport');
+const { normalizeTotals, isCurrency, COMMON_CURRENCY } = require('../pricing/fx');
+const { applyMargins } = require('../pricing/marginRules');
+const { recordLaneCheck } = require('../jobs/refreshScheduler');
 
 const router = express.Router();
 
@@ -24,8 +77,8 @@ const router = express.Router();
  */
 function validatePort(port) {
   if (!port || typeof port !== 'string' || port.trim().length === 0) return false;
-  // Allow alphanumeric, spaces, and hyphens
-  return /^[a-zA-Z0-9\s\-]{2,10}$/.test(port.trim());
+  // UN/LOCODEs or port names as stored on rates: alphanumeric, spaces, and hyphens
+  return /^[a-zA-Z0-9\s\-]{2,35}$/.test(port.trim());
 }
 
 // Container type mapping (short code => display format)
@@ -82,13 +135,33 @@ function validateContainerType(type) {
   return normalized !== null;
 }
 
+/**
+ * 400 message for a bad ?currency= value, or null
+ */
+function currencyError(currency) {
+  if (currency == null || currency === '') return null;
+  return isCurrency(String(currency).toUpperCase()) ? null : 'currency must be a 3-letter code (e.g. USD)';
+}
+
+const PRICE_VIEWS = ['buy', 'sell'];
+
+const HTTP_STATUS = { INVALID_REQUEST: 400, NOT_FOUND: 404, CONFLICT: 409 };
+
+/**
+ * 400 message for a bad ?view= value, or null
+ */
+function viewError(view) {
+  if (view == null || view === '') return null;
+  return PRICE_VIEWS.includes(String(view).toLowerCase()) ? null : `view must be one of ${PRICE_VIEWS.join(', ')}`;
+}
+
 // ─── List destination countries ────────────────────────────────────────
 router.get('/countries', (req, res) => {
   const db = getDb();
   const rows = db.prepare(`
     SELECT DISTINCT destination_country
     FROM pricing
-    WHERE destination_country IS NOT NULL
+    WHERE destination_country IS NOT NULL AND ${CURRENT_RATES}
     ORDER BY destination_country
   `).all();
   res.json(rows.map((r) => r.destination_country));
@@ -100,10 +173,10 @@ router.get('/ports', (req, res) => {
   const { type, country } = req.query; // type = 'pol' | 'pod'
 
   if (type === 'pol') {
-    let sql = `SELECT DISTINCT from_port AS port FROM pricing`;
+    let sql = `SELECT DISTINCT from_port AS port FROM pricing WHERE ${CURRENT_RATES}`;
     const params = [];
     if (country) {
-      sql += ` WHERE destination_country = ?`;
+      sql += ` AND destination_country = ?`;
       params.push(country);
     }
     sql += ` ORDER BY from_port`;
@@ -116,10 +189,10 @@ router.get('/ports', (req, res) => {
     const portsSet = new Set();
 
     // 1) add distinct to_port from pricing (filtered by country if provided)
-    let sql = `SELECT DISTINCT to_port AS port FROM pricing`;
+    let sql = `SELECT DISTINCT to_port AS port FROM pricing WHERE ${CURRENT_RATES}`;
     const params = [];
     if (country) {
-      sql += ` WHERE destination_country = ?`;
+      sql += ` AND destination_country = ?`;
       params.push(country);
     }
     sql += ` ORDER BY to_port`;
@@ -148,41 +221,341 @@ router.get('/ports', (req, res) => {
 });
 
 // ─── List pricing with optional filters ────────────────────────────────
-router.get('/', (req, res) => {
-  const db = getDb();
-  const { country, pol, pod, container_type } = req.query;
+const DATE_FILTERS = {
+  created_from: ['created_at', '>='],
+  created_to: ['created_at', '<='],
+  valid_until_from: ['valid_until', '>='],
+  valid_until_to: ['valid_until', '<='],
+};
 
-  let sql = `SELECT * FROM pricing WHERE 1=1`;
+const isDateParam = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+/**
+ * WHERE clause for the rates table filters (shared by GET / and /export):
+ * the current price list, or the list at the end of ?as_of= (YYYY-MM-DD)
+ * @returns {{ where?: string, params?: Array, error?: string }}
+ */
+function pricingFilters(query) {
+  const { country, pol, pod, container_type, source, as_of: asOf } = query;
+  const clauses = [];
   const params = [];
 
+  if (asOf) {
+    if (!isDateParam(asOf)) return { error: 'as_of must be a date (YYYY-MM-DD)' };
+    const { clause, params: asOfParams } = asOfCondition(asOf);
+    clauses.push(clause);
+    params.push(...asOfParams);
+  } else {
+    clauses.push(CURRENT_RATES);
+  }
+
   if (country) {
-    sql += ` AND destination_country = ?`;
+    clauses.push('destination_country = ?');
     params.push(country);
   }
   if (pol) {
-    sql += ` AND from_port = ?`;
+    clauses.push('from_port = ?');
     params.push(pol);
   }
   if (pod) {
-    sql += ` AND to_port = ?`;
+    clauses.push('to_port = ?');
     params.push(pod);
   }
   if (container_type) {
-    sql += ` AND container_type = ?`;
+    clauses.push('container_type = ?');
     params.push(container_type);
   }
   // incoterm filter removed (no longer used)
+  if (source) {
+    const sources = String(source).split(',').map((v) => v.trim().toUpperCase()).filter(Boolean);
+    clauses.push(`source IN (${sources.map(() => '?').join(', ')})`);
+    params.push(...sources);
+  }
+  for (const [param, [column, op]] of Object.entries(DATE_FILTERS)) {
+    const value = query[param];
+    if (!value) continue;
+    if (!isDateParam(value)) return { error: `${param} must be a date (YYYY-MM-DD)` };
+    clauses.push(`date(${column}) ${op} date(?)`);
+    params.push(value);
+  }
+  return { where: clauses.join(' AND '), params };
+}
 
-  sql += ` ORDER BY month_label DESC, from_port, to_port`;
+router.get('/', (req, res) => {
+  const db = getDb();
+  const { currency, view, tier } = req.query;
 
-  const rows = db.prepare(sql).all(...params);
-  res.json(rows);
+  const badCurrency = currencyError(currency);
+  if (badCurrency) {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: badCurrency });
+  }
+  const badView = viewError(view);
+  if (badView) {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: badView });
+  }
+  const { where, params, error } = pricingFilters(req.query);
+  if (error) return res.status(400).json({ status: 'INVALID_REQUEST', message: error });
+
+  const sql = `SELECT * FROM pricing WHERE ${where} ORDER BY month_label DESC, from_port, to_port, id`;
+
+  let rows = db.prepare(sql).all(...params);
+  if (currency) rows = normalizeTotals(rows, currency);
+  if (String(view).toLowerCase() === 'sell') rows = applyMargins(rows, { customer_tier: tier });
+  const charges = getChargesByPricingIds(rows.map(r => r.id));
+  res.json(rows.map(r => ({ ...r, charges: charges.get(r.id) })));
+});
+
+// ─── Export ────────────────────────────────────────────────────────────
+router.get('/export', (req, res) => {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+  }
+  const { currency, tier } = req.query;
+  const badCurrency = currencyError(currency);
+  if (badCurrency) {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: badCurrency });
+  }
+  const badView = viewError(req.query.view);
+  if (badView) {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: badView });
+  }
+  const view = req.query.view ? String(req.query.view).toLowerCase() : 'buy';
+  const { where, params, error } = pricingFilters(req.query);
+  if (error) return res.status(400).json({ status: 'INVALID_REQUEST', message: error });
+  const { columns, error: columnError } = resolveExportColumns(req.query.columns, { currency, view });
+  if (columnError) return res.status(400).json({ status: 'INVALID_REQUEST', message: columnError });
+
+  const filename = `rates-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  const chunks = exportChunks(format, { where, params }, {
+    columns, currency: currency ? String(currency).toUpperCase() : null, view, tier,
+  });
+  pipeline(Readable.from(chunks), res, (err) => {
+    if (err) console.error('[Pricing] Export failed:', err.message);
+  });
+});
+
+// ─── Manual rates ──────────────────────────────────────────────────────
+/**
+ * actor and reason from a manual write, or the 400 message when one is missing
+ */
+function auditFields(body) {
+  const { actor, reason, ...fields } = body || {};
+  if (!actor || String(actor).trim() === '') return { error: 'actor is required' };
+  if (!reason || String(reason).trim() === '') return { error: 'reason is required' };
+  return { actor: String(actor).trim(), reason: String(reason).trim(), fields };
+}
+
+router.post('/', (req, res) => {
+  const { actor, reason, fields, error: auditError } = auditFields(req.body);
+  if (auditError) return res.status(400).json({ status: 'INVALID_REQUEST', message: auditError });
+  const { rate, error } = createManualRate(fields, actor, reason);
+  if (error) return res.status(HTTP_STATUS[error.status] || 400).json(error);
+  res.json(rate);
+});
+
+router.patch('/:id', (req, res) => {
+  const { actor, reason, fields, error: auditError } = auditFields(req.body);
+  if (auditError) return res.status(400).json({ status: 'INVALID_REQUEST', message: auditError });
+  const { rate, error } = updateManualRate(req.params.id, fields, actor, reason);
+  if (error) return res.status(HTTP_STATUS[error.status] || 400).json(error);
+  res.json(rate);
+});
+
+router.delete('/:id', (req, res) => {
+  const { actor, reason, error: auditError } = auditFields(req.body);
+  if (auditError) return res.status(400).json({ status: 'INVALID_REQUEST', message: auditError });
+  const { error } = deleteManualRate(req.params.id, actor, reason);
+  if (error) return res.status(HTTP_STATUS[error.status] || 400).json(error);
+  res.json({ status: 'SUCCESS', message: 'Rate deleted.' });
+});
+
+// ─── Rate sheet import ─────────────────────────────────────────────────
+// Dry run unless dry_run is false; the dry-run report lists every row as
+// NEW / UPDATED / UNCHANGED / REJECTED
+router.post('/import', (req, res) => {
+  const {
+    filename, format, content, content_base64: contentBase64, profile, mapping,
+    dry_run: dryRun = true, skip_rejected: skipRejected = false, actor, reason,
+  } = req.body || {};
+
+  if (typeof content !== 'string' && typeof contentBase64 !== 'string') {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: 'content (CSV text) or content_base64 is required' });
+  }
+  const file = {
+    filename: filename ? String(filename) : null,
+    format,
+    content: typeof contentBase64 === 'string' ? Buffer.from(contentBase64, 'base64') : Buffer.from(content, 'utf8'),
+  };
+
+  if (dryRun !== false) {
+    const { report, error } = planImport(file, { profile, mapping });
+    if (error) return res.status(HTTP_STATUS[error.status] || 400).json(error);
+    return res.json(report);
+  }
+
+  if (!actor || String(actor).trim() === '') {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: 'actor is required' });
+  }
+  const { report, error } = commitImport(file, {
+    profile, mapping, actor: String(actor).trim(), reason: reason ? String(reason).trim() : null, skipRejected: skipRejected === true,
+  });
+  if (error) return res.status(HTTP_STATUS[error.status] || 400).json(error);
+  res.json(report);
+});
+
+// ─── Write batches and rollback ────────────────────────────────────────
+router.get('/batches', (req, res) => {
+  const kind = req.query.kind ? String(req.query.kind).toUpperCase() : null;
+  if (kind && !BATCH_KINDS.includes(kind)) {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: `kind must be one of ${BATCH_KINDS.join(', ')}` });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  res.json(listPricingBatches({ kind, limit }));
+});
+
+router.get('/batches/:id', (req, res) => {
+  const batch = getPricingBatch(req.params.id);
+  if (!batch) return res.status(404).json({ status: 'NOT_FOUND', message: 'Batch not found' });
+  res.json(batch);
+});
+
+// Dry run unless dry_run is false; the dry run lists each rate as DELETE /
+// RESTORE with its status (READY, NOOP, CONFLICT)
+router.post('/batches/:id/rollback', (req, res) => {
+  const { dry_run: dryRun = true, actor, reason, skip_conflicts: skipConflicts = false } = req.body || {};
+
+  if (dryRun !== false) {
+    const { plan, error } = planRollback(req.params.id);
+    if (error) return res.status(HTTP_STATUS[error.status] || 400).json(error);
+    return res.json(plan);
+  }
+
+  if (!actor || String(actor).trim() === '') {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: 'actor is required' });
+  }
+  const { plan, error } = rollbackBatch(req.params.id, {
+    actor: String(actor).trim(), reason: reason ? String(reason).trim() : null, skipConflicts: skipConflicts === true,
+  });
+  if (error) return res.status(HTTP_STATUS[error.status] || 400).json(error);
+  res.json(plan);
+});
+
+// ─── Change history of one rate ────────────────────────────────────────
+router.get('/:id/history', (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: 'id must be a positive integer' });
+  }
+  const timeline = getPricingTimeline(id);
+  if (!timeline) return res.status(404).json({ status: 'NOT_FOUND', message: 'Rate not found' });
+  res.json(timeline);
+});
+
+// ─── Compare carriers on one lane ──────────────────────────────────────
+router.get('/compare', (req, res) => {
+  const db = getDb();
+  const { pol, pod, container_type } = req.query;
+
+  if (!pol || !pod) {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: 'pol and pod are required.' });
+  }
+  const badCurrency = currencyError(req.query.currency);
+  if (badCurrency) {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: badCurrency });
+  }
+  // Totals are ranked in one currency; rows without a rate to it are left out
+  const currency = (req.query.currency || COMMON_CURRENCY).toUpperCase();
+  if (!validateContainerType(container_type)) {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: 'Invalid container type.' });
+  }
+  const ct = normalizeContainerType(container_type) || '40FT';
+
+  const rows = db.prepare(`
+    SELECT * FROM pricing
+    WHERE ${CURRENT_RATES}
+      AND from_port = ? COLLATE NOCASE
+      AND to_port = ? COLLATE NOCASE
+      AND container_type = ? COLLATE NOCASE
+    ORDER BY created_at DESC
+  `).all(pol, pod, ct);
+
+  // Group valid rows by carrier + service type
+  const groups = new Map();
+  let unconverted = 0;
+  for (const row of normalizeTotals(rows.filter((r) => isRateValid(r)), currency)) {
+    if (row.total_price == null) continue;
+    const total = row.normalized_total;
+    if (total == null) {
+      unconverted++;
+      continue;
+    }
+    const carrier = row.carrier || 'MAERSK';
+    const serviceType = row.service_type || 'STANDARD';
+    const key = `${carrier}|${serviceType}`;
+    if (!groups.has(key)) groups.set(key, { carrier, service_type: serviceType, rows: [] });
+    groups.get(key).rows.push({ ...row, total });
+  }
+
+  const summary = (row) => row && ({
+    pricing_id: row.id,
+    total_price: row.total_price,
+    currency: row.currency,
+    normalized_total: row.total,
+    transit_days: row.transit_days,
+    valid_until: row.valid_until,
+    source: row.source,
+  });
+
+  const result = [...groups.values()].map(({ carrier, service_type, rows: groupRows }) => {
+    const cheapest = groupRows.reduce((best, r) => (r.total < best.total ? r : best));
+    const withTransit = groupRows.filter((r) => r.transit_days != null);
+    const fastest = withTransit.length
+      ? withTransit.reduce((best, r) => (r.transit_days < best.transit_days
+        || (r.transit_days === best.transit_days && r.total < best.total) ? r : best))
+      : null;
+    const breakdown = {};
+    BREAKDOWN_COLUMNS.forEach((col) => { breakdown[col] = cheapest[col]; });
+    return {
+      carrier,
+      service_type,
+      rate_count: groupRows.length,
+      best_total: summary(cheapest),
+      best_transit: summary(fastest),
+      breakdown,
+    };
+  }).sort((a, b) => a.best_total.normalized_total - b.best_total.normalized_total);
+
+  const pick = (group, metric) => group && ({ carrier: group.carrier, service_type: group.service_type, ...group[metric] });
+  const fastestGroup = result
+    .filter((g) => g.best_transit)
+    .sort((a, b) => a.best_transit.transit_days - b.best_transit.transit_days)[0];
+
+  res.json({
+    pol,
+    pod,
+    container_type: ct,
+    currency,
+    count: result.length,
+    unconverted,
+    groups: result,
+    winners: {
+      best_total: pick(result[0], 'best_total'),
+      best_transit: pick(fastestGroup, 'best_transit'),
+    },
+  });
 });
 
 // ─── Quick check — internal lookup ─────────────────────────────────────
 router.post('/check', (req, res) => {
   const db = getDb();
   const { from_port, to_port, container_type } = req.body;
+  const currency = req.body.currency || req.query.currency;
+  const view = req.body.view || req.query.view;
+  const tier = req.body.customer_tier || req.query.tier;
 
   if (!from_port || !to_port) {
     return res.status(400).json({
@@ -190,24 +563,33 @@ router.post('/check', (req, res) => {
       message: 'from_port and to_port are required.',
     });
   }
+  const badCurrency = currencyError(currency);
+  if (badCurrency) {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: badCurrency });
+  }
+  const badView = viewError(view);
+  if (badView) {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: badView });
+  }
 
   const ct = container_type || '40FT';
+  // Busy lanes are refreshed first by the refresh scheduler
+  recordLaneCheck(from_port, to_port, ct);
 
   // Fetch ALL matching prices (not just one)
   const rows = db.prepare(`
     SELECT * FROM pricing
-    WHERE from_port = ? COLLATE NOCASE
+    WHERE ${CURRENT_RATES}
+      AND from_port = ? COLLATE NOCASE
       AND to_port = ? COLLATE NOCASE
       AND container_type = ? COLLATE NOCASE
     ORDER BY created_at DESC
   `).all(from_port, to_port, ct);
 
-  // Filter by TTL — keep only non-expired rows
-  const validRows = rows.filter((row) => {
-    const age = (Date.now() - new Date(row.created_at).getTime()) / 1000;
-    const ttl = row.ttl_seconds || 86400;
-    return age <= ttl;
-  });
+  // Keep only unexpired rows: lane TTL (lane config) and the carrier's valid_until
+  let validRows = rows.filter((r) => isRateValid(r));
+  if (currency) validRows = normalizeTotals(validRows, currency);
+  if (String(view).toLowerCase() === 'sell') validRows = applyMargins(validRows, { customer_tier: tier });
 
   if (validRows.length > 0) {
     return res.json({
@@ -234,46 +616,48 @@ router.post('/check', (req, res) => {
   });
 });
 
-// ─── Trigger Maersk scrape ─────────────────────────────────────────────
-router.post('/scrape', async (req, res) => {
-  const db = getDb();
-  const {
-    from_port, to_port, container_type, number_of_containers,
-    weight_per_container, weight_unit, commodity,
-    price_owner, use_live_scraper,
-    origin_inland, destination_inland,
-  } = req.body;
-
-  // Validate required fields
+// ─── Trigger carrier scrapes ───────────────────────────────────────────
+/**
+ * Field errors for one lane of a scrape request
+ * @param {Object} lane - { from_port, to_port, container_type?, number_of_containers? }
+ * @param {string} [prefix] - field prefix, e.g. "lanes[2]."
+ */
+function laneErrors(lane, prefix = '') {
+  const { from_port, to_port, container_type, number_of_containers } = lane || {};
   const errors = [];
-  if (!validatePort(from_port)) errors.push({ field: 'from_port', message: 'Required and must be 2-10 alphanumeric characters' });
-  if (!validatePort(to_port)) errors.push({ field: 'to_port', message: 'Required and must be 2-10 alphanumeric characters' });
+  if (!validatePort(from_port)) errors.push({ field: `${prefix}from_port`, message: 'Required and must be 2-35 alphanumeric characters' });
+  if (!validatePort(to_port)) errors.push({ field: `${prefix}to_port`, message: 'Required and must be 2-35 alphanumeric characters' });
   if (container_type && !validateContainerType(container_type)) {
-    errors.push({ field: 'container_type', message: 'Invalid container type. Valid types: 20FT, 40FT, 40HC, 40HIGH, 45FT, REEFER, OOG or their display formats (e.g., "40 Dry", "40 High Cube Dry")' });
+    errors.push({ field: `${prefix}container_type`, message: 'Invalid container type. Valid types: 20FT, 40FT, 40HC, 40HIGH, 45FT, REEFER, OOG or their display formats (e.g., "40 Dry", "40 High Cube Dry")' });
   }
   if (number_of_containers && (typeof number_of_containers !== 'number' || number_of_containers < 1)) {
-    errors.push({ field: 'number_of_containers', message: 'Must be a positive number' });
+    errors.push({ field: `${prefix}number_of_containers`, message: 'Must be a positive number' });
   }
+  return errors;
+}
+
+router.post('/scrape', (req, res) => {
+  const { container_type, carriers } = req.body;
+
+  // Validate required fields
+  const errors = laneErrors(req.body);
+  const carrierCodes = resolveCarrierCodes(carriers);
+  if (carrierCodes.error) errors.push({ field: 'carriers', message: carrierCodes.error });
 
   if (errors.length) {
     return res.status(400).json({ status: 'INVALID_REQUEST', errors });
   }
 
-  const jobId = uuidv4();
   // Normalize container type to standard code (e.g., "40 Dry High" -> "40HC")
   const ct = normalizeContainerType(container_type) || '40FT';
 
-  // Insert scrape job
+  // Queue one job per carrier; a worker picks them up (see jobs/scrapeQueue.js)
+  let queued;
   try {
-    db.prepare(`
-      INSERT INTO scrape_jobs (id, from_port, to_port, container_type, number_of_containers,
-        weight_per_container, weight_unit, commodity, origin_inland, destination_inland, price_owner, status)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'RUNNING')
-    `).run(jobId, from_port.toUpperCase(), to_port.toUpperCase(), ct,
-      number_of_containers || 1, weight_per_container || null,
-      weight_unit || 'kg', commodity || null,
-      origin_inland || 'CY', destination_inland || 'CY',
-      price_owner || 'system');
+    queued = carrierCodes.codes.map((carrier) => ({
+      carrier,
+      ...enqueueScrapeJob({ ...req.body, carriers: undefined, carrier, container_type: ct }),
+    }));
   } catch (dbErr) {
     console.error('[API] Failed to insert scrape job:', dbErr.message);
     return res.status(500).json({
@@ -282,156 +666,137 @@ router.post('/scrape', async (req, res) => {
     });
   }
 
-  // Respond immediately with job ID
   res.json({
     status: 'STARTED',
-    job_id: jobId,
-    message: 'Scrape job started. Poll /api/pricing/jobs/:id for status.'
+    job_id: queued[0].job_id,
+    expected_start_at: queued[0].expected_start_at,
+    jobs: queued,
+    message: `Scrape job${queued.length > 1 ? 's' : ''} queued. Poll /api/pricing/jobs/:id for status.`
   });
+});
 
-  // Run the scrape in the background
-  setImmediate(async () => {
-    try {
-      const liveMode = use_live_scraper !== undefined
-        ? !!use_live_scraper
-        : process.env.USE_LIVE_SCRAPER === 'true';
-
-      console.log(`[API] Background Job ${jobId} | Mode: ${liveMode ? 'LIVE' : 'SIM'}`);
-
-      let scrapeResult;
-      try {
-        if (liveMode) {
-          scrapeResult = await scrapeMaerskSpotRate({ ...req.body, job_id: jobId });
-        } else {
-          scrapeResult = simulateScrape({ ...req.body, job_id: jobId });
-        }
-      } catch (scrapeErr) {
-        console.error(`[API] Job ${jobId} Scrape error:`, {
-          message: scrapeErr.message,
-          code: scrapeErr.code,
-          stack: scrapeErr.stack
-        });
-
-        try {
-          db.prepare(`UPDATE scrape_jobs SET status='FAILED', error_message=?, updated_at=datetime('now') WHERE id=?`)
-            .run(`Scrape error: ${scrapeErr.message}`, jobId);
-          db.prepare(`INSERT INTO failure_records (scrape_job_id, reason_code, details) VALUES (?, ?, ?)`)
-            .run(jobId, 'SCRAPER_ERROR', scrapeErr.message || '');
-        } catch (updateErr) {
-          console.error(`[API] Job ${jobId} Failed to update failure record:`, updateErr.message);
-        }
-        return;
-      }
-
-      if (scrapeResult.status === 'FAILED') {
-        console.warn(`[API] Job ${jobId} Scrape returned FAILED status:`, scrapeResult.reason_code);
-        db.prepare(`UPDATE scrape_jobs SET status='FAILED', error_message=?, snapshot_id=?, updated_at=datetime('now') WHERE id=?`)
-          .run(scrapeResult.error || 'Unknown error', scrapeResult.snapshot_id || null, jobId);
-
-        try {
-          db.prepare(`INSERT INTO failure_records (scrape_job_id, reason_code, details) VALUES (?, ?, ?)`)
-            .run(jobId, scrapeResult.reason_code || 'SCRAPER_ERROR', scrapeResult.error || '');
-        } catch (e) {
-          console.error(`[API] Job ${jobId} Failed to insert failure record:`, e.message);
-        }
-        return;
-      }
-
-      // Compute historical median for deviation check
-      const histRows = db.prepare(`
-        SELECT price FROM pricing
-        WHERE from_port = ? COLLATE NOCASE AND to_port = ? COLLATE NOCASE AND container_type = ? COLLATE NOCASE
-        ORDER BY created_at DESC LIMIT 20
-      `).all(from_port, to_port, ct);
-
-      const historicalMedian = histRows.length >= 5
-        ? histRows.map(r => r.price).sort((a, b) => a - b)[Math.floor(histRows.length / 2)]
-        : null;
-
-      // Validate candidates
-      const finalCandidates = validateCandidates(scrapeResult.candidates || [], {
-        historical_median: historicalMedian,
-        baseline_samples: histRows.length,
-      });
-
-      // Update job with results
-      db.prepare(`
-        UPDATE scrape_jobs SET status='SUCCESS', result_json=?, snapshot_id=?, updated_at=datetime('now')
-        WHERE id=?
-      `).run(JSON.stringify(finalCandidates), scrapeResult.snapshot_id, jobId);
-
-      // Auto-accept top candidate if applicable
-      const autoAccepted = finalCandidates.find(c => c.validation.outcome === 'AUTO_ACCEPT');
-      if (autoAccepted) {
-        try {
-          console.log(`[API] Job ${jobId} Auto-Accepting candidate:`, autoAccepted.price);
-
-          const destPort = db.prepare(`SELECT country FROM port_aliases WHERE alias = ? COLLATE NOCASE`).get(to_port);
-          const destCountry = destPort ? destPort.country : null;
-          const monthLabel = null;
-
-          const pricingInsert = db.prepare(`
-            INSERT INTO pricing (
-              from_port, to_port, destination_country, container_type, month_label,
-              origin_inland, destination_inland, origin_local_haulage, origin_thc, customs, origin_misc,
-              ocean_freight, destination_thc, destination_haulage, destination_misc,
-              total_price, currency, transit_days, service_type,
-              source, confidence_score, valid_until, snapshot_id
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'SCRAPE', ?, ?, ?)
-          `).run(
-            from_port.toUpperCase(), to_port.toUpperCase(), destCountry,
-            ct, monthLabel,
-            origin_inland || 'CY', destination_inland || 'CY',
-            autoAccepted.origin_local_haulage || null,
-            autoAccepted.origin_thc || null,
-            autoAccepted.customs || null,
-            autoAccepted.origin_misc || null,
-            autoAccepted.ocean_freight || autoAccepted.price,
-            autoAccepted.destination_thc || null,
-            autoAccepted.destination_haulage || null,
-            autoAccepted.destination_misc || null,
-            autoAccepted.total_price || autoAccepted.price,
-            autoAccepted.currency, autoAccepted.transit_days, autoAccepted.service_type,
-            autoAccepted.confidence_score, autoAccepted.valid_until, autoAccepted.snapshot_id
-          );
-
-          // Audit trail
-          db.prepare(`
-            INSERT INTO pricing_history (pricing_id, from_port, to_port, container_type, price, currency, source, snapshot_id, action, actor, reason)
-            VALUES (?, ?, ?, ?, ?, ?, 'SCRAPE', ?, 'AUTO_ACCEPT', 'system', 'High-confidence auto-accept')
-          `).run(pricingInsert.lastInsertRowid, from_port.toUpperCase(), to_port.toUpperCase(),
-            ct, autoAccepted.total_price || autoAccepted.price,
-            autoAccepted.currency, autoAccepted.snapshot_id);
-
-          console.log(`[API] Job ${jobId} Auto-accept completed successfully`);
-        } catch (acceptErr) {
-          console.error(`[API] Job ${jobId} Error during auto-accept:`, {
-            message: acceptErr.message,
-            stack: acceptErr.stack
-          });
-          // Don't fail the job - it had successful scrape results
-        }
-      }
+// ─── Batch scrapes ─────────────────────────────────────────────────────
+const BATCH_STREAM_INTERVAL_MS = 2000;
 
-    } catch (err) {
-      console.error(`[API] Background Scrape Exception (Job ${jobId}):`, {
-        message: err.message,
-        stack: err.stack
-      });
-      try {
-        db.prepare(`UPDATE scrape_jobs SET status='FAILED', error_message=?, updated_at=datetime('now') WHERE id=?`)
-          .run(`Background error: ${err.message}`, jobId);
-      } catch (updateErr) {
-        console.error(`[API] Job ${jobId} Failed to update final error:`, updateErr.message);
-      }
+router.post('/scrape/batch', (req, res) => {
+  // Fields other than lanes / filter / carriers / actor are defaults for every lane
+  const { lanes, filter, carriers, actor, ...defaults } = req.body || {};
+
+  if ((lanes == null) === (filter == null)) {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: 'Provide either lanes or filter.' });
+  }
+  const carrierCodes = resolveCarrierCodes(carriers);
+  if (carrierCodes.error) {
+    return res.status(400).json({ status: 'INVALID_REQUEST', errors: [{ field: 'carriers', message: carrierCodes.error }] });
+  }
+
+  let requested;
+  if (lanes != null) {
+    if (!Array.isArray(lanes) || lanes.length === 0) {
+      return res.status(400).json({ status: 'INVALID_REQUEST', message: 'lanes must be a non-empty array' });
+    }
+    requested = lanes.map((lane) => ({ ...defaults, ...lane }));
+  } else {
+    if (typeof filter !== 'object' || Array.isArray(filter)) {
+      return res.status(400).json({ status: 'INVALID_REQUEST', message: 'filter must be an object' });
+    }
+    const days = filter.expiring_within_days;
+    if (days != null && (typeof days !== 'number' || days < 0)) {
+      return res.status(400).json({ status: 'INVALID_REQUEST', message: 'filter.expiring_within_days must be a non-negative number' });
+    }
+    if (filter.container_type && !validateContainerType(filter.container_type)) {
+      return res.status(400).json({ status: 'INVALID_REQUEST', message: 'Invalid container type.' });
+    }
+    const matched = resolveFilterLanes({ ...filter, container_type: normalizeContainerType(filter.container_type) });
+    if (matched.length === 0) {
+      return res.status(404).json({ status: 'NOT_FOUND', message: 'No expiring rates match the filter.' });
     }
+    requested = matched.map((lane) => ({ ...defaults, ...lane }));
+  }
+
+  const errors = requested.flatMap((lane, i) => laneErrors(lane, `lanes[${i}].`));
+  if (errors.length) {
+    return res.status(400).json({ status: 'INVALID_REQUEST', errors });
+  }
+  const jobCount = requested.length * carrierCodes.codes.length;
+  if (jobCount > MAX_BATCH_JOBS) {
+    return res.status(400).json({
+      status: 'INVALID_REQUEST',
+      message: `A batch may queue at most ${MAX_BATCH_JOBS} jobs (${jobCount} requested).`,
+    });
+  }
+
+  let batch;
+  try {
+    batch = createScrapeBatch(
+      requested.map((lane) => ({ ...lane, container_type: normalizeContainerType(lane.container_type) || '40FT' })),
+      { carriers: carrierCodes.codes, filter: filter || null, actor: actor || null }
+    );
+  } catch (dbErr) {
+    console.error('[API] Failed to create scrape batch:', dbErr.message);
+    return res.status(500).json({ status: 'DATABASE_ERROR', message: 'Failed to create scrape batch' });
+  }
+
+  res.json({
+    status: 'STARTED',
+    batch_id: batch.id,
+    batch,
+    message: `${batch.job_count} scrape job(s) queued for ${batch.lane_count} lane(s). Poll /api/pricing/scrape/batch/${batch.id} or stream /stream for progress.`,
   });
 });
 
+router.get('/scrape/batches', (req, res) => {
+  res.json(listBatches());
+});
+
+router.get('/scrape/batch/:id', (req, res) => {
+  const batch = getBatchSummary(req.params.id);
+  if (!batch) return res.status(404).json({ status: 'NOT_FOUND', message: 'Batch not found' });
+  res.json({ ...batch, jobs: getBatchJobs(batch.id) });
+});
+
+// Server-sent events: a "progress" event every few seconds, "done" when the batch finishes
+router.get('/scrape/batch/:id/stream', (req, res) => {
+  const first = getBatchSummary(req.params.id);
+  if (!first) return res.status(404).json({ status: 'NOT_FOUND', message: 'Batch not found' });
+
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+
+  let timer = null;
+  const send = (batch) => {
+    const event = batch.status === 'RUNNING' ? 'progress' : 'done';
+    res.write(`event: ${event}\ndata: ${JSON.stringify(batch)}\n\n`);
+    if (event === 'done') {
+      clearInterval(timer);
+      res.end();
+    }
+  };
+
+  send(first);
+  if (first.status !== 'RUNNING') return;
+  timer = setInterval(() => {
+    try {
+      send(getBatchSummary(req.params.id));
+    } catch (err) {
+      console.error(`[API] Batch stream ${req.params.id} error:`, err.message);
+      clearInterval(timer);
+      res.end();
+    }
+  }, BATCH_STREAM_INTERVAL_MS);
+  req.on('close', () => clearInterval(timer));
+});
+
+router.post('/scrape/batch/:id/cancel', (req, res) => {
+  const { batch, error } = cancelScrapeBatch(req.params.id, (req.body && req.body.actor) || null);
+  if (error) return res.status(error.status === 'NOT_FOUND' ? 404 : 409).json(error);
+  res.json({ status: 'CANCELLED', batch, message: 'Unfinished jobs in the batch were cancelled.' });
+});
+
 // ─── Accept a scraped result into pricing ──────────────────────────────
 router.post('/accept', (req, res) => {
   const db = getDb();
-  const { job_id, candidate_index, actor } = req.body;
+  const { job_id, candidate_index, actor, charges: chargeOverride } = req.body;
 
   if (!job_id) {
     return res.status(400).json({ status: 'INVALID_REQUEST', message: 'job_id required' });
@@ -454,50 +819,24 @@ router.post('/accept', (req, res) => {
     return res.status(400).json({ status: 'INVALID_REQUEST', message: 'Invalid candidate index' });
   }
 
-  // Look up destination country
-  const destPort = db.prepare(`SELECT country FROM port_aliases WHERE alias = ? COLLATE NOCASE`).get(job.to_port);
-  const destCountry = destPort ? destPort.country : null;
-  const monthLabel = null;
-
-  const insertResult = db.prepare(`
-    INSERT INTO pricing (
-      from_port, to_port, destination_country, container_type, month_label,
-      origin_inland, destination_inland,
-      origin_local_haulage, origin_thc, customs, origin_misc,
-      ocean_freight, destination_thc, destination_haulage, destination_misc,
-      total_price, currency, transit_days, service_type,
-      source, confidence_score, valid_until, snapshot_id
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'SCRAPE', ?, ?, ?)
-  `).run(
-    job.from_port.toUpperCase(), job.to_port.toUpperCase(), destCountry,
-    job.container_type, monthLabel,
-    job.origin_inland || 'CY', job.destination_inland || 'CY',
-    candidate.origin_local_haulage || null,
-    candidate.origin_thc || null,
-    candidate.customs || null,
-    candidate.origin_misc || null,
-    candidate.ocean_freight || candidate.price,
-    candidate.destination_thc || null,
-    candidate.destination_haulage || null,
-    candidate.destination_misc || null,
-    candidate.total_price || candidate.price,
-    candidate.currency, candidate.transit_days, candidate.service_type,
-    candidate.confidence_score, candidate.valid_until, candidate.snapshot_id
-  );
-
-  const pricingId = insertResult.lastInsertRowid;
-
-  // Audit trail
-  db.prepare(`
-    INSERT INTO pricing_history (pricing_id, from_port, to_port, container_type, price, currency, source, snapshot_id, action, actor, reason)
-    VALUES (?, ?, ?, ?, ?, ?, 'SCRAPE', ?, 'AGENT_ACCEPT', ?, 'Agent accepted scraped rate')
-  `).run(pricingId, job.from_port.toUpperCase(), job.to_port.toUpperCase(),
-    job.container_type, candidate.total_price || candidate.price,
-    candidate.currency, candidate.snapshot_id, actor || 'agent');
+  // Line items from the request (agent corrections) win over the scraped ones
+  const { pricing_id: pricingId, batch_id: batchId, error } = acceptCandidate(job, candidate, {
+    charges: chargeOverride,
+    action: 'AGENT_ACCEPT',
+    actor,
+    reason: 'Agent accepted scraped rate',
+  });
+  if (error) {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: error });
+  }
+  // The job's flagged candidates are settled by this accept
+  const reviewsSuperseded = supersedeJobReviews(job.id, actor, `Agent accepted candidate ${idx} of the scrape`);
 
   res.json({
     status: 'SUCCESS',
     pricing_id: pricingId,
+    batch_id: batchId,
+    reviews_superseded: reviewsSuperseded,
     message: 'Rate accepted and saved to pricing database.',
   });
 });
@@ -516,7 +855,31 @@ router.get('/jobs/:id', (req, res) => {
   if (!job) return res.status(404).json({ status: 'NOT_FOUND' });
 
   const candidates = JSON.parse(job.result_json || '[]');
-  res.json({ ...job, candidates });
+  const attempts = getJobAttempts(job.id);
+  res.json({ ...job, candidates, attempts });
+});
+
+// ─── Cancel a job ──────────────────────────────────────────────────────
+router.post('/jobs/:id/cancel', (req, res) => {
+  const result = cancelScrapeJob(req.params.id);
+  if (!result.found) return res.status(404).json({ status: 'NOT_FOUND', message: 'Job not found' });
+
+  if (!result.cancelled) {
+    return res.status(409).json({
+      status: 'CONFLICT',
+      job_status: result.status,
+      message: `Job already finished with status ${result.status}.`,
+    });
+  }
+
+  res.json({
+    status: 'SUCCESS',
+    job_id: req.params.id,
+    job_status: result.status,
+    message: result.status === 'CANCELLED'
+      ? 'Job cancelled.'
+      : 'Cancel requested. The job stops once the running scrape returns.',
+  });
 });
 
 // ─── Helper ────────────────────────────────────────────────────────────
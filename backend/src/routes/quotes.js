@@ -0,0 +1,145 @@
+/**
+ * Quote API routes
+ *
+ * GET  /api/quotes            — list quotes (?status=, ?customer=)
+ * GET  /api/quotes/:id        — quote with items and charge lines
+ * POST /api/quotes            — build a DRAFT quote from pricing rows:
+ *                               { items: [{ pricing_id, number_of_containers,
+ *                                 weight_per_container?, weight_unit? }],
+ *                                 markup?, currency?, valid_until?,
+ *                                 customer_name?, customer_reference?, notes?, actor }
+ * POST /api/quotes/:id/status — { status: SENT|WON|LOST, actor }
+ * GET  /api/quotes/:id/document?format=html|pdf — printable quotation
+ */
+
+const express = require('express');
+const { normalizeMarkupPolicy } = require('../quotes/quoteBuilder');
+const {
+  createQuote, getQuote, listQuotes, updateQuoteStatus, QUOTE_STATUSES,
+} = require('../quotes/quoteStore');
+const { renderQuoteHtml, renderQuotePdf } = require('../quotes/quoteDocument');
+const { isCurrency } = require('../pricing/fx');
+
+const router = express.Router();
+
+const DOCUMENT_FORMATS = ['html', 'pdf'];
+const HTTP_STATUS = { INVALID_REQUEST: 400, NOT_FOUND: 404, CONFLICT: 409 };
+
+function sendError(res, error) {
+  res.status(HTTP_STATUS[error.status] || 400).json(error);
+}
+
+/**
+ * Validate requested quote items
+ * @returns {{ items: Object[], error: string|null }}
+ */
+function normalizeItems(input) {
+  if (!Array.isArray(input) || input.length === 0) return { items: [], error: 'items must be a non-empty array' };
+  const items = [];
+  for (const [i, raw] of input.entries()) {
+    const pricingId = Number(raw && raw.pricing_id);
+    const containers = raw && raw.number_of_containers != null ? Number(raw.number_of_containers) : 1;
+    if (!Number.isInteger(pricingId) || pricingId <= 0) return { items: [], error: `items[${i}].pricing_id must be a pricing id` };
+    if (!Number.isInteger(containers) || containers < 1) return { items: [], error: `items[${i}].number_of_containers must be a positive integer` };
+    const weight = raw.weight_per_container != null && raw.weight_per_container !== '' ? Number(raw.weight_per_container) : null;
+    if (weight != null && (!Number.isFinite(weight) || weight <= 0)) {
+      return { items: [], error: `items[${i}].weight_per_container must be a positive number` };
+    }
+    items.push({
+      pricing_id: pricingId,
+      number_of_containers: containers,
+      weight_per_container: weight,
+      weight_unit: raw.weight_unit || null,
+    });
+  }
+  return { items, error: null };
+}
+
+// ─── List quotes ───────────────────────────────────────────────────────
+router.get('/', (req, res) => {
+  const { status, customer } = req.query;
+  res.json(listQuotes({ status, customer }));
+});
+
+// ─── Get one quote ─────────────────────────────────────────────────────
+router.get('/:id', (req, res) => {
+  const quote = getQuote(req.params.id);
+  if (!quote) {
+    return res.status(404).json({ status: 'NOT_FOUND', message: 'Quote not found' });
+  }
+  res.json(quote);
+});
+
+// ─── Printable document ────────────────────────────────────────────────
+router.get('/:id/document', async (req, res) => {
+  const format = String(req.query.format || 'html').toLowerCase();
+  if (!DOCUMENT_FORMATS.includes(format)) {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: `format must be one of ${DOCUMENT_FORMATS.join(', ')}` });
+  }
+  const quote = getQuote(req.params.id);
+  if (!quote) {
+    return res.status(404).json({ status: 'NOT_FOUND', message: 'Quote not found' });
+  }
+
+  const html = renderQuoteHtml(quote);
+  if (format === 'html') {
+    return res.type('html').send(html);
+  }
+
+  try {
+    const pdf = await renderQuotePdf(html);
+    res.set('Content-Disposition', `inline; filename="${quote.quote_number}.pdf"`);
+    res.type('pdf').send(pdf);
+  } catch (err) {
+    console.error(`[Quotes] PDF render failed for ${quote.quote_number}:`, err.message);
+    res.status(500).json({ status: 'RENDER_ERROR', message: 'Failed to render the quote PDF' });
+  }
+});
+
+// ─── Create a quote ────────────────────────────────────────────────────
+router.post('/', (req, res) => {
+  const { markup, currency, valid_until, customer_name, customer_reference, notes, actor } = req.body || {};
+
+  if (!actor || String(actor).trim() === '') {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: 'actor is required' });
+  }
+  const { items, error: itemsError } = normalizeItems(req.body.items);
+  if (itemsError) {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: itemsError });
+  }
+  const { policy, error: markupError } = normalizeMarkupPolicy(markup);
+  if (markupError) {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: markupError });
+  }
+  if (currency && !isCurrency(String(currency).toUpperCase())) {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: 'currency must be a 3-letter code (e.g. USD)' });
+  }
+  if (valid_until && Number.isNaN(new Date(valid_until).getTime())) {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: 'valid_until must be a date' });
+  }
+
+  const { quote, error } = createQuote({
+    items, policy, currency, valid_until, customer_name, customer_reference, notes, actor: String(actor).trim(),
+  });
+  if (error) return sendError(res, error);
+  res.json(quote);
+});
+
+// ─── Status lifecycle ──────────────────────────────────────────────────
+router.post('/:id/status', (req, res) => {
+  const { actor } = req.body || {};
+  const status = String((req.body && req.body.status) || '').toUpperCase();
+
+  if (!actor || String(actor).trim() === '') {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: 'actor is required' });
+  }
+  if (!QUOTE_STATUSES.includes(status)) {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: `status must be one of ${QUOTE_STATUSES.join(', ')}` });
+  }
+
+  const { quote, error } = updateQuoteStatus(req.params.id, status, String(actor).trim());
+  if (error) return sendError(res, error);
+  res.json(quote);
+});
+
+module.exports = router;
@@ -0,0 +1,81 @@
+/**
+ * Refresh schedule API routes
+ *
+ * GET    /api/schedules          — all schedules with their last run summary
+ * GET    /api/schedules/:id      — one schedule (+ `upcoming`: lanes the next run would queue)
+ * POST   /api/schedules          — create: { name, cron, from_port?, to_port?,
+ *                                  destination_country?, carrier?, container_types?,
+ *                                  lead_minutes?, max_jobs?, active?, actor }
+ * PUT    /api/schedules/:id      — change any of the fields above; { ..., actor }
+ * DELETE /api/schedules/:id      — remove a schedule
+ * POST   /api/schedules/:id/run  — queue the refresh now instead of waiting for the cron
+ *
+ * How lanes are picked is described in jobs/refreshScheduler.js.
+ */
+
+const express = require('express');
+const {
+  normalizeSchedule, listSchedules, getSchedule, createSchedule, updateSchedule, deleteSchedule,
+  findExpiringLanes, runSchedule,
+} = require('../jobs/refreshScheduler');
+
+const router = express.Router();
+
+const HTTP_STATUS = { INVALID_REQUEST: 400, NOT_FOUND: 404 };
+
+// ─── List schedules ────────────────────────────────────────────────────
+router.get('/', (req, res) => {
+  res.json(listSchedules());
+});
+
+// ─── Get one schedule ──────────────────────────────────────────────────
+router.get('/:id', (req, res) => {
+  const schedule = getSchedule(req.params.id);
+  if (!schedule) {
+    return res.status(404).json({ status: 'NOT_FOUND', message: 'Schedule not found' });
+  }
+  res.json({ ...schedule, upcoming: findExpiringLanes(schedule).slice(0, schedule.max_jobs) });
+});
+
+// ─── Create a schedule ─────────────────────────────────────────────────
+router.post('/', (req, res) => {
+  const { actor } = req.body || {};
+  if (!actor || String(actor).trim() === '') {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: 'actor is required' });
+  }
+  const { schedule, error } = normalizeSchedule(req.body);
+  if (error) {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: error });
+  }
+  res.json(createSchedule(schedule, String(actor).trim()));
+});
+
+// ─── Update a schedule ─────────────────────────────────────────────────
+router.put('/:id', (req, res) => {
+  const { actor, ...changes } = req.body || {};
+  if (!actor || String(actor).trim() === '') {
+    return res.status(400).json({ status: 'INVALID_REQUEST', message: 'actor is required' });
+  }
+  const { schedule, error } = updateSchedule(req.params.id, changes, String(actor).trim());
+  if (error) return res.status(HTTP_STATUS[error.status] || 400).json(error);
+  res.json(schedule);
+});
+
+// ─── Delete a schedule ─────────────────────────────────────────────────
+router.delete('/:id', (req, res) => {
+  if (!deleteSchedule(req.params.id)) {
+    return res.status(404).json({ status: 'NOT_FOUND', message: 'Schedule not found' });
+  }
+  res.json({ status: 'SUCCESS', message: 'Schedule deleted.' });
+});
+
+// ─── Run now ───────────────────────────────────────────────────────────
+router.post('/:id/run', (req, res) => {
+  const summary = runSchedule(req.params.id);
+  if (!summary) {
+    return res.status(404).json({ status: 'NOT_FOUND', message: 'Schedule not found' });
+  }
+  res.json(summary);
+});
+
+module.exports = router;
@@ -0,0 +1,29 @@
+/**
+ * Scraper API routes
+ *
+ * GET /api/scraper/accounts — Maersk accounts with health, cooldown and
+ *                             last-success timestamps (no passwords)
+ */
+
+const express = require('express');
+const { getAccountsSummary } = require('../scraper/credentialStore');
+const { getLimiterState } = require('../scraper/accountRateLimiter');
+const { getPricingConfig } = require('../config/pricingConfig');
+
+const router = express.Router();
+
+// ─── Account health ────────────────────────────────────────────────────
+router.get('/accounts', (req, res) => {
+  const limiter = getLimiterState();
+  const { selection, cooldown_minutes } = getPricingConfig().global.accounts;
+  res.json({
+    selection,
+    cooldown_minutes,
+    accounts: getAccountsSummary().map((account) => ({
+      ...account,
+      rate_limit: limiter[account.username.toLowerCase()] || null,
+    })),
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,82 @@
+/**
+ * Per-account token bucket for live Maersk scrapes
+ *
+ * Each Maersk account gets a bucket holding
+ * rate_limits.requests_per_account_per_30s tokens, refilled continuously over
+ * a 30 second window. The job queue reserves a token before it starts a live
+ * job; when the bucket is empty the job is pushed back to the time the next
+ * token becomes available instead of being rejected.
+ *
+ * Buckets live in memory and start full after a restart.
+ */
+
+const { getPricingConfig } = require('../config/pricingConfig');
+
+const WINDOW_MS = 30 * 1000;
+
+const _buckets = new Map();
+
+function capacity() {
+  return getPricingConfig().global.rate_limits.requests_per_account_per_30s;
+}
+
+/**
+ * Account key for the single account configured through the environment
+ */
+function defaultAccountKey() {
+  return (process.env.MAERSK_USERNAME || 'default').toLowerCase();
+}
+
+function getBucket(accountKey, now) {
+  const cap = capacity();
+  let bucket = _buckets.get(accountKey);
+  if (!bucket) {
+    bucket = { tokens: cap, updatedAt: now };
+    _buckets.set(accountKey, bucket);
+  }
+  // Refill for the time elapsed; a hot-reloaded capacity applies immediately
+  const refill = ((now - bucket.updatedAt) / WINDOW_MS) * cap;
+  bucket.tokens = Math.min(cap, bucket.tokens + refill);
+  bucket.updatedAt = now;
+  return bucket;
+}
+
+function msUntilToken(bucket) {
+  return bucket.tokens >= 1 ? 0 : Math.ceil(((1 - bucket.tokens) / capacity()) * WINDOW_MS);
+}
+
+/**
+ * Take a token for an account if one is available
+ * @returns {{ granted: boolean, available_at: number }} available_at is a ms timestamp
+ */
+function reserve(accountKey, now = Date.now()) {
+  const bucket = getBucket(accountKey, now);
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return { granted: true, available_at: now };
+  }
+  return { granted: false, available_at: now + msUntilToken(bucket) };
+}
+
+/**
+ * Estimate when a new job would start if `queuedAhead` live jobs for the same
+ * account are already waiting
+ * @returns {number} ms timestamp
+ */
+function estimateStartAt(accountKey, queuedAhead = 0, now = Date.now()) {
+  const bucket = getBucket(accountKey, now);
+  const deficit = queuedAhead + 1 - bucket.tokens;
+  if (deficit <= 0) return now;
+  return now + Math.ceil((deficit / capacity()) * WINDOW_MS);
+}
+
+function getLimiterState(now = Date.now()) {
+  const out = {};
+  for (const key of _buckets.keys()) {
+    const bucket = getBucket(key, now);
+    out[key] = { tokens: Number(bucket.tokens.toFixed(2)), capacity: capacity(), next_token_in_ms: msUntilToken(bucket) };
+  }
+  return out;
+}
+
+module.exports = { reserve, estimateStartAt, defaultAccountKey, getLimiterState, WINDOW_MS };
@@ -0,0 +1,94 @@
+/**
+ * Carrier adapter registry
+ *
+ * Every rate source is a carrier adapter registered here by its code. The
+ * scrape runner resolves a job's `carrier` to an adapter and calls search();
+ * POST /api/pricing/scrape fans out one job per requested carrier.
+ *
+ * Adapter interface:
+ *  - code                         → Upper-case carrier code stored on jobs and pricing rows
+ *  - name                         → Display name
+ *  - supportsLive                 → true when search() drives a real carrier site; live
+ *                                   jobs go through account rotation, the rate limiter
+ *                                   and the circuit breaker
+ *  - search(params)               → Promise<{ status, candidates, snapshot_id, reason_code?, error? }>
+ *  - login(page, account)         → Promise<boolean>, sign in on an open page (optional)
+ *  - warmSessions(accounts)       → Promise<number>, open logged-in browser sessions
+ *                                   ahead of the first live jobs (optional)
+ *  - extractCandidates(page, id)  → Promise<candidate[]> from a results page
+ *  - detectPageState(page)        → Promise<'CAPTCHA'|'ACCESS_DENIED'|'CONSENT'|'LOGIN'|'BOOKING'|'UNKNOWN'>
+ *
+ * Jobs that are not live (USE_LIVE_SCRAPER=false, or use_live_scraper: false
+ * on the request) run on the simulator adapter under the requested carrier's
+ * code, so the rest of the pipeline is exercised without a browser.
+ */
+
+const maerskAdapter = require('./maerskAdapter');
+const { createSimulatorAdapter } = require('./simulatorAdapter');
+
+const DEFAULT_CARRIER = 'MAERSK';
+const SIMULATOR_CARRIER = 'SIMULATOR';
+const REQUIRED_METHODS = ['search', 'extractCandidates', 'detectPageState'];
+
+const _adapters = new Map();
+
+/**
+ * Add an adapter to the registry
+ * @throws {Error} when the adapter does not implement the interface
+ */
+function registerCarrier(adapter) {
+  if (!adapter || !/^[A-Z0-9_]+$/.test(adapter.code || '')) {
+    throw new Error('Carrier adapter needs an upper-case code');
+  }
+  const missing = REQUIRED_METHODS.filter((m) => typeof adapter[m] !== 'function');
+  if (missing.length) {
+    throw new Error(`Carrier adapter ${adapter.code} is missing ${missing.join(', ')}`);
+  }
+  _adapters.set(adapter.code, adapter);
+  return adapter;
+}
+
+function normalizeCarrierCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * @returns {Object|null} adapter for a carrier code (case-insensitive)
+ */
+function getCarrierAdapter(code) {
+  return _adapters.get(normalizeCarrierCode(code || DEFAULT_CARRIER)) || null;
+}
+
+function listCarriers() {
+  return [..._adapters.values()].map((a) => ({ code: a.code, name: a.name, supports_live: !!a.supportsLive }));
+}
+
+/**
+ * Validate the `carriers` field of a scrape request
+ * @param {*} carriers - array of carrier codes, or undefined for the default carrier
+ * @returns {{ codes: string[], error: string|null }}
+ */
+function resolveCarrierCodes(carriers) {
+  if (carriers === undefined || carriers === null) return { codes: [DEFAULT_CARRIER], error: null };
+  if (!Array.isArray(carriers) || carriers.length === 0) {
+    return { codes: [], error: 'Must be a non-empty array of carrier codes' };
+  }
+  const codes = [...new Set(carriers.map(normalizeCarrierCode))];
+  const unknown = codes.filter((c) => !_adapters.has(c));
+  if (unknown.length) {
+    return { codes: [], error: `Unknown carrier(s): ${unknown.join(', ')}. Available: ${[..._adapters.keys()].join(', ')}` };
+  }
+  return { codes, error: null };
+}
+
+registerCarrier(maerskAdapter);
+registerCarrier(createSimulatorAdapter({ code: SIMULATOR_CARRIER, name: 'Simulator' }));
+
+module.exports = {
+  registerCarrier,
+  getCarrierAdapter,
+  listCarriers,
+  resolveCarrierCodes,
+  DEFAULT_CARRIER,
+  SIMULATOR_CARRIER,
+};
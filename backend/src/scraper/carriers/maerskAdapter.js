@@ -0,0 +1,43 @@
+/**
+ * Maersk carrier adapter
+ *
+ * Wraps the live Maersk scraper (../maersk.js). Sign-in happens inside
+ * search(): the pooled browser profile is usually still logged in, and the
+ * scraper falls back to the automated login flow when it is not. At startup
+ * warmSessions() logs the session pool in ahead of the first jobs.
+ */
+
+const maersk = require('../maersk');
+
+const maerskAdapter = {
+  code: 'MAERSK',
+  name: 'Maersk',
+  supportsLive: true,
+
+  search(params) {
+    return maersk.scrapeMaerskSpotRate(params);
+  },
+
+  login(page, account) {
+    return maersk.loginMaersk(page, account);
+  },
+
+  warmSessions(accounts) {
+    return maersk.warmMaerskSessions(accounts);
+  },
+
+  extractCandidates(page, snapshotId, quoteResponses) {
+    return maersk.extractPricingCandidates(page, snapshotId, quoteResponses);
+  },
+
+  async detectPageState(page) {
+    if (await maersk.detectCaptcha(page)) return 'CAPTCHA';
+    if (await maersk.detectAccessDenied(page)) return 'ACCESS_DENIED';
+    if (await maersk.detectConsent(page)) return 'CONSENT';
+    if (await maersk.detectPortalLogin(page)) return 'LOGIN';
+    if (await maersk.isBookingVisible(page)) return 'BOOKING';
+    return 'UNKNOWN';
+  },
+};
+
+module.exports = maerskAdapter;
@@ -0,0 +1,129 @@
+/**
+ * Circuit breaker around the live Maersk scraper
+ *
+ * Watches failure_records for anti-bot failures (ACCESS_DENIED,
+ * CAPTCHA_DETECTED). Once circuit_breaker.failure_threshold of them land
+ * within window_minutes the breaker OPENs and live jobs fast-fail with
+ * CIRCUIT_OPEN instead of launching another browser; the queue asks before
+ * it takes a rate-limit token, so they do not spend one. After cooldown_minutes
+ * it goes HALF_OPEN and lets a single probe job through: a successful probe
+ * closes it, another block re-opens it.
+ *
+ * State is held per process; the failure count is re-derived from the DB, so
+ * a restart during an incident re-opens the breaker on the next check.
+ */
+
+const { getDb } = require('../db/database');
+const { getPricingConfig } = require('../config/pricingConfig');
+
+const TRIP_REASON_CODES = ['ACCESS_DENIED', 'CAPTCHA_DETECTED'];
+
+let _state = 'CLOSED';
+let _openedAt = null;      // ms timestamp
+let _closedSince = null;   // sqlite datetime; failures before this are ignored
+let _probeInFlight = false;
+
+function breakerConfig() {
+  return getPricingConfig().global.circuit_breaker;
+}
+
+function countRecentBlocks() {
+  const { window_minutes: windowMinutes } = breakerConfig();
+  const placeholders = TRIP_REASON_CODES.map(() => '?').join(', ');
+  const row = getDb().prepare(`
+    SELECT COUNT(*) AS cnt FROM failure_records
+    WHERE reason_code IN (${placeholders})
+      AND created_at >= datetime('now', ?)
+      AND (? IS NULL OR created_at > ?)
+  `).get(...TRIP_REASON_CODES, `-${windowMinutes} minutes`, _closedSince, _closedSince);
+  return row ? row.cnt : 0;
+}
+
+function open(reason) {
+  _state = 'OPEN';
+  _openedAt = Date.now();
+  _probeInFlight = false;
+  console.warn(`[CircuitBreaker] OPEN — ${reason}`);
+}
+
+function close() {
+  _state = 'CLOSED';
+  _openedAt = null;
+  _probeInFlight = false;
+  _closedSince = getDb().prepare(`SELECT datetime('now') AS t`).get().t;
+  console.log('[CircuitBreaker] CLOSED — probe succeeded');
+}
+
+function reopenAt() {
+  return _openedAt ? _openedAt + breakerConfig().cooldown_minutes * 60 * 1000 : null;
+}
+
+/**
+ * Re-evaluate the state from failure_records and the cooldown clock
+ */
+function refresh() {
+  if (_state === 'CLOSED') {
+    const blocks = countRecentBlocks();
+    const { failure_threshold: threshold, window_minutes: windowMinutes } = breakerConfig();
+    if (blocks >= threshold) open(`${blocks} block(s) in the last ${windowMinutes} min`);
+  }
+  if (_state === 'OPEN' && Date.now() >= reopenAt()) {
+    _state = 'HALF_OPEN';
+    console.log('[CircuitBreaker] HALF_OPEN — next live job is a probe');
+  }
+}
+
+/**
+ * Ask to run a live scrape
+ * @returns {{ allowed: boolean, probe: boolean, state: string, retry_at: string|null }}
+ */
+function acquire() {
+  refresh();
+  const retryAt = reopenAt() ? new Date(reopenAt()).toISOString() : null;
+
+  if (_state === 'CLOSED') return { allowed: true, probe: false, state: _state, retry_at: null };
+  if (_state === 'HALF_OPEN' && !_probeInFlight) {
+    _probeInFlight = true;
+    return { allowed: true, probe: true, state: _state, retry_at: null };
+  }
+  return { allowed: false, probe: false, state: _state, retry_at: retryAt };
+}
+
+/**
+ * Report how a permitted scrape ended. Only probe results change the state;
+ * failures from normal jobs reach the breaker through failure_records.
+ */
+function recordOutcome(permit, outcome) {
+  if (!permit || !permit.probe) return;
+  _probeInFlight = false;
+  if (outcome.status === 'SUCCESS') {
+    close();
+  } else if (TRIP_REASON_CODES.includes(outcome.reason_code)) {
+    open(`probe blocked (${outcome.reason_code})`);
+  }
+}
+
+/**
+ * Hand back a permit whose scrape never started, so a HALF_OPEN breaker can
+ * give its probe to the next live job
+ */
+function releasePermit(permit) {
+  if (permit && permit.probe) _probeInFlight = false;
+}
+
+function getBreakerState() {
+  refresh();
+  const { failure_threshold: threshold, window_minutes: windowMinutes, cooldown_minutes: cooldownMinutes } = breakerConfig();
+  return {
+    state: _state,
+    recent_blocks: countRecentBlocks(),
+    failure_threshold: threshold,
+    window_minutes: windowMinutes,
+    cooldown_minutes: cooldownMinutes,
+    opened_at: _openedAt ? new Date(_openedAt).toISOString() : null,
+    half_open_at: reopenAt() ? new Date(reopenAt()).toISOString() : null,
+    probe_in_flight: _probeInFlight,
+  };
+}
+
+module.exports = { acquire, recordOutcome, releasePermit, getBreakerState, TRIP_REASON_CODES };
@@ -0,0 +1,242 @@
+/**
+ * Maersk account credential store
+ *
+ * Holds the Maersk accounts the live scraper may log in with, in the
+ * scraper_accounts table. Passwords are encrypted with AES-256-GCM using
+ * CREDENTIALS_KEY (falls back to SNAPSHOT_KEY); each account gets its own
+ * profile directory key so browser sessions never mix logins.
+ *
+ * The job queue picks accounts round-robin or least-recently-used
+ * (accounts.selection in pricing-config.yml). An account that hits
+ * LOGIN_FAILED or ACCESS_DENIED cools down for accounts.cooldown_minutes and
+ * is skipped until then.
+ *
+ * Functions:
+ *  - addAccount(username, password)   → Insert or update an account
+ *  - bootstrapAccountsFromEnv()       → Store MAERSK_USERNAME / MAERSK_PASSWORD
+ *  - listAvailableAccounts()          → Enabled, not cooling down, in pick order
+ *  - markAccountUsed(id)              → Stamp last_used_at when a job is claimed
+ *  - recordAccountOutcome(id, result) → Track health, start cooldowns
+ *  - getAccountCredentials(id)        → Decrypted login for the scraper
+ *  - getAccountsSummary()             → Health view without secrets
+ */
+
+const crypto = require('crypto');
+const { getDb } = require('../db/database');
+const { getPricingConfig } = require('../config/pricingConfig');
+
+const CARRIER = 'MAERSK';
+const COOLDOWN_REASON_CODES = ['LOGIN_FAILED', 'ACCESS_DENIED'];
+const PLACEHOLDER_USERNAMES = ['your_username_here'];
+
+let _lastPickedId = 0;
+
+function accountsConfig() {
+  return getPricingConfig().global.accounts;
+}
+
+// ─── Encryption ────────────────────────────────────────────────────────
+function encryptionKey() {
+  const secret = process.env.CREDENTIALS_KEY || process.env.SNAPSHOT_KEY;
+  if (!secret) throw new Error('CREDENTIALS_KEY (or SNAPSHOT_KEY) must be set to store Maersk passwords');
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+// Stored as iv:authTag:ciphertext (hex)
+function encryptPassword(password) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(password, 'utf8'), cipher.final()]);
+  return [iv.toString('hex'), cipher.getAuthTag().toString('hex'), encrypted.toString('hex')].join(':');
+}
+
+function decryptPassword(stored) {
+  const [ivHex, tagHex, dataHex] = String(stored).split(':');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), Buffer.from(ivHex, 'hex'));
+  decipher.setAuthTag(Buffer.from(tagHex, 'hex'));
+  return Buffer.concat([decipher.update(Buffer.from(dataHex, 'hex')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Filesystem-safe, stable directory name for an account's browser profiles
+ */
+function profileKeyFor(username) {
+  const slug = username.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 32);
+  const hash = crypto.createHash('sha1').update(username.toLowerCase()).digest('hex').slice(0, 8);
+  return `${slug || 'account'}-${hash}`;
+}
+
+/**
+ * Rate-limiter bucket key for an account (matches defaultAccountKey())
+ */
+function rateLimitKey(account) {
+  return account.username.toLowerCase();
+}
+
+// ─── Account management ────────────────────────────────────────────────
+/**
+ * Insert an account, or replace the password of an existing one
+ * @returns {number} account id
+ */
+function addAccount(username, password) {
+  if (!username || !password) throw new Error('username and password are required');
+  const db = getDb();
+  const passwordEnc = encryptPassword(password);
+  const existing = db.prepare(`SELECT id FROM scraper_accounts WHERE carrier = ? AND username = ?`).get(CARRIER, username);
+  if (existing) {
+    db.prepare(`UPDATE scraper_accounts SET password_enc=?, updated_at=datetime('now') WHERE id=?`)
+      .run(passwordEnc, existing.id);
+    return existing.id;
+  }
+  const result = db.prepare(`
+    INSERT INTO scraper_accounts (carrier, username, password_enc, profile_key) VALUES (?, ?, ?, ?)
+  `).run(CARRIER, username, passwordEnc, profileKeyFor(username));
+  console.log(`[Accounts] Added Maersk account ${username}`);
+  return result.lastInsertRowid;
+}
+
+function setAccountEnabled(username, enabled) {
+  const result = getDb().prepare(`
+    UPDATE scraper_accounts SET enabled=?, updated_at=datetime('now') WHERE carrier = ? AND username = ?
+  `).run(enabled ? 1 : 0, CARRIER, username);
+  return result.changes > 0;
+}
+
+/**
+ * Keep single-account setups working: the MAERSK_USERNAME / MAERSK_PASSWORD
+ * pair from the environment is stored on first boot
+ */
+function bootstrapAccountsFromEnv() {
+  const username = process.env.MAERSK_USERNAME;
+  const password = process.env.MAERSK_PASSWORD;
+  if (!username || !password || PLACEHOLDER_USERNAMES.includes(username)) return;
+
+  const existing = getDb().prepare(`SELECT id FROM scraper_accounts WHERE carrier = ? AND username = ?`).get(CARRIER, username);
+  if (existing) return;
+  try {
+    addAccount(username, password);
+  } catch (err) {
+    console.warn(`[Accounts] Could not store MAERSK_USERNAME: ${err.message}`);
+  }
+}
+
+function hasAccounts() {
+  const row = getDb().prepare(`SELECT COUNT(*) AS cnt FROM scraper_accounts WHERE carrier = ? AND enabled = 1`).get(CARRIER);
+  return !!(row && row.cnt);
+}
+
+// ─── Selection ─────────────────────────────────────────────────────────
+/**
+ * Enabled accounts that are not cooling down, in the order they should be
+ * tried for the next job
+ */
+function listAvailableAccounts() {
+  const accounts = getDb().prepare(`
+    SELECT id, username, profile_key, last_used_at FROM scraper_accounts
+    WHERE carrier = ? AND enabled = 1 AND (cooldown_until IS NULL OR cooldown_until <= datetime('now'))
+    ORDER BY id
+  `).all(CARRIER);
+
+  if (accountsConfig().selection === 'lru') {
+    // Never-used accounts first, then oldest last_used_at
+    return accounts.sort((a, b) => (a.last_used_at || '').localeCompare(b.last_used_at || '') || a.id - b.id);
+  }
+  // round_robin: continue after the account picked last
+  const next = accounts.findIndex((a) => a.id > _lastPickedId);
+  return next <= 0 ? accounts : [...accounts.slice(next), ...accounts.slice(0, next)];
+}
+
+/**
+ * When the first cooling-down account becomes usable again
+ * @returns {string|null} sqlite datetime
+ */
+function nextCooldownEnd() {
+  const row = getDb().prepare(`
+    SELECT MIN(cooldown_until) AS t FROM scraper_accounts
+    WHERE carrier = ? AND enabled = 1 AND cooldown_until > datetime('now')
+  `).get(CARRIER);
+  return row ? row.t : null;
+}
+
+function markAccountUsed(accountId) {
+  _lastPickedId = accountId;
+  getDb().prepare(`UPDATE scraper_accounts SET last_used_at=datetime('now'), updated_at=datetime('now') WHERE id=?`)
+    .run(accountId);
+}
+
+/**
+ * Record how a live scrape on this account ended
+ * @param {number} accountId
+ * @param {{ status: string, reason_code?: string }} outcome
+ */
+function recordAccountOutcome(accountId, outcome) {
+  if (!accountId) return;
+  const db = getDb();
+
+  if (outcome.status === 'SUCCESS') {
+    db.prepare(`
+      UPDATE scraper_accounts SET last_success_at=datetime('now'), consecutive_failures=0,
+        success_count=success_count + 1, cooldown_until=NULL, updated_at=datetime('now')
+      WHERE id=?
+    `).run(accountId);
+    return;
+  }
+
+  const coolDown = COOLDOWN_REASON_CODES.includes(outcome.reason_code);
+  const { cooldown_minutes: cooldownMinutes } = accountsConfig();
+  db.prepare(`
+    UPDATE scraper_accounts SET last_failure_at=datetime('now'), last_reason_code=?,
+      consecutive_failures=consecutive_failures + 1, failure_count=failure_count + 1,
+      cooldown_until=CASE WHEN ? THEN datetime('now', ?) ELSE cooldown_until END,
+      updated_at=datetime('now')
+    WHERE id=?
+  `).run(outcome.reason_code || null, coolDown ? 1 : 0, `+${cooldownMinutes} minutes`, accountId);
+
+  if (coolDown) {
+    console.warn(`[Accounts] Account ${accountId} cooling down for ${cooldownMinutes} min after ${outcome.reason_code}`);
+  }
+}
+
+/**
+ * Decrypted login for a scrape
+ * @returns {{ id: number, username: string, password: string, profile_key: string }|null}
+ */
+function getAccountCredentials(accountId) {
+  const row = getDb().prepare(`SELECT id, username, password_enc, profile_key FROM scraper_accounts WHERE id = ?`).get(accountId);
+  if (!row) return null;
+  return { id: row.id, username: row.username, password: decryptPassword(row.password_enc), profile_key: row.profile_key };
+}
+
+/**
+ * Account health for GET /api/scraper/accounts; never includes passwords
+ */
+function getAccountsSummary() {
+  const rows = getDb().prepare(`
+    SELECT id, carrier, username, profile_key, enabled, cooldown_until, last_used_at, last_success_at,
+      last_failure_at, last_reason_code, consecutive_failures, success_count, failure_count, created_at,
+      CASE WHEN cooldown_until > datetime('now') THEN 1 ELSE 0 END AS cooling_down
+    FROM scraper_accounts WHERE carrier = ? ORDER BY id
+  `).all(CARRIER);
+
+  return rows.map(({ cooling_down: coolingDown, ...row }) => ({
+    ...row,
+    enabled: !!row.enabled,
+    status: !row.enabled ? 'DISABLED' : (coolingDown ? 'COOLING_DOWN' : 'ACTIVE'),
+  }));
+}
+
+module.exports = {
+  addAccount,
+  setAccountEnabled,
+  bootstrapAccountsFromEnv,
+  hasAccounts,
+  listAvailableAccounts,
+  nextCooldownEnd,
+  markAccountUsed,
+  recordAccountOutcome,
+  getAccountCredentials,
+  getAccountsSummary,
+  rateLimitKey,
+  profileKeyFor,
+  COOLDOWN_REASON_CODES,
+};
@@ -1,26 +1,41 @@
 /**
  * Maersk Spot Rate Scraper
  * 
- * Uses Playwright with a persistent Edge profile to scrape pricing data
- * from Maersk's booking portal.
+ * Uses Playwright with persistent Edge profiles, checked out of the browser
+ * session pool (sessionPool.js), to scrape pricing data from Maersk's
+ * booking portal.
  * 
  * Functions:
- *  - simulateScrape(params)       → Returns mock data for testing
  *  - scrapeMaerskSpotRate(params) → Live scraper using Playwright
+ *  - loginMaersk(page, account, timeoutMs) → Open the booking page and sign in
+ *    if needed
+ *  - warmMaerskSessions(accounts) → Fill the session pool with logged-in
+ *    contexts at startup
+ *  - extractPricingCandidates(page, snapshotId, quoteResponses) → Quote
+ *    breakdown from captured JSON, then the charge table (maerskQuoteParser.js)
+ *
+ * Used through the MAERSK carrier adapter (carriers/maerskAdapter.js); mock
+ * quotes come from carriers/simulatorAdapter.js.
  */
 require('dotenv').config({ path: require('path').join(__dirname, '..', '..', '.env') });
 
-const { chromium } = require('playwright');
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { getPricingConfig } = require('../config/pricingConfig');
+const { VALID_CURRENCIES } = require('../validation/validator');
+const sessionPool = require('./sessionPool');
+const quoteParser = require('./maerskQuoteParser');
 
 // Configuration
-const PROFILE_DIR = path.join(__dirname, '..', '..', '.maersk-profile');
 const SNAPSHOT_DIR = path.join(__dirname, '..', '..', 'snapshots');
 const BOOK_URL = 'https://www.maersk.com/book/';
-const DEFAULT_TIMEOUT = parseInt(process.env.SCRAPER_TIMEOUT_MS, 10) || 60000;
+// Env vars, when set, override the global scraper section of pricing-config.yml;
+// a lane override (params.timeout_ms / params.headless) wins over both
+const ENV_TIMEOUT = parseInt(process.env.SCRAPER_TIMEOUT_MS, 10) || null;
+const ENV_HEADLESS = process.env.SCRAPER_HEADLESS ? process.env.SCRAPER_HEADLESS !== 'false' : null;
+const BOOKING_FORM = 'mc-c-origin-destination, #mc-input-origin, [data-test="mccOriginDestination"]';
 
 // Validate required environment variables
 function validateEnvironment() {
@@ -38,7 +53,6 @@ const MAERSK_PASSWORD = process.env.MAERSK_PASSWORD;
 const ENCRYPTION_KEY = process.env.SNAPSHOT_KEY;
 
 // Ensure directories exist
-if (!fs.existsSync(PROFILE_DIR)) fs.mkdirSync(PROFILE_DIR, { recursive: true });
 if (!fs.existsSync(SNAPSHOT_DIR)) fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
 
 /**
@@ -54,56 +68,6 @@ const CONTAINER_MAP = {
   'OOG': '40\' Open Top',
 };
 
-/**
- * Simulate a scrape — returns mock data for development/testing
- */
-function simulateScrape(params) {
-  const {
-    from_port, to_port, container_type = '40FT',
-    ship_date, job_id,
-  } = params;
-
-  console.log(`[Scraper SIM] Job ${job_id} | ${from_port} → ${to_port} | ${container_type}`);
-
-  // Generate multiple candidates with different dates and prices
-  const candidates = [];
-  const basePrice = 1500 + Math.floor(Math.random() * 2000);
-  
-  // Create 3 options with different dates
-  for (let i = 0; i < 3; i++) {
-    const departureDate = new Date(Date.now() + (i + 1) * 2 * 24 * 60 * 60 * 1000); // 2, 4, 6 days from now
-    const price = basePrice + (i * 200) - 200; // vary prices
-    const transitDays = 10 + Math.floor(Math.random() * 15) + (i * 2);
-    const validUntil = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
-    const confidenceVariation = 0.95 - (i * 0.05); // Slightly lower confidence for later dates
-
-    const candidate = {
-      price: price,
-      total_price: price,
-      ocean_freight: Math.round(price * 0.75),
-      origin_thc: Math.round(price * 0.1),
-      destination_thc: Math.round(price * 0.1),
-      origin_misc: Math.round(price * 0.05),
-      currency: 'USD',
-      transit_days: transitDays,
-      service_type: 'STANDARD',
-      carrier: 'Maersk',
-      departure_date: departureDate.toISOString().split('T')[0], // YYYY-MM-DD
-      valid_until: validUntil,
-      confidence_score: confidenceVariation,
-      snapshot_id: null,
-    };
-    candidates.push(candidate);
-  }
-
-  return {
-    status: 'SUCCESS',
-    source: 'SIMULATION',
-    candidates: candidates,
-    snapshot_id: null,
-  };
-}
-
 /**
  * Save encrypted HTML snapshot for compliance/debugging
  */
@@ -423,6 +387,74 @@ async function selectDropdownOption(page, searchText, fieldName) {
   return true;
 }
 
+// ─── Session warm-up ───────────────────────────────────────────────
+/**
+ * Open the booking page and sign in when the profile is not logged in
+ * @param {Object} page - Playwright page
+ * @param {{ username: string, password: string }|null} account - null for the env account
+ * @param {number} [timeoutMs] - navigation timeout; defaults to the env / global scraper timeout
+ * @returns {Promise<boolean>} true once the booking form is visible
+ */
+async function loginMaersk(page, account, timeoutMs = ENV_TIMEOUT || getPricingConfig().global.scraper.timeout_ms) {
+  const username = account ? account.username : MAERSK_USERNAME;
+  const password = account ? account.password : MAERSK_PASSWORD;
+  const bookingForm = page.locator(BOOKING_FORM).first();
+
+  await page.goto(BOOK_URL, { waitUntil: 'domcontentloaded', timeout: timeoutMs });
+  await page.waitForTimeout(8000);
+  await page.locator('.coi-banner__accept, [data-test*="cookie-accept"], #accept-cookies').first()
+    .click({ force: true, timeout: 1500 }).catch(() => {});
+  if (await waitForVisibleWithRetries(bookingForm, 4, 1000).catch(() => false)) return true;
+  if (await detectCaptcha(page) || await detectAccessDenied(page)) return false;
+
+  const usernameInput = page.locator('#mc-input-username, input[name="username"], input[name="email"], input[type="email"]').first();
+  const passwordInput = page.locator('input[name="password"]:visible, input[type="password"]:visible, #mc-input-password').first();
+  if (!(await usernameInput.isVisible({ timeout: 5000 }).catch(() => false))) return false;
+  console.log(`[Scraper] Signing in (user: ${username})...`);
+  await usernameInput.fill(username);
+  if (!(await passwordInput.isVisible({ timeout: 5000 }).catch(() => false))) return false;
+  await passwordInput.fill(password);
+  await page.locator('button[type="submit"]').first().click();
+
+  // Up to 30 seconds for the redirect back to the booking form
+  for (let i = 0; i < 6; i++) {
+    await page.waitForTimeout(5000);
+    await clickConsentButtons(page).catch(() => {});
+    if (await bookingForm.isVisible().catch(() => false)) return true;
+  }
+  return false;
+}
+
+/**
+ * Launch the session pool's free slots and log each one in, so the first
+ * live jobs skip the browser launch and sign-in
+ * @param {Array<{ username: string, password: string, profile_key: string }>} accounts
+ *   accounts to warm, in the order jobs will use them; empty warms the env account
+ * @returns {Promise<number>} sessions left warm
+ */
+async function warmMaerskSessions(accounts = []) {
+  const scraperConfig = getPricingConfig().global.scraper;
+  const byProfile = new Map(accounts.map((a) => [a.profile_key, a]));
+
+  return sessionPool.warmPool({
+    headless: ENV_HEADLESS != null ? ENV_HEADLESS : scraperConfig.headless,
+    profileKeys: accounts.length ? accounts.map((a) => a.profile_key) : [null],
+    prepare: async (session) => {
+      const page = await session.context.newPage();
+      try {
+        await page.addInitScript(() => {
+          Object.defineProperty(navigator, 'webdriver', { get: () => undefined, configurable: true });
+        });
+        if (!(await loginMaersk(page, byProfile.get(session.profile_key) || null))) {
+          throw new Error('booking form not reached after sign-in');
+        }
+      } finally {
+        await page.close().catch(() => {});
+      }
+    },
+  });
+}
+
 /**
  * Live scrape from Maersk booking portal
  */
@@ -431,32 +463,39 @@ async function scrapeMaerskSpotRate(params) {
     from_port, to_port, container_type = '40FT',
     number_of_containers = 1, weight_per_container,
     weight_unit = 'KG', ship_date, commodity,
-    job_id,
+    job_id, account,
   } = params;
+  // Stored account from the credential store, else the single env account
+  const username = account ? account.username : MAERSK_USERNAME;
+  const password = account ? account.password : MAERSK_PASSWORD;
 
-  console.log(`[Scraper LIVE] Job ${job_id} | ${from_port} → ${to_port} | ${container_type}`);
+  console.log(`[Scraper LIVE] Job ${job_id} | ${from_port} → ${to_port} | ${container_type} | account ${username}`);
 
+  const scraperConfig = getPricingConfig().global.scraper;
+  const timeoutMs = params.timeout_ms || ENV_TIMEOUT || scraperConfig.timeout_ms;
+  const headless = params.headless != null ? params.headless : (ENV_HEADLESS != null ? ENV_HEADLESS : scraperConfig.headless);
+
+  let session = null;
   let context = null;
+  let page = null;
   let snapshotId = null;
 
+  // Hand the session back to the pool; unhealthy sessions are evicted and replaced
+  const releaseSession = async (healthy, reason) => {
+    if (!session) return;
+    const checkedOut = session;
+    session = null;
+    if (page) await page.close().catch(() => {});
+    await sessionPool.release(checkedOut, { healthy, reason });
+  };
+
   try {
-    // Launch persistent browser context
-    context = await chromium.launchPersistentContext(PROFILE_DIR, {
-      headless: process.env.SCRAPER_HEADLESS !== 'false',
-      channel: 'msedge',
-      viewport: { width: 1920, height: 1080 },
-      locale: 'en-US',
-      timezoneId: 'Asia/Singapore',
-      args: [
-        '--no-sandbox',
-        '--disable-blink-features=AutomationControlled',
-        '--disable-infobars',
-        '--no-first-run',
-        '--no-default-browser-check',
-      ],
-    });
+    // Check out a warm browser context with its own profile
+    session = await sessionPool.checkout({ headless, profileKey: account ? account.profile_key : null });
+    context = session.context;
+    console.log(`[Scraper] Using session ${session.slot} (job #${session.jobs} on this session)`);
 
-    const page = context.pages()[0] || await context.newPage();
+    page = await context.newPage();
 
     // Detect OAuth / access_token failures during navigation/login
     let oauthGrantFailed = false;
@@ -473,6 +512,15 @@ async function scrapeMaerskSpotRate(params) {
       });
     } catch (e) { /* ignore */ }
 
+    // Keep the quote JSON the booking page fetches for structured extraction
+    const quoteResponses = [];
+    page.on('response', async (res) => {
+      try {
+        if (res.status() >= 400 || !quoteParser.isQuoteResponse(res.url(), res.headers()['content-type'])) return;
+        quoteResponses.push(await res.json());
+      } catch (e) { /* body unavailable or not JSON */ }
+    });
+
     // Optional tracing for detailed debug (enable with env ENABLE_TRACING=true)
     const shouldTrace = (process.env.ENABLE_TRACING === 'true') || params.trace === true;
     const tracePath = path.join(SNAPSHOT_DIR, `trace_${job_id}.zip`);
@@ -495,7 +543,7 @@ async function scrapeMaerskSpotRate(params) {
     let navigated = false;
     for (let attempt = 1; attempt <= 2; attempt++) {
       try {
-        await page.goto(BOOK_URL, { waitUntil: 'domcontentloaded', timeout: DEFAULT_TIMEOUT });
+        await page.goto(BOOK_URL, { waitUntil: 'domcontentloaded', timeout: timeoutMs });
         navigated = true;
         break;
       } catch (e) {
@@ -539,7 +587,7 @@ async function scrapeMaerskSpotRate(params) {
     if (await detectCaptcha(page)) {
       const html = await page.content();
       snapshotId = saveSnapshot(html, job_id);
-      await context.close();
+      await releaseSession(false, 'CAPTCHA_DETECTED');
       return {
         status: 'FAILED',
         error: 'Captcha or anti-bot challenge detected on Maersk site',
@@ -552,7 +600,7 @@ async function scrapeMaerskSpotRate(params) {
     if (pageTitle.includes('Access Denied') || pageText.includes('Access Denied') || pageText.includes('you don\'t have permission')) {
       const html = await page.content();
       snapshotId = saveSnapshot(html, job_id);
-      await context.close();
+      await releaseSession(false, 'ACCESS_DENIED');
       return {
         status: 'FAILED',
         error: 'Access Denied by Maersk (Bot detection). Try refreshing persistent session.',
@@ -645,18 +693,18 @@ async function scrapeMaerskSpotRate(params) {
         }
         
         if (usernameVisible) {
-          console.log(`[Scraper] Filling login credentials (user: ${MAERSK_USERNAME})...`);
+          console.log(`[Scraper] Filling login credentials (user: ${username})...`);
           
           // Fill username
           await usernameInput.click();
-          await usernameInput.fill(MAERSK_USERNAME);
+          await usernameInput.fill(username);
           await page.waitForTimeout(500);
           
           // Fill password
           const passwordInput = page.locator('input[name="password"]:visible, input[type="password"]:visible, #mc-input-password').first();
           if (await passwordInput.isVisible({ timeout: 5000 }).catch(() => false)) {
             await passwordInput.click();
-            await passwordInput.fill(MAERSK_PASSWORD);
+            await passwordInput.fill(password);
             await page.waitForTimeout(500);
           } else {
             throw new Error('Password input not found on login page');
@@ -725,10 +773,10 @@ async function scrapeMaerskSpotRate(params) {
                 const acctPass = page.locator('input[type="password"]').first();
                 const acctBtn = page.locator('button[type="submit"], button:has-text("Sign in")').first();
                 if (await acctUser.isVisible({ timeout: 3000 }).catch(() => false)) {
-                  await acctUser.click(); await acctUser.fill(MAERSK_USERNAME); await page.waitForTimeout(300);
+                  await acctUser.click(); await acctUser.fill(username); await page.waitForTimeout(300);
                 }
                 if (await acctPass.isVisible({ timeout: 3000 }).catch(() => false)) {
-                  await acctPass.click(); await acctPass.fill(MAERSK_PASSWORD); await page.waitForTimeout(300);
+                  await acctPass.click(); await acctPass.fill(password); await page.waitForTimeout(300);
                 }
                 if (await acctBtn.isVisible({ timeout: 3000 }).catch(() => false)) {
                   await acctBtn.click(); await page.waitForTimeout(8000);
@@ -758,10 +806,10 @@ async function scrapeMaerskSpotRate(params) {
                         const acctBtn = page.locator('button[type="submit"], button:has-text("Sign in")').first();
 
                         if (await acctUser.isVisible({ timeout: 3000 }).catch(() => false)) {
-                          await acctUser.click(); await acctUser.fill(MAERSK_USERNAME); await page.waitForTimeout(300);
+                          await acctUser.click(); await acctUser.fill(username); await page.waitForTimeout(300);
                         }
                         if (await acctPass.isVisible({ timeout: 3000 }).catch(() => false)) {
-                          await acctPass.click(); await acctPass.fill(MAERSK_PASSWORD); await page.waitForTimeout(300);
+                          await acctPass.click(); await acctPass.fill(password); await page.waitForTimeout(300);
                         }
                         if (await acctBtn.isVisible({ timeout: 3000 }).catch(() => false)) {
                           await acctBtn.click(); await page.waitForTimeout(5000 + consentAttempt * 1000);
@@ -791,8 +839,8 @@ async function scrapeMaerskSpotRate(params) {
 
                 const html = await page.content();
                 snapshotId = saveSnapshot(html, job_id);
-                await context.close();
                 const reasonCode = oauthGrantFailed ? 'OAUTH_GRANT_FAILED' : 'LOGIN_FAILED';
+                await releaseSession(false, reasonCode);
                 const errorMsg = oauthGrantFailed ? 'OAuth grant failed (access_token endpoint returned error). Check SSO flow / consent.' : 'Login failed or timed out after retry. Check credentials and session.';
                 return {
                   status: 'FAILED',
@@ -840,12 +888,12 @@ async function scrapeMaerskSpotRate(params) {
 
               if (await altUsername.isVisible({ timeout: 2000 }).catch(() => false)) {
                 await altUsername.click();
-                await altUsername.fill(MAERSK_USERNAME);
+                await altUsername.fill(username);
                 await page.waitForTimeout(300);
               }
               if (await altPassword.isVisible({ timeout: 2000 }).catch(() => false)) {
                 await altPassword.click();
-                await altPassword.fill(MAERSK_PASSWORD);
+                await altPassword.fill(password);
                 await page.waitForTimeout(300);
               }
               if (await altSubmit.isVisible({ timeout: 2000 }).catch(() => false)) {
@@ -869,8 +917,8 @@ async function scrapeMaerskSpotRate(params) {
           } else {
             // If this appears to be an SSO/portal or OAuth grant failure, surface a clearer reason
             if (await detectPortalLogin(page)) {
-              await context.close();
               const reasonCode = oauthGrantFailed ? 'OAUTH_GRANT_FAILED' : 'LOGIN_FAILED';
+              await releaseSession(false, reasonCode);
               const errorMsg = oauthGrantFailed ? `OAuth grant failed or portal SSO required. URL: ${currentUrl}. Snippet: ${bodyText.replace(/\n/g, ' ')}` : `Portal/SSO login required. URL: ${currentUrl}. Snippet: ${bodyText.replace(/\n/g, ' ')}`;
               return {
                 status: 'FAILED',
@@ -881,7 +929,7 @@ async function scrapeMaerskSpotRate(params) {
               };
             }
 
-            await context.close();
+            await releaseSession(false, 'UNKNOWN_STATE');
             return {
               status: 'FAILED',
               error: `Unknown page state. URL: ${currentUrl}. Snippet: ${bodyText.replace(/\n/g, ' ')}`,
@@ -1126,7 +1174,7 @@ async function scrapeMaerskSpotRate(params) {
     if (!submitBtn) {
       const html = await page.content();
       snapshotId = saveSnapshot(html, job_id);
-      await context.close();
+      await releaseSession(true);
       return {
         status: 'FAILED',
         error: 'Submit button not found on page',
@@ -1147,7 +1195,7 @@ async function scrapeMaerskSpotRate(params) {
       if (await submitBtn.getAttribute('disabled') !== null) {
         const html = await page.content();
         snapshotId = saveSnapshot(html, job_id);
-        await context.close();
+        await releaseSession(true);
         return {
           status: 'FAILED',
           error: 'Submit button is disabled. Check if O/D and Date are properly selected.',
@@ -1167,15 +1215,15 @@ async function scrapeMaerskSpotRate(params) {
     const waitResult = await Promise.race([
       // Price card appears
       page.locator('[data-test*="price"], .price, [class*="price"], [class*="rate"], .mc-card').first()
-        .waitFor({ state: 'visible', timeout: 35000 }).then(() => 'SUCCESS'),
+        .waitFor({ state: 'visible', timeout: timeoutMs }).then(() => 'SUCCESS'),
         
       // Error banner appears
       page.locator('.mc-banner--error, .mc-c-error-message, [data-test*="error"], :text("Something went wrong")').first()
-        .waitFor({ state: 'visible', timeout: 35000 }).then(() => 'ERROR'),
+        .waitFor({ state: 'visible', timeout: timeoutMs }).then(() => 'ERROR'),
         
       // No routes message
       page.locator(':text("no results"), :text("No routes"), :text("not available")').first()
-        .waitFor({ state: 'visible', timeout: 35000 }).then(() => 'NO_RESULTS'),
+        .waitFor({ state: 'visible', timeout: timeoutMs }).then(() => 'NO_RESULTS'),
     ]).catch(() => 'TIMEOUT');
 
     console.log(`[Scraper] Navigation/Wait outcome: ${waitResult}`);
@@ -1189,7 +1237,7 @@ async function scrapeMaerskSpotRate(params) {
       const errorMsg = await page.locator('.mc-banner--error, .mc-c-error-message, [data-test*="error"]').first().textContent().catch(() => null);
       const isSomethingWentWrong = html.includes('Something went wrong') || (errorMsg && errorMsg.includes('Something went wrong'));
       
-      await context.close();
+      await releaseSession(true);
 
       if (waitResult === 'NO_RESULTS' || html.includes('No routes available')) {
         return {
@@ -1214,9 +1262,9 @@ async function scrapeMaerskSpotRate(params) {
 
     // Extract pricing data from the page
     console.log('[Scraper] Extracting pricing data...');
-    const candidates = await extractPricingCandidates(page, snapshotId);
+    const candidates = await extractPricingCandidates(page, snapshotId, quoteResponses);
 
-    await context.close();
+    await releaseSession(true);
 
     if (candidates.length === 0) {
       return {
@@ -1239,9 +1287,8 @@ async function scrapeMaerskSpotRate(params) {
   } catch (err) {
     console.error('[Scraper] Error:', err.message);
     
-    if (context) {
+    if (session) {
       try {
-        const page = context.pages()[0];
         if (page) {
           const html = await page.content().catch(() => '');
           if (html) {
@@ -1256,7 +1303,7 @@ async function scrapeMaerskSpotRate(params) {
           }
         } catch (e) { /* ignore */ }
 
-        await context.close();
+        await releaseSession(false, 'SCRAPER_ERROR');
       } catch { /* ignore */ }
     }
 
@@ -1271,92 +1318,61 @@ async function scrapeMaerskSpotRate(params) {
 }
 
 /**
- * Extract pricing candidates from the results page
+ * Extract pricing candidates from the results page, most structured source
+ * first: captured quote JSON, the offer cards' charge tables, then a bare
+ * total from the page text (no breakdown, no validity, low confidence)
  */
-async function extractPricingCandidates(page, snapshotId) {
-  const candidates = [];
+async function extractPricingCandidates(page, snapshotId, quoteResponses = []) {
+  for (const body of quoteResponses) {
+    const candidates = quoteParser.parseQuoteResponse(body, { snapshotId });
+    if (candidates.length > 0) {
+      console.log(`[Scraper] Parsed ${candidates.length} offer(s) from quote response`);
+      return candidates;
+    }
+  }
 
   try {
-    // Try multiple selector strategies to find price cards
-    const priceCards = await page.locator('[data-test*="card"], .mc-card, [class*="quote"], [class*="result"]').all();
-
-    if (priceCards.length === 0) {
-      // Fallback: try to extract from page text
-      const pageText = await page.evaluate(() => document.body.innerText);
-      const priceMatch = pageText.match(/USD\s*([\d,]+)/i) || pageText.match(/([\d,]+)\s*USD/i);
-      const transitMatch = pageText.match(/(\d+)\s*days?/i);
-
-      if (priceMatch) {
-        candidates.push({
-          price: parseFloat(priceMatch[1].replace(/,/g, '')),
-          total_price: parseFloat(priceMatch[1].replace(/,/g, '')),
-          currency: 'USD',
-          transit_days: transitMatch ? parseInt(transitMatch[1], 10) : null,
-          service_type: 'STANDARD',
-          carrier: 'Maersk',
-          valid_until: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
-          confidence_score: 0.6, // Lower confidence for text extraction
-          snapshot_id: snapshotId,
-        });
-      }
-    } else {
-      // Extract from each price card
-      for (const card of priceCards.slice(0, 5)) { // Limit to top 5 results
-        try {
-          const cardText = await card.textContent();
-          
-          // Extract price
-          const priceMatch = cardText.match(/USD\s*([\d,]+)/i) || cardText.match(/([\d,]+)\s*USD/i);
-          if (!priceMatch) continue;
-
-          const price = parseFloat(priceMatch[1].replace(/,/g, ''));
-          if (isNaN(price) || price <= 0) continue;
-
-          // Extract transit days
-          const transitMatch = cardText.match(/(\d+)\s*days?/i);
-          const transitDays = transitMatch ? parseInt(transitMatch[1], 10) : null;
-
-          // Extract service type
-          let serviceType = 'STANDARD';
-          if (cardText.toLowerCase().includes('express')) serviceType = 'EXPRESS';
-          else if (cardText.toLowerCase().includes('economy')) serviceType = 'ECONOMY';
-
-          // Try to extract component prices
-          const oceanMatch = cardText.match(/ocean[^\d]*([\d,]+)/i);
-          const thcMatch = cardText.match(/thc[^\d]*([\d,]+)/i);
-
-          candidates.push({
-            price: price,
-            total_price: price,
-            ocean_freight: oceanMatch ? parseFloat(oceanMatch[1].replace(/,/g, '')) : null,
-            origin_thc: thcMatch ? parseFloat(thcMatch[1].replace(/,/g, '')) / 2 : null,
-            destination_thc: thcMatch ? parseFloat(thcMatch[1].replace(/,/g, '')) / 2 : null,
-            currency: 'USD',
-            transit_days: transitDays,
-            service_type: serviceType,
-            carrier: 'Maersk',
-            valid_until: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
-            confidence_score: 0.75,
-            snapshot_id: snapshotId,
-          });
-        } catch (cardErr) {
-          console.warn('[Scraper] Failed to parse price card:', cardErr.message);
-        }
-      }
+    const cards = await quoteParser.readQuoteCards(page);
+    const candidates = quoteParser.parseQuoteCards(cards, { snapshotId });
+    if (candidates.length > 0) {
+      console.log(`[Scraper] Parsed ${candidates.length} offer(s) from charge tables`);
+      return candidates;
     }
   } catch (err) {
-    console.error('[Scraper] Extract error:', err.message);
+    console.warn('[Scraper] Charge table extract failed:', err.message);
   }
 
-  // Sort by price ascending
-  candidates.sort((a, b) => a.price - b.price);
-
-  return candidates;
+  try {
+    const pageText = await page.evaluate(() => document.body.innerText);
+    const total = quoteParser.parseTextTotal(pageText, VALID_CURRENCIES);
+    if (!total) return [];
+    const { price, currency, transit_days: transitDays } = total;
+
+    console.warn('[Scraper] No quote breakdown found, falling back to page text');
+    return [{
+      price,
+      total_price: price,
+      currency,
+      transit_days: transitDays,
+      service_type: 'STANDARD',
+      carrier: 'MAERSK',
+      valid_until: null,
+      charges: [],
+      confidence_score: 0.5,
+      extraction_method: 'TEXT',
+      snapshot_id: snapshotId,
+    }];
+  } catch (err) {
+    console.error('[Scraper] Extract error:', err.message);
+    return [];
+  }
 }
 
 module.exports = {
-  simulateScrape,
   scrapeMaerskSpotRate,
+  loginMaersk,
+  warmMaerskSessions,
+  extractPricingCandidates,
   validateEnvironment,
 };
 
@@ -1366,6 +1382,7 @@ module.exports.waitForVisibleWithRetries = waitForVisibleWithRetries;
 module.exports.detectConsent = detectConsent;
 module.exports.detectAccessDenied = detectAccessDenied;
 module.exports.isBookingVisible = isBookingVisible;
+module.exports.detectPortalLogin = detectPortalLogin;
 
 // Validate environment on module load (can be called explicitly before use)
 try {
@@ -0,0 +1,330 @@
+/**
+ * Maersk quote parser
+ *
+ * Turns a Maersk quote into pricing candidates with a real charge breakdown.
+ * Two inputs are understood:
+ *  - the quote/offer JSON the booking page fetches (captured from
+ *    page.on('response') while the scraper runs)
+ *  - the price breakdown table rendered on each offer card (read with
+ *    readQuoteCards(page))
+ *
+ * Each charge line is kept on the candidate (`charges`) and mapped onto the
+ * pricing breakdown columns with classifyCharge() (pricing/charges.js).
+ *
+ * Functions:
+ *  - parseQuoteResponse(json, opts) → Candidates from a captured JSON body
+ *  - parseQuoteCards(cards, opts)   → Candidates from readQuoteCards() output
+ *  - readQuoteCards(page)           → Raw offer cards from the results DOM
+ *  - isQuoteResponse(url, type)     → Whether a response is worth capturing
+ *  - parseTextTotal(text, currencies) → Bare total from the page text, or null
+ */
+
+const { classifyCharge, normalizeBasis } = require('../pricing/charges');
+
+const CARRIER = 'MAERSK';
+
+const QUOTE_URL_PATTERN = /(offers?|quotes?|prices?|spot-?rates?|product-offer)/i;
+
+// ─── Field helpers ─────────────────────────────────────────────────────
+/**
+ * "USD 1,234.50" / "1.234,50" / "2.330" / 1234.5 → 1234.5 / 1234.5 / 2330 / 1234.5
+ *
+ * With both "." and "," the last one is the decimal separator. A single
+ * separator is the thousands separator when it repeats or sits before
+ * exactly three digits after at most three (Maersk prints cents with two
+ * digits), else the decimal separator. Grouping that does not come in
+ * threes is not an amount.
+ */
+function parseAmount(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const text = String(value).replace(/[^\d.,-]/g, '');
+
+  let decimal = null;
+  if (text.includes('.') && text.includes(',')) {
+    decimal = text.lastIndexOf('.') > text.lastIndexOf(',') ? '.' : ',';
+  } else {
+    const sep = text.includes('.') ? '.' : (text.includes(',') ? ',' : null);
+    if (sep && text.split(sep).length === 2 && !/^-?\d{1,3}[.,]\d{3}$/.test(text)) decimal = sep;
+  }
+
+  const cut = decimal ? text.lastIndexOf(decimal) : text.length;
+  const whole = text.slice(0, cut);
+  const fraction = text.slice(cut + 1);
+  if (/[.,]/.test(whole) && !/^-?\d{1,3}([.,])\d{3}(?:\1\d{3})*$/.test(whole)) return null;
+  if (/[.,]/.test(fraction)) return null;
+
+  const n = parseFloat(`${whole.replace(/[.,]/g, '')}${fraction ? `.${fraction}` : ''}`);
+  return Number.isFinite(n) ? n : null;
+}
+
+function parseCurrency(value) {
+  const match = String(value || '').toUpperCase().match(/\b[A-Z]{3}\b/);
+  return match ? match[0] : null;
+}
+
+/**
+ * Dates as YYYY-MM-DD; accepts ISO strings, "12 Mar 2026" etc.
+ */
+function parseDate(value) {
+  if (!value) return null;
+  const iso = String(value).match(/\d{4}-\d{2}-\d{2}/);
+  if (iso) return iso[0];
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString().slice(0, 10);
+}
+
+/**
+ * Price validity as an ISO timestamp; a bare date is valid through that day
+ */
+function parseValidUntil(value) {
+  if (!value) return null;
+  const text = String(value);
+  if (/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(text)) {
+    const d = new Date(text);
+    if (!Number.isNaN(d.getTime())) return d.toISOString();
+  }
+  const date = parseDate(text);
+  return date ? `${date}T23:59:59.000Z` : null;
+}
+
+function parseTransitDays(value) {
+  if (value == null) return null;
+  if (typeof value === 'number') return Math.round(value);
+  const match = String(value).match(/(\d+)\s*(?:days?|d\b)?/i);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+function pick(obj, ...paths) {
+  for (const p of paths) {
+    const value = p.split('.').reduce((acc, k) => (acc != null ? acc[k] : undefined), obj);
+    if (value != null && value !== '') return value;
+  }
+  return null;
+}
+
+// ─── Candidates ────────────────────────────────────────────────────────
+function serviceTypeFor(name) {
+  const s = String(name || '').toLowerCase();
+  if (s.includes('express') || s.includes('priority')) return 'EXPRESS';
+  if (s.includes('economy') || s.includes('saver')) return 'ECONOMY';
+  return 'STANDARD';
+}
+
+/**
+ * Build one candidate from a normalized offer
+ * @param {Object} offer - { charges[], total, currency, departure_date, valid_until, transit_days, vessel, voyage, service_name }
+ * @param {Object} opts - { snapshotId, method: 'JSON'|'DOM', baseConfidence }
+ */
+function buildCandidate(offer, { snapshotId = null, method, baseConfidence }) {
+  const charges = (offer.charges || [])
+    .map((ch) => {
+      const amount = parseAmount(ch.amount);
+      if (amount == null) return null;
+      const { side, column } = classifyCharge(ch);
+      return {
+        code: ch.code ? String(ch.code).toUpperCase() : null,
+        description: ch.description || null,
+        amount,
+        currency: parseCurrency(ch.currency) || parseCurrency(offer.currency),
+        basis: normalizeBasis(ch.basis),
+        side,
+        column,
+      };
+    })
+    .filter(Boolean);
+
+  const totalAmount = parseAmount(offer.total);
+  const currency = parseCurrency(offer.currency)
+    || (charges.find((ch) => ch.code === 'BAS') || charges[0] || {}).currency
+    || null;
+
+  // Columns only sum charges in the quote currency; others stay in `charges`
+  const breakdown = {};
+  let mixedCurrency = false;
+  for (const ch of charges) {
+    if (currency && ch.currency && ch.currency !== currency) {
+      mixedCurrency = true;
+      continue;
+    }
+    breakdown[ch.column] = Math.round(((breakdown[ch.column] || 0) + ch.amount) * 100) / 100;
+  }
+  const chargeSum = Object.values(breakdown).reduce((a, b) => a + b, 0);
+  const total = totalAmount != null ? totalAmount : (chargeSum > 0 ? Math.round(chargeSum * 100) / 100 : null);
+  if (total == null || total <= 0) return null;
+
+  const validUntil = parseValidUntil(offer.valid_until);
+  let confidence = baseConfidence;
+  if (!charges.length) confidence -= 0.15;
+  if (mixedCurrency) confidence -= 0.1;
+  if (!validUntil) confidence -= 0.1;
+
+  return {
+    price: total,
+    total_price: total,
+    origin_local_haulage: breakdown.origin_local_haulage ?? null,
+    origin_thc: breakdown.origin_thc ?? null,
+    customs: breakdown.customs ?? null,
+    origin_misc: breakdown.origin_misc ?? null,
+    ocean_freight: breakdown.ocean_freight ?? null,
+    destination_thc: breakdown.destination_thc ?? null,
+    destination_haulage: breakdown.destination_haulage ?? null,
+    destination_misc: breakdown.destination_misc ?? null,
+    currency,
+    transit_days: parseTransitDays(offer.transit_days),
+    service_type: serviceTypeFor(offer.service_name),
+    carrier: CARRIER,
+    departure_date: parseDate(offer.departure_date),
+    valid_until: validUntil,
+    vessel: offer.vessel || null,
+    voyage: offer.voyage || null,
+    charges: charges.map(({ column, ...ch }) => ch),
+    confidence_score: Math.round(Math.max(0, confidence) * 100) / 100,
+    extraction_method: method,
+    snapshot_id: snapshotId,
+  };
+}
+
+function sortByPrice(candidates) {
+  return candidates.filter(Boolean).sort((a, b) => a.price - b.price);
+}
+
+// ─── JSON responses ────────────────────────────────────────────────────
+/**
+ * Whether a network response may carry quote data
+ */
+function isQuoteResponse(url, contentType) {
+  return String(contentType || '').includes('json') && QUOTE_URL_PATTERN.test(String(url || ''));
+}
+
+function findOfferList(json) {
+  if (Array.isArray(json)) return json;
+  return pick(json, 'offers', 'quotes', 'data.offers', 'data.quotes', 'productOffers', 'results') || [];
+}
+
+function normalizeJsonOffer(raw) {
+  const charges = pick(raw, 'charges', 'priceBreakdown.charges', 'prices.charges', 'price.charges', 'surcharges') || [];
+  return {
+    total: pick(raw, 'totalPrice.amount', 'totalPrice.value', 'price.total', 'prices.totalPrice', 'totalPrice', 'total'),
+    currency: pick(raw, 'totalPrice.currency', 'totalPrice.currencyCode', 'price.currency', 'prices.currency', 'currency', 'currencyCode'),
+    departure_date: pick(raw, 'departureDate', 'departure.date', 'schedule.departureDateTime', 'routeScheduleFull.departureDateTime', 'etd'),
+    valid_until: pick(raw, 'validTo', 'validUntil', 'priceValidity.validTo', 'price.validTo', 'expiryDate'),
+    transit_days: pick(raw, 'transitTimeDays', 'transitTime', 'schedule.transitTime', 'routeScheduleFull.transitTime'),
+    vessel: pick(raw, 'vesselName', 'vessel.name', 'schedule.vesselName', 'routeScheduleFull.vesselName'),
+    voyage: pick(raw, 'voyageNumber', 'voyage', 'schedule.voyageNumber', 'routeScheduleFull.voyageNumber'),
+    service_name: pick(raw, 'productName', 'serviceName', 'product.name', 'serviceType'),
+    charges: (Array.isArray(charges) ? charges : []).map((ch) => ({
+      code: pick(ch, 'chargeCode', 'code', 'chargeType.code'),
+      description: pick(ch, 'chargeName', 'description', 'name', 'chargeType.name'),
+      amount: pick(ch, 'amount', 'value', 'price', 'rate'),
+      currency: pick(ch, 'currency', 'currencyCode'),
+      basis: pick(ch, 'basis', 'ratingBasis', 'unit', 'per'),
+      side: pick(ch, 'side', 'chargeGroup', 'section', 'category', 'direction'),
+    })),
+  };
+}
+
+/**
+ * Candidates from a captured quote JSON body
+ * @param {Object|Array} json
+ * @param {{ snapshotId?: string }} opts
+ * @returns {Object[]} candidates, cheapest first
+ */
+function parseQuoteResponse(json, { snapshotId = null } = {}) {
+  const offers = findOfferList(json);
+  if (!Array.isArray(offers)) return [];
+  return sortByPrice(offers.map((raw) => buildCandidate(normalizeJsonOffer(raw), {
+    snapshotId, method: 'JSON', baseConfidence: 0.9,
+  })));
+}
+
+// ─── DOM charge table ──────────────────────────────────────────────────
+/**
+ * Read offer cards and their price breakdown rows from the results page.
+ * Runs in the browser; returns plain data for parseQuoteCards().
+ */
+async function readQuoteCards(page) {
+  return page.evaluate(() => {
+    const text = (root, selector) => {
+      const el = root.querySelector(selector);
+      if (!el) return null;
+      return (el.getAttribute('datetime') || el.getAttribute('data-value') || el.textContent || '').trim() || null;
+    };
+    const cards = Array.from(document.querySelectorAll('[data-test="offer-card"], [data-test*="offer-card"], .offer-card'));
+    return cards.map((card) => {
+      const charges = [];
+      let section = null;
+      card.querySelectorAll('[data-test="price-breakdown"] tr, table.price-breakdown tr').forEach((tr) => {
+        const group = tr.closest('[data-section]');
+        const header = tr.querySelector('th');
+        if (header && tr.querySelectorAll('td').length === 0) {
+          section = header.textContent.trim();
+          return;
+        }
+        const cells = Array.from(tr.querySelectorAll('td')).map((td) => td.textContent.trim());
+        if (cells.length < 2) return;
+        charges.push({
+          code: tr.getAttribute('data-charge-code'),
+          description: cells[0],
+          basis: tr.getAttribute('data-basis') || (cells.length >= 4 ? cells[1] : null),
+          currency: tr.getAttribute('data-currency') || (cells.length >= 4 ? cells[2] : null) || cells[cells.length - 1],
+          amount: tr.getAttribute('data-amount') || cells[cells.length - 1],
+          side: tr.getAttribute('data-side') || (group && group.getAttribute('data-section')) || section,
+        });
+      });
+      return {
+        total: text(card, '[data-test="total-price"]'),
+        currency: text(card, '[data-test="total-price"] [data-test="currency"]') || text(card, '[data-test="total-price"]'),
+        departure_date: text(card, '[data-test="departure-date"]'),
+        valid_until: text(card, '[data-test="price-valid-until"]'),
+        transit_days: text(card, '[data-test="transit-time"]'),
+        vessel: text(card, '[data-test="vessel-name"]'),
+        voyage: text(card, '[data-test="voyage-number"]'),
+        service_name: text(card, '[data-test="product-name"], [data-test="service-name"]'),
+        charges,
+      };
+    });
+  });
+}
+
+/**
+ * Candidates from readQuoteCards() output
+ * @param {Object[]} cards
+ * @param {{ snapshotId?: string }} opts
+ */
+function parseQuoteCards(cards, { snapshotId = null } = {}) {
+  return sortByPrice((cards || []).map((card) => buildCandidate(card, {
+    snapshotId, method: 'DOM', baseConfidence: 0.85,
+  })));
+}
+
+// ─── Page text ─────────────────────────────────────────────────────────
+/**
+ * Total from the results page text, for when no breakdown could be read:
+ * the first amount next to a code in `currencies`, so words such as "NEW"
+ * or "ETA" are not taken for a currency
+ * @param {string} text - page innerText
+ * @param {string[]} currencies - ISO codes to accept (the validator's VALID_CURRENCIES)
+ * @returns {{ price: number, currency: string, transit_days: number|null }|null}
+ */
+function parseTextTotal(text, currencies) {
+  const page = String(text || '');
+  for (const m of page.matchAll(/\b([A-Z]{3})\s*(\d[\d.,]*)|(\d[\d.,]*)\s*([A-Z]{3})\b/g)) {
+    const [currency, amount] = m[1] ? [m[1], m[2]] : [m[4], m[3]];
+    if (!currencies.includes(currency)) continue;
+    const price = parseAmount(amount.replace(/[.,]$/, ''));
+    if (!price || price <= 0) continue;
+    const transit = page.match(/(\d+)\s*days?/i);
+    return { price, currency, transit_days: transit ? parseInt(transit[1], 10) : null };
+  }
+  return null;
+}
+
+module.exports = {
+  parseQuoteResponse,
+  parseQuoteCards,
+  readQuoteCards,
+  isQuoteResponse,
+  parseTextTotal,
+  parseAmount,
+};
@@ -0,0 +1,307 @@
+/**
+ * Browser session pool for the live Maersk scraper
+ *
+ * Keeps up to session.pool_size persistent Edge contexts open between jobs so
+ * a quote does not pay for a browser launch and login every time. Each
+ * session owns its own profile directory, so concurrent jobs never share a
+ * profile: .maersk-profile/<account profile key>/session-<n> for stored
+ * accounts (credentialStore.js), .maersk-profile/session-<n> otherwise. A
+ * session is only reused for the same account.
+ *
+ * warmPool() fills the free slots at startup and runs a prepare step (the
+ * scraper's login) on each, so the first jobs find logged-in contexts.
+ *
+ * Jobs check a session out, work in a fresh page and hand it back. A session
+ * whose login / consent / anti-bot detection failed is evicted and a new one
+ * is launched in its slot. Sessions idle for longer than
+ * session.idle_ttl_minutes are closed. closeAllSessions() runs on shutdown.
+ */
+
+const { chromium } = require('playwright');
+const fs = require('fs');
+const path = require('path');
+const { getPricingConfig } = require('../config/pricingConfig');
+
+const PROFILE_ROOT = path.join(__dirname, '..', '..', '.maersk-profile');
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const LAUNCH_OPTIONS = {
+  channel: 'msedge',
+  viewport: { width: 1920, height: 1080 },
+  locale: 'en-US',
+  timezoneId: 'Asia/Singapore',
+  args: [
+    '--no-sandbox',
+    '--disable-blink-features=AutomationControlled',
+    '--disable-infobars',
+    '--no-first-run',
+    '--no-default-browser-check',
+  ],
+};
+
+const _sessions = new Map();   // slot → session
+const _waiters = [];           // checkouts waiting for a free session
+let _sweepTimer = null;
+
+function poolConfig() {
+  return getPricingConfig().global.session;
+}
+
+function profileDirForSlot(slot, profileKey = null) {
+  return profileKey
+    ? path.join(PROFILE_ROOT, profileKey, `session-${slot}`)
+    : path.join(PROFILE_ROOT, `session-${slot}`);
+}
+
+function freeSlot() {
+  const { pool_size: poolSize } = poolConfig();
+  for (let slot = 0; slot < poolSize; slot++) {
+    if (!_sessions.has(slot)) return slot;
+  }
+  return null;
+}
+
+function isUsable(session) {
+  return !session.launching && !session.closed && session.context;
+}
+
+/**
+ * Hold a slot with a launching session so concurrent checkouts cannot claim
+ * it while a browser starts (or an old one closes)
+ */
+function reserveSlot(slot, { headless, profileKey = null }) {
+  const session = {
+    slot,
+    profile_key: profileKey,
+    profile_dir: profileDirForSlot(slot, profileKey),
+    context: null,
+    headless,
+    busy: true,
+    launching: true,
+    closed: false,
+    jobs: 0,
+    created_at: Date.now(),
+    last_used_at: Date.now(),
+  };
+  _sessions.set(slot, session);
+  return session;
+}
+
+/**
+ * Launch a persistent context in a slot. The slot is reserved before the
+ * launch so concurrent checkouts cannot claim it twice.
+ * @param {Object} [session] - reservation from reserveSlot(), made when not given
+ */
+async function launchSession(slot, opts, session = reserveSlot(slot, opts)) {
+  try {
+    if (!fs.existsSync(session.profile_dir)) fs.mkdirSync(session.profile_dir, { recursive: true });
+    session.context = await chromium.launchPersistentContext(session.profile_dir, { ...LAUNCH_OPTIONS, headless: session.headless });
+  } catch (err) {
+    if (_sessions.get(slot) === session) _sessions.delete(slot);
+    throw err;
+  }
+
+  // The pool was closed while the browser was starting
+  if (session.closed) {
+    await session.context.close().catch(() => {});
+    throw new Error('Session pool closed');
+  }
+
+  session.launching = false;
+  session.context.on('close', () => { session.closed = true; });
+  console.log(`[SessionPool] Launched session ${slot} (${session.profile_dir})`);
+  return session;
+}
+
+async function closeSession(session, reason) {
+  if (_sessions.get(session.slot) === session) _sessions.delete(session.slot);
+  session.closed = true;
+  console.log(`[SessionPool] Closing session ${session.slot}: ${reason}`);
+  if (session.context) await session.context.close().catch(() => {});
+}
+
+/**
+ * Check out a session for one job
+ * @param {Object} opts
+ * @param {boolean} opts.headless
+ * @param {string|null} opts.profileKey - account profile directory key
+ * @returns {Promise<Object>} session; use session.context
+ */
+async function checkout({ headless = true, profileKey = null } = {}) {
+  startSweeper();
+
+  for (const session of _sessions.values()) {
+    if (!session.busy && isUsable(session) && session.headless === headless && session.profile_key === profileKey) {
+      return markBusy(session);
+    }
+  }
+
+  // Prune sessions whose browser went away on its own
+  for (const session of [..._sessions.values()]) {
+    if (!session.busy && session.closed) _sessions.delete(session.slot);
+  }
+
+  let slot = freeSlot();
+  if (slot === null) {
+    // An idle session for another account or headless mode gives up its slot
+    const mismatched = [..._sessions.values()].find(s => !s.busy && isUsable(s));
+    if (mismatched) {
+      // Take over the slot before the old browser closes, so no other
+      // checkout launches into it meanwhile
+      const reserved = reserveSlot(mismatched.slot, { headless, profileKey });
+      await closeSession(mismatched, 'slot needed for another account / mode');
+      return markBusy(await launchSession(mismatched.slot, { headless, profileKey }, reserved));
+    }
+  }
+  if (slot !== null) return markBusy(await launchSession(slot, { headless, profileKey }));
+
+  return new Promise((resolve, reject) => _waiters.push({ opts: { headless, profileKey }, resolve, reject }));
+}
+
+function markBusy(session) {
+  session.busy = true;
+  session.jobs += 1;
+  session.last_used_at = Date.now();
+  return session;
+}
+
+function drainWaiters() {
+  if (_waiters.length === 0) return;
+  const waiter = _waiters.shift();
+  checkout(waiter.opts).then(waiter.resolve, waiter.reject);
+}
+
+/**
+ * Hand a session back after a job
+ * @param {Object} session
+ * @param {Object} opts
+ * @param {boolean} opts.healthy - false evicts the session and launches a replacement
+ * @param {string} opts.reason - why the session is unhealthy (logged)
+ */
+async function release(session, { healthy = true, reason } = {}) {
+  if (!session) return;
+
+  if (!healthy || session.closed) {
+    await closeSession(session, reason || 'browser closed');
+    if (_waiters.length === 0) replace(session.slot, { headless: session.headless, profileKey: session.profile_key });
+  } else {
+    session.busy = false;
+    session.last_used_at = Date.now();
+  }
+  drainWaiters();
+}
+
+/**
+ * Launch a replacement for an evicted session in the background so the next
+ * job finds a warm context
+ */
+function replace(slot, opts) {
+  if (_sessions.has(slot) || slot >= poolConfig().pool_size) return;
+  launchSession(slot, opts)
+    .then((session) => {
+      session.busy = false;
+      drainWaiters();
+    })
+    .catch(err => console.warn(`[SessionPool] Replacement for session ${slot} failed: ${err.message}`));
+}
+
+/**
+ * Launch sessions into the free slots ahead of the first jobs. Slots are
+ * handed out to the accounts in turn; a session whose prepare step fails is
+ * closed and its slot left free for a job to launch later.
+ * @param {Object} opts
+ * @param {boolean} opts.headless
+ * @param {Array<string|null>} opts.profileKeys - account profile keys to warm
+ * @param {Function} opts.prepare - async (session) => void, e.g. log in
+ * @returns {Promise<number>} sessions left warm
+ */
+async function warmPool({ headless = true, profileKeys = [null], prepare = async () => {} } = {}) {
+  startSweeper();
+  let warmed = 0;
+  let slot = freeSlot();
+  while (slot !== null && profileKeys.length) {
+    const profileKey = profileKeys[warmed % profileKeys.length];
+    let session;
+    try {
+      session = await launchSession(slot, { headless, profileKey });
+      await prepare(session);
+      session.busy = false;
+      session.last_used_at = Date.now();
+      warmed++;
+    } catch (err) {
+      console.warn(`[SessionPool] Warming session ${slot} failed: ${err.message}`);
+      if (session) await closeSession(session, 'warm-up failed');
+      break;
+    }
+    drainWaiters();
+    slot = freeSlot();
+  }
+  console.log(`[SessionPool] ${warmed} session(s) warm`);
+  return warmed;
+}
+
+/**
+ * Close sessions idle past idle_ttl_minutes, and idle sessions above a
+ * pool_size that was lowered by a config reload
+ */
+async function sweepIdleSessions(now = Date.now()) {
+  const { pool_size: poolSize, idle_ttl_minutes: idleTtlMinutes } = poolConfig();
+  const ttlMs = idleTtlMinutes * 60 * 1000;
+  for (const session of [..._sessions.values()]) {
+    if (session.busy || session.launching) continue;
+    if (session.closed) {
+      _sessions.delete(session.slot);
+    } else if (now - session.last_used_at > ttlMs) {
+      await closeSession(session, `idle for ${idleTtlMinutes} min`);
+    } else if (session.slot >= poolSize) {
+      await closeSession(session, `pool_size lowered to ${poolSize}`);
+    }
+  }
+}
+
+function startSweeper() {
+  if (_sweepTimer) return;
+  _sweepTimer = setInterval(() => {
+    sweepIdleSessions().catch(err => console.error('[SessionPool] Sweep failed:', err.message));
+  }, SWEEP_INTERVAL_MS);
+  _sweepTimer.unref();
+}
+
+/**
+ * Close every session (shutdown)
+ */
+async function closeAllSessions() {
+  if (_sweepTimer) clearInterval(_sweepTimer);
+  _sweepTimer = null;
+  while (_waiters.length) _waiters.shift().reject(new Error('Session pool closed'));
+  await Promise.all([..._sessions.values()].map(s => closeSession(s, 'shutdown')));
+}
+
+function getPoolState() {
+  const { pool_size: poolSize, idle_ttl_minutes: idleTtlMinutes } = poolConfig();
+  return {
+    pool_size: poolSize,
+    idle_ttl_minutes: idleTtlMinutes,
+    waiting: _waiters.length,
+    sessions: [..._sessions.values()].map(s => ({
+      slot: s.slot,
+      status: s.launching ? 'LAUNCHING' : (s.busy ? 'BUSY' : 'IDLE'),
+      headless: s.headless,
+      profile_key: s.profile_key,
+      jobs: s.jobs,
+      created_at: new Date(s.created_at).toISOString(),
+      last_used_at: new Date(s.last_used_at).toISOString(),
+    })),
+  };
+}
+
+module.exports = {
+  checkout,
+  release,
+  warmPool,
+  sweepIdleSessions,
+  closeAllSessions,
+  getPoolState,
+  profileDirForSlot,
+  PROFILE_ROOT,
+};
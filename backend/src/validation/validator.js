@@ -4,9 +4,11 @@
  * Validates scraped pricing results against business rules:
  * - Price > 0
  * - Valid ISO currency
- * - valid_until in the future
+ * - valid_until in the future (a bare YYYY-MM-DD is valid through the end
+ *   of that day, UTC; see parseValidUntil)
  * - Transit days within bounds
- * - Deviation check vs historical median (when baseline exists)
+ * - Deviation check vs historical median (when baseline exists), in a
+ *   common currency when the caller converts prices
  */
 
 const VALID_CURRENCIES = [
@@ -19,10 +21,21 @@ const DEFAULT_BASELINE_SAMPLES = 5;
 const DEFAULT_AUTO_ACCEPT = 0.8;
 const DEFAULT_FLAG_REVIEW = 0.5;
 
+/**
+ * A valid_until as a ms timestamp. A bare date means the end of that day,
+ * UTC, as quotes and the carrier parsers read it.
+ * @param {string} value - YYYY-MM-DD or ISO 8601
+ * @returns {number} NaN when the value is not a date
+ */
+function parseValidUntil(value) {
+  const text = String(value).trim();
+  return Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T23:59:59.000Z` : text);
+}
+
 /**
  * Validate a single price candidate
  * @param {Object} candidate - scraped price result
- * @param {Object} opts - validation context
+ * @param {Object} opts - validation context (see getValidationOptions in config/pricingConfig)
  * @returns {{ valid: boolean, issues: string[], outcome: string }}
  */
 function validateCandidate(candidate, opts = {}) {
@@ -30,6 +43,7 @@ function validateCandidate(candidate, opts = {}) {
   const historicalMedian = opts.historical_median;
   const baselineSamples = opts.baseline_samples || 0;
   const deviationPct = opts.deviation_pct || DEFAULT_DEVIATION_PCT;
+  const flagReview = opts.flag_review_threshold != null ? opts.flag_review_threshold : DEFAULT_FLAG_REVIEW;
   const minTransit = opts.min_transit_days || 1;
   const maxTransit = opts.max_transit_days || 90;
 
@@ -45,8 +59,7 @@ function validateCandidate(candidate, opts = {}) {
 
   // 3. valid_until must be in the future
   if (candidate.valid_until) {
-    const vu = new Date(candidate.valid_until);
-    if (vu <= new Date()) {
+    if (parseValidUntil(candidate.valid_until) <= Date.now()) {
       issues.push('VALID_UNTIL_PAST');
     }
   }
@@ -58,11 +71,18 @@ function validateCandidate(candidate, opts = {}) {
     }
   }
 
-  // 5. Deviation check
-  if (historicalMedian && baselineSamples >= (opts.min_baseline || DEFAULT_BASELINE_SAMPLES)) {
-    const deviation = Math.abs(candidate.price - historicalMedian) / historicalMedian * 100;
-    if (deviation > deviationPct) {
-      issues.push('DEVIATION_EXCEEDED');
+  // 5. Deviation check. With opts.common_currency the median is in that
+  // currency and candidate.normalized_price carries the converted price.
+  const minBaseline = opts.min_baseline != null ? opts.min_baseline : DEFAULT_BASELINE_SAMPLES;
+  if (historicalMedian && baselineSamples >= minBaseline) {
+    const price = opts.common_currency ? candidate.normalized_price : candidate.price;
+    if (price == null) {
+      issues.push('FX_RATE_MISSING');
+    } else {
+      const deviation = Math.abs(price - historicalMedian) / historicalMedian * 100;
+      if (deviation > deviationPct) {
+        issues.push('DEVIATION_EXCEEDED');
+      }
     }
   }
 
@@ -71,10 +91,10 @@ function validateCandidate(candidate, opts = {}) {
   let outcome;
 
   if (issues.length > 0) {
-    outcome = confidence < DEFAULT_FLAG_REVIEW ? 'REJECT' : 'FLAG_REVIEW';
+    outcome = confidence < flagReview ? 'REJECT' : 'FLAG_REVIEW';
   } else if (confidence >= (opts.auto_accept_threshold || DEFAULT_AUTO_ACCEPT)) {
     outcome = 'AUTO_ACCEPT';
-  } else if (confidence >= DEFAULT_FLAG_REVIEW) {
+  } else if (confidence >= flagReview) {
     outcome = 'FLAG_REVIEW';
   } else {
     outcome = 'REJECT';
@@ -103,4 +123,4 @@ function validateCandidates(candidates, opts = {}) {
     });
 }
 
-module.exports = { validateCandidate, validateCandidates };
+module.exports = { validateCandidate, validateCandidates, parseValidUntil, VALID_CURRENCIES };
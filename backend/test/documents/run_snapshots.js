@@ -0,0 +1,66 @@
+/**
+ * Rendered-document snapshot tests
+ *
+ * Renders fixture quotes with fixed branding and compares the HTML with the
+ * stored snapshot byte for byte. After an intended template change, rewrite
+ * the snapshots with:
+ *   node test/documents/run_snapshots.js --update
+ */
+const fs = require('fs');
+const path = require('path');
+const { renderQuoteHtml } = require('../../src/quotes/quoteDocument');
+
+const fixturesDir = path.join(__dirname, '..', 'fixtures');
+const update = process.argv.includes('--update');
+
+const BRANDING = {
+  company_name: 'Freight Rates Test Co.',
+  company_address: '1 Harbourfront Ave, Singapore 098632',
+  company_email: 'quotes@example.com',
+  terms: ['Rates are subject to space and equipment availability.', 'Duties & taxes are excluded.'],
+};
+
+const cases = [
+  { input: 'quote_document.json', snapshot: 'quote_document.snapshot.html' },
+];
+
+let failures = 0;
+
+for (const c of cases) {
+  const quote = JSON.parse(fs.readFileSync(path.join(fixturesDir, c.input), 'utf8'));
+  const html = renderQuoteHtml(quote, BRANDING);
+  const snapshotPath = path.join(fixturesDir, c.snapshot);
+
+  console.log(`\n[TEST] Rendering ${c.input}`);
+  if (update || !fs.existsSync(snapshotPath)) {
+    fs.writeFileSync(snapshotPath, html);
+    console.log(`  ✎ Wrote snapshot ${c.snapshot}`);
+    continue;
+  }
+
+  // Rendering twice must give the same document
+  if (renderQuoteHtml(quote, BRANDING) !== html) {
+    console.error(`  ✖ ${c.input} renders differently on a second pass`);
+    failures++;
+  }
+
+  const expected = fs.readFileSync(snapshotPath, 'utf8');
+  if (html !== expected) {
+    const actualLines = html.split('\n');
+    const expectedLines = expected.split('\n');
+    const at = actualLines.findIndex((line, i) => line !== expectedLines[i]);
+    const lineNo = at === -1 ? expectedLines.length : at;
+    console.error(`  ✖ ${c.snapshot} differs at line ${lineNo + 1}`);
+    console.error(`    expected: ${expectedLines[lineNo]}`);
+    console.error(`    actual:   ${actualLines[lineNo]}`);
+    failures++;
+  } else {
+    console.log(`  ✓ matches ${c.snapshot}`);
+  }
+}
+
+if (failures > 0) {
+  console.error(`\nSnapshot tests completed with ${failures} failure(s)`);
+  process.exit(1);
+}
+console.log('\nAll snapshot tests passed');
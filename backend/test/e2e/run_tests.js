@@ -1,6 +1,8 @@
 const path = require('path');
 const { chromium } = require('playwright');
-const { detectCaptcha, detectConsent, detectAccessDenied, isBookingVisible } = require('../../src/scraper/maersk');
+const {
+  detectCaptcha, detectConsent, detectAccessDenied, isBookingVisible, extractPricingCandidates,
+} = require('../../src/scraper/maersk');
 
 (async () => {
   const browser = await chromium.launch({ headless: true });
@@ -60,6 +62,54 @@ const { detectCaptcha, detectConsent, detectAccessDenied, isBookingVisible } = r
     }
   }
 
+  // Quote breakdown extraction: charge table on the results page, then the
+  // captured quote JSON for the same offers
+  const quoteResponse = require(path.join(fixturesDir, 'quote_response.json'));
+  const quoteChecks = [
+    { name: 'quote_results.html (charge table)', responses: [], method: 'DOM' },
+    { name: 'quote_response.json (captured JSON)', responses: [quoteResponse], method: 'JSON' },
+  ];
+  const expectedOffers = [
+    {
+      price: 2330, currency: 'USD', ocean_freight: 1630, origin_local_haulage: 180, origin_thc: 210,
+      origin_misc: 60, destination_thc: 220, destination_misc: 30, transit_days: 24, service_type: 'STANDARD',
+      vessel: 'MAERSK SELETAR', voyage: '412W', departure_date: '2030-03-12', valid_until: '2030-03-20T23:59:59.000Z',
+      charges: 7,
+    },
+    {
+      // Destination THC is quoted in EUR: kept as a charge line, not summed into the USD columns
+      price: 2640, currency: 'USD', ocean_freight: 2415, origin_thc: 210, origin_misc: 15, destination_thc: null,
+      transit_days: 19, service_type: 'EXPRESS', vessel: 'MAERSK KINLOSS', voyage: '410W',
+      departure_date: '2030-03-09', valid_until: '2030-03-16T23:59:59.000Z', charges: 5,
+    },
+  ];
+
+  await page.goto('file://' + path.join(fixturesDir, 'quote_results.html'), { waitUntil: 'domcontentloaded' });
+  for (const q of quoteChecks) {
+    console.log(`\n[TEST] Quote extraction: ${q.name}`);
+    const candidates = await extractPricingCandidates(page, 'snap_test', q.responses);
+    if (candidates.length !== expectedOffers.length) {
+      console.error(`  ✖ Expected ${expectedOffers.length} offers, got ${candidates.length}`);
+      failures++;
+      continue;
+    }
+    candidates.forEach((c, i) => {
+      const { charges, ...fields } = expectedOffers[i];
+      const expected = { ...fields, extraction_method: q.method };
+      for (const [key, value] of Object.entries(expected)) {
+        if ((c[key] ?? null) !== value) {
+          console.error(`  ✖ Offer ${i + 1} ${key}: ${c[key]} (expected ${value})`);
+          failures++;
+        }
+      }
+      if ((c.charges || []).length !== charges) {
+        console.error(`  ✖ Offer ${i + 1} charge lines: ${(c.charges || []).length} (expected ${charges})`);
+        failures++;
+      }
+      console.log(`  offer ${i + 1} => ${c.currency} ${c.price} via ${c.extraction_method}, ${(c.charges || []).length} charges`);
+    });
+  }
+
   await browser.close();
   if (failures > 0) {
     console.error(`\nE2E tests failed (${failures} failures)`);
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDb } = require('./helpers');
+
+let charges;
+let fx;
+
+// USD quote whose destination THC is billed in INR
+const candidate = () => ({
+  price: 1580,
+  total_price: 1580,
+  currency: 'USD',
+  charges: [
+    { code: 'BAS', description: 'Basic ocean freight', amount: 1200, currency: 'USD' },
+    { code: 'OTHC', description: 'Terminal handling - origin', amount: 200, currency: 'USD', side: 'origin' },
+    { code: 'DTHC', description: 'Terminal handling - destination', amount: 15000, currency: 'INR', side: 'destination' },
+  ],
+});
+
+test.before(async () => {
+  await useTestDb('charges');
+  charges = require('../../src/pricing/charges');
+  fx = require('../../src/pricing/fx');
+});
+
+test('a mixed-currency candidate without an FX rate is rejected', () => {
+  const { columns, error } = charges.chargesForCandidate(candidate());
+  assert.equal(columns, null);
+  assert.equal(error, 'charges[2] is in INR and there is no FX rate to USD');
+});
+
+test('a mixed-currency candidate keeps its quoted total and converts the foreign lines', () => {
+  fx.saveRates([{ base_currency: 'USD', quote_currency: 'INR', rate: 83.33, rate_date: '2026-01-02' }]);
+  const { charges: lines, columns, error } = charges.chargesForCandidate(candidate());
+
+  assert.equal(error, null);
+  assert.equal(columns.total_price, 1580);
+  assert.equal(columns.ocean_freight, 1200);
+  assert.equal(columns.origin_thc, 200);
+  assert.equal(columns.destination_thc, 180.01);
+  // The stored line item stays in the currency it was billed in
+  assert.deepEqual(lines.map((c) => [c.amount, c.currency]), [[1200, 'USD'], [200, 'USD'], [15000, 'INR']]);
+});
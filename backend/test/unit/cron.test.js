@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, cronMatches, nextCronRun } = require('../../src/jobs/cron');
+
+const cron = (expr) => {
+  const { cron: parsed, error } = parseCron(expr);
+  assert.equal(error, null);
+  return parsed;
+};
+const next = (expr, from) => nextCronRun(cron(expr), new Date(from)).toISOString();
+
+test('parseCron expands values, ranges, steps and lists', () => {
+  const c = cron('0,30 9-17/4 */10 1-3 1-5');
+  assert.deepEqual([...c.minutes], [0, 30]);
+  assert.deepEqual([...c.hours], [9, 13, 17]);
+  assert.deepEqual([...c.days], [1, 11, 21, 31]);
+  assert.deepEqual([...c.months], [1, 2, 3]);
+  assert.deepEqual([...c.weekdays], [1, 2, 3, 4, 5]);
+  assert.deepEqual([...cron('5/20 * * * *').minutes], [5, 25, 45]);
+});
+
+test('parseCron treats day-of-week 7 as Sunday', () => {
+  assert.ok(cron('0 0 * * 7').weekdays.has(0));
+});
+
+test('parseCron rejects malformed and out-of-range fields', () => {
+  assert.match(parseCron('0 0 * *').error, /5 fields/);
+  assert.match(parseCron('60 * * * *').error, /minute "60" must be within 0-59/);
+  assert.match(parseCron('0 5-2 * * *').error, /hour "5-2"/);
+  assert.match(parseCron('*/0 * * * *').error, /minute/);
+  assert.match(parseCron('0 0 0 * *').error, /day-of-month/);
+  assert.match(parseCron('0 0 * 1,x *').error, /month "x" is not a valid cron field/);
+});
+
+test('nextCronRun finds the first matching minute strictly after from', () => {
+  assert.equal(next('*/15 * * * *', '2026-03-10T10:15:00Z'), '2026-03-10T10:30:00.000Z');
+  assert.equal(next('*/15 * * * *', '2026-03-10T10:14:59Z'), '2026-03-10T10:15:00.000Z');
+  assert.equal(next('0 6 * * *', '2026-03-10T06:00:00Z'), '2026-03-11T06:00:00.000Z');
+  assert.equal(next('30 2 1 * *', '2026-12-15T00:00:00Z'), '2027-01-01T02:30:00.000Z');
+});
+
+test('day-of-month and day-of-week match either one when both are restricted', () => {
+  // 2026-03-10 is a Tuesday: the 15th (Sunday) and Fridays both match
+  const c = cron('0 0 15 * 5');
+  assert.equal(nextCronRun(c, new Date('2026-03-10T00:00:00Z')).toISOString(), '2026-03-13T00:00:00.000Z');
+  assert.equal(nextCronRun(c, new Date('2026-03-13T00:00:00Z')).toISOString(), '2026-03-15T00:00:00.000Z');
+
+  // With one of them *, only the other counts
+  assert.equal(next('0 0 15 * *', '2026-03-10T00:00:00Z'), '2026-03-15T00:00:00.000Z');
+  assert.equal(next('0 0 * * 5', '2026-03-10T00:00:00Z'), '2026-03-13T00:00:00.000Z');
+  assert.ok(cronMatches(c, new Date('2026-03-20T00:00:00Z')));
+  assert.ok(!cronMatches(c, new Date('2026-03-19T00:00:00Z')));
+});
+
+test('nextCronRun reaches leap days and returns null for impossible dates', () => {
+  assert.equal(next('0 0 29 2 *', '2026-03-01T00:00:00Z'), '2028-02-29T00:00:00.000Z');
+  assert.equal(nextCronRun(cron('0 0 31 2 *'), new Date('2026-03-01T00:00:00Z')), null);
+  assert.equal(nextCronRun(cron('0 0 31 4,6,9,11 *'), new Date('2026-03-01T00:00:00Z')), null);
+  // A weekday makes Feb 31 reachable again
+  assert.equal(next('0 0 31 2 1', '2026-03-01T00:00:00Z'), '2027-02-01T00:00:00.000Z');
+});
@@ -0,0 +1,27 @@
+/**
+ * Shared setup for the unit tests
+ *
+ * Each test file runs in its own process (node --test), so a file that needs
+ * the database points DATABASE_PATH at a fresh temp file before anything
+ * loads src/db/database.js.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * @param {string} name - used in the temp file name
+ * @returns {Promise<Object>} the initialized DbWrapper
+ */
+async function useTestDb(name) {
+  const dbPath = path.join(os.tmpdir(), `freight-rates-${name}-${process.pid}.db`);
+  fs.rmSync(dbPath, { force: true });
+  process.env.DATABASE_PATH = dbPath;
+  process.on('exit', () => fs.rmSync(dbPath, { force: true }));
+
+  const { initDbAsync } = require('../../src/db/database');
+  return initDbAsync();
+}
+
+module.exports = { useTestDb };
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDb } = require('./helpers');
+
+let db;
+let getLaneTrend;
+
+const daysAgo = (n) => new Date(Date.now() - n * 86400000).toISOString().slice(0, 10);
+
+test.before(async () => {
+  db = await useTestDb('trends');
+  ({ getLaneTrend } = require('../../src/pricing/laneTrends'));
+  for (const [age, price] of [[500, 800], [400, 850], [10, 900], [0, 1000]]) {
+    db.prepare(`
+      INSERT INTO pricing (from_port, to_port, container_type, total_price, currency, created_at)
+      VALUES ('SINGAPORE', 'CHENNAI', '40FT', ?, 'USD', datetime('now', ?))
+    `).run(price, `-${age} days`);
+  }
+});
+
+test('a long daily trend keeps the most recent periods', () => {
+  const { trend } = getLaneTrend({ pol: 'SINGAPORE', pod: 'CHENNAI', interval: 'day' });
+  assert.equal(trend.points.length, 366);
+  assert.equal(trend.points[0].period_start, daysAgo(365));
+  assert.equal(trend.points[365].period_start, daysAgo(0));
+  assert.equal(trend.points[365].median, 1000);
+  assert.equal(trend.sample_count, 2);
+  assert.equal(trend.change_pct, 11.1);
+});
+
+test('a trend within the limit starts at the first sample', () => {
+  const { trend } = getLaneTrend({ pol: 'SINGAPORE', pod: 'CHENNAI', interval: 'month' });
+  const first = new Date(Date.now() - 500 * 86400000);
+  assert.equal(trend.points[0].period_start, `${first.toISOString().slice(0, 7)}-01`);
+  assert.equal(trend.points[trend.points.length - 1].max, 1000);
+  assert.equal(trend.sample_count, 4);
+});
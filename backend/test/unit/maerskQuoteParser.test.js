@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTestDb } = require('./helpers');
+
+let parseAmount;
+let parseQuoteResponse;
+let parseTextTotal;
+let VALID_CURRENCIES;
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, '..', 'fixtures', name), 'utf8');
+
+// The parser loads the database module, so point it at a test file first
+test.before(async () => {
+  await useTestDb('parser');
+  ({ parseAmount, parseQuoteResponse, parseTextTotal } = require('../../src/scraper/maerskQuoteParser'));
+  ({ VALID_CURRENCIES } = require('../../src/validation/validator'));
+});
+
+test('parseAmount reads thousands and decimal separators', () => {
+  assert.equal(parseAmount('USD 1,234.50'), 1234.5);
+  assert.equal(parseAmount('1.234,50'), 1234.5);
+  assert.equal(parseAmount('1234,50'), 1234.5);
+  assert.equal(parseAmount('2.330'), 2330);
+  assert.equal(parseAmount('2,330'), 2330);
+  assert.equal(parseAmount('1.234.567'), 1234567);
+  assert.equal(parseAmount('2330.5'), 2330.5);
+  assert.equal(parseAmount('1234.567'), 1234.567);
+  assert.equal(parseAmount('-45.00'), -45);
+  assert.equal(parseAmount(1234.5), 1234.5);
+});
+
+test('parseAmount rejects grouping that does not come in threes', () => {
+  assert.equal(parseAmount('12,34.50'), null);
+  assert.equal(parseAmount('1.2.3'), null);
+  assert.equal(parseAmount('n/a'), null);
+  assert.equal(parseAmount(''), null);
+});
+
+test('parseQuoteResponse reads European amounts from captured JSON', () => {
+  const [offer] = parseQuoteResponse(JSON.parse(fixture('quote_response_eu.json')));
+  assert.equal(offer.price, 2330);
+  assert.equal(offer.currency, 'EUR');
+  assert.equal(offer.ocean_freight, 1882.5);
+  assert.equal(offer.origin_thc, 210);
+  assert.equal(offer.destination_thc, 237.5);
+  assert.deepEqual(offer.charges.map((c) => c.amount), [210, 1450, 432.5, 237.5]);
+});
+
+test('parseTextTotal reads a EUR total with the validator\'s currencies', () => {
+  const text = fixture('quote_page_text.txt');
+  assert.deepEqual(parseTextTotal(text, VALID_CURRENCIES), { price: 2330, currency: 'EUR', transit_days: 24 });
+  assert.deepEqual(parseTextTotal('Total EUR 1.250,00', VALID_CURRENCIES), { price: 1250, currency: 'EUR', transit_days: null });
+  assert.deepEqual(parseTextTotal('Total 1,980.00 USD', VALID_CURRENCIES), { price: 1980, currency: 'USD', transit_days: null });
+});
+
+test('parseTextTotal only takes listed currency codes', () => {
+  // "NEW 40" and "ETA 12" are not totals, and EUR is not in the list
+  assert.equal(parseTextTotal(fixture('quote_page_text.txt'), ['USD']), null);
+});
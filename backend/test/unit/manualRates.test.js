@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDb } = require('./helpers');
+
+let db;
+let manual;
+
+const rateInput = (fields) => ({
+  from_port: 'SINGAPORE',
+  to_port: 'CHENNAI',
+  container_type: '40FT',
+  currency: 'USD',
+  valid_until: new Date(Date.now() + 30 * 86400000).toISOString(),
+  ocean_freight: 900,
+  ...fields,
+});
+
+const currentRows = () => db.prepare(`
+  SELECT id, carrier FROM pricing
+  WHERE from_port = 'SINGAPORE' AND to_port = 'CHENNAI' AND deleted_at IS NULL AND effective_to IS NULL
+  ORDER BY id
+`).all();
+
+test.before(async () => {
+  db = await useTestDb('manual');
+  manual = require('../../src/pricing/manualRates');
+});
+
+test('an edit that moves a rate onto another carrier supersedes that carrier\'s current rate', () => {
+  const { rate: maersk } = manual.createManualRate(rateInput({ carrier: 'MAERSK' }), 'ops', 'email quote');
+  const { rate: msc } = manual.createManualRate(rateInput({ carrier: 'MSC' }), 'ops', 'email quote');
+  assert.deepEqual(currentRows().map((r) => r.id), [maersk.id, msc.id]);
+
+  const { rate, error } = manual.updateManualRate(msc.id, { carrier: 'MAERSK' }, 'ops', 'wrong carrier');
+  assert.equal(error, undefined);
+  assert.equal(rate.carrier, 'MAERSK');
+  assert.deepEqual(currentRows(), [{ id: msc.id, carrier: 'MAERSK' }]);
+
+  const old = db.prepare(`SELECT superseded_by, effective_to FROM pricing WHERE id = ?`).get(maersk.id);
+  assert.equal(old.superseded_by, msc.id);
+  assert.ok(old.effective_to);
+  const events = db.prepare(`SELECT action FROM pricing_history WHERE pricing_id = ? ORDER BY id`).all(maersk.id);
+  assert.deepEqual(events.map((e) => e.action), ['MANUAL_CREATE', 'SUPERSEDE']);
+});
+
+test('an edit that keeps the version key supersedes nothing', () => {
+  const [{ id }] = currentRows();
+  manual.updateManualRate(id, { ocean_freight: 950 }, 'ops', 'price correction');
+  assert.deepEqual(currentRows().map((r) => r.id), [id]);
+});
+
+test('an edit of an expired rate is only held to valid_until when it changes valid_until', () => {
+  const { rate } = manual.createManualRate(rateInput({ to_port: 'NHAVA SHEVA' }), 'ops', 'email quote');
+  db.prepare(`UPDATE pricing SET valid_until = '2020-03-31T23:59:59Z' WHERE id = ?`).run(rate.id);
+
+  const edited = manual.updateManualRate(rate.id, { destination_thc: 120 }, 'ops', 'THC correction');
+  assert.equal(edited.error, undefined);
+  assert.equal(edited.rate.destination_thc, 120);
+
+  const moved = manual.updateManualRate(rate.id, { valid_until: '2020-04-30' }, 'ops', 'extend');
+  assert.match(moved.error.message, /VALID_UNTIL_PAST/);
+});
+
+test('a bare valid_until date is valid through the end of that day', () => {
+  const today = new Date().toISOString().slice(0, 10);
+  const { rate, error } = manual.createManualRate(rateInput({ to_port: 'MUNDRA', valid_until: today }), 'ops', 'email quote');
+  assert.equal(error, undefined);
+  assert.equal(rate.valid_until, `${today}T23:59:59.000Z`);
+});
+
+test('a superseded version cannot be edited', () => {
+  const { rate: first } = manual.createManualRate(rateInput({ to_port: 'COLOMBO' }), 'ops', 'email quote');
+  const { rate: second } = manual.createManualRate(rateInput({ to_port: 'COLOMBO', ocean_freight: 980 }), 'ops', 'new quote');
+  const before = db.prepare(`SELECT ocean_freight, effective_to, updated_at FROM pricing WHERE id = ?`).get(first.id);
+  assert.ok(before.effective_to);
+
+  const { rate, error } = manual.updateManualRate(first.id, { ocean_freight: 700 }, 'ops', 'backdated fix');
+  assert.equal(rate, undefined);
+  assert.equal(error.status, 'CONFLICT');
+  assert.match(error.message, new RegExp(`#${second.id}`));
+  assert.deepEqual(db.prepare(`SELECT ocean_freight, effective_to, updated_at FROM pricing WHERE id = ?`).get(first.id), before);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { useTestDb } = require('./helpers');
+
+let db;
+let server;
+let baseUrl;
+let reviews;
+
+const candidate = (price) => ({
+  price,
+  total_price: price,
+  currency: 'USD',
+  carrier: 'MAERSK',
+  transit_days: 18,
+  ocean_freight: price,
+  service_type: 'STANDARD',
+  valid_until: new Date(Date.now() + 14 * 86400000).toISOString(),
+  confidence_score: 0.6,
+  snapshot_id: null,
+  validation: { outcome: 'FLAG_REVIEW', issues: ['LOW_CONFIDENCE'] },
+});
+
+test.before(async () => {
+  db = await useTestDb('review');
+  reviews = require('../../src/review/opsReview');
+  const app = express();
+  app.use(express.json());
+  app.use('/api/pricing', require('../../src/routes/pricing'));
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+test('accepting a scraped rate closes the job\'s pending reviews', async () => {
+  const job = { id: 'job-1', from_port: 'SINGAPORE', to_port: 'CHENNAI', container_type: '40FT', carrier: 'MAERSK' };
+  const candidates = [candidate(900), candidate(950)];
+  db.prepare(`
+    INSERT INTO scrape_jobs (id, carrier, from_port, to_port, container_type, status, result_json)
+    VALUES (?, 'MAERSK', ?, ?, ?, 'COMPLETED', ?)
+  `).run(job.id, job.from_port, job.to_port, job.container_type, JSON.stringify(candidates));
+  assert.equal(reviews.createReviewItems(job, candidates, 'SINGAPORE-CHENNAI-40FT-EXW'), 2);
+
+  const res = await fetch(`${baseUrl}/api/pricing/accept`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ job_id: job.id, candidate_index: 1, actor: 'agent' }),
+  });
+  const body = await res.json();
+  assert.equal(res.status, 200);
+  assert.equal(body.reviews_superseded, 2);
+
+  const items = reviews.listReviews({ status: 'ALL' });
+  assert.deepEqual(items.map((r) => r.status), ['SUPERSEDED', 'SUPERSEDED']);
+
+  const { error } = reviews.approveReview(items[0].id, 'ops');
+  assert.equal(error.status, 'CONFLICT');
+  const rows = db.prepare(`SELECT COUNT(*) AS n FROM pricing WHERE from_port = 'SINGAPORE'`).get().n;
+  assert.equal(rows, 1);
+});
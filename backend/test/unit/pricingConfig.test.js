@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const configPath = path.join(os.tmpdir(), `freight-rates-config-${process.pid}.yml`);
+fs.writeFileSync(configPath, `
+global:
+  scraper:
+    timeout_ms: 60000
+    headless: true
+lane_overrides:
+  "SINGAPORE|*|*|*":
+    scraper:
+      headless: false
+  "SINGAPORE|CHENNAI|40FT|EXW":
+    scraper:
+      timeout_ms: 120000
+`);
+process.env.PRICING_CONFIG_PATH = configPath;
+process.on('exit', () => fs.rmSync(configPath, { force: true }));
+
+const { getLaneConfig, getLaneScraperOverrides } = require('../../src/config/pricingConfig');
+
+test('getLaneScraperOverrides returns only what the matching overrides set', () => {
+  assert.deepEqual(getLaneScraperOverrides('SINGAPORE|CHENNAI|40FT|EXW'), { headless: false, timeout_ms: 120000 });
+  assert.deepEqual(getLaneScraperOverrides('SINGAPORE|MUNDRA|40FT|EXW'), { headless: false });
+  assert.deepEqual(getLaneScraperOverrides('SHANGHAI|CHENNAI|40FT|EXW'), {});
+  // The merged lane settings still carry the global values
+  assert.deepEqual(getLaneConfig('SHANGHAI|CHENNAI|40FT|EXW').scraper, { timeout_ms: 60000, headless: true });
+});
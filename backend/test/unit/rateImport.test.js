@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseAmount } = require('../../src/pricing/rateImport');
+
+test('parseAmount infers the separators of a single cell', () => {
+  assert.deepEqual(parseAmount('USD 1,250.00'), { amount: 1250 });
+  assert.deepEqual(parseAmount('1.250,00'), { amount: 1250 });
+  assert.deepEqual(parseAmount('95,50'), { amount: 95.5 });
+  assert.deepEqual(parseAmount('1.250.000'), { amount: 1250000 });
+  assert.deepEqual(parseAmount('1 250,00 €'), { amount: 1250 });
+  assert.deepEqual(parseAmount('2330'), { amount: 2330 });
+  assert.deepEqual(parseAmount(-45.5), { amount: -45.5 });
+});
+
+test('parseAmount treats text without digits as no charge', () => {
+  assert.deepEqual(parseAmount('incl.'), { amount: null });
+  assert.deepEqual(parseAmount('N/A'), { amount: null });
+});
+
+test('parseAmount rejects a separator that could be either', () => {
+  assert.match(parseAmount('2.330').error, /ambiguous/);
+  assert.match(parseAmount('2,330').error, /ambiguous/);
+});
+
+test('parseAmount uses the profile separators', () => {
+  const european = { decimal: ',', thousands: '.' };
+  assert.deepEqual(parseAmount('2.330', european), { amount: 2330 });
+  assert.deepEqual(parseAmount('1.250,00', european), { amount: 1250 });
+  assert.deepEqual(parseAmount('95,50', european), { amount: 95.5 });
+  assert.deepEqual(parseAmount('2.330', { decimal: '.' }), { amount: 2.33 });
+  assert.match(parseAmount('1,250.00', european).error, /separators/);
+  assert.match(parseAmount('95,50', { decimal: '.' }).error, /separators/);
+  assert.match(parseAmount('12-34').error, /not an amount/);
+});
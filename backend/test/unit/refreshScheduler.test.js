@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDb } = require('./helpers');
+
+let db;
+let scheduler;
+
+const storedChecks = () => db.prepare(`
+  SELECT from_port, to_port, container_type, check_count FROM lane_check_stats ORDER BY from_port
+`).all();
+
+test.before(async () => {
+  db = await useTestDb('scheduler');
+  scheduler = require('../../src/jobs/refreshScheduler');
+});
+
+test('lane checks are counted in memory and written on flush', () => {
+  scheduler.recordLaneCheck('singapore', 'chennai', '40ft');
+  scheduler.recordLaneCheck('SINGAPORE', 'CHENNAI', '40FT');
+  scheduler.recordLaneCheck('SHANGHAI', 'NHAVA SHEVA', '20FT');
+  assert.deepEqual(storedChecks(), []);
+
+  assert.equal(scheduler.flushLaneChecks(), 2);
+  assert.deepEqual(storedChecks(), [
+    { from_port: 'SHANGHAI', to_port: 'NHAVA SHEVA', container_type: '20FT', check_count: 1 },
+    { from_port: 'SINGAPORE', to_port: 'CHENNAI', container_type: '40FT', check_count: 2 },
+  ]);
+
+  scheduler.recordLaneCheck('SINGAPORE', 'CHENNAI', '40FT');
+  assert.equal(scheduler.flushLaneChecks(), 1);
+  assert.equal(scheduler.flushLaneChecks(), 0);
+  assert.equal(storedChecks()[1].check_count, 3);
+});
+
+test('normalizeSchedule rejects a cron that never matches a date', () => {
+  assert.deepEqual(scheduler.normalizeSchedule({ name: 'Feb 31', cron: '0 0 31 2 *' }), {
+    schedule: null, error: 'cron "0 0 31 2 *" never matches a date',
+  });
+  assert.equal(scheduler.normalizeSchedule({ name: 'Leap day', cron: '0 0 29 2 *' }).error, null);
+});
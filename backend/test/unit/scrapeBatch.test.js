@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDb } = require('./helpers');
+
+let db;
+let resolveFilterLanes;
+let activateRate;
+
+// A current rate as of `createdAt` (sqlite datetime modifier), valid for `validDays`
+function insertRate(fromPort, toPort, { createdAt = '-0 days', validDays = 30 } = {}) {
+  const { lastInsertRowid: id } = db.prepare(`
+    INSERT INTO pricing (from_port, to_port, destination_country, container_type, carrier, service_type,
+      total_price, currency, valid_until, created_at)
+    VALUES (?, ?, 'India', '40FT', 'MAERSK', 'Direct', 1000, 'USD',
+      strftime('%Y-%m-%dT%H:%M:%SZ', 'now', ?, ?), datetime('now', ?))
+  `).run(fromPort, toPort, createdAt, `+${validDays} days`, createdAt);
+  activateRate(id, { actor: 'test' });
+  return id;
+}
+
+test.before(async () => {
+  db = await useTestDb('batch');
+  for (const [alias, code] of [['SHANGHAI', 'CNSHA'], ['NHAVA SHEVA', 'INNSA'], ['SINGAPORE', 'SGSIN'], ['CHENNAI', 'INMAA']]) {
+    db.prepare(`INSERT INTO port_aliases (alias, un_locode, country) VALUES (?, ?, NULL)`).run(alias, code);
+  }
+  ({ resolveFilterLanes } = require('../../src/jobs/scrapeBatch'));
+  ({ activateRate } = require('../../src/pricing/rateVersions'));
+});
+
+test('resolveFilterLanes queues stale lanes under the stored port names', () => {
+  insertRate('SHANGHAI', 'NHAVA SHEVA', { createdAt: '-40 days' });
+  insertRate('SINGAPORE', 'CHENNAI', { createdAt: '-40 days' });
+
+  assert.deepEqual(resolveFilterLanes({ destination_country: 'India', expiring_within_days: 0 }), [
+    { from_port: 'SHANGHAI', to_port: 'NHAVA SHEVA', container_type: '40FT' },
+    { from_port: 'SINGAPORE', to_port: 'CHENNAI', container_type: '40FT' },
+  ]);
+});
+
+test('resolveFilterLanes counts the lane TTL, not only valid_until', () => {
+  // valid for another 20 days, but older than the 24h lane TTL
+  insertRate('SINGAPORE', 'CHENNAI', { createdAt: '-10 days' });
+  const lanes = resolveFilterLanes({ destination_country: 'India', expiring_within_days: 0 });
+  assert.ok(lanes.some((l) => l.from_port === 'SINGAPORE' && l.to_port === 'CHENNAI'));
+});
+
+test('a refreshed lane is not queued again', () => {
+  // The refresh stores the rate under the queued names and supersedes the stale one
+  const stale = db.prepare(`SELECT id FROM pricing WHERE from_port = 'SHANGHAI' AND effective_to IS NULL`).get().id;
+  const fresh = insertRate('SHANGHAI', 'NHAVA SHEVA');
+  assert.equal(db.prepare(`SELECT superseded_by FROM pricing WHERE id = ?`).get(stale).superseded_by, fresh);
+
+  // Rates stored under the UN/LOCODEs count for the same lane
+  insertRate('SGSIN', 'INMAA');
+
+  assert.deepEqual(resolveFilterLanes({ destination_country: 'India', expiring_within_days: 0 }), []);
+});
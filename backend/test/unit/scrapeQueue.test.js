@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDb } = require('./helpers');
+
+test('claimNextJob skips a held-back live job and claims the next non-live one', async () => {
+  const db = await useTestDb('queue');
+  delete process.env.USE_LIVE_SCRAPER;
+  const { enqueueScrapeJob, claimNextJob } = require('../../src/jobs/scrapeQueue');
+  const accountRateLimiter = require('../../src/scraper/accountRateLimiter');
+
+  const lane = { from_port: 'SINGAPORE', to_port: 'CHENNAI', container_type: '40FT' };
+  const live = enqueueScrapeJob({ ...lane, carrier: 'MAERSK', use_live_scraper: true });
+  const simulated = enqueueScrapeJob({ ...lane, carrier: 'SIMULATOR' });
+
+  // Empty the default account's bucket so the live job has to wait
+  const key = accountRateLimiter.defaultAccountKey();
+  while (accountRateLimiter.reserve(key).granted);
+
+  const claimed = claimNextJob();
+  assert.ok(claimed, 'a job is claimed');
+  assert.equal(claimed.id, simulated.job_id);
+  assert.equal(claimed.status, 'RUNNING');
+  assert.equal(claimed.account_id, null);
+
+  const held = db.prepare(`SELECT status, next_attempt_at FROM scrape_jobs WHERE id = ?`).get(live.job_id);
+  assert.equal(held.status, 'PENDING');
+  assert.ok(held.next_attempt_at, 'held-back live job is rescheduled');
+
+  assert.equal(claimNextJob(), null, 'nothing else is due');
+});
+
+test('a live job the circuit breaker turns away does not spend a rate-limit token', async () => {
+  process.env.CREDENTIALS_KEY = 'test-key';
+  const { getDb } = require('../../src/db/database');
+  const { getPricingConfig } = require('../../src/config/pricingConfig');
+  const { enqueueScrapeJob, claimNextJob } = require('../../src/jobs/scrapeQueue');
+  const accountRateLimiter = require('../../src/scraper/accountRateLimiter');
+  const credentialStore = require('../../src/scraper/credentialStore');
+
+  credentialStore.addAccount('ops@example.com', 'secret');
+  const live = enqueueScrapeJob({ from_port: 'SHANGHAI', to_port: 'CHENNAI', container_type: '40FT', carrier: 'MAERSK', use_live_scraper: true });
+  const { failure_threshold: threshold } = getPricingConfig().global.circuit_breaker;
+  for (let i = 0; i < threshold; i++) {
+    getDb().prepare(`INSERT INTO failure_records (scrape_job_id, reason_code, details) VALUES (?, 'ACCESS_DENIED', '')`).run(live.job_id);
+  }
+
+  const claimed = claimNextJob();
+  assert.equal(claimed.id, live.job_id, 'the job is claimed so the runner can fast-fail it');
+  assert.equal(claimed.account_id, null);
+  const bucket = accountRateLimiter.getLimiterState()['ops@example.com'];
+  assert.equal(bucket.tokens, bucket.capacity, 'the account keeps its token');
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const configPath = path.join(os.tmpdir(), `freight-rates-pool-${process.pid}.yml`);
+fs.writeFileSync(configPath, `
+global:
+  session:
+    pool_size: 2
+    idle_ttl_minutes: 30
+`);
+process.env.PRICING_CONFIG_PATH = configPath;
+process.on('exit', () => fs.rmSync(configPath, { force: true }));
+
+// Stand-in browser contexts; the pool only launches and closes them
+const { chromium } = require('playwright');
+const launched = [];
+chromium.launchPersistentContext = async (profileDir) => {
+  const context = { profileDir, closed: false, on() {}, async close() { context.closed = true; } };
+  launched.push(context);
+  return context;
+};
+
+const pool = require('../../src/scraper/sessionPool');
+const PROFILE_KEY = `unit-test-${process.pid}`;
+const OTHER_KEY = `unit-test-other-${process.pid}`;
+process.on('exit', () => {
+  for (const key of [PROFILE_KEY, OTHER_KEY]) fs.rmSync(path.join(pool.PROFILE_ROOT, key), { recursive: true, force: true });
+});
+
+test('warmPool fills the free slots with prepared, idle sessions', async () => {
+  const prepared = [];
+  const warmed = await pool.warmPool({
+    profileKeys: [PROFILE_KEY],
+    prepare: async (session) => { prepared.push(session.slot); },
+  });
+
+  assert.equal(warmed, 2);
+  assert.deepEqual(prepared, [0, 1]);
+  assert.deepEqual(pool.getPoolState().sessions.map((s) => s.status), ['IDLE', 'IDLE']);
+
+  // A job gets a warm session instead of launching a browser
+  const session = await pool.checkout({ profileKey: PROFILE_KEY });
+  assert.equal(launched.length, 2);
+  await pool.release(session);
+});
+
+test('closeAllSessions closes every pooled browser', async () => {
+  await pool.closeAllSessions();
+  assert.ok(launched.every((c) => c.closed));
+  assert.deepEqual(pool.getPoolState().sessions, []);
+});
+
+test('a session whose prepare step fails is closed and its slot left free', async () => {
+  const warmed = await pool.warmPool({
+    profileKeys: [PROFILE_KEY],
+    prepare: async () => { throw new Error('login failed'); },
+  });
+
+  assert.equal(warmed, 0);
+  assert.equal(launched.length, 3);
+  assert.ok(launched[2].closed);
+  assert.deepEqual(pool.getPoolState().sessions, []);
+  await pool.closeAllSessions();
+});
+
+test('overlapping checkouts that evict idle sessions each get their own slot', async () => {
+  assert.equal(await pool.warmPool({ profileKeys: [PROFILE_KEY] }), 2);
+  const before = launched.length;
+
+  // Both slots hold idle sessions for another account, so each checkout evicts one
+  const [a, b] = await Promise.all([
+    pool.checkout({ profileKey: OTHER_KEY }),
+    pool.checkout({ profileKey: OTHER_KEY }),
+  ]);
+
+  assert.notEqual(a.slot, b.slot);
+  assert.equal(launched.length, before + 2);
+  const tracked = pool.getPoolState().sessions;
+  assert.deepEqual(tracked.map((s) => [s.slot, s.profile_key, s.status]), [[0, OTHER_KEY, 'BUSY'], [1, OTHER_KEY, 'BUSY']]);
+  // Every browser is either tracked by the pool or closed
+  const live = new Set([a.context, b.context]);
+  assert.ok(launched.every((c) => c.closed || live.has(c)));
+
+  await pool.closeAllSessions();
+  assert.ok(launched.every((c) => c.closed));
+});
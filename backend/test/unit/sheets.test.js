@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { parseCsv, unzip, readXlsx, formatCsvRow, xlsxChunks } = require('../../src/pricing/sheets');
+
+/**
+ * Minimal zip writer: each entry stored (method 0) or deflated (method 8).
+ * `declaredSize` overrides the uncompressed size written to the directory.
+ */
+function buildZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const { name, content, method = 8, declaredSize } of files) {
+    const raw = Buffer.from(content);
+    const data = method === 8 ? zlib.deflateRawSync(raw) : raw;
+    const nameBuf = Buffer.from(name, 'utf8');
+    const size = declaredSize ?? raw.length;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuf, data);
+    centrals.push(central, nameBuf);
+    offset += local.length + nameBuf.length + data.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(files.length, 8);
+  eocd.writeUInt16LE(files.length, 10);
+  eocd.writeUInt32LE(directory.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, eocd]);
+}
+
+const SHEET_NS = 'xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"';
+
+function workbook(method) {
+  return buildZip([
+    {
+      name: 'xl/workbook.xml',
+      content: `<workbook ${SHEET_NS} xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Rates" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+      method,
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: '<Relationships><Relationship Id="rId1" Type="worksheet" Target="worksheets/rates.xml"/></Relationships>',
+      method,
+    },
+    {
+      name: 'xl/sharedStrings.xml',
+      content: `<sst ${SHEET_NS}><si><t>POL</t></si><si><t>Ocean Freight</t></si>`
+        + '<si><r><t>SINGA</t></r><r><t xml:space="preserve">PORE</t></r></si><si><t>A &amp; B</t></si></sst>',
+      method,
+    },
+    {
+      name: 'xl/worksheets/rates.xml',
+      content: `<worksheet ${SHEET_NS}><sheetData>`
+        + '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c></row>'
+        + '<row r="3"><c r="A3" t="s"><v>2</v></c><c r="B3"><v>1250.5</v></c><c r="D3" t="s"><v>3</v></c></row>'
+        + '<row r="4"><c r="A4" t="inlineStr"><is><t>CHENNAI</t></is></c><c r="C4" t="str"><v>x&lt;y</v></c></row>'
+        + '</sheetData></worksheet>',
+      method,
+    },
+  ]);
+}
+
+// ─── CSV ───────────────────────────────────────────────────────────────
+test('parseCsv handles quoted delimiters and doubled quotes', () => {
+  assert.deepEqual(parseCsv('a,"b,c","say ""hi"""\n1,2,3\n'), [['a', 'b,c', 'say "hi"'], ['1', '2', '3']]);
+});
+
+test('parseCsv keeps newlines inside quoted fields', () => {
+  assert.deepEqual(parseCsv('pol,note\r\nSINGAPORE,"line 1\r\nline 2"\r\nCHENNAI,x'), [
+    ['pol', 'note'], ['SINGAPORE', 'line 1\r\nline 2'], ['CHENNAI', 'x'],
+  ]);
+});
+
+test('parseCsv guesses ; and tab delimiters and strips a BOM', () => {
+  assert.deepEqual(parseCsv('\uFEFFPOL;Freight\nSHANGHAI;"1.250,00"'), [['POL', 'Freight'], ['SHANGHAI', '1.250,00']]);
+  assert.deepEqual(parseCsv('POL\tFreight\nSHANGHAI\t900'), [['POL', 'Freight'], ['SHANGHAI', '900']]);
+  assert.deepEqual(parseCsv('a;b,c', ','), [['a;b', 'c']]);
+});
+
+test('formatCsvRow quotes and defuses formulas, and parses back', () => {
+  const line = formatCsvRow(['a,b', 'say "hi"', 'two\nlines', '=1+1', 42, null]);
+  assert.equal(line, '"a,b","say ""hi""","two\nlines",\'=1+1,42,\r\n');
+  assert.deepEqual(parseCsv(line), [['a,b', 'say "hi"', 'two\nlines', "'=1+1", '42', '']]);
+});
+
+// ─── Zip ───────────────────────────────────────────────────────────────
+test('unzip reads stored and deflated entries', () => {
+  const entries = unzip(buildZip([
+    { name: 'stored.txt', content: 'kept as is', method: 0 },
+    { name: 'deflated.txt', content: 'x'.repeat(5000), method: 8 },
+  ]));
+  assert.equal(entries.get('stored.txt').toString(), 'kept as is');
+  assert.equal(entries.get('deflated.txt').toString(), 'x'.repeat(5000));
+});
+
+test('unzip refuses entries that inflate past the limits', () => {
+  const bomb = buildZip([{ name: 'bomb.xml', content: Buffer.alloc(4096), declaredSize: 10 }]);
+  assert.throws(() => unzip(bomb, { maxEntryBytes: 1024 }), /bomb\.xml is too large/);
+
+  const honest = buildZip([{ name: 'big.xml', content: Buffer.alloc(4096) }]);
+  assert.throws(() => unzip(honest, { maxEntryBytes: 1024 }), /too large/);
+
+  const many = buildZip([
+    { name: 'a.xml', content: Buffer.alloc(800) },
+    { name: 'b.xml', content: Buffer.alloc(800), method: 0 },
+  ]);
+  assert.throws(() => unzip(many, { maxEntryBytes: 1024, maxTotalBytes: 1500 }), /b\.xml is too large/);
+});
+
+test('unzip rejects files that are not zip archives', () => {
+  assert.throws(() => unzip(Buffer.from('POL,POD\n'.repeat(10))), /not a zip archive/);
+});
+
+// ─── XLSX ──────────────────────────────────────────────────────────────
+for (const [label, method] of [['deflated', 8], ['stored', 0]]) {
+  test(`readXlsx reads shared, rich and inline strings from a ${label} workbook`, () => {
+    assert.deepEqual(readXlsx(workbook(method)), [
+      ['POL', 'Ocean Freight'],
+      [],
+      ['SINGAPORE', 1250.5, '', 'A & B'],
+      ['CHENNAI', '', 'x<y'],
+    ]);
+  });
+}
+
+test('xlsxChunks writes a workbook readXlsx reads back', async () => {
+  async function* pages() {
+    yield [['SINGAPORE', 1250.5, null], ['A & <B>', -3, 'two\nlines']];
+  }
+  const chunks = [];
+  for await (const chunk of xlsxChunks(['POL', 'Total', 'Note'], pages())) chunks.push(Buffer.from(chunk));
+  assert.deepEqual(readXlsx(Buffer.concat(chunks)), [
+    ['POL', 'Total', 'Note'],
+    ['SINGAPORE', 1250.5],
+    ['A & <B>', -3, 'two\nlines'],
+  ]);
+});
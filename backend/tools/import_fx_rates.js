@@ -0,0 +1,50 @@
+/**
+ * Load FX rates from a CSV file into fx_rates
+ *
+ * Usage:
+ *   node tools/import_fx_rates.js <rates.csv> [source]
+ *
+ * The first line is a header naming the columns, in any order:
+ *   rate_date,base_currency,quote_currency,rate
+ *   2026-10-01,EUR,USD,1.0712
+ * (date / base / quote are accepted as short names.) A rate already stored
+ * for the same pair and date is replaced.
+ */
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+const fs = require('fs');
+const path = require('path');
+const { initDbAsync } = require('../src/db/database');
+const { normalizeRates, saveRates } = require('../src/pricing/fx');
+
+const HEADER_ALIASES = { date: 'rate_date', base: 'base_currency', quote: 'quote_currency' };
+
+function splitLine(line) {
+  return line.split(',').map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+}
+
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('#'));
+  if (lines.length < 2) throw new Error('CSV needs a header line and at least one rate');
+  const header = splitLine(lines[0]).map(h => HEADER_ALIASES[h.toLowerCase()] || h.toLowerCase());
+  return lines.slice(1).map((line) => {
+    const cells = splitLine(line);
+    return Object.fromEntries(header.map((h, i) => [h, cells[i]]));
+  });
+}
+
+async function main() {
+  const [file, source] = process.argv.slice(2);
+  if (!file) throw new Error('Usage: import_fx_rates.js <rates.csv> [source]');
+  await initDbAsync();
+
+  const { rates, error } = normalizeRates(parseCsv(fs.readFileSync(file, 'utf8')));
+  if (error) throw new Error(error.replace(/^rates\[(\d+)\](?::\s*|\.)/, (m, i) => `line ${Number(i) + 2}: `));
+
+  const saved = saveRates(rates, source || `CSV:${path.basename(file)}`);
+  console.log(`Imported ${saved} rate(s) from ${file}`);
+}
+
+main().catch((err) => {
+  console.error('Error importing FX rates:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,41 @@
+/**
+ * Manage the Maersk accounts used by the live scraper
+ *
+ * Usage:
+ *   node tools/manage_accounts.js list
+ *   node tools/manage_accounts.js add <username> <password>
+ *   node tools/manage_accounts.js disable <username>
+ *   node tools/manage_accounts.js enable <username>
+ *
+ * Passwords are encrypted with CREDENTIALS_KEY (or SNAPSHOT_KEY).
+ */
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+const { initDbAsync } = require('../src/db/database');
+const credentialStore = require('../src/scraper/credentialStore');
+
+async function main() {
+  const [command, username, password] = process.argv.slice(2);
+  await initDbAsync();
+
+  switch (command) {
+    case 'add':
+      if (!username || !password) throw new Error('Usage: manage_accounts.js add <username> <password>');
+      console.log(`Stored account ${username} (id ${credentialStore.addAccount(username, password)})`);
+      break;
+    case 'disable':
+    case 'enable':
+      if (!credentialStore.setAccountEnabled(username, command === 'enable')) throw new Error(`Account not found: ${username}`);
+      console.log(`Account ${username} ${command}d`);
+      break;
+    case 'list':
+    default:
+      credentialStore.getAccountsSummary().forEach((a) => {
+        console.log(`  #${a.id} ${a.username}  ${a.status}  last success: ${a.last_success_at || 'never'}  profile: ${a.profile_key}`);
+      });
+  }
+}
+
+main().catch((err) => {
+  console.error('Error running manage_accounts:', err.message);
+  process.exit(1);
+});
@@ -1,19 +1,41 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import Sidebar from './components/Sidebar';
 import Header from './components/Header';
 import FreightRatesPage from './pages/FreightRatesPage';
+import OpsReviewPage from './pages/OpsReviewPage';
 import './App.css';
 
+const PAGES = {
+  'freight-rates': FreightRatesPage,
+  'ops-review': OpsReviewPage,
+};
+const DEFAULT_PAGE = 'freight-rates';
+
+function pageFromHash() {
+  const id = window.location.hash.replace('#', '');
+  return PAGES[id] ? id : DEFAULT_PAGE;
+}
+
 function App() {
   const [sidebarOpen, setSidebarOpen] = useState(true);
+  const [activePage, setActivePage] = useState(pageFromHash);
+
+  // Sidebar links set the URL hash
+  useEffect(() => {
+    const onHashChange = () => setActivePage(pageFromHash());
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, []);
+
+  const Page = PAGES[activePage];
 
   return (
     <div className="app">
       <Header onToggleSidebar={() => setSidebarOpen(!sidebarOpen)} />
       <div className="app-body">
-        <Sidebar open={sidebarOpen} activePage="freight-rates" />
+        <Sidebar open={sidebarOpen} activePage={activePage} />
         <main className={`main-content ${sidebarOpen ? '' : 'sidebar-closed'}`}>
-          <FreightRatesPage />
+          <Page />
         </main>
       </div>
     </div>
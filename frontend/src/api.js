@@ -23,6 +23,37 @@ export async function getPricing(filters = {}) {
   return data;
 }
 
+export async function createRate(payload) {
+  const { data } = await api.post('/pricing', payload);
+  return data;
+}
+
+export async function importRates(payload) {
+  const { data } = await api.post('/pricing/import', payload);
+  return data;
+}
+
+export async function updateRate(id, changes) {
+  const { data } = await api.patch(`/pricing/${id}`, changes);
+  return data;
+}
+
+export async function deleteRate(id, payload) {
+  const { data } = await api.delete(`/pricing/${id}`, { data: payload });
+  return data;
+}
+
+// Plain URL so the browser streams the download to disk
+export function pricingExportUrl(params = {}) {
+  const query = new URLSearchParams(Object.entries(params).filter(([, v]) => v != null && v !== ''));
+  return `${API_BASE}/pricing/export?${query}`;
+}
+
+export async function getRateHistory(id) {
+  const { data } = await api.get(`/pricing/${id}/history`);
+  return data;
+}
+
 export async function checkPrice(payload) {
   const { data } = await api.post('/pricing/check', payload);
   return data;
@@ -50,3 +81,62 @@ export async function getScrapeJob(id) {
   const { data } = await api.get(`/pricing/jobs/${id}`);
   return data;
 }
+
+export async function cancelScrapeJob(id) {
+  const { data } = await api.post(`/pricing/jobs/${id}/cancel`);
+  return data;
+}
+
+export async function triggerBatchScrape(payload) {
+  const { data } = await api.post('/pricing/scrape/batch', payload);
+  return data;
+}
+
+export async function getScrapeBatch(id) {
+  const { data } = await api.get(`/pricing/scrape/batch/${id}`);
+  return data;
+}
+
+export async function cancelScrapeBatch(id) {
+  const { data } = await api.post(`/pricing/scrape/batch/${id}/cancel`);
+  return data;
+}
+
+export async function comparePricing(params) {
+  const { data } = await api.get('/pricing/compare', { params });
+  return data;
+}
+
+/* ── Lane analytics ─────────────────────────────────────────── */
+
+export async function getLaneTrend(params) {
+  const { data } = await api.get('/analytics/lanes/trend', { params });
+  return data;
+}
+
+export async function getLaneSparklines(params) {
+  const { data } = await api.get('/analytics/lanes/sparklines', { params });
+  return data;
+}
+
+/* ── Ops review ─────────────────────────────────────────────── */
+
+export async function getOpsReviews(params = {}) {
+  const { data } = await api.get('/ops/reviews', { params });
+  return data;
+}
+
+export async function approveOpsReview(id, actor) {
+  const { data } = await api.post(`/ops/reviews/${id}/approve`, { actor });
+  return data;
+}
+
+export async function rejectOpsReview(id, actor, reason) {
+  const { data } = await api.post(`/ops/reviews/${id}/reject`, { actor, reason });
+  return data;
+}
+
+export async function editApproveOpsReview(id, actor, edits) {
+  const { data } = await api.post(`/ops/reviews/${id}/edit-approve`, { actor, ...edits });
+  return data;
+}
@@ -0,0 +1,108 @@
+import React, { useState, useEffect } from 'react';
+import { getRateHistory } from '../api';
+
+const FIELD_LABELS = {
+  from_port: 'Port of Loading',
+  to_port: 'Port of Destination',
+  destination_country: 'Destination Country',
+  origin_local_haulage: 'Origin Local Haulage',
+  origin_thc: 'Origin THC',
+  customs: 'Customs',
+  origin_misc: 'Origin Misc',
+  ocean_freight: 'Ocean Freight',
+  destination_thc: 'Dest THC',
+  destination_haulage: 'Dest Haulage',
+  destination_misc: 'Dest Misc',
+  total_price: 'Total',
+  transit_days: 'Transit Days',
+  valid_until: 'Valid Until',
+  deleted_at: 'Deleted',
+  effective_from: 'Effective From',
+  effective_to: 'Effective To',
+  superseded_by: 'Superseded By',
+};
+
+const fieldLabel = (field) => FIELD_LABELS[field] || field.replace(/_/g, ' ');
+
+function formatChange(value) {
+  if (value == null || value === '') return <span className="no-data">—</span>;
+  if (Array.isArray(value)) {
+    return value.length
+      ? <ul className="history-lines">{value.map((line, i) => <li key={i}>{line}</li>)}</ul>
+      : <span className="no-data">none</span>;
+  }
+  return String(value);
+}
+
+/**
+ * Side drawer with the change timeline of one pricing row, newest first
+ */
+export default function HistoryDrawer({ rate, onClose }) {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    getRateHistory(rate.id)
+      .then((data) => { if (!cancelled) setEvents([...data].reverse()); })
+      .catch((err) => { if (!cancelled) setError(err.response?.data?.message || err.message); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [rate.id]);
+
+  return (
+    <div className="drawer-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+      <aside className="drawer">
+        <div className="modal-header">
+          <h2>History · {rate.from_port} → {rate.to_port}</h2>
+          <button className="close-btn" onClick={onClose}>×</button>
+        </div>
+        <div className="drawer-body">
+          {loading ? (
+            <div style={{ textAlign: 'center', padding: 40 }}>
+              <span className="spinner spinner-dark" style={{ width: 24, height: 24 }}></span>
+            </div>
+          ) : error ? (
+            <div className="status-banner error">{error}</div>
+          ) : events.length === 0 ? (
+            <p className="no-price-text">No recorded changes for this rate.</p>
+          ) : (
+            <ol className="history-timeline">
+              {events.map((event) => (
+                <li key={event.id} className="history-event">
+                  <div className="history-event-header">
+                    <span className="history-action">{event.action}</span>
+                    <span className="history-meta">{event.created_at} UTC · {event.actor || 'unknown'}</span>
+                  </div>
+                  {event.reason && <div className="history-reason">{event.reason}</div>}
+                  {event.snapshot_id && <div className="history-meta">Snapshot {event.snapshot_id}</div>}
+                  {event.batch_id && <div className="history-meta">Batch {event.batch_id}</div>}
+                  {event.full_snapshot ? (
+                    <table className="history-changes">
+                      <tbody>
+                        {event.changes.map((change) => (
+                          <tr key={change.field}>
+                            <td className="bd-label">{fieldLabel(change.field)}</td>
+                            <td className="history-before">{formatChange(change.before)}</td>
+                            <td className="history-arrow">→</td>
+                            <td>{formatChange(change.after)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  ) : (
+                    <div className="history-meta">
+                      {event.currency} {event.price} · {event.source} (recorded before field-level history)
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      </aside>
+    </div>
+  );
+}
@@ -0,0 +1,160 @@
+import React, { useState } from 'react';
+import { importRates } from '../api';
+
+const STATUS_CLASS = {
+  NEW: 'import-new',
+  UPDATED: 'import-updated',
+  UNCHANGED: 'import-unchanged',
+  REJECTED: 'import-rejected',
+};
+
+// CSV goes up as text, XLSX as base64
+function readFile(file) {
+  const isXlsx = /\.xlsx$/i.test(file.name);
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(isXlsx
+      ? { content_base64: String(reader.result).split(',')[1] }
+      : { content: reader.result });
+    reader.onerror = () => reject(reader.error);
+    if (isXlsx) reader.readAsDataURL(file);
+    else reader.readAsText(file);
+  });
+}
+
+/**
+ * Rate sheet upload: dry run first, then import the rows that passed
+ */
+export default function ImportRatesModal({ actor, onClose, onImported }) {
+  const [file, setFile] = useState(null);
+  const [profile, setProfile] = useState('default');
+  const [report, setReport] = useState(null);
+  const [skipRejected, setSkipRejected] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const send = async (extra) => {
+    const body = await readFile(file);
+    return importRates({ ...body, filename: file.name, profile: profile.trim() || undefined, ...extra });
+  };
+
+  const handlePreview = async () => {
+    setBusy(true);
+    setError(null);
+    setReport(null);
+    try {
+      setReport(await send({ dry_run: true }));
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      onImported(await send({ dry_run: false, skip_rejected: skipRejected, actor }));
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+      if (err.response?.data?.report) setReport(err.response.data.report);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const writable = report ? report.summary.new + report.summary.updated : 0;
+
+  return (
+    <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+      <div className="modal modal-wide">
+        <div className="modal-header">
+          <h2>Import rate sheet</h2>
+          <button className="close-btn" onClick={onClose}>×</button>
+        </div>
+        <div className="modal-body">
+          <div className="form-grid">
+            <div className="form-group">
+              <label>CSV or XLSX file</label>
+              <input
+                type="file"
+                accept=".csv,.txt,.xlsx"
+                onChange={(e) => { setFile(e.target.files[0] || null); setReport(null); }}
+              />
+            </div>
+            <div className="form-group">
+              <label>Column mapping profile</label>
+              <input value={profile} onChange={(e) => { setProfile(e.target.value); setReport(null); }} />
+            </div>
+          </div>
+
+          {error && <div className="status-banner error" style={{ marginTop: 16 }}>{error}</div>}
+
+          {report && (
+            <>
+              <div className="import-summary">
+                <span className="import-new">{report.summary.new} new</span>
+                <span className="import-updated">{report.summary.updated} updated</span>
+                <span className="import-unchanged">{report.summary.unchanged} unchanged</span>
+                <span className="import-rejected">{report.summary.rejected} rejected</span>
+                {report.batch_id && <span className="history-meta">Batch {report.batch_id}</span>}
+              </div>
+              <div className="rates-table-wrapper import-report">
+                <table className="rates-table">
+                  <thead>
+                    <tr>
+                      <th>Row</th>
+                      <th>Status</th>
+                      <th>Lane</th>
+                      <th>Container</th>
+                      <th>Carrier</th>
+                      <th>Total</th>
+                      <th>Details</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.rows.map((r) => (
+                      <tr key={r.row}>
+                        <td>{r.row}</td>
+                        <td><span className={STATUS_CLASS[r.status]}>{r.status}</span></td>
+                        <td>{r.rate ? `${r.rate.from_port} → ${r.rate.to_port}` : <span className="no-data">-</span>}</td>
+                        <td>{r.rate?.container_type || <span className="no-data">-</span>}</td>
+                        <td>{r.rate?.carrier || <span className="no-data">-</span>}</td>
+                        <td>{r.rate ? `${r.rate.currency} ${parseFloat(r.rate.total_price).toFixed(2)}` : <span className="no-data">-</span>}</td>
+                        <td>
+                          {r.reasons
+                            ? r.reasons.join('; ')
+                            : r.changes ? r.changes.map((c) => c.field).join(', ') : ''}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {report.dry_run && report.summary.rejected > 0 && (
+                <label className="import-skip">
+                  <input type="checkbox" checked={skipRejected} onChange={(e) => setSkipRejected(e.target.checked)} />
+                  Skip the rejected rows and import the rest
+                </label>
+              )}
+            </>
+          )}
+        </div>
+        <div className="modal-footer">
+          <button className="btn-cancel" onClick={onClose}>Close</button>
+          <button className="btn-cancel" disabled={!file || busy} onClick={handlePreview}>
+            {busy && !report ? 'Checking...' : 'Preview'}
+          </button>
+          <button
+            className="btn-submit"
+            disabled={!report || !report.dry_run || busy || writable === 0 || (report.summary.rejected > 0 && !skipRejected)}
+            onClick={handleImport}
+          >
+            {busy && report ? 'Importing...' : `Import ${writable} rate${writable === 1 ? '' : 's'}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
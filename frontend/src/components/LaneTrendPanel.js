@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import { getLaneTrend } from '../api';
+
+const CONTAINER_OPTIONS = ['20FT', '40FT', '40HC', '45FT', 'REEFER', 'OOG'];
+const INTERVAL_OPTIONS = [['day', 'Daily'], ['week', 'Weekly'], ['month', 'Monthly']];
+
+const CHART = { width: 640, height: 180, left: 64, right: 12, top: 12, bottom: 24 };
+
+const fmtPrice = (v, currency) => (v != null ? `${currency || ''} ${Number(v).toFixed(2)}`.trim() : '-');
+
+/**
+ * Min–max band and median line of total_price per period, one point per
+ * period so gaps in the samples stay visible on the time axis.
+ */
+function TrendChart({ points, currency }) {
+  const filled = points.map((p, i) => ({ ...p, i })).filter((p) => p.count > 0);
+  const lo = Math.min(...filled.map((p) => p.min));
+  const hi = Math.max(...filled.map((p) => p.max));
+  const span = hi - lo || 1;
+  const plotWidth = CHART.width - CHART.left - CHART.right;
+  const plotHeight = CHART.height - CHART.top - CHART.bottom;
+  const x = (i) => CHART.left + (points.length > 1 ? (i / (points.length - 1)) * plotWidth : plotWidth / 2);
+  const y = (v) => CHART.top + plotHeight - ((v - lo) / span) * plotHeight;
+
+  const band = [
+    ...filled.map((p) => `${x(p.i)},${y(p.max)}`),
+    ...[...filled].reverse().map((p) => `${x(p.i)},${y(p.min)}`),
+  ].join(' ');
+
+  return (
+    <svg className="trend-chart" viewBox={`0 0 ${CHART.width} ${CHART.height}`}>
+      <line className="trend-axis" x1={CHART.left} y1={y(hi)} x2={CHART.width - CHART.right} y2={y(hi)} />
+      <line className="trend-axis" x1={CHART.left} y1={y(lo)} x2={CHART.width - CHART.right} y2={y(lo)} />
+      <text className="trend-label" x={CHART.left - 6} y={y(hi) + 4} textAnchor="end">{Number(hi).toFixed(0)}</text>
+      <text className="trend-label" x={CHART.left - 6} y={y(lo) + 4} textAnchor="end">{Number(lo).toFixed(0)}</text>
+      <text className="trend-label" x={x(0)} y={CHART.height - 6} textAnchor="start">{points[0].period_start}</text>
+      <text className="trend-label" x={x(points.length - 1)} y={CHART.height - 6} textAnchor="end">
+        {points[points.length - 1].period_start}
+      </text>
+
+      {filled.length > 1 && <polygon className="trend-band" points={band} />}
+      {filled.length > 1 && (
+        <polyline className="trend-median" points={filled.map((p) => `${x(p.i)},${y(p.median)}`).join(' ')} />
+      )}
+      {filled.map((p) => (
+        <circle key={p.period_start} className="trend-point" cx={x(p.i)} cy={y(p.median)} r="3">
+          <title>
+            {`${p.period_start} — ${p.count} rate(s)\nMedian ${fmtPrice(p.median, currency)}\nMin ${fmtPrice(p.min, currency)} · Max ${fmtPrice(p.max, currency)}`}
+          </title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
+
+export default function LaneTrendPanel({ pol, pod, currency = 'USD' }) {
+  const [containerType, setContainerType] = useState('40FT');
+  const [trendInterval, setTrendInterval] = useState('week');
+  const [trend, setTrend] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!pol || !pod) return;
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    getLaneTrend({ pol, pod, container_type: containerType, interval: trendInterval, currency })
+      .then((data) => { if (!cancelled) setTrend(data); })
+      .catch((err) => { if (!cancelled) setError(err.response?.data?.message || err.message); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [pol, pod, containerType, trendInterval, currency]);
+
+  const change = trend?.change_pct;
+
+  return (
+    <div className="comparison-panel trend-panel">
+      <div className="comparison-header">
+        <h3 className="section-title">
+          Price trend — {pol} → {pod}
+          {change != null && (
+            <span className={`trend-change ${change > 0 ? 'up' : change < 0 ? 'down' : ''}`}>
+              {change > 0 ? '+' : ''}{change}%
+            </span>
+          )}
+        </h3>
+        <div style={{ display: 'flex', gap: 8 }}>
+          <select
+            className="filter-select"
+            style={{ minWidth: 120 }}
+            value={trendInterval}
+            onChange={(e) => setTrendInterval(e.target.value)}
+          >
+            {INTERVAL_OPTIONS.map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <select
+            className="filter-select"
+            style={{ minWidth: 120 }}
+            value={containerType}
+            onChange={(e) => setContainerType(e.target.value)}
+          >
+            {CONTAINER_OPTIONS.map((ct) => (
+              <option key={ct} value={ct}>{ct}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {loading ? (
+        <div style={{ padding: 16, color: '#64748b' }}>
+          <span className="spinner spinner-dark" style={{ width: 16, height: 16 }}></span> Loading price trend...
+        </div>
+      ) : error ? (
+        <div className="status-banner error">{error}</div>
+      ) : !trend || trend.sample_count === 0 ? (
+        <div style={{ padding: 16, color: '#64748b' }}>No rates recorded on this lane for {containerType}.</div>
+      ) : (
+        <>
+          <TrendChart points={trend.points} currency={trend.currency} />
+          <div className="trend-legend">
+            <span><span className="trend-swatch band"></span>Min – max</span>
+            <span><span className="trend-swatch median"></span>Median ({trend.currency})</span>
+            <span>{trend.sample_count} rate(s) over {trend.points.length} period(s)</span>
+          </div>
+        </>
+      )}
+      {trend?.unconverted > 0 && (
+        <div style={{ padding: '8px 0', fontSize: 12, color: '#64748b' }}>
+          {trend.unconverted} rate(s) left out: no FX rate to {trend.currency}.
+        </div>
+      )}
+    </div>
+  );
+}
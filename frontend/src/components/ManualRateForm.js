@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { createRate } from '../api';
+
+const CONTAINER_TYPES = ['20FT', '40FT', '40HC', '45FT', 'REEFER', 'OOG'];
+
+const AMOUNT_FIELDS = [
+  { key: 'origin_local_haulage', label: 'Origin Local Haulage' },
+  { key: 'origin_thc',           label: 'Origin THC' },
+  { key: 'customs',              label: 'Customs' },
+  { key: 'origin_misc',          label: 'Origin Misc' },
+  { key: 'ocean_freight',        label: 'Ocean Freight' },
+  { key: 'destination_thc',      label: 'Dest THC' },
+  { key: 'destination_haulage',  label: 'Dest Haulage' },
+  { key: 'destination_misc',     label: 'Dest Misc' },
+];
+
+/**
+ * Inline form for a rate entered by hand (e.g. quoted by email)
+ */
+export default function ManualRateForm({ prefill, actor, onCreated, onCancel }) {
+  const [form, setForm] = useState({
+    from_port: prefill?.from_port || '',
+    to_port: prefill?.to_port || '',
+    destination_country: prefill?.destination_country || '',
+    container_type: '40FT',
+    currency: 'USD',
+    carrier: '',
+    service_type: '',
+    transit_days: '',
+    valid_until: '',
+    reason: '',
+    ...Object.fromEntries(AMOUNT_FIELDS.map((f) => [f.key, ''])),
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    // Blank fields are left out so the backend defaults apply
+    const payload = { actor };
+    Object.entries(form).forEach(([key, value]) => {
+      if (String(value).trim() !== '') payload[key] = value;
+    });
+    try {
+      const rate = await createRate(payload);
+      onCreated(rate);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const input = (name, label, props = {}) => (
+    <div className="form-group">
+      <label>{label}</label>
+      <input name={name} value={form[name]} onChange={handleChange} {...props} />
+    </div>
+  );
+
+  return (
+    <form className="form-section manual-rate-form" onSubmit={handleSubmit}>
+      <h3 className="section-title">Add rate</h3>
+      <p className="section-subtitle">Enter a rate quoted outside the scraper. Amounts are per container.</p>
+
+      <div className="form-grid form-grid-3">
+        {input('from_port', 'Port of Loading', { required: true })}
+        {input('to_port', 'Port of Destination', { required: true })}
+        {input('destination_country', 'Destination Country', { placeholder: 'From the port if empty' })}
+        <div className="form-group">
+          <label>Container</label>
+          <select name="container_type" value={form.container_type} onChange={handleChange}>
+            {CONTAINER_TYPES.map((ct) => <option key={ct} value={ct}>{ct}</option>)}
+          </select>
+        </div>
+        {input('currency', 'Currency', { maxLength: 3 })}
+        {input('carrier', 'Carrier')}
+        {input('service_type', 'Service')}
+        {input('transit_days', 'Transit Days', { type: 'number', min: 1 })}
+        {input('valid_until', 'Valid Until', { type: 'date' })}
+      </div>
+
+      <div className="form-grid manual-rate-amounts">
+        {AMOUNT_FIELDS.map((f) => (
+          <React.Fragment key={f.key}>
+            {input(f.key, f.label, { type: 'number', min: 0, step: '0.01' })}
+          </React.Fragment>
+        ))}
+      </div>
+
+      <div className="form-grid" style={{ marginTop: 16 }}>
+        {input('reason', 'Reason', { required: true, placeholder: 'e.g. Quote from carrier email of 12 Oct' })}
+      </div>
+
+      {error && <div className="status-banner error" style={{ marginTop: 16 }}>{error}</div>}
+
+      <div className="manual-rate-actions">
+        <button type="button" className="btn-cancel" onClick={onCancel}>Cancel</button>
+        <button type="submit" className="btn-submit" disabled={saving}>{saving ? 'Saving...' : 'Save rate'}</button>
+      </div>
+    </form>
+  );
+}
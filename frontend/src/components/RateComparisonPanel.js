@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from 'react';
+import { comparePricing } from '../api';
+
+const CONTAINER_OPTIONS = ['20FT', '40FT', '40HC', '45FT', 'REEFER', 'OOG'];
+
+const BREAKDOWN_LABELS = [
+  ['origin_local_haulage', 'Origin Haulage'],
+  ['origin_thc', 'Origin THC'],
+  ['customs', 'Customs'],
+  ['origin_misc', 'Origin Misc'],
+  ['ocean_freight', 'Ocean Freight'],
+  ['destination_thc', 'Dest THC'],
+  ['destination_haulage', 'Dest Haulage'],
+  ['destination_misc', 'Dest Misc'],
+];
+
+const fmtPrice = (v, currency) => (v != null ? `${currency || ''} ${Number(v).toFixed(2)}`.trim() : '-');
+
+export default function RateComparisonPanel({ pol, pod, currency = 'USD' }) {
+  const [containerType, setContainerType] = useState('40FT');
+  const [comparison, setComparison] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!pol || !pod) return;
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    comparePricing({ pol, pod, container_type: containerType, currency })
+      .then((data) => { if (!cancelled) setComparison(data); })
+      .catch((err) => { if (!cancelled) setError(err.response?.data?.message || err.message); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [pol, pod, containerType, currency]);
+
+  const winners = comparison?.winners || {};
+  const isWinner = (group, metric) => winners[metric]
+    && winners[metric].carrier === group.carrier
+    && winners[metric].service_type === group.service_type;
+
+  return (
+    <div className="comparison-panel">
+      <div className="comparison-header">
+        <h3 className="section-title">Carrier comparison — {pol} → {pod}</h3>
+        <select
+          className="filter-select"
+          style={{ minWidth: 120 }}
+          value={containerType}
+          onChange={(e) => setContainerType(e.target.value)}
+        >
+          {CONTAINER_OPTIONS.map((ct) => (
+            <option key={ct} value={ct}>{ct}</option>
+          ))}
+        </select>
+      </div>
+
+      {loading ? (
+        <div style={{ padding: 16, color: '#64748b' }}>
+          <span className="spinner spinner-dark" style={{ width: 16, height: 16 }}></span> Comparing carriers...
+        </div>
+      ) : error ? (
+        <div className="status-banner error">{error}</div>
+      ) : !comparison || comparison.count === 0 ? (
+        <div style={{ padding: 16, color: '#64748b' }}>No valid rates on this lane for {containerType}.</div>
+      ) : (
+        <table className="rates-table comparison-table">
+          <thead>
+            <tr>
+              <th>Carrier</th>
+              <th>Service</th>
+              <th>Best Total</th>
+              <th>Best Transit</th>
+              {BREAKDOWN_LABELS.map(([key, label]) => <th key={key}>{label}</th>)}
+              <th>Rates</th>
+            </tr>
+          </thead>
+          <tbody>
+            {comparison.groups.map((g) => (
+              <tr key={`${g.carrier}|${g.service_type}`}>
+                <td>{g.carrier}</td>
+                <td>{g.service_type}</td>
+                <td className={isWinner(g, 'best_total') ? 'comparison-winner' : ''}>
+                  <span title={g.best_total.currency !== comparison.currency ? `Quoted ${fmtPrice(g.best_total.total_price, g.best_total.currency)}` : undefined}>
+                    {fmtPrice(g.best_total.normalized_total, comparison.currency)}
+                  </span>
+                  {isWinner(g, 'best_total') && <span className="winner-badge">Cheapest</span>}
+                </td>
+                <td className={isWinner(g, 'best_transit') ? 'comparison-winner' : ''}>
+                  {g.best_transit ? `${g.best_transit.transit_days} days` : '-'}
+                  {isWinner(g, 'best_transit') && <span className="winner-badge">Fastest</span>}
+                </td>
+                {BREAKDOWN_LABELS.map(([key]) => (
+                  <td key={key}>{g.breakdown[key] != null ? Number(g.breakdown[key]).toFixed(2) : <span className="no-data">-</span>}</td>
+                ))}
+                <td>{g.rate_count}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {comparison?.unconverted > 0 && (
+        <div style={{ padding: '8px 0', fontSize: 12, color: '#64748b' }}>
+          {comparison.unconverted} rate(s) left out: no FX rate to {comparison.currency}.
+        </div>
+      )}
+    </div>
+  );
+}
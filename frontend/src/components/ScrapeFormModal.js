@@ -73,6 +73,9 @@ export default function ScrapeFormModal({ prefill, onClose, onResult }) {
             if (job.status === 'SUCCESS' || job.status === 'FAILED') {
               setPolling(false);
               onResult({ ...job, job_id: job.id, formData: payload });
+            } else if (job.status === 'CANCELLED') {
+              setPolling(false);
+              setError('This rate request was cancelled.');
             } else if (pollCount < 60) { // up to 5 min
               pollCount++;
               setTimeout(poll, 5000);
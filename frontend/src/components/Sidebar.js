@@ -4,6 +4,7 @@ const navItems = [
   { id: 'home',          label: 'Home',    icon: '⊞' },
   { id: 'offers',        label: 'Offers',  icon: '📋' },
   { id: 'freight-rates', label: 'Freight Rates', icon: '🚢' },
+  { id: 'ops-review',    label: 'Ops Review', icon: '✅' },
   { id: 'mih-so',        label: 'Mih/So',  icon: '⚓' },
   { id: 'bid',           label: 'Bid',     icon: '🏷️' },
 ];
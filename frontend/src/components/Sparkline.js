@@ -0,0 +1,39 @@
+import React from 'react';
+
+/**
+ * Median price per period as a small line; periods without samples are
+ * skipped, so the line joins the periods on either side of a gap.
+ */
+export default function Sparkline({ points = [], width = 96, height = 24, currency = 'USD' }) {
+  const filled = points
+    .map((p, i) => ({ ...p, i }))
+    .filter((p) => p.median != null);
+  if (!filled.length) return <span className="no-data">-</span>;
+
+  const values = filled.map((p) => p.median);
+  const lo = Math.min(...values);
+  const span = Math.max(...values) - lo || 1;
+  const x = (i) => (points.length > 1 ? (i / (points.length - 1)) * (width - 4) + 2 : width / 2);
+  const y = (v) => height - 2 - ((v - lo) / span) * (height - 4);
+
+  const first = filled[0];
+  const last = filled[filled.length - 1];
+  const rising = last.median > first.median;
+  const falling = last.median < first.median;
+  const title = `${first.period_start}: ${currency} ${first.median.toFixed(2)} → ${last.period_start}: ${currency} ${last.median.toFixed(2)}`;
+
+  return (
+    <svg
+      className={`sparkline ${rising ? 'sparkline-up' : falling ? 'sparkline-down' : ''}`}
+      width={width}
+      height={height}
+      viewBox={`0 0 ${width} ${height}`}
+    >
+      <title>{title}</title>
+      {filled.length > 1 && (
+        <polyline points={filled.map((p) => `${x(p.i)},${y(p.median)}`).join(' ')} />
+      )}
+      <circle cx={x(last.i)} cy={y(last.median)} r="2" />
+    </svg>
+  );
+}
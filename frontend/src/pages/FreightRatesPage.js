@@ -1,7 +1,13 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { getCountries, getPorts, getPricing, checkPrice } from '../api';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { getCountries, getPorts, getPricing, getLaneSparklines, checkPrice, updateRate, deleteRate, pricingExportUrl } from '../api';
 import ScrapeFormModal from '../components/ScrapeFormModal';
+import ManualRateForm from '../components/ManualRateForm';
+import HistoryDrawer from '../components/HistoryDrawer';
+import ImportRatesModal from '../components/ImportRatesModal';
 import ScrapeResultsModal from '../components/ScrapeResultsModal';
+import RateComparisonPanel from '../components/RateComparisonPanel';
+import LaneTrendPanel from '../components/LaneTrendPanel';
+import Sparkline from '../components/Sparkline';
 
 // Table column definitions
 const COLUMNS = [
@@ -19,29 +25,57 @@ const COLUMNS = [
   { key: 'destination_haulage',  label: 'Dest Haulage',         numeric: true },
   { key: 'destination_misc',     label: 'Dest Misc',            numeric: true },
   { key: 'total_price',          label: 'Total',                numeric: true },
+  { key: 'currency',             label: 'Currency' },
   { key: 'transit_days',         label: 'Transit Days' },
   { key: 'source',               label: 'Source' },
 ];
 
+// '' shows each rate in its own currency; others add the total converted with
+// stored FX rates. The breakdown and the Currency column stay in the rate's currency.
+const DISPLAY_CURRENCIES = ['', 'USD', 'EUR', 'GBP', 'SGD', 'INR', 'CNY', 'AED'];
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+// Manual edits are audited under this actor
+const AGENT_ACTOR = 'agent';
+// Total follows from the charges and source is set by the backend
+const READ_ONLY_COLUMNS = ['total_price', 'source'];
+const EDITABLE_COLUMNS = COLUMNS.filter((col) => !READ_ONLY_COLUMNS.includes(col.key));
+
+// Sparklines are per lane: ports and container type
+const laneKey = (r) => [r.from_port, r.to_port, r.container_type].join('|').toUpperCase();
+
 export default function FreightRatesPage() {
   // Data
   const [countries, setCountries] = useState([]);
   const [polOptions, setPolOptions] = useState([]);
   const [podOptions, setPodOptions] = useState([]);
   const [pricing, setPricing] = useState([]);
+  const [sparklines, setSparklines] = useState({});
 
   // Filters
   const [selectedCountry, setSelectedCountry] = useState(null);
   const [selectedPol, setSelectedPol] = useState('');
   const [selectedPod, setSelectedPod] = useState('');
+  const [displayCurrency, setDisplayCurrency] = useState('');
+  const [asOf, setAsOf] = useState('');
 
   // Modals
   const [showScrapeForm, setShowScrapeForm] = useState(false);
   const [scrapeResult, setScrapeResult] = useState(null);
   const [scrapePrefill, setScrapePrefill] = useState(null);
 
-  // Loading
+  // Manual entry and inline editing
+  const [showCreate, setShowCreate] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState({});
+  const [notice, setNotice] = useState(null);
+  const [historyRate, setHistoryRate] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+
+  // Loading; responses of a load superseded by a later one are dropped
   const [loading, setLoading] = useState(true);
+  const loadSeq = useRef(0);
 
   // ── Data loading ─────────────────────────────────────────
   const loadCountries = useCallback(async () => {
@@ -71,20 +105,29 @@ export default function FreightRatesPage() {
   }, [selectedCountry]);
 
   const loadPricing = useCallback(async () => {
+    const seq = ++loadSeq.current;
+    const current = () => seq === loadSeq.current;
     setLoading(true);
     try {
       const filters = {};
       if (selectedCountry) filters.country = selectedCountry;
       if (selectedPol) filters.pol = selectedPol;
       if (selectedPod) filters.pod = selectedPod;
+      if (displayCurrency) filters.currency = displayCurrency;
+      if (asOf) filters.as_of = asOf;
       const data = await getPricing(filters);
+      if (!current()) return;
       setPricing(data);
+      // Trend column: one request per table load, looked up per row by lane
+      getLaneSparklines({ country: filters.country, pol: filters.pol, pod: filters.pod, currency: displayCurrency || 'USD' })
+        .then((lanes) => { if (current()) setSparklines(Object.fromEntries(lanes.map((l) => [laneKey(l), l.points]))); })
+        .catch((err) => console.error('Failed to load price trends:', err));
     } catch (err) {
       console.error('Failed to load pricing:', err);
     } finally {
-      setLoading(false);
+      if (current()) setLoading(false);
     }
-  }, [selectedCountry, selectedPol, selectedPod]);
+  }, [selectedCountry, selectedPol, selectedPod, displayCurrency, asOf]);
 
   useEffect(() => { loadCountries(); }, [loadCountries]);
   useEffect(() => { loadPorts(); }, [loadPorts]);
@@ -136,10 +179,80 @@ export default function FreightRatesPage() {
     loadPricing(); // refresh
   };
 
+  const handleRateCreated = (rate) => {
+    setShowCreate(false);
+    setNotice({ type: 'success', text: `Rate #${rate.id} ${rate.from_port} → ${rate.to_port} added.` });
+    loadPricing();
+  };
+
+  const handleImported = (report) => {
+    setShowImport(false);
+    const { new: added, updated } = report.summary;
+    setNotice({ type: 'success', text: `Imported ${report.filename || 'sheet'}: ${added} new, ${updated} updated (batch ${report.batch_id || '-'}).` });
+    loadPricing();
+  };
+
+  // Same filters and columns as the table; the converted total follows the total when a display currency is picked
+  const handleExport = (format) => {
+    const columns = ['id', ...COLUMNS.flatMap((col) => (
+      displayCurrency && col.key === 'total_price' ? [col.key, 'normalized_total', 'normalized_currency'] : [col.key]
+    ))];
+    const link = document.createElement('a');
+    link.href = pricingExportUrl({
+      format,
+      country: selectedCountry,
+      pol: selectedPol,
+      pod: selectedPod,
+      currency: displayCurrency,
+      as_of: asOf,
+      columns: columns.join(','),
+    });
+    link.click();
+  };
+
+  const startEdit = (row) => {
+    setEditingId(row.id);
+    setDraft(Object.fromEntries(EDITABLE_COLUMNS.map((col) => [col.key, row[col.key] ?? ''])));
+  };
+
+  const handleSaveEdit = async (row) => {
+    // Only send the cells that changed; an emptied cell clears the field
+    const changes = {};
+    EDITABLE_COLUMNS.forEach(({ key }) => {
+      if (String(draft[key]) !== String(row[key] ?? '')) changes[key] = draft[key] === '' ? null : draft[key];
+    });
+    if (!Object.keys(changes).length) {
+      setEditingId(null);
+      return;
+    }
+    const reason = window.prompt(`Reason for changing rate #${row.id}:`);
+    if (!reason || !reason.trim()) return;
+    try {
+      await updateRate(row.id, { ...changes, actor: AGENT_ACTOR, reason: reason.trim() });
+      setEditingId(null);
+      setNotice({ type: 'success', text: `Rate #${row.id} updated.` });
+      loadPricing();
+    } catch (err) {
+      setNotice({ type: 'error', text: `Rate #${row.id}: ${err.response?.data?.message || err.message}` });
+    }
+  };
+
+  const handleDelete = async (row) => {
+    const reason = window.prompt(`Reason for deleting rate #${row.id} (${row.from_port} → ${row.to_port}):`);
+    if (!reason || !reason.trim()) return;
+    try {
+      await deleteRate(row.id, { actor: AGENT_ACTOR, reason: reason.trim() });
+      setNotice({ type: 'success', text: `Rate #${row.id} deleted.` });
+      loadPricing();
+    } catch (err) {
+      setNotice({ type: 'error', text: `Rate #${row.id}: ${err.response?.data?.message || err.message}` });
+    }
+  };
+
   // ── Render helpers ───────────────────────────────────────
   const formatValue = (col, value, row) => {
     if (col.key === 'source') {
-      const colors = { DB: '#6366f1', SHEET: '#f59e0b', SCRAPE: '#22c55e' };
+      const colors = { DB: '#6366f1', SHEET: '#f59e0b', SCRAPE: '#22c55e', MANUAL: '#0ea5e9' };
       return (
         <span style={{
           padding: '2px 8px',
@@ -154,6 +267,18 @@ export default function FreightRatesPage() {
       );
     }
 
+    if (col.key === 'total_price' && displayCurrency && row.normalized_currency) {
+      if (row.normalized_total == null) {
+        return <span className="no-data" title={`No FX rate from ${row.currency} to ${displayCurrency}`}>-</span>;
+      }
+      return (
+        <span title={`${row.currency} ${parseFloat(value).toFixed(2)} @ ${row.fx_rate}${row.fx_rate_date ? ` (${row.fx_rate_date})` : ''}`}>
+          {parseFloat(row.normalized_total).toFixed(2)}
+          <span className="total-currency">{row.normalized_currency}</span>
+        </span>
+      );
+    }
+
     if (col.numeric) {
       if (value == null || value === '') return <span className="no-data">-</span>;
       return parseFloat(value).toFixed(col.key === 'total_price' ? 2 : 4);
@@ -204,6 +329,26 @@ export default function FreightRatesPage() {
           ))}
         </select>
 
+        <select
+          className="filter-select"
+          style={{ minWidth: 160 }}
+          value={displayCurrency}
+          onChange={(e) => setDisplayCurrency(e.target.value)}
+          title="Convert totals with the stored FX rates"
+        >
+          {DISPLAY_CURRENCIES.map((c) => (
+            <option key={c || 'original'} value={c}>{c ? `Totals in ${c}` : 'Original currency'}</option>
+          ))}
+        </select>
+
+        <input
+          type="date"
+          className="filter-date"
+          value={asOf}
+          onChange={(e) => setAsOf(e.target.value)}
+          title="Show the price list as it stood on this date (empty: current rates)"
+        />
+
         {/* GET SPOT RATE — main CTA when no internal rate */}
         <button className="btn-spot-rate" onClick={handleGlobalGetSpotRate}>
           <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
@@ -211,8 +356,48 @@ export default function FreightRatesPage() {
           </svg>
           Get Maersk Spot Rate
         </button>
+
+        <button className="btn-cancel" onClick={() => setShowCreate(!showCreate)}>
+          + Add Rate
+        </button>
+
+        <button className="btn-cancel" onClick={() => setShowImport(true)}>
+          Import Sheet
+        </button>
+
+        <select
+          className="filter-select"
+          value=""
+          onChange={(e) => e.target.value && handleExport(e.target.value)}
+          disabled={pricing.length === 0}
+        >
+          <option value="">Export...</option>
+          {EXPORT_FORMATS.map((f) => <option key={f} value={f}>{f.toUpperCase()}</option>)}
+        </select>
       </div>
 
+      {notice && <div className={`status-banner ${notice.type}`}>{notice.text}</div>}
+
+      {/* Manual rate entry */}
+      {showCreate && (
+        <ManualRateForm
+          prefill={{ from_port: selectedPol, to_port: selectedPod, destination_country: selectedCountry }}
+          actor={AGENT_ACTOR}
+          onCreated={handleRateCreated}
+          onCancel={() => setShowCreate(false)}
+        />
+      )}
+
+      {/* Carrier comparison for the selected lane */}
+      {selectedPol && selectedPod && (
+        <RateComparisonPanel pol={selectedPol} pod={selectedPod} currency={displayCurrency || 'USD'} />
+      )}
+
+      {/* Price trend for the selected lane */}
+      {selectedPol && selectedPod && (
+        <LaneTrendPanel pol={selectedPol} pod={selectedPod} currency={displayCurrency || 'USD'} />
+      )}
+
       {/* Table */}
       <div className="rates-table-wrapper">
         <table className="rates-table">
@@ -221,20 +406,21 @@ export default function FreightRatesPage() {
               {COLUMNS.map((col) => (
                 <th key={col.key}>{col.label}</th>
               ))}
+              <th title="Median total per week over the last 12 weeks">Trend</th>
               <th>Actions</th>
             </tr>
           </thead>
           <tbody>
             {loading ? (
               <tr>
-                <td colSpan={COLUMNS.length + 1} style={{ textAlign: 'center', padding: 40 }}>
+                <td colSpan={COLUMNS.length + 2} style={{ textAlign: 'center', padding: 40 }}>
                   <span className="spinner spinner-dark" style={{ width: 24, height: 24 }}></span>
                   <div style={{ marginTop: 8, color: '#64748b' }}>Loading rates...</div>
                 </td>
               </tr>
             ) : pricing.length === 0 ? (
               <tr>
-                <td colSpan={COLUMNS.length + 1} style={{ textAlign: 'center', padding: 40 }}>
+                <td colSpan={COLUMNS.length + 2} style={{ textAlign: 'center', padding: 40 }}>
                   <div style={{ color: '#64748b', marginBottom: 16 }}>
                     No rates found for this selection.
                   </div>
@@ -248,21 +434,62 @@ export default function FreightRatesPage() {
               </tr>
             ) : (
               pricing.map((row, i) => (
-                <tr key={row.id || i}>
-                  {COLUMNS.map((col) => (
-                    <td key={col.key}>{formatValue(col, row[col.key], row)}</td>
-                  ))}
-                  <td>
-                    <button
-                      className="btn-spot-rate"
-                      style={{ fontSize: 12, padding: '6px 14px' }}
-                      onClick={() => handleGetSpotRate(row)}
-                      title="Refresh rate from Maersk"
-                    >
-                      ↻ Refresh
-                    </button>
-                  </td>
-                </tr>
+                editingId === row.id ? (
+                  <tr key={row.id} className="editing-row">
+                    {COLUMNS.map((col) => (
+                      <td key={col.key}>
+                        {READ_ONLY_COLUMNS.includes(col.key) ? formatValue(col, row[col.key], row) : (
+                          <input
+                            className="cell-input"
+                            type={col.numeric || col.key === 'transit_days' ? 'number' : 'text'}
+                            value={draft[col.key]}
+                            onChange={(e) => setDraft({ ...draft, [col.key]: e.target.value })}
+                          />
+                        )}
+                      </td>
+                    ))}
+                    <td><Sparkline points={sparklines[laneKey(row)]} currency={displayCurrency || 'USD'} /></td>
+                    <td>
+                      <div className="row-actions">
+                        <button className="btn-accept" onClick={() => handleSaveEdit(row)}>Save</button>
+                        <button className="btn-cancel row-action" onClick={() => setEditingId(null)}>Cancel</button>
+                      </div>
+                    </td>
+                  </tr>
+                ) : (
+                  <tr key={row.id || i}>
+                    {COLUMNS.map((col) => (
+                      <td key={col.key}>{formatValue(col, row[col.key], row)}</td>
+                    ))}
+                    <td><Sparkline points={sparklines[laneKey(row)]} currency={displayCurrency || 'USD'} /></td>
+                    <td>
+                      <div className="row-actions">
+                        <button
+                          className="btn-spot-rate"
+                          style={{ fontSize: 12, padding: '6px 14px' }}
+                          onClick={() => handleGetSpotRate(row)}
+                          title="Refresh rate from Maersk"
+                        >
+                          ↻ Refresh
+                        </button>
+                        <button
+                          className="btn-cancel row-action"
+                          onClick={() => startEdit(row)}
+                          disabled={!!row.effective_to}
+                          title={row.effective_to ? 'Superseded versions are kept as history' : 'Correct this rate'}
+                        >
+                          Edit
+                        </button>
+                        <button className="btn-cancel row-action" onClick={() => setHistoryRate(row)} title="Who changed this rate and when">
+                          History
+                        </button>
+                        <button className="btn-reject" onClick={() => handleDelete(row)} title="Delete this rate">
+                          Delete
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                )
               ))
             )}
           </tbody>
@@ -278,6 +505,14 @@ export default function FreightRatesPage() {
         />
       )}
 
+      {showImport && (
+        <ImportRatesModal actor={AGENT_ACTOR} onClose={() => setShowImport(false)} onImported={handleImported} />
+      )}
+
+      {historyRate && (
+        <HistoryDrawer rate={historyRate} onClose={() => setHistoryRate(null)} />
+      )}
+
       {scrapeResult && (
         <ScrapeResultsModal
           result={scrapeResult}
@@ -0,0 +1,241 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getOpsReviews, approveOpsReview, rejectOpsReview, editApproveOpsReview } from '../api';
+
+const OPS_ACTOR = 'ops';
+const STATUSES = ['PENDING', 'APPROVED', 'REJECTED', 'SUPERSEDED', 'ALL'];
+const REFRESH_MS = 30000;
+// Items due within this many minutes are highlighted before they breach
+const WARN_MINUTES = 30;
+
+function parseUtc(text) {
+  return text ? Date.parse(`${text.replace(' ', 'T')}Z`) : null;
+}
+
+function formatCountdown(ms) {
+  const total = Math.floor(Math.abs(ms) / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  const text = `${h}h ${String(m).padStart(2, '0')}m ${String(s).padStart(2, '0')}s`;
+  return ms < 0 ? `${text} overdue` : text;
+}
+
+export default function OpsReviewPage() {
+  const [reviews, setReviews] = useState([]);
+  const [status, setStatus] = useState('PENDING');
+  const [loading, setLoading] = useState(true);
+  const [now, setNow] = useState(Date.now());
+  const [busyId, setBusyId] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [editing, setEditing] = useState(null);
+
+  // ── Data loading ─────────────────────────────────────────
+  const loadReviews = useCallback(async () => {
+    try {
+      setReviews(await getOpsReviews({ status }));
+    } catch (err) {
+      console.error('Failed to load reviews:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    setLoading(true);
+    loadReviews();
+    const timer = setInterval(loadReviews, REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [loadReviews]);
+
+  // SLA countdowns tick every second
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // ── Actions ──────────────────────────────────────────────
+  const runAction = async (id, action) => {
+    setBusyId(id);
+    setMessage(null);
+    try {
+      const resp = await action();
+      setMessage({ type: 'success', text: `Review #${id}: ${resp.message}${resp.pricing_id ? ` (rate #${resp.pricing_id})` : ''}` });
+      await loadReviews();
+      return true;
+    } catch (err) {
+      setMessage({ type: 'error', text: `Review #${id}: ${err.response?.data?.message || err.message}` });
+      return false;
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleApprove = (review) => runAction(review.id, () => approveOpsReview(review.id, OPS_ACTOR));
+
+  const handleReject = (review) => {
+    const reason = window.prompt(`Reason for rejecting review #${review.id}:`);
+    if (!reason || !reason.trim()) return;
+    runAction(review.id, () => rejectOpsReview(review.id, OPS_ACTOR, reason.trim()));
+  };
+
+  const handleEditApprove = async (e) => {
+    e.preventDefault();
+    const edits = {};
+    if (editing.transit_days !== '') edits.transit_days = Number(editing.transit_days);
+    if (editing.valid_until) edits.valid_until = editing.valid_until;
+    if (editing.service_type.trim()) edits.service_type = editing.service_type.trim();
+    const ok = await runAction(editing.id, () => editApproveOpsReview(editing.id, OPS_ACTOR, edits));
+    if (ok) setEditing(null);
+  };
+
+  // ── SLA display ──────────────────────────────────────────
+  const slaState = (review) => {
+    const deadline = parseUtc(review.sla_deadline);
+    if (review.status !== 'PENDING' || deadline == null) {
+      return { className: review.sla_breached ? 'sla-breached' : '', text: review.sla_breached ? 'Resolved late' : 'Within SLA' };
+    }
+    const remaining = deadline - now;
+    if (remaining < 0) return { className: 'sla-breached', text: formatCountdown(remaining) };
+    if (remaining < WARN_MINUTES * 60000) return { className: 'sla-warning', text: formatCountdown(remaining) };
+    return { className: '', text: formatCountdown(remaining) };
+  };
+
+  const breachedCount = reviews.filter((r) => r.status === 'PENDING' && parseUtc(r.sla_deadline) < now).length;
+
+  return (
+    <div>
+      <h1 className="page-title">OPS REVIEW</h1>
+      <p className="page-subtitle">Scraped rates flagged for review before they are published</p>
+
+      <div className="filters-row">
+        <select className="filter-select" value={status} onChange={(e) => setStatus(e.target.value)}>
+          {STATUSES.map((s) => (
+            <option key={s} value={s}>{s === 'ALL' ? 'All items' : s}</option>
+          ))}
+        </select>
+        {breachedCount > 0 && (
+          <span className="sla-summary">{breachedCount} item{breachedCount > 1 ? 's' : ''} past SLA</span>
+        )}
+      </div>
+
+      {message && <div className={`status-banner ${message.type}`}>{message.text}</div>}
+
+      <div className="rates-table-wrapper">
+        <table className="rates-table">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Lane</th>
+              <th>Container</th>
+              <th>Carrier</th>
+              <th>Total</th>
+              <th>Confidence</th>
+              <th>Issues</th>
+              <th>Status</th>
+              <th>SLA</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr>
+                <td colSpan={10} style={{ textAlign: 'center', padding: 40 }}>
+                  <span className="spinner spinner-dark" style={{ width: 24, height: 24 }}></span>
+                  <div style={{ marginTop: 8, color: '#64748b' }}>Loading reviews...</div>
+                </td>
+              </tr>
+            ) : reviews.length === 0 ? (
+              <tr>
+                <td colSpan={10} style={{ textAlign: 'center', padding: 40, color: '#64748b' }}>
+                  Nothing to review.
+                </td>
+              </tr>
+            ) : (
+              reviews.map((review) => {
+                const sla = slaState(review);
+                const pending = review.status === 'PENDING';
+                return (
+                  <tr key={review.id} className={pending ? sla.className : ''}>
+                    <td>{review.id}</td>
+                    <td>{review.from_port} → {review.to_port}</td>
+                    <td>{review.container_type}</td>
+                    <td>{review.carrier}</td>
+                    <td>{review.total_price != null ? `${review.currency} ${parseFloat(review.total_price).toFixed(2)}` : <span className="no-data">-</span>}</td>
+                    <td>{review.confidence_score != null ? `${Math.round(review.confidence_score * 100)}%` : '-'}</td>
+                    <td>{review.issues.length ? review.issues.join(', ') : <span className="no-data">-</span>}</td>
+                    <td title={review.reason || ''}>{review.status}{review.actor ? ` (${review.actor})` : ''}</td>
+                    <td><span className={`sla-countdown ${sla.className}`}>{sla.text}</span></td>
+                    <td>
+                      {pending && (
+                        <div className="review-actions">
+                          <button className="btn-accept" disabled={busyId === review.id} onClick={() => handleApprove(review)}>
+                            Approve
+                          </button>
+                          <button
+                            className="btn-cancel"
+                            disabled={busyId === review.id}
+                            onClick={() => setEditing({ id: review.id, transit_days: '', valid_until: '', service_type: '' })}
+                          >
+                            Edit &amp; approve
+                          </button>
+                          <button className="btn-reject" disabled={busyId === review.id} onClick={() => handleReject(review)}>
+                            Reject
+                          </button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {editing && (
+        <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && setEditing(null)}>
+          <form className="modal" onSubmit={handleEditApprove}>
+            <div className="modal-header">
+              <h2>Edit &amp; approve review #{editing.id}</h2>
+              <button type="button" className="close-btn" onClick={() => setEditing(null)}>×</button>
+            </div>
+            <div className="modal-body">
+              <p className="section-subtitle">Leave a field empty to keep the scraped value.</p>
+              <div className="form-grid form-grid-3">
+                <div className="form-group">
+                  <label>Transit days</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={editing.transit_days}
+                    onChange={(e) => setEditing({ ...editing, transit_days: e.target.value })}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Valid until</label>
+                  <input
+                    type="date"
+                    value={editing.valid_until}
+                    onChange={(e) => setEditing({ ...editing, valid_until: e.target.value })}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Service type</label>
+                  <input
+                    type="text"
+                    value={editing.service_type}
+                    onChange={(e) => setEditing({ ...editing, service_type: e.target.value })}
+                  />
+                </div>
+              </div>
+            </div>
+            <div className="modal-footer">
+              <button type="button" className="btn-cancel" onClick={() => setEditing(null)}>Cancel</button>
+              <button type="submit" className="btn-submit" disabled={busyId === editing.id}>Approve with edits</button>
+            </div>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}